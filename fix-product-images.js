@@ -1,5 +1,5 @@
 const mongoose = require('mongoose');
-const Product = require('./models/Product');
+const { clearLocalhostImageUrls } = require('./lib/productMaintenance');
 require('dotenv').config();
 
 // Connect to MongoDB
@@ -13,59 +13,13 @@ const connectDB = async () => {
   }
 };
 
-// Fix existing product image URLs
+// Fix existing product image URLs (the same fix runs as the fix-product-images job)
 const fixProductImages = async () => {
   try {
     console.log('🔧 Starting image URL fix...');
-    
-    // Find products with localhost image URLs
-    const productsWithLocalhostImages = await Product.find({
-      $or: [
-        { imageUrl: { $regex: /localhost/ } },
-        { 'images.main': { $regex: /localhost/ } },
-        { 'images.gallery': { $regex: /localhost/ } }
-      ]
-    });
-
-    console.log(`📊 Found ${productsWithLocalhostImages.length} products with localhost image URLs`);
-
-    for (const product of productsWithLocalhostImages) {
-      console.log(`🔧 Fixing product: ${product.name} (${product._id})`);
-      
-      // Clear localhost image URLs
-      if (product.imageUrl && product.imageUrl.includes('localhost')) {
-        console.log(`  - Clearing imageUrl: ${product.imageUrl}`);
-        product.imageUrl = null;
-      }
-      
-      if (product.images && product.images.main && product.images.main.includes('localhost')) {
-        console.log(`  - Clearing images.main: ${product.images.main}`);
-        product.images.main = null;
-      }
-      
-      if (product.images && product.images.gallery) {
-        product.images.gallery = product.images.gallery.filter(url => !url.includes('localhost'));
-        console.log(`  - Filtered gallery images`);
-      }
-      
-      // Save the updated product
-      await product.save();
-      console.log(`  ✅ Updated product: ${product.name}`);
-    }
-
-    console.log('🎉 Image URL fix completed!');
-    
-    // Show summary
-    const remainingProducts = await Product.find({
-      $or: [
-        { imageUrl: { $regex: /localhost/ } },
-        { 'images.main': { $regex: /localhost/ } },
-        { 'images.gallery': { $regex: /localhost/ } }
-      ]
-    });
-    
-    console.log(`📊 Remaining products with localhost URLs: ${remainingProducts.length}`);
-    
+    const { fixed, remaining } = await clearLocalhostImageUrls();
+    console.log(`🎉 Image URL fix completed! Updated ${fixed} products`);
+    console.log(`📊 Remaining products with localhost URLs: ${remaining}`);
   } catch (error) {
     console.error('❌ Error fixing product images:', error);
   } finally {
@@ -0,0 +1,203 @@
+// Audit log
+// Records admin actions in the append-only AuditLog collection: the actor,
+// IP, route, entity and a field-by-field diff of the entity before and after.
+// Routes are audited through middleware/audit, which calls recordAudit once
+// the response has gone out.
+
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+// Stored in place of values that must not be readable in the log
+const REDACTED = '[redacted]';
+const SECRET_FIELD = /password|token|secret|verificationcode/i;
+
+// Bookkeeping fields that change on every save
+const IGNORED_FIELDS = new Set(['__v', 'updatedAt']);
+
+// Long text (descriptions, notes) is cut down to this many characters
+const MAX_VALUE_LENGTH = 1000;
+
+const isPlainObject = (value) => value !== null && typeof value === 'object'
+  && !Array.isArray(value) && !(value instanceof Date) && !value._bsontype && !Buffer.isBuffer(value);
+
+const isObjectId = (value) => value?._bsontype === 'ObjectId';
+
+// Arrays of subdocuments are compared element by element, keyed by _id
+const isKeyedArray = (value) => Array.isArray(value) && value.length > 0
+  && value.every(item => isPlainObject(item) && item._id);
+
+const toStoredValue = (value) => {
+  if (isObjectId(value)) return value.toString();
+  if (typeof value === 'string' && value.length > MAX_VALUE_LENGTH) {
+    return `${value.slice(0, MAX_VALUE_LENGTH)}...`;
+  }
+  return value;
+};
+
+// Flatten a document into { 'dotted.path': value }
+const flatten = (value, prefix = '', fields = {}) => {
+  if (isPlainObject(value)) {
+    Object.entries(value).forEach(([key, child]) => {
+      if (IGNORED_FIELDS.has(key)) return;
+      flatten(child, prefix ? `${prefix}.${key}` : key, fields);
+    });
+    if (prefix && Object.keys(value).length === 0) fields[prefix] = {};
+  } else if (isKeyedArray(value)) {
+    value.forEach(item => flatten(item, `${prefix}.${item._id}`, fields));
+  } else if (prefix) {
+    fields[prefix] = Array.isArray(value) ? value.map(toStoredValue) : toStoredValue(value);
+  }
+  return fields;
+};
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Field-by-field differences between two versions of a document.
+ * Either side may be null (a create or a delete). Secret fields are reported
+ * as changed with their values redacted.
+ * @param {Object|null} before - plain object (lean document)
+ * @param {Object|null} after - plain object (lean document)
+ * @returns {Array} [{ path, before, after }]
+ */
+const diffDocuments = (before, after) => {
+  const beforeFields = flatten(before || {});
+  const afterFields = flatten(after || {});
+  const paths = [...new Set([...Object.keys(beforeFields), ...Object.keys(afterFields)])].sort();
+
+  return paths
+    .filter(path => !sameValue(beforeFields[path], afterFields[path]))
+    .map(path => {
+      if (SECRET_FIELD.test(path)) {
+        return {
+          path,
+          before: beforeFields[path] === undefined ? undefined : REDACTED,
+          after: afterFields[path] === undefined ? undefined : REDACTED
+        };
+      }
+      return { path, before: beforeFields[path], after: afterFields[path] };
+    });
+};
+
+// A name people recognise the entity by
+const entityLabel = (doc) => {
+  if (!doc) return undefined;
+  const label = doc.orderNumber || doc.rmaNumber || doc.sku || doc.code || doc.email || doc.name || doc.title;
+  return label ? String(label) : undefined;
+};
+
+/**
+ * Write one audit entry. Never throws: a failure is logged so the action
+ * itself is not reported as failed.
+ * @param {Object} req - Express request (after auth)
+ * @param {Object} entry - { action, entityType, entityId, before, after, metadata, statusCode }
+ * @returns {Promise<Object|null>} the entry, or null when it could not be written
+ */
+const recordAudit = async (req, { action, entityType, entityId, before = null, after = null, metadata, statusCode }) => {
+  try {
+    const id = after?._id || before?._id || entityId;
+    return await AuditLog.create({
+      action,
+      actor: {
+        userId: req.user?.userId,
+        email: req.userInfo?.email,
+        role: req.userInfo?.role
+      },
+      ip: req.ip,
+      userAgent: req.get('User-Agent'),
+      method: req.method,
+      route: req.route ? `${req.baseUrl}${req.route.path}` : req.originalUrl.split('?')[0],
+      path: req.originalUrl.split('?')[0],
+      statusCode,
+      entity: entityType ? { type: entityType, id: id ? String(id) : undefined, label: entityLabel(after || before) } : undefined,
+      changes: diffDocuments(before, after),
+      metadata
+    });
+  } catch (error) {
+    console.error(`❌ Could not write audit entry for ${action}:`, error.message);
+    return null;
+  }
+};
+
+const parseDate = (value, endOfDay) => {
+  // Calendar dates cover the whole day; full timestamps are used as given
+  const date = /^\d{4}-\d{2}-\d{2}$/.test(value)
+    ? new Date(`${value}T00:00:00.000Z`)
+    : new Date(value);
+  if (Number.isNaN(date.getTime())) return null;
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) date.setUTCDate(date.getUTCDate() + 1);
+  return date;
+};
+
+/**
+ * Search the audit log, newest first.
+ * @param {Object} filters - { actor (user id or email), action (exact, or a prefix ending in '.'),
+ *   entityType, entityId, route, from, to (YYYY-MM-DD or ISO timestamps), page, limit }
+ * @returns {Promise<Object>} { success, entries, pagination } or { success: false, status, error, details }
+ */
+const findAuditEntries = async (filters = {}) => {
+  // Query string values can arrive as objects; only plain strings are used
+  const [actor, action, entityType, entityId, route, from, to] = ['actor', 'action', 'entityType', 'entityId', 'route', 'from', 'to']
+    .map(key => (filters[key] === undefined || filters[key] === '' ? undefined : String(filters[key])));
+  const query = {};
+
+  if (actor) {
+    if (mongoose.Types.ObjectId.isValid(actor) && actor.length === 24) {
+      query['actor.userId'] = actor;
+    } else {
+      query['actor.email'] = actor.toLowerCase();
+    }
+  }
+  if (action) {
+    // 'product.' matches every product action
+    query.action = action.endsWith('.')
+      ? { $regex: `^${action.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}` }
+      : action;
+  }
+  if (entityType) query['entity.type'] = entityType;
+  if (entityId) query['entity.id'] = entityId;
+  if (route) query.route = route;
+
+  if (from || to) {
+    const start = from ? parseDate(from, false) : null;
+    const end = to ? parseDate(to, true) : null;
+    if ((from && !start) || (to && !end)) {
+      return { success: false, status: 400, error: 'Validation Error', details: 'from and to must be dates (YYYY-MM-DD) or ISO timestamps' };
+    }
+    query.createdAt = {};
+    if (start) query.createdAt.$gte = start;
+    if (end) query.createdAt[/^\d{4}-\d{2}-\d{2}$/.test(to) ? '$lt' : '$lte'] = end;
+  }
+
+  const page = Math.max(parseInt(filters.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(filters.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+  const [entries, total] = await Promise.all([
+    AuditLog.find(query)
+      .sort({ createdAt: -1, _id: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    AuditLog.countDocuments(query)
+  ]);
+
+  return {
+    success: true,
+    entries,
+    pagination: {
+      currentPage: page,
+      totalPages: Math.ceil(total / limit),
+      totalItems: total,
+      itemsPerPage: limit
+    }
+  };
+};
+
+module.exports = {
+  diffDocuments,
+  recordAudit,
+  findAuditEntries
+};
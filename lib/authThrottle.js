@@ -0,0 +1,179 @@
+// Brute-force protection for login and OTP endpoints
+// Per-account and per-IP failure counters with exponential backoff lockouts
+
+const AuthThrottle = require('../models/AuthThrottle');
+const { sendAccountLockedEmail } = require('./emailService');
+const { defineJob, enqueueInBackground } = require('./jobQueue');
+
+const LIMITS = {
+  account: {
+    maxFailures: parseInt(process.env.AUTH_MAX_ACCOUNT_FAILURES, 10) || 5
+  },
+  ip: {
+    maxFailures: parseInt(process.env.AUTH_MAX_IP_FAILURES, 10) || 20
+  }
+};
+
+const BASE_LOCK_MS = (parseInt(process.env.AUTH_LOCK_BASE_MINUTES, 10) || 1) * 60 * 1000;
+const MAX_LOCK_MS = 24 * 60 * 60 * 1000; // 24 hours
+const FAILURE_WINDOW_MS = 24 * 60 * 60 * 1000; // counters reset after a quiet day
+
+const accountKey = (email) => `account:${String(email).toLowerCase()}`;
+
+const ipKey = (ip) => `ip:${ip || 'unknown'}`;
+
+const buildKeys = ({ email, ip }) => [
+  ...(email ? [{ key: accountKey(email), scope: 'account' }] : []),
+  { key: ipKey(ip), scope: 'ip' }
+];
+
+// Lock duration doubles with every failure past the limit
+const getLockDuration = (failures, maxFailures) => {
+  const exponent = Math.max(0, failures - maxFailures);
+  return Math.min(BASE_LOCK_MS * Math.pow(2, exponent), MAX_LOCK_MS);
+};
+
+/**
+ * Check whether an account or IP is locked out.
+ * @param {Object} identity - { email, ip }
+ * @returns {Promise<Object>} { locked, retryAfter (seconds), scope }
+ */
+const checkLock = async (identity) => {
+  const keys = buildKeys(identity).map(k => k.key);
+  const records = await AuthThrottle.find({ key: { $in: keys }, lockUntil: { $gt: new Date() } });
+
+  if (records.length === 0) {
+    return { locked: false };
+  }
+
+  const latest = records.reduce((a, b) => (a.lockUntil > b.lockUntil ? a : b));
+  return {
+    locked: true,
+    scope: latest.scope,
+    lockUntil: latest.lockUntil,
+    retryAfter: Math.ceil((latest.lockUntil - Date.now()) / 1000)
+  };
+};
+
+// Count one failure for a key in a single atomic update, so parallel attempts
+// each see their own count. Counters left quiet for a day start again from zero.
+const incrementFailures = async ({ key, scope }, now) => {
+  await AuthThrottle.updateOne(
+    { key, lastFailureAt: { $lt: new Date(now.getTime() - FAILURE_WINDOW_MS) } },
+    { $set: { failures: 0 } }
+  );
+
+  const update = {
+    $inc: { failures: 1 },
+    $set: { lastFailureAt: now },
+    $max: { expiresAt: new Date(now.getTime() + FAILURE_WINDOW_MS) },
+    $setOnInsert: { scope }
+  };
+  try {
+    return await AuthThrottle.findOneAndUpdate({ key }, update, { upsert: true, new: true });
+  } catch (error) {
+    // Two first failures inserted at once; the other one created the record
+    if (error.code !== 11000) throw error;
+    return AuthThrottle.findOneAndUpdate({ key }, update, { new: true });
+  }
+};
+
+// Lock a key that passed its limit. Only the attempt that starts a lock gets
+// true back; later ones just extend it.
+const lockKey = async (key, lockUntil, now) => {
+  const expiresAt = new Date(lockUntil.getTime() + FAILURE_WINDOW_MS);
+  const started = await AuthThrottle.updateOne(
+    { key, $or: [{ lockUntil: null }, { lockUntil: { $lte: now } }] },
+    { $set: { lockUntil }, $inc: { lockCount: 1 }, $max: { expiresAt } }
+  );
+  if (started.modifiedCount > 0) return true;
+
+  await AuthThrottle.updateOne({ key }, { $max: { lockUntil, expiresAt } });
+  return false;
+};
+
+const ACCOUNT_LOCKED_EMAIL_JOB = 'account-locked-email';
+
+defineJob(ACCOUNT_LOCKED_EMAIL_JOB, async ({ email, lockUntil }) => {
+  // Once the lock is over the email would only be noise
+  if (new Date(lockUntil) <= new Date()) {
+    return { skipped: true, reason: 'lock_expired' };
+  }
+
+  const result = await sendAccountLockedEmail(email, lockUntil);
+  if (!result?.success) {
+    throw new Error(result?.error || 'Account locked email could not be sent');
+  }
+  return { sent: true };
+}, {
+  maxAttempts: 3,
+  description: 'Tell an account owner their account was locked'
+});
+
+// Record a failed attempt; locks the key once it passes its limit
+const recordFailure = async (identity) => {
+  const now = new Date();
+  let accountLocked = null;
+
+  for (const { key, scope } of buildKeys(identity)) {
+    const record = await incrementFailures({ key, scope }, now);
+
+    const { maxFailures } = LIMITS[scope];
+    if (record.failures >= maxFailures) {
+      const lockUntil = new Date(now.getTime() + getLockDuration(record.failures, maxFailures));
+      const started = await lockKey(key, lockUntil, now);
+      if (started && scope === 'account') accountLocked = lockUntil;
+    }
+  }
+
+  // Tell the account owner about a new lockout (in background)
+  if (accountLocked && identity.email) {
+    enqueueInBackground(ACCOUNT_LOCKED_EMAIL_JOB, { email: identity.email, lockUntil: accountLocked });
+  }
+
+  return { accountLocked: Boolean(accountLocked), lockUntil: accountLocked };
+};
+
+// Clear the account counter after a successful attempt (IP counters decay on their own)
+const clearFailures = async ({ email }) => {
+  if (!email) return;
+  await AuthThrottle.deleteOne({ key: accountKey(email) });
+};
+
+// Admin unlock for an account
+const unlockAccount = async (email) => {
+  const result = await AuthThrottle.deleteOne({ key: accountKey(email) });
+  return result.deletedCount > 0;
+};
+
+const getAccountStatus = async (email) => {
+  const record = await AuthThrottle.findOne({ key: accountKey(email) });
+  if (!record) {
+    return { failures: 0, locked: false };
+  }
+  return {
+    failures: record.failures,
+    locked: record.isLocked,
+    lockUntil: record.isLocked ? record.lockUntil : null,
+    lastFailureAt: record.lastFailureAt
+  };
+};
+
+// Express response for a locked account or IP
+const sendLockedResponse = (res, lock) => {
+  res.set('Retry-After', String(lock.retryAfter));
+  return res.status(429).json({
+    error: 'Too many attempts',
+    details: `Too many failed attempts. Please try again in ${Math.ceil(lock.retryAfter / 60)} minute(s).`,
+    retryAfter: lock.retryAfter
+  });
+};
+
+module.exports = {
+  checkLock,
+  recordFailure,
+  clearFailures,
+  unlockAccount,
+  getAccountStatus,
+  sendLockedResponse
+};
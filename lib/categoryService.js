@@ -0,0 +1,314 @@
+// Category service
+// Keeps the category tree consistent (ancestors, slugs, the category name
+// stored on products) and answers subtree questions: which categories sit
+// under one, and how many products each branch holds.
+
+const mongoose = require('mongoose');
+const Category = require('../models/Category');
+const Product = require('../models/Product');
+
+const CATEGORY_FIELDS = ['name', 'description', 'image', 'sortOrder', 'isActive', 'seo'];
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Find a category by ID, slug or name (names match case-insensitively).
+ * @param {string} value - ID, slug or name
+ * @returns {Promise<Object|null>} Category document
+ */
+const findCategory = async (value) => {
+  if (!value) return null;
+  const text = String(value).trim();
+
+  if (mongoose.Types.ObjectId.isValid(text) && text.length === 24) {
+    const byId = await Category.findById(text);
+    if (byId) return byId;
+  }
+
+  return (await Category.findOne({ slug: text.toLowerCase() }))
+    || Category.findOne({ name: new RegExp(`^${escapeRegex(text)}$`, 'i') });
+};
+
+// Slug for a new category, adding -2, -3... while it is taken
+const uniqueSlug = async (name) => {
+  const base = Category.slugify(name) || 'category';
+  let slug = base;
+  for (let n = 2; await Category.exists({ slug }); n++) {
+    slug = `${base}-${n}`;
+  }
+  return slug;
+};
+
+// Check a requested slug is well-formed and free
+const checkSlug = async (slug, exceptId) => {
+  const normalized = Category.slugify(slug);
+  if (!normalized) {
+    return { success: false, status: 400, error: 'Invalid slug', details: 'Slug must contain letters or numbers' };
+  }
+  if (await Category.exists({ slug: normalized, _id: { $ne: exceptId } })) {
+    return { success: false, status: 409, error: 'Duplicate slug', details: `A category with slug ${normalized} already exists` };
+  }
+  return { success: true, slug: normalized };
+};
+
+// Parent for a category and the ancestors it gets under it
+const resolveParent = async (parentId, categoryId) => {
+  if (!parentId) return { success: true, parent: null, ancestors: [] };
+
+  const parent = mongoose.Types.ObjectId.isValid(parentId) ? await Category.findById(parentId) : null;
+  if (!parent) {
+    return { success: false, status: 400, error: 'Invalid parent', details: 'Parent category does not exist' };
+  }
+
+  if (categoryId && (parent._id.equals(categoryId) || parent.ancestors.some(id => id.equals(categoryId)))) {
+    return {
+      success: false,
+      status: 400,
+      error: 'Invalid parent',
+      details: 'A category cannot be moved under itself or one of its subcategories'
+    };
+  }
+
+  return { success: true, parent, ancestors: [...parent.ancestors, parent._id] };
+};
+
+/**
+ * IDs of a category and every category below it.
+ * @param {string} categoryId - root of the subtree
+ * @param {Object} options - { activeOnly } skip inactive categories and everything under them
+ * @returns {Promise<Array>} category IDs
+ */
+const getSubtreeIds = async (categoryId, { activeOnly = false } = {}) => {
+  const filter = { ancestors: categoryId };
+  if (activeOnly) {
+    filter.isActive = true;
+    filter.ancestors = { $eq: categoryId, $nin: await Category.find({ isActive: false }).distinct('_id') };
+  }
+
+  const descendants = await Category.find(filter).select('_id');
+  return [categoryId, ...descendants.map(category => category._id)];
+};
+
+/**
+ * Product filter for a category given by ID, slug or name: everything in the
+ * category's subtree, or an exact match on the stored name when no Category
+ * document matches (products not yet migrated).
+ * @returns {Promise<Object>} { filter, category }
+ */
+const getCategoryFilter = async (value, { activeOnly = true } = {}) => {
+  const category = await findCategory(value);
+  if (!category) {
+    return { filter: { category: value }, category: null };
+  }
+
+  return { filter: { categoryId: { $in: await getSubtreeIds(category._id, { activeOnly }) } }, category };
+};
+
+/**
+ * Work out the category to store on a product from its categoryId or category name.
+ * Free-text names are only accepted while no categories exist yet.
+ * @param {Object} data - { categoryId, category }
+ * @returns {Promise<Object>} { success, categoryId, category } or { success: false, status, error, details }
+ */
+const resolveProductCategory = async ({ categoryId, category }) => {
+  const found = categoryId
+    ? (mongoose.Types.ObjectId.isValid(categoryId) ? await Category.findById(categoryId) : null)
+    : await findCategory(category);
+
+  if (found) {
+    return { success: true, categoryId: found._id, category: found.name };
+  }
+
+  if (!categoryId && category && (await Category.estimatedDocumentCount()) === 0) {
+    return { success: true, categoryId: undefined, category };
+  }
+
+  return {
+    success: false,
+    status: 400,
+    error: 'Invalid category',
+    details: `Category ${categoryId || category} does not exist; create it first`
+  };
+};
+
+/**
+ * Create a category.
+ * @param {Object} data - name, slug, description, image, parentId, sortOrder, isActive, seo
+ * @returns {Promise<Object>} { success, category } or { success: false, status, error, details }
+ */
+const createCategory = async (data) => {
+  const parentCheck = await resolveParent(data.parentId);
+  if (!parentCheck.success) return parentCheck;
+
+  let slug;
+  if (data.slug) {
+    const slugCheck = await checkSlug(data.slug);
+    if (!slugCheck.success) return slugCheck;
+    slug = slugCheck.slug;
+  } else {
+    slug = await uniqueSlug(data.name);
+  }
+
+  const fields = CATEGORY_FIELDS.reduce((acc, key) => {
+    if (data[key] !== undefined) acc[key] = data[key];
+    return acc;
+  }, {});
+
+  const category = await Category.create({
+    ...fields,
+    slug,
+    parentId: parentCheck.parent?._id || null,
+    ancestors: parentCheck.ancestors
+  });
+
+  return { success: true, category };
+};
+
+/**
+ * Update a category. Moving it carries its whole subtree along; renaming it
+ * renames the category stored on its products.
+ * @param {string} categoryId - category to update
+ * @param {Object} data - same fields as createCategory
+ * @returns {Promise<Object>} { success, category } or { success: false, status, error, details }
+ */
+const updateCategory = async (categoryId, data) => {
+  const category = await Category.findById(categoryId);
+  if (!category) {
+    return { success: false, status: 404, error: 'Category not found', details: 'Category does not exist' };
+  }
+
+  const previousName = category.name;
+  let moved = false;
+
+  if (data.parentId !== undefined && String(data.parentId || '') !== String(category.parentId || '')) {
+    const parentCheck = await resolveParent(data.parentId, category._id);
+    if (!parentCheck.success) return parentCheck;
+
+    category.parentId = parentCheck.parent?._id || null;
+    category.ancestors = parentCheck.ancestors;
+    moved = true;
+  }
+
+  if (data.slug !== undefined && data.slug !== category.slug) {
+    const slugCheck = await checkSlug(data.slug, category._id);
+    if (!slugCheck.success) return slugCheck;
+    category.slug = slugCheck.slug;
+  }
+
+  CATEGORY_FIELDS.forEach(key => {
+    if (data[key] !== undefined) category[key] = data[key];
+  });
+  await category.save();
+
+  if (moved) {
+    // Descendants keep the part of their path from this category down
+    const descendants = await Category.find({ ancestors: category._id }).select('ancestors');
+    for (const descendant of descendants) {
+      const below = descendant.ancestors.slice(descendant.ancestors.findIndex(id => id.equals(category._id)));
+      await Category.updateOne(
+        { _id: descendant._id },
+        { $set: { ancestors: [...category.ancestors, ...below] } }
+      );
+    }
+  }
+
+  if (category.name !== previousName) {
+    await Product.updateMany({ categoryId: category._id }, { $set: { category: category.name } });
+  }
+
+  return { success: true, category };
+};
+
+/**
+ * Delete a category that has no subcategories and no products.
+ * @returns {Promise<Object>} { success } or { success: false, status, error, details }
+ */
+const deleteCategory = async (categoryId) => {
+  const category = await Category.findById(categoryId);
+  if (!category) {
+    return { success: false, status: 404, error: 'Category not found', details: 'Category does not exist' };
+  }
+
+  const [childCount, productCount] = await Promise.all([
+    Category.countDocuments({ parentId: category._id }),
+    Product.countDocuments({ categoryId: category._id })
+  ]);
+
+  if (childCount > 0 || productCount > 0) {
+    return {
+      success: false,
+      status: 409,
+      error: 'Category in use',
+      details: `Category has ${childCount} subcategories and ${productCount} products; move them first or deactivate it instead`
+    };
+  }
+
+  await category.deleteOne();
+  return { success: true };
+};
+
+/**
+ * Category tree with product counts. Each node has the number of products
+ * filed directly under it (productCount) and in its whole subtree (totalProductCount).
+ * @param {Object} options - { rootId: only this category's subtree, includeInactive: also inactive categories and products }
+ * @returns {Promise<Array>} root nodes, each with nested `children`
+ */
+const getCategoryTree = async ({ rootId, includeInactive = false } = {}) => {
+  const filter = {};
+  if (rootId) filter.$or = [{ _id: rootId }, { ancestors: rootId }];
+  if (!includeInactive) {
+    filter.isActive = true;
+    filter.ancestors = { $nin: await Category.find({ isActive: false }).distinct('_id') };
+  }
+
+  const categories = await Category.find(filter).sort({ sortOrder: 1, name: 1 }).lean();
+  const productMatch = { categoryId: { $in: categories.map(category => category._id) } };
+  if (!includeInactive) productMatch.status = { $in: ['active', 'out_of_stock'] };
+
+  const counts = await Product.aggregate([
+    { $match: productMatch },
+    { $group: { _id: '$categoryId', count: { $sum: 1 } } }
+  ]);
+  const directCounts = new Map(counts.map(row => [row._id.toString(), row.count]));
+
+  const nodes = new Map(categories.map(category => [category._id.toString(), {
+    ...category,
+    productCount: directCounts.get(category._id.toString()) || 0,
+    totalProductCount: 0,
+    children: []
+  }]));
+
+  // Roll each category's products up to every category above it
+  for (const node of nodes.values()) {
+    node.totalProductCount += node.productCount;
+    node.ancestors.forEach(ancestorId => {
+      const ancestor = nodes.get(ancestorId.toString());
+      if (ancestor) ancestor.totalProductCount += node.productCount;
+    });
+  }
+
+  // Categories whose parent is not in the result are roots
+  const roots = [];
+  for (const node of nodes.values()) {
+    const parent = node.parentId && nodes.get(node.parentId.toString());
+    if (parent) {
+      parent.children.push(node);
+    } else {
+      roots.push(node);
+    }
+  }
+
+  return roots;
+};
+
+module.exports = {
+  findCategory,
+  uniqueSlug,
+  getSubtreeIds,
+  getCategoryFilter,
+  resolveProductCategory,
+  createCategory,
+  updateCategory,
+  deleteCategory,
+  getCategoryTree
+};
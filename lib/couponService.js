@@ -0,0 +1,163 @@
+// Coupon engine
+// Checks whether a promo code applies to a cart, works out its discount and
+// records redemptions so usage limits hold when orders are placed concurrently
+
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+
+const couponError = (error, details) => ({ success: false, error, details });
+
+// Line items the coupon applies to (all of them unless it is restricted)
+const getEligibleItems = (coupon, items) => {
+  const categories = (coupon.restrictions?.categories || []).map(c => c.toLowerCase());
+  const products = (coupon.restrictions?.products || []).map(id => id.toString());
+
+  if (categories.length === 0 && products.length === 0) {
+    return items;
+  }
+
+  return items.filter(item =>
+    products.includes(String(item.productId)) ||
+    (item.category && categories.includes(item.category.toLowerCase()))
+  );
+};
+
+/**
+ * Check that a coupon code can be used for a cart.
+ * @param {string} code - code as typed by the customer
+ * @param {Object} context - { items, subtotal, customerId }
+ * @returns {Promise<Object>} { success, coupon } or { success: false, error, details }
+ */
+const findApplicableCoupon = async (code, { items = [], subtotal = 0, customerId } = {}) => {
+  const coupon = await Coupon.findByCode(code);
+  if (!coupon || !coupon.isActive) {
+    return couponError('Invalid coupon', 'This coupon code is not valid');
+  }
+
+  const now = new Date();
+  if (coupon.startsAt && coupon.startsAt > now) {
+    return couponError('Coupon not started', 'This coupon is not active yet');
+  }
+  if (coupon.expiresAt && coupon.expiresAt <= now) {
+    return couponError('Coupon expired', 'This coupon has expired');
+  }
+
+  if (coupon.usageLimit && coupon.redemptionCount >= coupon.usageLimit) {
+    return couponError('Coupon exhausted', 'This coupon has reached its usage limit');
+  }
+
+  if (customerId && coupon.perCustomerLimit) {
+    const used = await CouponRedemption.countDocuments({ couponId: coupon._id, customerId });
+    if (used >= coupon.perCustomerLimit) {
+      return couponError('Coupon already used', 'You have already used this coupon the maximum number of times');
+    }
+  }
+
+  if (coupon.minimumSpend && subtotal < coupon.minimumSpend) {
+    return couponError('Minimum spend not met', `This coupon requires a minimum spend of ${coupon.minimumSpend} PKR`);
+  }
+
+  if (getEligibleItems(coupon, items).length === 0) {
+    return couponError('Coupon not applicable', 'This coupon does not apply to any items in your cart');
+  }
+
+  return { success: true, coupon };
+};
+
+/**
+ * Discount a coupon gives on a priced cart.
+ * @param {Object} coupon - Coupon document
+ * @param {Array} items - resolved line items (price, quantity, productId, category)
+ * @param {number} maxAmount - discount cannot exceed this (what is left of the subtotal)
+ * @returns {Object} { amount, freeShipping, eligibleSubtotal }
+ */
+const calculateCouponDiscount = (coupon, items, maxAmount) => {
+  const eligibleSubtotal = getEligibleItems(coupon, items)
+    .reduce((sum, item) => sum + (item.price || 0) * item.quantity, 0);
+
+  let amount = 0;
+  if (coupon.type === 'percentage') {
+    amount = eligibleSubtotal * (coupon.value / 100);
+    if (coupon.maxDiscountAmount && amount > coupon.maxDiscountAmount) {
+      amount = coupon.maxDiscountAmount;
+    }
+  } else if (coupon.type === 'fixed') {
+    amount = Math.min(coupon.value, eligibleSubtotal);
+  }
+
+  return {
+    amount: Math.max(0, Math.min(amount, maxAmount)),
+    freeShipping: coupon.type === 'free_shipping',
+    eligibleSubtotal
+  };
+};
+
+/**
+ * Record a redemption for an order.
+ * The global counter is incremented with a guarded update and the per-customer
+ * limit is enforced by the unique (couponId, customerId, slot) index, so two
+ * orders racing for the last use cannot both succeed. Each redemption takes the
+ * customer's lowest free slot, so slots freed by cancelled orders are reused.
+ * @returns {Promise<Object>} { success, redemption } or { success: false, error, details }
+ */
+const redeemCoupon = async (coupon, { customerId, orderId, discount = 0 }) => {
+  const counterFilter = { _id: coupon._id, isActive: true };
+  if (coupon.usageLimit) {
+    counterFilter.redemptionCount = { $lt: coupon.usageLimit };
+  }
+
+  const updated = await Coupon.findOneAndUpdate(counterFilter, { $inc: { redemptionCount: 1 } }, { new: true });
+  if (!updated) {
+    return couponError('Coupon exhausted', 'This coupon has reached its usage limit');
+  }
+
+  // Take the lowest free slot: a released redemption leaves a gap that can be reused
+  const taken = await CouponRedemption.find({ couponId: coupon._id, customerId }).select('slot').lean();
+  const takenSlots = new Set(taken.map(redemption => redemption.slot));
+
+  for (let slot = 1; !coupon.perCustomerLimit || slot <= coupon.perCustomerLimit; slot += 1) {
+    if (takenSlots.has(slot)) continue;
+
+    try {
+      const redemption = await CouponRedemption.create({
+        couponId: coupon._id,
+        code: coupon.code,
+        customerId,
+        orderId,
+        slot,
+        discount
+      });
+      return { success: true, redemption };
+    } catch (error) {
+      // A duplicate orderId means this order already redeemed a coupon; only slot clashes are retried
+      if (error.code !== 11000 || error.keyPattern?.orderId) {
+        await Coupon.updateOne({ _id: coupon._id }, { $inc: { redemptionCount: -1 } });
+        throw error;
+      }
+      // Another order took this slot first; try the next free one
+    }
+  }
+
+  await Coupon.updateOne({ _id: coupon._id }, { $inc: { redemptionCount: -1 } });
+  return couponError('Coupon already used', 'You have already used this coupon the maximum number of times');
+};
+
+// Give a redemption back (failed or cancelled order); safe to call more than once
+const releaseCoupon = async (orderId) => {
+  const redemption = await CouponRedemption.findOneAndDelete({ orderId });
+  if (!redemption) return false;
+
+  await Coupon.updateOne(
+    { _id: redemption.couponId, redemptionCount: { $gt: 0 } },
+    { $inc: { redemptionCount: -1 } }
+  );
+  return true;
+};
+
+module.exports = {
+  getEligibleItems,
+  findApplicableCoupon,
+  calculateCouponDiscount,
+  redeemCoupon,
+  releaseCoupon
+};
@@ -0,0 +1,111 @@
+// CSV helpers (RFC 4180): quoted fields, doubled quotes inside them and
+// line breaks inside quoted fields, so files written here read back unchanged.
+// Text that a spreadsheet would run as a formula is written with a leading
+// apostrophe (see guardFormula).
+
+/**
+ * Parse CSV text into rows of cells.
+ * @param {string} text - CSV content (a leading byte order mark is ignored)
+ * @returns {Array<Array<string>>} rows, blank lines skipped
+ */
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  const input = String(text).replace(/^\uFEFF/, '');
+
+  const endRow = () => {
+    row.push(cell);
+    if (row.length > 1 || row[0] !== '') rows.push(row);
+    row = [];
+    cell = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\r' || char === '\n') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      cell += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error('CSV has an unterminated quoted field');
+  }
+  if (cell !== '' || row.length > 0) endRow();
+
+  return rows;
+};
+
+/**
+ * Parse CSV text with a header row into objects keyed by column name.
+ * @returns {Array<Object>} one object per data row
+ */
+const parseCsvRecords = (text) => {
+  const [header = [], ...rows] = parseCsv(text);
+  const columns = header.map(column => column.trim());
+  return rows.map(row => columns.reduce((record, column, index) => {
+    if (column) record[column] = row[index] ?? '';
+    return record;
+  }, {}));
+};
+
+// Cells starting with one of these are run as formulas by spreadsheet apps
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+// Keep spreadsheet apps from running text as a formula (CSV injection)
+const guardFormula = (value) => (typeof value === 'string' && FORMULA_START.test(value) ? `'${value}` : value);
+
+// Undo guardFormula on a cell read back from a file written here
+const unguardFormula = (text) => (typeof text === 'string' && text.startsWith("'") && FORMULA_START.test(text.slice(1))
+  ? text.slice(1)
+  : text);
+
+// Quote a cell when it holds a comma, quote or line break
+const escapeCsvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * One CSV line (with its CRLF) from a row of cells, formulas guarded.
+ * @param {Array} cells - cell values
+ * @returns {string} CSV line
+ */
+const toCsvLine = (cells) => `${cells.map(cell => escapeCsvCell(guardFormula(cell))).join(',')}\r\n`;
+
+/**
+ * Build CSV text from rows of cells.
+ * @param {Array<Array>} rows - header row first
+ * @returns {string} CSV content
+ */
+const toCsv = (rows) => rows.map(toCsvLine).join('');
+
+module.exports = {
+  parseCsv,
+  parseCsvRecords,
+  guardFormula,
+  unguardFormula,
+  escapeCsvCell,
+  toCsvLine,
+  toCsv
+};
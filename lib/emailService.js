@@ -143,6 +143,14 @@ const sendEmailWithResend = async (email, subject, htmlContent, textContent, att
             contentType: 'image/png'
           };
         }
+        // Files built in memory (report CSVs)
+        if (attachment.content) {
+          return {
+            filename: attachment.filename,
+            content: Buffer.from(attachment.content),
+            contentType: attachment.contentType
+          };
+        }
         return null;
       }).filter(Boolean);
     }
@@ -516,6 +524,390 @@ const sendPasswordResetEmail = async (email, resetToken) => {
   }
 };
 
+// Escape user-provided values before placing them in email HTML
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Find the email logo and return attachments plus the image source to use
+const getLogoAssets = () => {
+  const logoUrl = `${process.env.FRONTEND_URL || (process.env.NODE_ENV === 'production' ? 'https://virellofoods.com' : 'http://localhost:3000')}/images/Emailogo.png`;
+  const possiblePaths = [
+    path.join(__dirname, '../public/images/Emailogo.png'),
+    path.join(process.cwd(), 'public/images/Emailogo.png')
+  ];
+
+  const logoPath = possiblePaths.find(testPath => fs.existsSync(testPath));
+  if (!logoPath) {
+    return { attachments: [], logoSrc: logoUrl };
+  }
+
+  return {
+    attachments: [{ filename: 'Emailogo.png', path: logoPath, cid: 'logo' }],
+    logoSrc: 'cid:logo'
+  };
+};
+
+const formatMoney = (amount, currency = 'PKR') => `${currency} ${Number(amount || 0).toLocaleString('en-US', { minimumFractionDigits: 0, maximumFractionDigits: 2 })}`;
+
+// Shared layout for transactional order emails
+const buildOrderEmail = (order, { heading, intro, details = [] }) => {
+  const { attachments, logoSrc } = getLogoAssets();
+  const currency = order.currency || 'PKR';
+  const customerName = `${order.customerInfo?.firstName || ''} ${order.customerInfo?.lastName || ''}`.trim();
+  const orderUrl = `${process.env.FRONTEND_URL || 'https://virellofoods.com'}/orders/${order._id}`;
+
+  const itemRows = (order.items || []).map(item => `
+              <tr>
+                <td style="padding: 8px 0; color: #555;">${escapeHtml(item.name)} &times; ${item.quantity}</td>
+                <td style="padding: 8px 0; color: #555; text-align: right;">${formatMoney(item.price * item.quantity, currency)}</td>
+              </tr>`).join('');
+
+  const totalRows = [
+    ['Subtotal', order.subtotal],
+    ...(order.discount ? [['Discount', -order.discount]] : []),
+    ['Shipping', order.shipping?.cost],
+    ...(order.tax ? [['Tax', order.tax]] : [])
+  ].map(([label, amount]) => `
+              <tr>
+                <td style="padding: 4px 0; color: #777;">${label}</td>
+                <td style="padding: 4px 0; color: #777; text-align: right;">${formatMoney(amount, currency)}</td>
+              </tr>`).join('');
+
+  const detailRows = details.map(([label, value]) => `
+            <p style="color: #555; font-size: 14px; margin: 4px 0;"><strong>${escapeHtml(label)}:</strong> ${escapeHtml(value)}</p>`).join('');
+
+  const html = `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+          <div style="text-align: center; margin-bottom: 30px;">
+            <img src="${logoSrc}" alt="Virello Food" width="200" height="105" style="display: block; margin: 0 auto 16px; max-width: 100%;">
+            <h2 style="color: #333; margin-top: 20px; font-size: 24px;">${escapeHtml(heading)}</h2>
+          </div>
+
+          <div style="background-color: #f8f9fa; padding: 30px; border-radius: 10px; margin-bottom: 20px;">
+            <p style="color: #555; font-size: 16px;">Hi ${escapeHtml(customerName || 'there')},</p>
+            <p style="color: #555; font-size: 16px; margin-bottom: 20px;">${escapeHtml(intro)}</p>
+            <p style="color: #555; font-size: 14px; margin: 4px 0;"><strong>Order number:</strong> ${escapeHtml(order.orderNumber)}</p>${detailRows}
+          </div>
+
+          <div style="background-color: #e9ecef; padding: 20px; border-radius: 10px; margin-bottom: 20px;">
+            <table style="width: 100%; border-collapse: collapse; font-size: 14px;">${itemRows}${totalRows}
+              <tr>
+                <td style="padding: 8px 0; color: #333; font-weight: bold; border-top: 1px solid #ccc;">Total</td>
+                <td style="padding: 8px 0; color: #333; font-weight: bold; text-align: right; border-top: 1px solid #ccc;">${formatMoney(order.totalAmount, currency)}</td>
+              </tr>
+            </table>
+          </div>
+
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="${orderUrl}" style="background-color: #007bff; color: white; padding: 15px 30px; text-decoration: none; border-radius: 5px; font-weight: bold; display: inline-block;">View Order</a>
+          </div>
+
+          <hr style="border: none; border-top: 1px solid #ddd; margin: 30px 0;">
+
+          <div style="text-align: center; color: #666; font-size: 12px;">
+            <p>This email was sent from Virello Food</p>
+            <p>If you have any questions, please contact our support team</p>
+          </div>
+        </div>
+      `;
+
+  const text = [
+    heading,
+    '',
+    `Hi ${customerName || 'there'},`,
+    intro,
+    '',
+    `Order number: ${order.orderNumber}`,
+    ...details.map(([label, value]) => `${label}: ${value}`),
+    '',
+    ...(order.items || []).map(item => `${item.name} x ${item.quantity} - ${formatMoney(item.price * item.quantity, currency)}`),
+    `Total: ${formatMoney(order.totalAmount, currency)}`,
+    '',
+    `View your order: ${orderUrl}`
+  ].join('\n');
+
+  return { html, text, attachments };
+};
+
+// Send a transactional order email through the primary service with Resend fallback
+const sendOrderEmail = async (order, subject, content) => {
+  try {
+    const transporter = createTransporter();
+    const { html, text, attachments } = buildOrderEmail(order, content);
+
+    const mailOptions = {
+      from: process.env.EMAIL_FROM || 'Virello Food <noreply@virellofoods.com>',
+      to: order.customerInfo.email,
+      subject: `${subject} - Virello Food`,
+      attachments,
+      html,
+      text
+    };
+
+    console.log(`📤 Sending order email "${subject}" for ${order.orderNumber}...`);
+    const result = await sendEmailWithFallback(transporter, mailOptions);
+    console.log(`✅ Order email sent for ${order.orderNumber}`);
+    return result;
+
+  } catch (error) {
+    console.error(`❌ Error sending order email for ${order.orderNumber}:`, error.message);
+    return { success: false, error: error.message };
+  }
+};
+
+const ORDER_STATUS_MESSAGES = {
+  confirmed: ['Your Order Is Confirmed', 'Good news! Your order has been confirmed and will be prepared shortly.'],
+  processing: ['Your Order Is Being Prepared', 'Your order is now being prepared for dispatch.'],
+  shipped: ['Your Order Has Shipped', 'Your order is on its way.'],
+  delivered: ['Your Order Was Delivered', 'Your order has been delivered. We hope you enjoy it!'],
+  returned: ['Your Return Was Received', 'We have received your returned order.']
+};
+
+const RETURN_STATUS_MESSAGES = {
+  requested: ['Return Request Received', 'We have received your return request and will review it shortly.'],
+  approved: ['Return Approved', 'Your return has been approved. Please send the items back quoting your return number.'],
+  rejected: ['Return Request Declined', 'Unfortunately we could not accept your return request.'],
+  received: ['Returned Items Received', 'We have received your returned items. Any refund will be processed to your original payment method.']
+};
+
+const PAYMENT_STATUS_MESSAGES = {
+  processing: ['Payment Processing', 'We are processing the payment for your order.'],
+  completed: ['Payment Received', 'We have received your payment. Thank you!'],
+  failed: ['Payment Failed', 'Unfortunately the payment for your order failed. Please try again or choose another payment method.'],
+  refunded: ['Payment Refunded', 'The payment for your order has been refunded.']
+};
+
+// Send order confirmation email
+const sendOrderConfirmationEmail = async (order) => sendOrderEmail(order, 'Order Received', {
+  heading: 'Thank You For Your Order',
+  intro: 'We have received your order and will let you know as soon as it is confirmed.',
+  details: [['Payment method', order.payment?.method]]
+});
+
+// Send order cancellation email
+const sendOrderCancellationEmail = async (order) => sendOrderEmail(order, 'Order Cancelled', {
+  heading: 'Your Order Was Cancelled',
+  intro: 'Your order has been cancelled. If you already paid, any refund will be processed to your original payment method.',
+  details: order.cancellationReason ? [['Reason', order.cancellationReason]] : []
+});
+
+// Send order status update email (shipped, delivered, ...)
+const sendOrderStatusEmail = async (order, status = order.orderStatus) => {
+  const [heading, intro] = ORDER_STATUS_MESSAGES[status] || ['Order Update', `Your order status is now ${status}.`];
+  const details = [['Status', status]];
+  if (status === 'shipped' && order.shipping?.trackingNumber) {
+    details.push(['Tracking number', order.shipping.trackingNumber]);
+    if (order.shipping.carrier) details.push(['Carrier', order.shipping.carrier]);
+  }
+  return sendOrderEmail(order, heading, { heading, intro, details });
+};
+
+// Send payment status update email
+const sendPaymentStatusEmail = async (order, paymentStatus = order.paymentStatus) => {
+  const [heading, intro] = PAYMENT_STATUS_MESSAGES[paymentStatus] || ['Payment Update', `Your payment status is now ${paymentStatus}.`];
+  return sendOrderEmail(order, heading, {
+    heading,
+    intro,
+    details: [['Payment status', paymentStatus], ['Payment method', order.payment?.method]]
+  });
+};
+
+// Send return (RMA) status update email
+const sendReturnStatusEmail = async (order, returnRequest) => {
+  const [heading, intro] = RETURN_STATUS_MESSAGES[returnRequest.status] || ['Return Update', `Your return is now ${returnRequest.status}.`];
+  const details = [['Return number', returnRequest.rmaNumber], ['Return status', returnRequest.status]];
+  const note = returnRequest.history?.[returnRequest.history.length - 1]?.note;
+  if (note && returnRequest.status !== 'requested') details.push(['Note', note]);
+  return sendOrderEmail(order, heading, { heading, intro, details });
+};
+
+// Send the low-stock digest to an admin: products grouped by supplier
+// groups: [{ supplier, products: [{ name, sku, stock, reorderPoint, reorderQuantity, level }] }]
+const sendLowStockDigestEmail = async (email, groups) => {
+  try {
+    const transporter = createTransporter();
+    const { attachments, logoSrc } = getLogoAssets();
+    const adminUrl = `${process.env.FRONTEND_URL || 'https://virellofoods.com'}/admin/inventory`;
+    const productCount = groups.reduce((sum, group) => sum + group.products.length, 0);
+    const outCount = groups.reduce((sum, group) => sum + group.products.filter(product => product.level === 'out').length, 0);
+    const levelLabel = (level) => (level === 'out' ? 'Out of stock' : 'Low stock');
+
+    const sections = groups.map(group => `
+          <h3 style="color: #333; font-size: 16px; margin: 24px 0 8px;">${escapeHtml(group.supplier)}</h3>
+          <table style="width: 100%; border-collapse: collapse; font-size: 14px;">
+            <tr>
+              <th style="text-align: left; padding: 6px; border-bottom: 1px solid #ccc;">Product</th>
+              <th style="text-align: right; padding: 6px; border-bottom: 1px solid #ccc;">Stock</th>
+              <th style="text-align: right; padding: 6px; border-bottom: 1px solid #ccc;">Reorder point</th>
+              <th style="text-align: right; padding: 6px; border-bottom: 1px solid #ccc;">Reorder qty</th>
+            </tr>${group.products.map(product => `
+            <tr>
+              <td style="padding: 6px; color: ${product.level === 'out' ? '#c0392b' : '#555'};">${escapeHtml(product.name)}${product.sku ? ` (${escapeHtml(product.sku)})` : ''} - ${levelLabel(product.level)}</td>
+              <td style="padding: 6px; text-align: right;">${product.stock}</td>
+              <td style="padding: 6px; text-align: right;">${product.reorderPoint}</td>
+              <td style="padding: 6px; text-align: right;">${product.reorderQuantity || '-'}</td>
+            </tr>`).join('')}
+          </table>`).join('');
+
+    const html = `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+          <div style="text-align: center; margin-bottom: 30px;">
+            <img src="${logoSrc}" alt="Virello Food" width="200" height="105" style="display: block; margin: 0 auto 16px; max-width: 100%;">
+            <h2 style="color: #333; margin-top: 20px; font-size: 24px;">Low Stock Alert</h2>
+          </div>
+
+          <div style="background-color: #f8f9fa; padding: 30px; border-radius: 10px; margin-bottom: 20px;">
+            <p style="color: #555; font-size: 16px;">${productCount} product${productCount === 1 ? ' has' : 's have'} dropped to or below the reorder point (${outCount} out of stock).</p>${sections}
+          </div>
+
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="${adminUrl}" style="background-color: #007bff; color: white; padding: 15px 30px; text-decoration: none; border-radius: 5px; font-weight: bold; display: inline-block;">Open Inventory</a>
+          </div>
+        </div>
+      `;
+
+    const text = [
+      'Low Stock Alert',
+      '',
+      `${productCount} products have dropped to or below the reorder point (${outCount} out of stock).`,
+      ...groups.flatMap(group => [
+        '',
+        group.supplier,
+        ...group.products.map(product => `- ${product.name}${product.sku ? ` (${product.sku})` : ''}: ${product.stock} in stock, reorder point ${product.reorderPoint}, reorder qty ${product.reorderQuantity || '-'} [${levelLabel(product.level)}]`)
+      ]),
+      '',
+      `Open inventory: ${adminUrl}`
+    ].join('\n');
+
+    const mailOptions = {
+      from: process.env.EMAIL_FROM || 'Virello Food <noreply@virellofoods.com>',
+      to: email,
+      subject: `Low stock: ${productCount} product${productCount === 1 ? '' : 's'} need reordering - Virello Food`,
+      attachments,
+      html,
+      text
+    };
+
+    console.log(`📤 Sending low-stock digest to ${email}...`);
+    return await sendEmailWithFallback(transporter, mailOptions);
+
+  } catch (error) {
+    console.error(`❌ Error sending low-stock digest to ${email}:`, error.message);
+    return { success: false, error: error.message };
+  }
+};
+
+// Send a sales report to an admin as a CSV attachment
+// report: { title, from, to, rowCount, filename, csv }
+const sendReportEmail = async (email, report) => {
+  try {
+    const transporter = createTransporter();
+    const { attachments, logoSrc } = getLogoAssets();
+    const period = `${report.from} to ${report.to}`;
+
+    const mailOptions = {
+      from: process.env.EMAIL_FROM || 'Virello Food <noreply@virellofoods.com>',
+      to: email,
+      subject: `${report.title} report (${period}) - Virello Food`,
+      attachments: [
+        ...attachments,
+        { filename: report.filename, content: report.csv, contentType: 'text/csv; charset=utf-8' }
+      ],
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+          <div style="text-align: center; margin-bottom: 30px;">
+            <img src="${logoSrc}" alt="Virello Food" width="200" height="105" style="display: block; margin: 0 auto 16px; max-width: 100%;">
+            <h2 style="color: #333; margin-top: 20px; font-size: 24px;">${escapeHtml(report.title)} Report</h2>
+          </div>
+
+          <div style="background-color: #f8f9fa; padding: 30px; border-radius: 10px; margin-bottom: 20px;">
+            <p style="color: #555; font-size: 16px;">The report you asked for covers ${escapeHtml(period)} and has ${report.rowCount} row${report.rowCount === 1 ? '' : 's'}.</p>
+            <p style="color: #555; font-size: 16px;">It is attached as <strong>${escapeHtml(report.filename)}</strong>.</p>
+          </div>
+        </div>
+      `,
+      text: [
+        `${report.title} Report`,
+        '',
+        `The report you asked for covers ${period} and has ${report.rowCount} rows.`,
+        `It is attached as ${report.filename}.`
+      ].join('\n')
+    };
+
+    console.log(`📤 Sending ${report.filename} to ${email}...`);
+    return await sendEmailWithFallback(transporter, mailOptions);
+
+  } catch (error) {
+    console.error(`❌ Error sending report email to ${email}:`, error.message);
+    return { success: false, error: error.message };
+  }
+};
+
+// Send account locked email after repeated failed sign-in attempts
+const sendAccountLockedEmail = async (email, lockUntil) => {
+  try {
+    const transporter = createTransporter();
+    const { attachments, logoSrc } = getLogoAssets();
+    const unlockTime = new Date(lockUntil).toUTCString();
+    const resetUrl = `${process.env.FRONTEND_URL || 'https://virellofoods.com'}/forgot-password`;
+
+    const mailOptions = {
+      from: process.env.EMAIL_FROM || 'Virello Food <noreply@virellofoods.com>',
+      to: email,
+      subject: 'Your Account Was Temporarily Locked - Virello Food',
+      attachments,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+          <div style="text-align: center; margin-bottom: 30px;">
+            <img src="${logoSrc}" alt="Virello Food" width="200" height="105" style="display: block; margin: 0 auto 16px; max-width: 100%;">
+            <h2 style="color: #333; margin-top: 20px; font-size: 24px;">Account Temporarily Locked</h2>
+          </div>
+
+          <div style="background-color: #f8f9fa; padding: 30px; border-radius: 10px; margin-bottom: 20px;">
+            <p style="color: #555; font-size: 16px; margin-bottom: 20px;">
+              We noticed several failed attempts to sign in to your Virello Food account, so we have temporarily locked it to keep it safe.
+            </p>
+            <p style="color: #555; font-size: 16px; margin-bottom: 20px;">
+              You can try again after <strong>${escapeHtml(unlockTime)}</strong>.
+            </p>
+            <p style="color: #555; font-size: 14px;">
+              If this wasn't you, we recommend <a href="${resetUrl}" style="color: #007bff;">resetting your password</a> once the lock expires.
+            </p>
+          </div>
+
+          <hr style="border: none; border-top: 1px solid #ddd; margin: 30px 0;">
+
+          <div style="text-align: center; color: #666; font-size: 12px;">
+            <p>This email was sent from Virello Food</p>
+            <p>If you have any questions, please contact our support team</p>
+          </div>
+        </div>
+      `,
+      text: `
+        Account Temporarily Locked - Virello Food
+
+        We noticed several failed attempts to sign in to your Virello Food account, so we have temporarily locked it to keep it safe.
+
+        You can try again after ${unlockTime}.
+
+        If this wasn't you, we recommend resetting your password once the lock expires: ${resetUrl}
+      `
+    };
+
+    const result = await sendEmailWithFallback(transporter, mailOptions);
+    console.log('✅ Account locked email sent successfully!');
+    return result;
+
+  } catch (error) {
+    console.error('Error sending account locked email:', error);
+    return { success: false, error: error.message };
+  }
+};
+
 // Test Resend connection
 const testResendConnection = async () => {
   try {
@@ -597,6 +989,14 @@ const removeResendApiKey = async (keyId) => {
 module.exports = {
   sendVerificationEmail,
   sendPasswordResetEmail,
+  sendOrderConfirmationEmail,
+  sendOrderCancellationEmail,
+  sendOrderStatusEmail,
+  sendPaymentStatusEmail,
+  sendReturnStatusEmail,
+  sendLowStockDigestEmail,
+  sendReportEmail,
+  sendAccountLockedEmail,
   sendEmailWithResend,
   testResendConnection,
   listResendApiKeys,
@@ -0,0 +1,156 @@
+// Data exports
+// Streams query results to the response as CSV or XLSX, reading through a
+// Mongo cursor so large collections are never held in memory. Each export
+// has a table of columns ({ key, label, type, value(doc, line) }) that
+// admins pick from, and can write one row per document or one per line item.
+
+const ExcelJS = require('exceljs');
+const { toCsvLine } = require('./csv');
+
+const EXPORT_FORMATS = ['csv', 'xlsx'];
+const XLSX_CONTENT_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+// CSV lines are sent in chunks of about this many characters
+const CSV_CHUNK_SIZE = 64 * 1024;
+
+/**
+ * Work out the export format from the query ('excel' is another name for xlsx).
+ * @returns {Object} { success, format } or { success: false, status, error, details }
+ */
+const resolveFormat = (format = 'csv') => {
+  const resolved = format === 'excel' ? 'xlsx' : format;
+  if (!EXPORT_FORMATS.includes(resolved)) {
+    return { success: false, status: 400, error: 'Invalid format', details: 'Format must be csv or xlsx' };
+  }
+  return { success: true, format: resolved };
+};
+
+/**
+ * Pick the columns to export by key, in the order asked for.
+ * @param {Array} available - column table
+ * @param {string|Array} requested - comma-separated keys; every column when empty
+ * @returns {Object} { success, columns } or { success: false, status, error, details }
+ */
+const selectColumns = (available, requested) => {
+  const keys = [].concat(requested || [])
+    .join(',')
+    .split(',')
+    .map(key => key.trim())
+    .filter(Boolean);
+  if (keys.length === 0) return { success: true, columns: available };
+
+  const unknown = keys.filter(key => !available.some(column => column.key === key));
+  if (unknown.length > 0) {
+    return {
+      success: false,
+      status: 400,
+      error: 'Invalid columns',
+      details: `Unknown columns: ${unknown.join(', ')}. Available columns: ${available.map(column => column.key).join(', ')}`
+    };
+  }
+
+  return { success: true, columns: [...new Set(keys)].map(key => available.find(column => column.key === key)) };
+};
+
+const cellValue = (column, doc, line) => {
+  const value = column.value ? column.value(doc, line) : doc[column.key];
+  return value === undefined ? null : value;
+};
+
+// Wait until the response can take more data (or the client has gone)
+const drained = (res) => new Promise(resolve => {
+  const done = () => {
+    res.off('drain', done);
+    res.off('close', done);
+    resolve();
+  };
+  res.on('drain', done);
+  res.on('close', done);
+});
+
+const streamCsv = async (res, { cursor, columns, linesOf }) => {
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+
+  // The byte order mark makes Excel read the file as UTF-8
+  let chunk = `\uFEFF${toCsvLine(columns.map(column => column.label))}`;
+  const flush = async () => {
+    if (!res.write(chunk)) await drained(res);
+    chunk = '';
+  };
+
+  for await (const doc of cursor) {
+    if (res.destroyed) return;
+    for (const line of linesOf(doc)) {
+      chunk += toCsvLine(columns.map(column => {
+        const value = cellValue(column, doc, line);
+        return value instanceof Date ? value.toISOString() : value;
+      }));
+    }
+    if (chunk.length >= CSV_CHUNK_SIZE) await flush();
+  }
+
+  await flush();
+  res.end();
+};
+
+const streamXlsx = async (res, { cursor, columns, linesOf, sheetName }) => {
+  res.setHeader('Content-Type', XLSX_CONTENT_TYPE);
+
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+  const sheet = workbook.addWorksheet(sheetName, { views: [{ state: 'frozen', ySplit: 1 }] });
+  sheet.columns = columns.map(column => ({
+    header: column.label,
+    key: column.key,
+    width: Math.max(12, column.label.length + 4),
+    style: column.type === 'date' ? { numFmt: 'yyyy-mm-dd hh:mm' } : {}
+  }));
+  sheet.getRow(1).font = { bold: true };
+
+  for await (const doc of cursor) {
+    if (res.destroyed) return;
+    for (const line of linesOf(doc)) {
+      // Text is written as text, so it is never run as a formula
+      sheet.addRow(columns.map(column => cellValue(column, doc, line))).commit();
+    }
+  }
+
+  sheet.commit();
+  await workbook.commit();
+};
+
+/**
+ * Stream documents from a cursor to the response as a CSV or XLSX download.
+ * Errors before anything is sent are thrown for the route to answer; later
+ * errors end the response.
+ * @param {Object} res - Express response
+ * @param {Object} options - { cursor, columns, format, filename (no extension),
+ *   sheetName, linesOf(doc) for one row per line item }
+ */
+const streamExport = async (res, { cursor, columns, format, filename, sheetName = 'Export', linesOf }) => {
+  const options = { cursor, columns, sheetName, linesOf: linesOf || (() => [null]) };
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}.${format}"`);
+
+  try {
+    if (format === 'xlsx') {
+      await streamXlsx(res, options);
+    } else {
+      await streamCsv(res, options);
+    }
+  } catch (error) {
+    if (!res.headersSent) {
+      res.removeHeader('Content-Disposition');
+      res.removeHeader('Content-Type');
+      throw error;
+    }
+    console.error(`❌ ${filename} export failed part way:`, error);
+    res.destroy(error);
+  } finally {
+    await cursor.close();
+  }
+};
+
+module.exports = {
+  resolveFormat,
+  selectColumns,
+  streamExport
+};
@@ -0,0 +1,409 @@
+// Inventory service
+// Stock reservation for orders using conditional decrements with compensating writes,
+// once-only stock restores for cancelled, returned and refunded order lines, and
+// admin adjustments. Every stock change is recorded in the InventoryMovement ledger.
+// Lines and adjustments that name a variant move the variant's stock and the
+// product total in the same update, so product stock always equals the sum of its variants.
+
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const Order = require('../models/Order');
+const InventoryMovement = require('../models/InventoryMovement');
+
+// Only items that reference a catalog product carry stock (frontend items use string IDs)
+const isCatalogItem = (item) => Boolean(item.productId && mongoose.Types.ObjectId.isValid(item.productId));
+
+/**
+ * Filter and update for a stock change on a product or one of its variants.
+ * @param {Object} target - { productId, variantId }
+ * @param {number} quantity - signed change
+ * @param {Object} options - { inc: extra $inc fields, requireStock: only apply while this much stock is left }
+ */
+const stockUpdate = ({ productId, variantId }, quantity, { inc = {}, requireStock } = {}) => {
+  const filter = { _id: productId };
+  const update = { $inc: { stock: quantity, ...inc } };
+
+  if (variantId) {
+    filter.variants = { $elemMatch: { _id: variantId } };
+    if (requireStock !== undefined) filter.variants.$elemMatch.stock = { $gte: requireStock };
+    update.$inc['variants.$.stock'] = quantity;
+  } else if (requireStock !== undefined) {
+    filter.stock = { $gte: requireStock };
+  }
+
+  return { filter, update };
+};
+
+// Variant details for a movement, from the product as it was after the change
+const movementVariant = (product, variantId) => {
+  const variant = variantId && product.variants?.id(variantId);
+  return variant ? { variantId: variant._id, sku: variant.sku, balance: variant.stock } : undefined;
+};
+
+// Flip product status between active and out_of_stock after a stock change
+const syncStockStatus = async (productId) => {
+  await Product.updateOne(
+    { _id: productId, stock: { $lte: 0 }, status: 'active' },
+    { $set: { status: 'out_of_stock' } }
+  );
+  await Product.updateOne(
+    { _id: productId, stock: { $gt: 0 }, status: 'out_of_stock' },
+    { $set: { status: 'active' } }
+  );
+};
+
+/**
+ * Record a stock change in the movement ledger.
+ * Never throws: the stock write has already happened, and a missing movement
+ * shows up as a mismatch in the next reconciliation run.
+ * @param {Object} movement - { productId, variant, quantity, balance, reasonCode, actor, order, reference, note }
+ */
+const recordMovement = async ({ productId, variant, quantity, balance, reasonCode, actor, order, reference, note }) => {
+  try {
+    await InventoryMovement.create({
+      productId,
+      variant,
+      quantity,
+      balance,
+      reasonCode,
+      actor: actor || { role: 'system' },
+      orderId: order?._id,
+      orderNumber: order?.orderNumber,
+      reference,
+      note
+    });
+  } catch (error) {
+    console.error(`❌ Failed to record ${reasonCode} movement for product ${productId}:`, error.message);
+  }
+};
+
+/**
+ * Record the stock a new product was created with: one initial_stock movement
+ * per stocked variant, or one for the product.
+ * @param {Object} product - saved Product document
+ * @param {Object} options - { actor, note }
+ */
+const recordInitialStock = async (product, { actor, note } = {}) => {
+  if (product.variants.length > 0) {
+    let balance = 0;
+    for (const variant of product.variants.filter(v => v.stock > 0)) {
+      balance += variant.stock;
+      await recordMovement({
+        productId: product._id,
+        variant: { variantId: variant._id, sku: variant.sku, balance: variant.stock },
+        quantity: variant.stock,
+        balance,
+        reasonCode: 'initial_stock',
+        actor,
+        note
+      });
+    }
+  } else if (product.stock > 0) {
+    await recordMovement({
+      productId: product._id,
+      quantity: product.stock,
+      balance: product.stock,
+      reasonCode: 'initial_stock',
+      actor,
+      note
+    });
+  }
+};
+
+// Put stock back for lines that were reserved earlier
+const releaseStock = async (items, { order, actor, reasonCode = 'order_released' } = {}) => {
+  for (const item of items) {
+    if (!isCatalogItem(item)) continue;
+
+    try {
+      const { filter, update } = stockUpdate(item, item.quantity, { inc: { 'analytics.orders': -1 } });
+      const product = await Product.findOneAndUpdate(filter, update, { new: true, projection: { stock: 1, variants: 1 } });
+      if (!product) continue;
+
+      await recordMovement({
+        productId: product._id,
+        variant: movementVariant(product, item.variantId),
+        quantity: item.quantity,
+        balance: product.stock,
+        reasonCode,
+        actor,
+        order
+      });
+      await syncStockStatus(item.productId);
+    } catch (error) {
+      // Keep going so one failed line does not strand the rest of the stock
+      console.error(`❌ Failed to release stock for product ${item.productId}:`, error.message);
+    }
+  }
+};
+
+/**
+ * Put units of an order back in stock, at most once per unit.
+ * Each order line records how many of its units were restocked
+ * (items.restockedQuantity); the order is only updated while that count stays
+ * within the line quantity, so repeated or concurrent calls for the same order
+ * (customer cancel, admin cancel, returns, refunds) never restock a unit twice.
+ * Lines with frontend string productIds carry no stock and are skipped.
+ * @param {Object} order - Order document
+ * @param {Object} options - { lines: [{ itemId, quantity }] (default: every unit not yet restocked), cancelled, reasonCode, actor, reference }
+ *   cancelled also takes the order back out of the products' order counts
+ * @returns {Promise<Array>} lines actually restocked ({ itemId, productId, quantity })
+ */
+const restoreOrderStock = async (order, { lines, cancelled = false, reasonCode, actor, reference } = {}) => {
+  const requested = lines || order.items.map(item => ({
+    itemId: item._id,
+    quantity: item.quantity - (item.restockedQuantity || 0)
+  }));
+  const restored = [];
+
+  for (const line of requested) {
+    const item = order.items.find(orderItem => orderItem._id.toString() === String(line.itemId));
+    if (!item || !isCatalogItem(item) || !(line.quantity > 0)) continue;
+
+    // Claim the units on the order first so a second caller cannot restock them again
+    const claim = await Order.updateOne(
+      {
+        _id: order._id,
+        items: {
+          $elemMatch: {
+            _id: item._id,
+            restockedQuantity: { $not: { $gt: item.quantity - line.quantity } }
+          }
+        }
+      },
+      { $inc: { 'items.$.restockedQuantity': line.quantity } }
+    );
+    if (claim.modifiedCount === 0) {
+      console.warn(`⚠️ Skipping restock of ${item.name} on order ${order.orderNumber}: already restocked`);
+      continue;
+    }
+
+    item.restockedQuantity = (item.restockedQuantity || 0) + line.quantity;
+
+    // Give the claim back when the stock could not be returned, so a retry can restock these units
+    const releaseClaim = async () => {
+      try {
+        await Order.updateOne(
+          { _id: order._id, 'items._id': item._id },
+          { $inc: { 'items.$.restockedQuantity': -line.quantity } }
+        );
+        item.restockedQuantity -= line.quantity;
+      } catch (error) {
+        console.error(`❌ Could not release restock claim for ${item.name} on order ${order.orderNumber}:`, error.message);
+      }
+    };
+
+    let product;
+    try {
+      const { filter, update } = stockUpdate(item, line.quantity, {
+        inc: cancelled ? { 'analytics.orders': -1 } : {}
+      });
+      product = await Product.findOneAndUpdate(filter, update, { new: true, projection: { stock: 1, variants: 1 } });
+    } catch (error) {
+      // Keep going so one failed line does not strand the rest of the stock
+      console.error(`❌ Failed to restore stock for product ${item.productId}:`, error.message);
+      await releaseClaim();
+      continue;
+    }
+
+    if (!product) {
+      console.warn(`⚠️ Could not restock ${item.name} on order ${order.orderNumber}: product or variant no longer exists`);
+      await releaseClaim();
+      continue;
+    }
+
+    restored.push({ itemId: item._id, productId: item.productId, quantity: line.quantity });
+    await recordMovement({
+      productId: product._id,
+      variant: movementVariant(product, item.variantId),
+      quantity: line.quantity,
+      balance: product.stock,
+      reasonCode: reasonCode || (cancelled ? 'order_cancelled' : 'return_received'),
+      actor,
+      order,
+      reference
+    });
+
+    // The stock is back, so the claim stands even if the status flip fails
+    try {
+      await syncStockStatus(item.productId);
+    } catch (error) {
+      console.error(`❌ Failed to update stock status for product ${item.productId}:`, error.message);
+    }
+  }
+
+  return restored;
+};
+
+/**
+ * Reserve stock for every catalog line of an order as one unit.
+ * Each line is decremented only while `stock >= quantity`; if any line fails,
+ * every line reserved before it is put back.
+ * @param {Array} items - order line items ({ productId, variantId, name, quantity })
+ * @param {Object} options - { order, actor } recorded on the movements
+ * @returns {Promise<Object>} { success, reserved } or { success: false, error, details, product }
+ */
+const reserveStock = async (items, { order, actor } = {}) => {
+  const reserved = [];
+  const release = () => releaseStock(reserved, { order, actor });
+
+  for (const item of items) {
+    if (!isCatalogItem(item)) continue;
+
+    let product;
+    try {
+      const { filter, update } = stockUpdate(item, -item.quantity, {
+        inc: { 'analytics.orders': 1 },
+        requireStock: item.quantity
+      });
+      product = await Product.findOneAndUpdate({ ...filter, status: 'active' }, update, { new: true });
+    } catch (error) {
+      await release();
+      throw error;
+    }
+
+    if (!product) {
+      await release();
+
+      const current = await Product.findById(item.productId).select('name stock status variants');
+      const variant = item.variantId && current?.variants.id(item.variantId);
+      const name = item.name || current?.name;
+      const available = current && current.status !== 'inactive' && current.status !== 'discontinued'
+        ? (item.variantId ? variant?.stock || 0 : current.stock)
+        : 0;
+
+      return {
+        success: false,
+        error: 'Insufficient stock',
+        details: `Product ${name} only has ${available} units in stock`,
+        product: {
+          id: item.productId,
+          name,
+          requested: item.quantity,
+          available
+        }
+      };
+    }
+
+    reserved.push(item);
+    await recordMovement({
+      productId: product._id,
+      variant: movementVariant(product, item.variantId),
+      quantity: -item.quantity,
+      balance: product.stock,
+      reasonCode: 'order_placed',
+      actor,
+      order
+    });
+
+    if (product.stock <= 0) {
+      await syncStockStatus(product._id);
+    }
+  }
+
+  return { success: true, reserved };
+};
+
+/**
+ * Increase or decrease a product's (or one variant's) stock by hand.
+ * Decreases only apply while enough stock is left.
+ * @param {string} productId - product to adjust
+ * @param {number} quantity - signed change
+ * @param {Object} options - { variantId, actor, reasonCode, note }
+ * @returns {Promise<Object|null>} updated product, or null if there was not enough stock (or no product or variant)
+ */
+const adjustStock = async (productId, quantity, { variantId, actor, reasonCode = 'manual_adjustment', note } = {}) => {
+  const { filter, update } = stockUpdate({ productId, variantId }, quantity, {
+    requireStock: quantity < 0 ? -quantity : undefined
+  });
+
+  const product = await Product.findOneAndUpdate(filter, update, { new: true });
+  if (!product) return null;
+
+  await recordMovement({
+    productId: product._id,
+    variant: movementVariant(product, variantId),
+    quantity,
+    balance: product.stock,
+    reasonCode,
+    actor,
+    note
+  });
+  await syncStockStatus(product._id);
+  return Product.findById(product._id);
+};
+
+// Set one variant's stock. The variant is only written while its stock is
+// still the value read, so an order placed in between is retried, not lost.
+const setVariantStock = async (productId, variantId, stock, { actor, reasonCode, note }) => {
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const current = await Product.findOne({ _id: productId, 'variants._id': variantId }).select('variants');
+    if (!current) return null;
+
+    const previousStock = current.variants.id(variantId).stock || 0;
+    const change = stock - previousStock;
+    const product = await Product.findOneAndUpdate(
+      { _id: productId, variants: { $elemMatch: { _id: variantId, stock: previousStock } } },
+      { $inc: { stock: change, 'variants.$.stock': change } },
+      { new: true }
+    );
+    if (!product) continue;
+
+    if (change !== 0) {
+      await recordMovement({
+        productId,
+        variant: movementVariant(product, variantId),
+        quantity: change,
+        balance: product.stock,
+        reasonCode,
+        actor,
+        note
+      });
+      await syncStockStatus(productId);
+    }
+
+    return { previousStock, product: await Product.findById(productId) };
+  }
+
+  throw new Error('Variant stock kept changing, please try again');
+};
+
+/**
+ * Set a product's (or one variant's) stock to an absolute level (e.g. after a
+ * stock count) and record the difference.
+ * @param {string} productId - product to update
+ * @param {number} stock - new stock level
+ * @param {Object} options - { variantId, actor, reasonCode, note }
+ * @returns {Promise<Object|null>} { previousStock, product } or null if the product or variant does not exist
+ */
+const setStock = async (productId, stock, { variantId, actor, reasonCode = 'stock_count', note } = {}) => {
+  if (variantId) {
+    return setVariantStock(productId, variantId, stock, { actor, reasonCode, note });
+  }
+
+  const previous = await Product.findOneAndUpdate(
+    { _id: productId },
+    { $set: { stock } },
+    { new: false, projection: { stock: 1 } }
+  );
+  if (!previous) return null;
+
+  if (previous.stock !== stock) {
+    await recordMovement({ productId, quantity: stock - (previous.stock || 0), balance: stock, reasonCode, actor, note });
+    await syncStockStatus(productId);
+  }
+
+  return { previousStock: previous.stock, product: await Product.findById(productId) };
+};
+
+module.exports = {
+  isCatalogItem,
+  syncStockStatus,
+  recordMovement,
+  recordInitialStock,
+  reserveStock,
+  releaseStock,
+  restoreOrderStock,
+  adjustStock,
+  setStock
+};
@@ -0,0 +1,446 @@
+// Background job queue
+// Jobs are documents in the jobs collection (models/Job). Each process polls
+// for jobs that are due and claims them one at a time with findOneAndUpdate,
+// so several instances can share the queue without running a job twice. A
+// claim is a lock the worker renews while the handler runs; when a worker dies
+// its lock runs out and another worker takes the job over. Failed jobs are
+// retried with exponential backoff and dead-lettered (status 'dead') once
+// their attempts are used up, where they wait for an admin to retry them.
+//
+// Modules define the jobs they own with defineJob() when they are loaded and
+// add work with enqueue(); startJobQueue() starts the workers in this process.
+
+const crypto = require('crypto');
+const os = require('os');
+const mongoose = require('mongoose');
+const Job = require('../models/Job');
+
+const DEFAULT_POLL_SECONDS = 5;
+const DEFAULT_CONCURRENCY = 5;
+const DEFAULT_MAX_ATTEMPTS = 5;
+const DEFAULT_BACKOFF_SECONDS = 30;
+const DEFAULT_LOCK_SECONDS = 60;
+const MAX_BACKOFF_SECONDS = 6 * 60 * 60;
+const DEFAULT_RETENTION_DAYS = 30;
+
+// Identifies this process in job locks
+const WORKER_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+
+const definitions = new Map();
+const runningByName = new Map();
+let runningCount = 0;
+let pollTimer = null;
+let polling = false;
+let pollAgain = false;
+
+// Key held by the next queued run of a recurring job, so each one is queued once
+const scheduleKey = (name) => `schedule:${name}`;
+
+// Job secrets are encrypted with AES-256-GCM under JOB_SECRET_KEY (or JWT_SECRET)
+const secretKey = () => crypto.createHash('sha256')
+  .update(process.env.JOB_SECRET_KEY || process.env.JWT_SECRET || 'fallback-secret-key')
+  .digest();
+
+const sealSecret = (value) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', secretKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+};
+
+const openSecret = (sealed) => {
+  const [iv, tag, encrypted] = sealed.split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', secretKey(), iv);
+  decipher.setAuthTag(tag);
+  return JSON.parse(Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8'));
+};
+
+/**
+ * Error for a job that will not succeed however often it is retried; the job
+ * is dead-lettered straight away.
+ */
+const permanentFailure = (message) => {
+  const error = new Error(message);
+  error.retryable = false;
+  return error;
+};
+
+/**
+ * Define a job type this process can run.
+ * @param {string} name - job name
+ * @param {Function} handler - async (payload, { job, secret }) => result; throw to fail the attempt
+ * @param {Object} options - { concurrency (per process), maxAttempts, backoffSeconds (first retry
+ *   delay, doubled after each failure), lockSeconds, everyMinutes (run on a schedule, 0 for never),
+ *   manual (admins can queue it from the API), description }
+ */
+const defineJob = (name, handler, options = {}) => {
+  if (definitions.has(name)) {
+    throw new Error(`Job ${name} is already defined`);
+  }
+
+  definitions.set(name, {
+    name,
+    handler,
+    concurrency: options.concurrency || 1,
+    maxAttempts: options.maxAttempts || DEFAULT_MAX_ATTEMPTS,
+    backoffSeconds: options.backoffSeconds || DEFAULT_BACKOFF_SECONDS,
+    lockSeconds: options.lockSeconds || DEFAULT_LOCK_SECONDS,
+    everyMinutes: options.everyMinutes > 0 ? options.everyMinutes : 0,
+    manual: Boolean(options.manual),
+    description: options.description || ''
+  });
+};
+
+// Defined jobs as shown to admins
+const listJobDefinitions = () => Array.from(definitions.values(), definition => ({
+  name: definition.name,
+  description: definition.description,
+  concurrency: definition.concurrency,
+  maxAttempts: definition.maxAttempts,
+  everyMinutes: definition.everyMinutes || null,
+  manual: definition.manual
+}));
+
+// Poll straight away rather than at the next tick (or right after the current poll)
+const wakeUp = () => {
+  if (!pollTimer) return;
+  if (polling) {
+    pollAgain = true;
+    return;
+  }
+  setImmediate(poll);
+};
+
+/**
+ * Add a job to the queue.
+ * @param {string} name - a defined job name
+ * @param {Object} payload - data for the handler, stored as is (put anything secret in options.secret)
+ * @param {Object} options - { runAt, delaySeconds, maxAttempts, uniqueKey (skip when a queued or
+ *   running job holds the key), secret (stored encrypted, removed on completion), createdBy }
+ * @returns {Promise<Object>} { success, job, duplicate } or { success: false, status, error, details }
+ */
+const enqueue = async (name, payload = {}, options = {}) => {
+  const definition = definitions.get(name);
+  if (!definition) {
+    return { success: false, status: 400, error: 'Unknown job', details: `No job is defined as ${name}` };
+  }
+
+  const runAt = options.runAt
+    ? new Date(options.runAt)
+    : new Date(Date.now() + (options.delaySeconds || 0) * 1000);
+  if (Number.isNaN(runAt.getTime())) {
+    return { success: false, status: 400, error: 'Validation Error', details: 'runAt must be a valid date' };
+  }
+
+  try {
+    const job = await Job.create({
+      name,
+      payload,
+      runAt,
+      maxAttempts: options.maxAttempts || definition.maxAttempts,
+      uniqueKey: options.uniqueKey,
+      secret: options.secret === undefined ? undefined : sealSecret(options.secret),
+      createdBy: options.createdBy
+    });
+    job.secret = undefined;
+
+    if (runAt <= new Date()) wakeUp();
+    return { success: true, job, duplicate: false };
+  } catch (error) {
+    if (error.code === 11000 && options.uniqueKey) {
+      const job = await Job.findOne({ uniqueKey: options.uniqueKey });
+      return { success: true, job, duplicate: true };
+    }
+    throw error;
+  }
+};
+
+/**
+ * Queue a job from code that does not wait for it (a route answering the
+ * client first, for example). Failures to queue are logged, never thrown.
+ * @returns {Promise<Object|null>} the job, or null when it could not be queued
+ */
+const enqueueInBackground = async (name, payload, options) => {
+  try {
+    const result = await enqueue(name, payload, options);
+    if (!result.success) {
+      console.error(`❌ Could not queue ${name} job:`, result.details);
+      return null;
+    }
+    return result.job;
+  } catch (error) {
+    console.error(`❌ Could not queue ${name} job:`, error.message);
+    return null;
+  }
+};
+
+// Take the next due job of this type, or one whose worker stopped renewing its lock
+const claimJob = (definition) => {
+  const now = new Date();
+  return Job.findOneAndUpdate(
+    {
+      name: definition.name,
+      $or: [
+        { status: 'queued', runAt: { $lte: now } },
+        { status: 'running', lockedUntil: { $lt: now } }
+      ]
+    },
+    {
+      $set: {
+        status: 'running',
+        lockedBy: WORKER_ID,
+        lockedUntil: new Date(now.getTime() + definition.lockSeconds * 1000),
+        startedAt: now
+      },
+      $inc: { attempts: 1 }
+    },
+    { sort: { runAt: 1 }, new: true }
+  ).select('+secret');
+};
+
+// Delay before the next attempt: backoffSeconds, doubled for each failure so far, with some jitter
+const retryDelaySeconds = (definition, attempts) => {
+  const delay = Math.min(definition.backoffSeconds * 2 ** (attempts - 1), MAX_BACKOFF_SECONDS);
+  return Math.round(delay * (1 + Math.random() * 0.1));
+};
+
+// Only the worker holding the lock may record the outcome
+const ownJob = (job) => ({ _id: job._id, status: 'running', lockedBy: WORKER_ID });
+
+const queueNextRun = async (definition) => {
+  if (!definition.everyMinutes) return;
+  await enqueueInBackground(definition.name, {}, {
+    uniqueKey: scheduleKey(definition.name),
+    delaySeconds: definition.everyMinutes * 60
+  });
+};
+
+const completeJob = async (job, definition, result) => {
+  await Job.updateOne(ownJob(job), {
+    $set: { status: 'completed', result, finishedAt: new Date() },
+    $unset: { lockedBy: 1, lockedUntil: 1, uniqueKey: 1, secret: 1 }
+  });
+
+  if (job.uniqueKey === scheduleKey(definition.name)) await queueNextRun(definition);
+};
+
+const failJob = async (job, definition, error) => {
+  const now = new Date();
+  const message = error?.message || String(error);
+  const dead = error?.retryable === false || job.attempts >= job.maxAttempts;
+
+  const update = {
+    $set: { lastError: message },
+    $push: { failures: { $each: [{ attempt: job.attempts, message, failedAt: now }], $slice: -Job.MAX_FAILURE_HISTORY } },
+    $unset: { lockedBy: 1, lockedUntil: 1 }
+  };
+
+  if (dead) {
+    update.$set.status = 'dead';
+    update.$set.finishedAt = now;
+    update.$unset.uniqueKey = 1;
+    console.error(`❌ Job ${job.name} (${job._id}) dead-lettered after ${job.attempts} attempts:`, message);
+  } else {
+    const delay = retryDelaySeconds(definition, job.attempts);
+    update.$set.status = 'queued';
+    update.$set.runAt = new Date(now.getTime() + delay * 1000);
+    console.warn(`⚠️ Job ${job.name} (${job._id}) failed on attempt ${job.attempts}/${job.maxAttempts}, retrying in ${delay}s:`, message);
+  }
+
+  await Job.updateOne(ownJob(job), update);
+
+  if (dead && job.uniqueKey === scheduleKey(definition.name)) await queueNextRun(definition);
+};
+
+const runJob = async (job, definition) => {
+  // Renew the lock while the handler runs so no other worker takes the job over
+  const renewLock = setInterval(() => {
+    Job.updateOne(ownJob(job), { $set: { lockedUntil: new Date(Date.now() + definition.lockSeconds * 1000) } })
+      .catch(error => console.error(`❌ Could not renew lock on job ${job._id}:`, error.message));
+  }, (definition.lockSeconds * 1000) / 3);
+  renewLock.unref();
+
+  try {
+    // A job taken over from a dead worker may have no attempts left
+    if (job.attempts > job.maxAttempts) {
+      throw permanentFailure('The worker running the last attempt stopped before it finished');
+    }
+
+    const secret = job.secret ? openSecret(job.secret) : undefined;
+    const result = await definition.handler(job.payload || {}, { job, secret });
+    await completeJob(job, definition, result);
+  } catch (error) {
+    await failJob(job, definition, error).catch(updateError => {
+      console.error(`❌ Could not record failure of job ${job._id}:`, updateError.message);
+    });
+  } finally {
+    clearInterval(renewLock);
+  }
+};
+
+const startJob = (job, definition) => {
+  runningCount += 1;
+  runningByName.set(definition.name, (runningByName.get(definition.name) || 0) + 1);
+
+  runJob(job, definition).finally(() => {
+    runningCount -= 1;
+    runningByName.set(definition.name, runningByName.get(definition.name) - 1);
+    // A slot is free again
+    wakeUp();
+  });
+};
+
+const maxConcurrency = () => parseInt(process.env.JOB_CONCURRENCY, 10) || DEFAULT_CONCURRENCY;
+
+// Claim due jobs until this process or each job type reaches its concurrency limit
+const poll = async () => {
+  if (polling || !pollTimer || mongoose.connection.readyState !== 1) return;
+
+  polling = true;
+  pollAgain = false;
+  try {
+    for (const definition of definitions.values()) {
+      while (pollTimer && runningCount < maxConcurrency()
+        && (runningByName.get(definition.name) || 0) < definition.concurrency) {
+        const job = await claimJob(definition);
+        if (!job) break;
+        startJob(job, definition);
+      }
+    }
+  } catch (error) {
+    console.error('❌ Job queue poll failed:', error.message);
+  } finally {
+    polling = false;
+    if (pollAgain) wakeUp();
+  }
+};
+
+// Queue the first run of each recurring job (runs already queued are kept)
+// and drop the queued run of any that has been switched off
+const scheduleRecurringJobs = async () => {
+  for (const definition of definitions.values()) {
+    if (definition.everyMinutes) {
+      await queueNextRun(definition);
+    } else {
+      await Job.deleteOne({ uniqueKey: scheduleKey(definition.name), status: 'queued' });
+    }
+  }
+};
+
+/**
+ * Start the workers in this process.
+ * JOB_POLL_INTERVAL_SECONDS sets how often they look for due jobs and
+ * JOB_CONCURRENCY how many jobs the process runs at once; JOB_WORKER=false
+ * keeps this process from running jobs (it can still queue them).
+ */
+const startJobQueue = () => {
+  if (pollTimer || process.env.JOB_WORKER === 'false') {
+    return;
+  }
+
+  const seconds = parseInt(process.env.JOB_POLL_INTERVAL_SECONDS, 10) || DEFAULT_POLL_SECONDS;
+  pollTimer = setInterval(poll, seconds * 1000);
+  // Do not keep the process alive just for the queue
+  pollTimer.unref();
+
+  scheduleRecurringJobs()
+    .catch(error => console.error('❌ Could not schedule recurring jobs:', error.message))
+    .finally(wakeUp);
+  console.log(`🔧 Job queue started (worker ${WORKER_ID}, ${definitions.size} job types)`);
+};
+
+/**
+ * Stop claiming jobs and wait for the running ones to finish.
+ * Jobs still running after waitSeconds are taken over by another worker once
+ * their lock runs out.
+ */
+const stopJobQueue = async ({ waitSeconds = 10 } = {}) => {
+  if (!pollTimer) return;
+  clearInterval(pollTimer);
+  pollTimer = null;
+
+  const deadline = Date.now() + waitSeconds * 1000;
+  while (runningCount > 0 && Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+};
+
+// A job by id, or null when there is none (or the id is malformed)
+const findJob = (jobId) => (mongoose.Types.ObjectId.isValid(jobId) ? Job.findById(jobId) : Promise.resolve(null));
+
+/**
+ * Put a dead job back in the queue with a fresh set of attempts, or run a
+ * queued job now instead of waiting for its retry time.
+ * @returns {Promise<Object>} { success, job } or { success: false, status, error, details }
+ */
+const retryJob = async (jobId) => {
+  const job = await findJob(jobId);
+  if (!job) {
+    return { success: false, status: 404, error: 'Job not found', details: 'Job does not exist' };
+  }
+  if (!definitions.has(job.name)) {
+    return { success: false, status: 400, error: 'Unknown job', details: `No job is defined as ${job.name}` };
+  }
+  if (!['dead', 'queued'].includes(job.status)) {
+    return { success: false, status: 409, error: 'Invalid job state', details: `A ${job.status} job cannot be retried` };
+  }
+
+  const update = job.status === 'dead'
+    ? { $set: { status: 'queued', runAt: new Date(), attempts: 0 }, $unset: { finishedAt: 1 } }
+    : { $set: { runAt: new Date() } };
+  const retried = await Job.findOneAndUpdate({ _id: job._id, status: job.status }, update, { new: true });
+  if (!retried) {
+    return { success: false, status: 409, error: 'Invalid job state', details: 'The job changed while it was being retried' };
+  }
+
+  wakeUp();
+  return { success: true, job: retried };
+};
+
+/**
+ * Number of jobs in each status, per job name.
+ * @returns {Promise<Array>} [{ name, queued, running, completed, dead }]
+ */
+const getJobCounts = async () => {
+  const counts = await Job.aggregate([
+    { $group: { _id: { name: '$name', status: '$status' }, count: { $sum: 1 } } }
+  ]);
+
+  const byName = new Map();
+  counts.forEach(({ _id, count }) => {
+    if (!byName.has(_id.name)) {
+      byName.set(_id.name, Object.fromEntries(Job.JOB_STATUSES.map(status => [status, 0])));
+    }
+    byName.get(_id.name)[_id.status] = count;
+  });
+
+  return Array.from(byName, ([name, statuses]) => ({ name, ...statuses }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+};
+
+// Completed jobs are removed after JOB_RETENTION_DAYS; dead jobs stay until an admin deals with them
+defineJob('queue-cleanup', async () => {
+  const days = parseInt(process.env.JOB_RETENTION_DAYS, 10) || DEFAULT_RETENTION_DAYS;
+  const { deletedCount } = await Job.deleteMany({
+    status: 'completed',
+    finishedAt: { $lt: new Date(Date.now() - days * 24 * 60 * 60 * 1000) }
+  });
+  return { deleted: deletedCount };
+}, {
+  everyMinutes: 24 * 60,
+  manual: true,
+  description: 'Delete completed jobs older than the retention period'
+});
+
+module.exports = {
+  defineJob,
+  listJobDefinitions,
+  enqueue,
+  enqueueInBackground,
+  permanentFailure,
+  startJobQueue,
+  stopJobQueue,
+  findJob,
+  retryJob,
+  getJobCounts
+};
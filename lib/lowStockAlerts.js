@@ -0,0 +1,168 @@
+// Low-stock alerts
+// Finds products at or below their reorder point and emails admins a digest
+// grouped by supplier. Product.lowStockAlert remembers the level each product
+// was last alerted at, so a product alerts once when it drops to its reorder
+// point and once more if it runs out - not on every run.
+
+const Product = require('../models/Product');
+const User = require('../models/User');
+const { sendLowStockDigestEmail } = require('./emailService');
+const { defineJob } = require('./jobQueue');
+
+const DEFAULT_INTERVAL_MINUTES = 60;
+const DEFAULT_REORDER_POINT = 10;
+const NO_SUPPLIER = 'No supplier';
+
+// Products that are no longer sold are not worth alerting on
+const ALERTABLE_STATUSES = ['active', 'out_of_stock'];
+
+// Alerts go out when a product moves to a more serious level
+const LEVEL_RANK = { ok: 0, low: 1, out: 2 };
+
+const REORDER_POINT = { $ifNull: ['$reorderPoint', DEFAULT_REORDER_POINT] };
+
+const getStockLevel = (product) => {
+  if (product.stock <= 0) return 'out';
+  if (product.stock <= (product.reorderPoint ?? DEFAULT_REORDER_POINT)) return 'low';
+  return 'ok';
+};
+
+const findLowStockProducts = () => Product.find({
+  status: { $in: ALERTABLE_STATUSES },
+  $expr: { $lte: ['$stock', REORDER_POINT] }
+})
+  .select('name sku stock reorderPoint reorderQuantity status supplier lowStockAlert')
+  .sort({ stock: 1, name: 1 });
+
+const toReportRow = (product) => ({
+  productId: product._id,
+  name: product.name,
+  sku: product.sku,
+  stock: product.stock,
+  reorderPoint: product.reorderPoint ?? DEFAULT_REORDER_POINT,
+  reorderQuantity: product.reorderQuantity || 0,
+  level: getStockLevel(product),
+  status: product.status,
+  supplier: product.supplier?.name?.trim() || NO_SUPPLIER,
+  alertedAt: product.lowStockAlert?.alertedAt
+});
+
+// Group report rows by supplier name (products without a supplier go last)
+const groupBySupplier = (rows) => {
+  const groups = new Map();
+  rows.forEach(row => {
+    if (!groups.has(row.supplier)) groups.set(row.supplier, []);
+    groups.get(row.supplier).push(row);
+  });
+
+  return Array.from(groups, ([supplier, products]) => ({ supplier, products }))
+    .sort((a, b) => {
+      if (a.supplier === NO_SUPPLIER) return 1;
+      if (b.supplier === NO_SUPPLIER) return -1;
+      return a.supplier.localeCompare(b.supplier);
+    });
+};
+
+/**
+ * Low-stock and out-of-stock products, grouped by supplier.
+ * @param {Object} options - { level } 'low', 'out' or 'all'
+ * @returns {Promise<Object>} { total, lowStock, outOfStock, groups: [{ supplier, products }] }
+ */
+const getLowStockReport = async ({ level = 'all' } = {}) => {
+  const rows = (await findLowStockProducts()).map(toReportRow);
+  const selected = level === 'all' ? rows : rows.filter(row => row.level === level);
+
+  return {
+    total: rows.length,
+    lowStock: rows.filter(row => row.level === 'low').length,
+    outOfStock: rows.filter(row => row.level === 'out').length,
+    groups: groupBySupplier(selected)
+  };
+};
+
+// LOW_STOCK_ALERT_EMAILS overrides the recipients; otherwise every active admin gets the digest
+const getAlertRecipients = async () => {
+  const configured = (process.env.LOW_STOCK_ALERT_EMAILS || '')
+    .split(',')
+    .map(email => email.trim())
+    .filter(Boolean);
+  if (configured.length > 0) return configured;
+
+  const admins = await User.find({ role: 'admin', isActive: { $ne: false } }).select('email');
+  return admins.map(admin => admin.email).filter(Boolean);
+};
+
+/**
+ * Check every product against its reorder point and email one digest of the
+ * products that crossed a threshold since the last run.
+ * @returns {Promise<Object>} { alerted, recovered, recipients, sent }
+ */
+const runLowStockCheck = async () => {
+  // Products back above their reorder point re-arm, so their next drop alerts again
+  const recovered = await Product.updateMany(
+    { 'lowStockAlert.level': { $in: ['low', 'out'] }, $expr: { $gt: ['$stock', REORDER_POINT] } },
+    { $set: { 'lowStockAlert.level': 'ok' } }
+  );
+  // Partly restocked products can run out again later, which is a new crossing
+  await Product.updateMany(
+    { 'lowStockAlert.level': 'out', stock: { $gt: 0 } },
+    { $set: { 'lowStockAlert.level': 'low' } }
+  );
+
+  const crossings = [];
+  for (const product of await findLowStockProducts()) {
+    const level = getStockLevel(product);
+    const previous = product.lowStockAlert?.level || 'ok';
+    if (LEVEL_RANK[level] <= LEVEL_RANK[previous]) continue;
+
+    // Claim the crossing so overlapping runs or other instances alert only once
+    const claim = await Product.updateOne(
+      { _id: product._id, 'lowStockAlert.level': previous === 'ok' ? { $in: [null, 'ok'] } : previous },
+      { $set: { 'lowStockAlert.level': level, 'lowStockAlert.alertedAt': new Date() } }
+    );
+    if (claim.modifiedCount === 1) {
+      crossings.push({ product, level, previous });
+    }
+  }
+
+  if (crossings.length === 0) {
+    return { alerted: 0, recovered: recovered.modifiedCount, recipients: 0, sent: 0 };
+  }
+
+  const recipients = await getAlertRecipients();
+  const groups = groupBySupplier(crossings.map(({ product }) => toReportRow(product)));
+
+  let sent = 0;
+  for (const email of recipients) {
+    const result = await sendLowStockDigestEmail(email, groups);
+    if (result?.success) sent += 1;
+  }
+
+  if (sent === 0) {
+    // Nobody received the alert: put the levels back so the next run tries again
+    await Promise.all(crossings.map(({ product, level, previous }) => Product.updateOne(
+      { _id: product._id, 'lowStockAlert.level': level },
+      { $set: { 'lowStockAlert.level': previous } }
+    )));
+    console.error(`❌ Low-stock digest for ${crossings.length} products could not be delivered to ${recipients.length} recipients`);
+  } else {
+    console.log(`📦 Low-stock digest for ${crossings.length} products sent to ${sent} of ${recipients.length} recipients`);
+  }
+
+  return { alerted: sent > 0 ? crossings.length : 0, recovered: recovered.modifiedCount, recipients: recipients.length, sent };
+};
+
+// LOW_STOCK_CHECK_INTERVAL_MINUTES sets how often the queue runs it (0 disables it)
+defineJob('low-stock-check', runLowStockCheck, {
+  everyMinutes: parseInt(process.env.LOW_STOCK_CHECK_INTERVAL_MINUTES ?? DEFAULT_INTERVAL_MINUTES, 10),
+  maxAttempts: 3,
+  lockSeconds: 300,
+  manual: true,
+  description: 'Email admins about products that reached their reorder point'
+});
+
+module.exports = {
+  getStockLevel,
+  getLowStockReport,
+  runLowStockCheck
+};
@@ -0,0 +1,138 @@
+// Order notifications
+// Sends transactional order emails and records them in Order.notifications.
+// Emails go out from the job queue, so a failed send is retried.
+
+const Order = require('../models/Order');
+const User = require('../models/User');
+const ReturnRequest = require('../models/ReturnRequest');
+const { defineJob, enqueueInBackground } = require('./jobQueue');
+const {
+  sendOrderConfirmationEmail,
+  sendOrderCancellationEmail,
+  sendOrderStatusEmail,
+  sendPaymentStatusEmail,
+  sendReturnStatusEmail
+} = require('./emailService');
+
+// Order.notifications key recorded for each order status email
+const STATUS_NOTIFICATION_KEYS = {
+  cancelled: 'cancellationConfirmation',
+  shipped: 'shippingConfirmation',
+  delivered: 'deliveryConfirmation'
+};
+
+// Customers can opt out of emails through preferences.notifications.email
+const customerAcceptsEmail = async (customerId) => {
+  const user = await User.findById(customerId).select('preferences.notifications');
+  return !user || user.preferences?.notifications?.email !== false;
+};
+
+const markNotificationSent = async (order, key) => {
+  const sentAt = new Date();
+  await Order.updateOne(
+    { _id: order._id },
+    { $set: { [`notifications.${key}`]: { sent: true, sentAt } } }
+  );
+  if (order.notifications) {
+    order.notifications[key] = { sent: true, sentAt };
+  }
+};
+
+// Send the email for an order event and record it on the order
+// Returns { success, skipped?, error? }
+const sendOrderNotification = async (order, event, status, returnRequest) => {
+  try {
+    let key;
+    let send;
+
+    switch (event) {
+      case 'created':
+        key = 'orderConfirmation';
+        send = () => sendOrderConfirmationEmail(order);
+        break;
+      case 'cancelled':
+        key = 'cancellationConfirmation';
+        send = () => sendOrderCancellationEmail(order);
+        break;
+      case 'status':
+        if (status === 'cancelled') {
+          return sendOrderNotification(order, 'cancelled');
+        }
+        key = STATUS_NOTIFICATION_KEYS[status] || 'statusUpdate';
+        send = () => sendOrderStatusEmail(order, status);
+        break;
+      case 'payment':
+        key = 'paymentUpdate';
+        send = () => sendPaymentStatusEmail(order, status);
+        break;
+      case 'return':
+        key = 'returnUpdate';
+        send = () => sendReturnStatusEmail(order, returnRequest);
+        break;
+      default:
+        throw new Error(`Unknown order notification event: ${event}`);
+    }
+
+    // Confirmation-style emails go out once per order
+    if (!['statusUpdate', 'paymentUpdate', 'returnUpdate'].includes(key) && order.notifications?.[key]?.sent) {
+      return { success: true, skipped: true, reason: 'already_sent' };
+    }
+
+    if (!(await customerAcceptsEmail(order.customerId))) {
+      console.log(`📭 Skipping ${key} email for ${order.orderNumber} - customer opted out`);
+      return { success: true, skipped: true, reason: 'opted_out' };
+    }
+
+    const result = await send();
+    if (!result?.success) {
+      console.error(`❌ Failed to send ${key} email for ${order.orderNumber}:`, result?.error);
+      return { success: false, error: result?.error };
+    }
+
+    await markNotificationSent(order, key);
+    return { success: true };
+
+  } catch (error) {
+    console.error(`❌ Order notification error (${event}) for ${order?.orderNumber}:`, error.message);
+    return { success: false, error: error.message };
+  }
+};
+
+const ORDER_EMAIL_JOB = 'order-email';
+
+defineJob(ORDER_EMAIL_JOB, async ({ orderId, event, status, returnRequestId }) => {
+  const order = await Order.findById(orderId);
+  if (!order) {
+    return { skipped: true, reason: 'order_not_found' };
+  }
+  const returnRequest = returnRequestId ? await ReturnRequest.findById(returnRequestId) : undefined;
+
+  const result = await sendOrderNotification(order, event, status, returnRequest);
+  if (!result.success) {
+    throw new Error(result.error || 'Order email could not be sent');
+  }
+  return result.skipped ? { skipped: true, reason: result.reason } : { sent: true };
+}, {
+  concurrency: 3,
+  description: 'Send a transactional order email'
+});
+
+/**
+ * Queue the email for an order event.
+ * Never throws, so routes can call it without awaiting.
+ * @param {Object} order - order document
+ * @param {string} event - 'created', 'cancelled', 'status', 'payment' or 'return'
+ * @param {string} [status] - new order, payment or return status for 'status'/'payment'/'return' events
+ * @param {Object} [returnRequest] - ReturnRequest document for 'return' events
+ * @returns {Promise<Object|null>} the queued job, or null when it could not be queued
+ */
+const notifyOrderEvent = (order, event, status, returnRequest) => enqueueInBackground(ORDER_EMAIL_JOB, {
+  orderId: order._id,
+  event,
+  status,
+  returnRequestId: returnRequest?._id
+});
+
+module.exports = {
+  notifyOrderEvent
+};
@@ -0,0 +1,75 @@
+// Order state machine
+// Declares the allowed transitions for order, payment and shipping statuses
+
+const ORDER_STATUS_TRANSITIONS = {
+  pending: ['confirmed', 'processing', 'cancelled'],
+  confirmed: ['processing', 'cancelled'],
+  processing: ['shipped', 'cancelled'],
+  shipped: ['delivered', 'returned'],
+  delivered: ['returned'],
+  cancelled: [],
+  returned: []
+};
+
+const PAYMENT_STATUS_TRANSITIONS = {
+  pending: ['processing', 'completed', 'failed'],
+  processing: ['completed', 'failed'],
+  failed: ['pending', 'processing'],
+  completed: ['refunded'],
+  refunded: []
+};
+
+const SHIPPING_STATUS_TRANSITIONS = {
+  pending: ['shipped'],
+  shipped: ['delivered', 'returned'],
+  delivered: ['returned'],
+  returned: []
+};
+
+// statusHistory.field -> transition graph
+const TRANSITIONS = {
+  orderStatus: ORDER_STATUS_TRANSITIONS,
+  paymentStatus: PAYMENT_STATUS_TRANSITIONS,
+  shippingStatus: SHIPPING_STATUS_TRANSITIONS
+};
+
+const STATUS_FIELDS = Object.keys(TRANSITIONS);
+
+// List the statuses a field may move to from its current value
+const getAllowedTransitions = (field, from) => {
+  const graph = TRANSITIONS[field];
+  if (!graph) {
+    throw new Error(`Unknown status field: ${field}`);
+  }
+  return graph[from] || [];
+};
+
+const canTransition = (field, from, to) => getAllowedTransitions(field, from).includes(to);
+
+// Error thrown when a status change is not allowed by the graph
+const createTransitionError = (field, from, to) => {
+  const error = new Error(`Cannot change ${field} from ${from} to ${to}`);
+  error.name = 'InvalidTransitionError';
+  error.status = 409;
+  error.field = field;
+  error.from = from;
+  error.to = to;
+  error.allowed = getAllowedTransitions(field, from);
+  return error;
+};
+
+const assertTransition = (field, from, to) => {
+  if (!canTransition(field, from, to)) {
+    throw createTransitionError(field, from, to);
+  }
+};
+
+module.exports = {
+  ORDER_STATUS_TRANSITIONS,
+  PAYMENT_STATUS_TRANSITIONS,
+  SHIPPING_STATUS_TRANSITIONS,
+  STATUS_FIELDS,
+  getAllowedTransitions,
+  canTransition,
+  assertTransition
+};
@@ -0,0 +1,67 @@
+// OTP delivery jobs
+// Sign-up and password reset codes are sent from the job queue so the route
+// can answer straight away and a failed send is retried. The code travels as
+// the job's encrypted secret, and a retry is dropped once the code has been
+// replaced, used or has expired, since sending it then would only confuse.
+
+const User = require('../models/User');
+const { sendOTPToUser } = require('./otpService');
+const { defineJob, enqueueInBackground } = require('./jobQueue');
+
+const OTP_DELIVERY_JOB = 'otp-delivery';
+
+// Whether the code is still the one the user is waiting for
+const isCurrentCode = (user, purpose, otp) => {
+  const now = new Date();
+  switch (purpose) {
+    case 'email_verification':
+      return !user.isEmailVerified
+        && user.emailVerificationExpires > now
+        && user.verifyEmailVerificationCode(otp);
+    case 'password_reset':
+      return user.passwordResetOTPExpires > now && user.verifyPasswordResetOTP(otp);
+    default:
+      return false;
+  }
+};
+
+defineJob(OTP_DELIVERY_JOB, async ({ userId, purpose, email }, { secret: otp }) => {
+  const user = await User.findById(userId);
+  if (!user || !user.isActive) {
+    return { skipped: true, reason: 'user_not_found' };
+  }
+  if (!otp || !isCurrentCode(user, purpose, otp)) {
+    return { skipped: true, reason: 'code_no_longer_valid' };
+  }
+
+  const result = await sendOTPToUser(user, otp, { purpose, email });
+  if (!result.success) {
+    const tried = (result.attempts || []).map(attempt => `${attempt.channel}: ${attempt.error}`).join('; ');
+    throw new Error(tried ? `${result.error} (${tried})` : result.error);
+  }
+
+  console.log(`✅ ${purpose} OTP sent via ${result.method} to:`, result.contact);
+  return { method: result.method };
+}, {
+  concurrency: 5,
+  maxAttempts: 4,
+  backoffSeconds: 10,
+  description: 'Send a verification or password reset code'
+});
+
+/**
+ * Queue a one-time code for delivery through the user's preferred channel.
+ * Never throws, so routes can call it without awaiting.
+ * @param {Object} user - user document the code was set on
+ * @param {string} otp - the plain code
+ * @param {Object} options - { purpose: 'email_verification' | 'password_reset', email (as typed by the user) }
+ */
+const queueOTPDelivery = (user, otp, { purpose, email } = {}) => enqueueInBackground(
+  OTP_DELIVERY_JOB,
+  { userId: user._id, purpose, email },
+  { secret: otp }
+);
+
+module.exports = {
+  queueOTPDelivery
+};
@@ -1,11 +1,42 @@
-// Free OTP Service for Development
-// Email and Console logging only
+// OTP Service
+// Codes are delivered through a registry of channels (console, email, sms);
+// the channel is picked from user preferences with fallback to the others
+
+const crypto = require('crypto');
+const { getSmsProvider } = require('./smsProviders');
+
+// Wrong guesses allowed before an OTP is invalidated
+const OTP_MAX_ATTEMPTS = parseInt(process.env.OTP_MAX_ATTEMPTS, 10) || 5;
 
 const generateOTP = () => {
   return Math.floor(100000 + Math.random() * 900000).toString();
 };
 
+// OTPs and reset tokens are stored as keyed hashes, never in plaintext
+const getOTPHashSecret = () => process.env.OTP_HASH_SECRET || process.env.JWT_SECRET || 'fallback-secret-key';
+
+const hashOTP = (value) => crypto
+  .createHmac('sha256', getOTPHashSecret())
+  .update(String(value))
+  .digest('hex');
+
+const isHashedOTP = (value) => typeof value === 'string' && /^[a-f0-9]{64}$/.test(value);
+
+// Constant-time comparison of a candidate against a stored value.
+// Stored values from before hashing was introduced are still plaintext, so
+// hash them here too; the digests are the same length either way.
+const verifyOTP = (candidate, storedValue) => {
+  if (!candidate || !storedValue) return false;
+
+  const expected = Buffer.from(isHashedOTP(storedValue) ? storedValue : hashOTP(storedValue), 'hex');
+  const actual = Buffer.from(hashOTP(candidate), 'hex');
+  return crypto.timingSafeEqual(expected, actual);
+};
+
 // Console logging (FREE for development)
+// Prints codes in plaintext, so the channel only works in development or with ENABLE_CONSOLE_OTP=true
+const isConsoleOTPEnabled = () => process.env.NODE_ENV === 'development' || process.env.ENABLE_CONSOLE_OTP === 'true';
+
 const sendOTPToConsole = async (phone, otp) => {
   console.log('\n📱 === OTP VERIFICATION ===');
   console.log(`📞 Phone: ${phone}`);
@@ -40,22 +71,181 @@ const sendOTPToEmail = async (email, otp) => {
   }
 };
 
-// Main OTP sending function
-const sendOTP = async (contact, otp, method = 'console') => {
-  console.log(`📤 Sending OTP via ${method} to: ${contact}`);
-  
-  switch (method) {
-    case 'email':
-      return await sendOTPToEmail(contact, otp);
-    case 'console':
-    default:
-      return await sendOTPToConsole(contact, otp);
+// SMS via the configured provider (see lib/smsProviders.js)
+const buildOTPMessage = (otp, purpose) => {
+  const action = {
+    password_reset: 'reset your password',
+    phone_verification: 'verify your phone number'
+  }[purpose] || 'verify your account';
+  return `Your Virello Foods code to ${action} is ${otp}. It expires in 10 minutes. Do not share it with anyone.`;
+};
+
+const sendOTPToSMS = async (phone, otp, options = {}) => {
+  const provider = getSmsProvider();
+  if (!provider) {
+    return { success: false, method: 'sms', error: 'No SMS provider is configured' };
+  }
+
+  try {
+    const result = await provider.send(phone, buildOTPMessage(otp, options.purpose));
+    return { ...result, method: 'sms', provider: provider.name };
+  } catch (error) {
+    console.error('❌ SMS OTP error:', error.message);
+    return { success: false, method: 'sms', error: error.message };
+  }
+};
+
+// Channel registry
+// A channel has a name, send(contact, otp, options) and getContact(user, options),
+// which returns the address to use for that user or null if the channel cannot reach them.
+// An optional isAvailable() returns false while the channel cannot send at all.
+const channels = new Map();
+
+const registerChannel = (channel) => {
+  if (!channel || !channel.name || typeof channel.send !== 'function' || typeof channel.getContact !== 'function') {
+    throw new Error('OTP channel must have a name, send() and getContact()');
+  }
+  channels.set(channel.name, channel);
+  return channel;
+};
+
+const getChannel = (name) => channels.get(name) || null;
+
+const isChannelAvailable = (name) => {
+  const channel = getChannel(name);
+  return Boolean(channel) && (!channel.isAvailable || channel.isAvailable());
+};
+
+registerChannel({
+  name: 'console',
+  send: (contact, otp) => sendOTPToConsole(contact, otp),
+  isAvailable: isConsoleOTPEnabled,
+  getContact: (user, options = {}) => options.phone || options.email || user.profile?.phone || user.email
+});
+
+registerChannel({
+  name: 'email',
+  send: (contact, otp) => sendOTPToEmail(contact, otp),
+  // options.email keeps the address exactly as the user typed it (before normalization)
+  getContact: (user, options = {}) => options.email || user.email || null
+});
+
+registerChannel({
+  name: 'sms',
+  send: (contact, otp, options) => sendOTPToSMS(contact, otp, options),
+  isAvailable: () => Boolean(getSmsProvider()),
+  // Only numbers the user has verified receive codes, except the code that verifies the number itself
+  getContact: (user, options = {}) => {
+    if (options.phone) return options.phone;
+    return user.isPhoneVerified && user.profile?.phone ? user.profile.phone : null;
+  }
+});
+
+const parseChannelList = (value) => (value || '')
+  .split(',')
+  .map(name => name.trim())
+  .filter(Boolean);
+
+/**
+ * Order in which channels are tried for a user.
+ * The preferred channel comes first (explicit option, then SMS if the user opted
+ * in and has a verified phone, then OTP_METHOD), followed by OTP_FALLBACK_CHANNELS
+ * and, in development, the console.
+ * Codes that prove control of an address only go to that address: email
+ * verification never uses SMS and phone verification only uses SMS.
+ * @param {Object} user - User document
+ * @param {Object} options - { purpose, preferredChannel, channels }
+ * @returns {string[]} channel names
+ */
+const getChannelOrder = (user, options = {}) => {
+  if (Array.isArray(options.channels) && options.channels.length > 0) {
+    return options.channels;
   }
+
+  const devFallback = isConsoleOTPEnabled() ? ['console'] : [];
+
+  if (options.purpose === 'phone_verification') {
+    return ['sms', ...devFallback];
+  }
+
+  const wantsSms = Boolean(user.preferences?.notifications?.sms && user.isPhoneVerified && user.profile?.phone);
+  const preferred = options.preferredChannel || (wantsSms ? 'sms' : (process.env.OTP_METHOD || 'email'));
+  const fallbacks = parseChannelList(process.env.OTP_FALLBACK_CHANNELS || 'email,sms');
+  const order = [...new Set([preferred, ...fallbacks, ...devFallback])];
+
+  return options.purpose === 'email_verification' ? order.filter(name => name !== 'sms') : order;
+};
+
+/**
+ * Deliver an OTP to a user, falling back to the next channel when one fails.
+ * @param {Object} user - User document
+ * @param {string} otp - plaintext code
+ * @param {Object} options - { purpose, email, phone, preferredChannel, channels }
+ * @returns {Promise<Object>} { success, method, contact, attempts } or { success: false, error, attempts }
+ */
+const sendOTPToUser = async (user, otp, options = {}) => {
+  const attempts = [];
+
+  for (const name of getChannelOrder(user, options)) {
+    const channel = getChannel(name);
+    if (!channel) {
+      attempts.push({ channel: name, success: false, error: 'Unknown channel' });
+      continue;
+    }
+    if (!isChannelAvailable(name)) {
+      attempts.push({ channel: name, success: false, error: 'Channel unavailable' });
+      continue;
+    }
+
+    const contact = channel.getContact(user, options);
+    if (!contact) {
+      continue;
+    }
+
+    console.log(`📤 Sending OTP via ${name} to: ${contact}`);
+    let result;
+    try {
+      result = await channel.send(contact, otp, options);
+    } catch (error) {
+      result = { success: false, error: error.message };
+    }
+
+    attempts.push({ channel: name, success: Boolean(result?.success), error: result?.error });
+    if (result?.success) {
+      return { ...result, success: true, method: name, contact, attempts };
+    }
+
+    console.warn(`⚠️ OTP delivery via ${name} failed, trying next channel:`, result?.error);
+  }
+
+  return {
+    success: false,
+    error: attempts.length > 0 ? 'All OTP channels failed' : 'No OTP channel can reach this user',
+    attempts
+  };
+};
+
+// Send an OTP through one named channel
+const sendOTP = async (contact, otp, method = 'console', options = {}) => {
+  console.log(`📤 Sending OTP via ${method} to: ${contact}`);
+
+  const channel = getChannel(method) || getChannel('console');
+  return await channel.send(contact, otp, options);
 };
 
 module.exports = {
+  OTP_MAX_ATTEMPTS,
   generateOTP,
+  hashOTP,
+  isHashedOTP,
+  verifyOTP,
+  registerChannel,
+  getChannel,
+  isChannelAvailable,
+  getChannelOrder,
   sendOTP,
+  sendOTPToUser,
   sendOTPToConsole,
-  sendOTPToEmail
+  sendOTPToEmail,
+  sendOTPToSMS
 };
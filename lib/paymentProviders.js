@@ -0,0 +1,226 @@
+// Payment provider adapters
+// Every provider implements the same interface so checkout, admin actions and
+// webhooks never talk to a gateway SDK directly:
+//
+//   name
+//   createIntent({ amount, currency, orderId, orderNumber, metadata }) -> { id, status, clientSecret, raw }
+//   capture(intentId, { amount })                                    -> { id, status, amount, raw }
+//   refund(intentId, { amount, reason, idempotencyKey })             -> { id, status, amount, amountRefunded, raw }
+//   verifyWebhook(rawBody, headers)                                  -> provider event (throws if the signature is bad)
+//   toPaymentEvent(event)                                            -> { id, type, intentId, amount, amountRefunded, raw }
+//   isAvailable()                                                    -> optional; false while the provider cannot be used
+//
+// A refund repeated with the same idempotencyKey must return the original
+// refund rather than pay out again.
+//
+// Normalized event types: payment.processing, payment.succeeded, payment.failed, payment.refunded
+//
+// Real gateways (Stripe, JazzCash, Easypaisa, ...) register themselves with
+// registerPaymentProvider(); PAYMENT_PROVIDER selects the one checkout uses.
+
+const crypto = require('crypto');
+
+const providers = new Map();
+
+const registerPaymentProvider = (provider) => {
+  const required = ['createIntent', 'capture', 'refund', 'verifyWebhook', 'toPaymentEvent'];
+  const missing = required.filter(method => typeof provider?.[method] !== 'function');
+  if (!provider?.name || missing.length > 0) {
+    throw new Error(`Payment provider must have a name and implement: ${missing.join(', ') || 'name'}`);
+  }
+  providers.set(provider.name, provider);
+  return provider;
+};
+
+// The provider with this name, or null when it is not registered or not usable right now
+const getPaymentProvider = (name = process.env.PAYMENT_PROVIDER) => {
+  const provider = name && providers.get(name);
+  if (!provider || (provider.isAvailable && !provider.isAvailable())) return null;
+  return provider;
+};
+
+const listPaymentProviders = () => Array.from(providers.keys());
+
+const webhookSignatureError = (details) => {
+  const error = new Error(details);
+  error.name = 'WebhookSignatureError';
+  error.status = 400;
+  return error;
+};
+
+// Signed payloads older than this are rejected so captured requests cannot be replayed later
+const WEBHOOK_TOLERANCE_SECONDS = 5 * 60;
+
+// Local provider for development and tests: keeps intents in memory and signs
+// its webhooks exactly like a real gateway would, so the whole flow (intent,
+// webhook, capture, refund) runs offline. Anyone holding its secret can mark
+// orders paid, so it is only registered when ENABLE_FAKE_PAYMENTS=true, and
+// only used while FAKE_PAYMENT_WEBHOOK_SECRET is set.
+const fakeProvider = {
+  name: 'fake',
+  intents: new Map(),
+  refundsByKey: new Map(),
+
+  getWebhookSecret() {
+    return process.env.FAKE_PAYMENT_WEBHOOK_SECRET;
+  },
+
+  isAvailable() {
+    return Boolean(this.getWebhookSecret());
+  },
+
+  sign(payload, timestamp = Math.floor(Date.now() / 1000)) {
+    const signature = crypto
+      .createHmac('sha256', this.getWebhookSecret())
+      .update(`${timestamp}.${payload}`)
+      .digest('hex');
+    return `t=${timestamp},v1=${signature}`;
+  },
+
+  async createIntent({ amount, currency, orderId, orderNumber, metadata = {} }) {
+    const id = `fake_pi_${crypto.randomBytes(12).toString('hex')}`;
+    const intent = {
+      id,
+      amount,
+      currency,
+      status: 'requires_confirmation',
+      amountCaptured: 0,
+      amountRefunded: 0,
+      metadata: { ...metadata, orderId: String(orderId), orderNumber },
+      createdAt: new Date().toISOString()
+    };
+    this.intents.set(id, intent);
+
+    return { id, status: intent.status, clientSecret: `${id}_secret`, raw: { ...intent } };
+  },
+
+  getIntent(intentId) {
+    const intent = this.intents.get(intentId);
+    if (!intent) {
+      throw new Error(`Unknown payment intent ${intentId}`);
+    }
+    return intent;
+  },
+
+  async capture(intentId, { amount } = {}) {
+    const intent = this.getIntent(intentId);
+    if (intent.status === 'succeeded') {
+      return { id: intent.id, status: intent.status, amount: intent.amountCaptured, raw: { ...intent } };
+    }
+    if (!['requires_confirmation', 'requires_capture'].includes(intent.status)) {
+      throw new Error(`Cannot capture a payment in status ${intent.status}`);
+    }
+
+    intent.amountCaptured = amount || intent.amount;
+    intent.status = 'succeeded';
+    return { id: intent.id, status: intent.status, amount: intent.amountCaptured, raw: { ...intent } };
+  },
+
+  async refund(intentId, { amount, reason, idempotencyKey } = {}) {
+    const intent = this.getIntent(intentId);
+    if (idempotencyKey && this.refundsByKey.has(idempotencyKey)) {
+      return this.refundsByKey.get(idempotencyKey);
+    }
+
+    const refundable = intent.amountCaptured - intent.amountRefunded;
+    const refundAmount = amount || refundable;
+    if (intent.status !== 'succeeded' || refundAmount <= 0 || refundAmount > refundable) {
+      throw new Error(`Cannot refund ${refundAmount}; ${Math.max(refundable, 0)} is refundable`);
+    }
+
+    intent.amountRefunded += refundAmount;
+    const refund = {
+      id: `fake_re_${crypto.randomBytes(8).toString('hex')}`,
+      status: 'succeeded',
+      amount: refundAmount,
+      reason
+    };
+    const result = { ...refund, amountRefunded: intent.amountRefunded, raw: { ...refund, intent: { ...intent } } };
+    if (idempotencyKey) {
+      this.refundsByKey.set(idempotencyKey, result);
+    }
+    return result;
+  },
+
+  // Mark an intent as failed (what a declined card looks like)
+  async fail(intentId, message = 'Card declined') {
+    const intent = this.getIntent(intentId);
+    intent.status = 'failed';
+    intent.lastError = message;
+    return { id: intent.id, status: intent.status, raw: { ...intent } };
+  },
+
+  // Build a signed webhook for an intent, as the gateway would POST it
+  buildWebhook(type, intentId) {
+    const intent = this.getIntent(intentId);
+    const event = {
+      id: `fake_evt_${crypto.randomBytes(12).toString('hex')}`,
+      type,
+      created: Math.floor(Date.now() / 1000),
+      data: { object: { ...intent } }
+    };
+    const rawBody = JSON.stringify(event);
+    return { rawBody, headers: { 'x-fake-signature': this.sign(rawBody) }, event };
+  },
+
+  verifyWebhook(rawBody, headers = {}) {
+    const header = headers['x-fake-signature'];
+    if (!header || !rawBody) {
+      throw webhookSignatureError('Missing webhook signature');
+    }
+
+    const parts = Object.fromEntries(header.split(',').map(part => part.split('=')));
+    const timestamp = parseInt(parts.t, 10);
+    if (!timestamp || Math.abs(Date.now() / 1000 - timestamp) > WEBHOOK_TOLERANCE_SECONDS) {
+      throw webhookSignatureError('Webhook timestamp is outside the allowed window');
+    }
+
+    const expected = Buffer.from(this.sign(rawBody.toString(), timestamp).split('v1=')[1], 'hex');
+    const actual = Buffer.from(parts.v1 || '', 'hex');
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      throw webhookSignatureError('Invalid webhook signature');
+    }
+
+    return JSON.parse(rawBody.toString());
+  },
+
+  toPaymentEvent(event) {
+    const typeMap = {
+      'payment_intent.processing': 'payment.processing',
+      'payment_intent.succeeded': 'payment.succeeded',
+      'payment_intent.payment_failed': 'payment.failed',
+      'charge.refunded': 'payment.refunded'
+    };
+    const intent = event.data?.object || {};
+
+    return {
+      id: event.id,
+      type: typeMap[event.type] || event.type,
+      intentId: intent.id,
+      orderId: intent.metadata?.orderId,
+      amount: intent.amountCaptured || intent.amount,
+      amountRefunded: intent.amountRefunded || 0,
+      currency: intent.currency,
+      raw: event
+    };
+  }
+};
+
+// The fake gateway is an explicit opt-in for development and tests
+const isFakePaymentsEnabled = () => process.env.ENABLE_FAKE_PAYMENTS === 'true';
+
+if (isFakePaymentsEnabled()) {
+  registerPaymentProvider(fakeProvider);
+  if (!fakeProvider.isAvailable()) {
+    console.warn('⚠️ Fake payment provider is enabled but FAKE_PAYMENT_WEBHOOK_SECRET is not set; it will refuse payments');
+  }
+}
+
+module.exports = {
+  WEBHOOK_TOLERANCE_SECONDS,
+  registerPaymentProvider,
+  getPaymentProvider,
+  listPaymentProviders,
+  isFakePaymentsEnabled,
+  fakeProvider
+};
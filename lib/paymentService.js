@@ -0,0 +1,252 @@
+// Payment service
+// Creates gateway intents for orders and applies provider events (webhooks,
+// captures, refunds) to Order.paymentStatus through the status state machine
+
+const Order = require('../models/Order');
+const PaymentEvent = require('../models/PaymentEvent');
+const { getPaymentProvider } = require('./paymentProviders');
+const { canTransition } = require('./orderStateMachine');
+const { notifyOrderEvent } = require('./orderNotifications');
+
+// Payment methods that are settled through a gateway (the rest are offline)
+const ONLINE_PAYMENT_METHODS = ['stripe', 'paypal', 'card', 'jazz_cash', 'easypesa'];
+
+// Allow for rounding differences between our totals and the gateway's
+const AMOUNT_TOLERANCE = 0.01;
+
+const paymentError = (status, error, details) => ({ success: false, status, error, details });
+
+/**
+ * Start a gateway payment for an order with the PAYMENT_PROVIDER gateway.
+ * @param {Object} order - Order document
+ * @returns {Promise<Object>} { success, intent } or { success: false, status, error, details }
+ */
+const createPaymentIntent = async (order) => {
+  const provider = getPaymentProvider();
+  if (!provider) {
+    return paymentError(503, 'Payments unavailable', 'No payment provider is configured (set PAYMENT_PROVIDER)');
+  }
+
+  if (!ONLINE_PAYMENT_METHODS.includes(order.payment.method)) {
+    return paymentError(400, 'Offline payment method', `Orders paid by ${order.payment.method} do not use a payment gateway`);
+  }
+
+  if (['completed', 'refunded'].includes(order.paymentStatus) || order.orderStatus === 'cancelled') {
+    return paymentError(409, 'Payment not allowed', `Order payment is ${order.paymentStatus} and order is ${order.orderStatus}`);
+  }
+
+  const intent = await provider.createIntent({
+    amount: order.totalAmount,
+    currency: order.currency,
+    orderId: order._id,
+    orderNumber: order.orderNumber
+  });
+
+  order.payment.provider = provider.name;
+  order.payment.transactionId = intent.id;
+  order.payment.gatewayResponse = intent.raw;
+  await order.save();
+
+  return {
+    success: true,
+    intent: {
+      id: intent.id,
+      provider: provider.name,
+      status: intent.status,
+      clientSecret: intent.clientSecret,
+      amount: order.totalAmount,
+      currency: order.currency
+    }
+  };
+};
+
+/**
+ * Apply a normalized payment event to an order and save it.
+ * @param {Object} order - Order document
+ * @param {Object} event - { type, amount, amountRefunded, raw } (see paymentProviders)
+ * @param {Object} options - { provider, reason }
+ * @returns {Promise<Object>} { applied, previousStatus, status, ignoredReason }
+ */
+const applyPaymentEvent = async (order, event, { provider, reason } = {}) => {
+  const previousStatus = order.getStatus('paymentStatus');
+  let targetStatus = null;
+
+  switch (event.type) {
+    case 'payment.processing':
+      targetStatus = 'processing';
+      break;
+    case 'payment.succeeded':
+      if (event.amount != null && event.amount + AMOUNT_TOLERANCE < order.totalAmount) {
+        return { applied: false, previousStatus, status: previousStatus, ignoredReason: `Captured amount ${event.amount} is less than order total ${order.totalAmount}` };
+      }
+      targetStatus = 'completed';
+      order.payment.capturedAmount = event.amount ?? order.totalAmount;
+      order.payment.paidAt = order.payment.paidAt || new Date();
+      break;
+    case 'payment.failed':
+      targetStatus = 'failed';
+      break;
+    case 'payment.refunded':
+      // Gateways report the running total refunded; partial refunds keep the order paid
+      order.payment.refundedAmount = Math.max(order.payment.refundedAmount || 0, event.amountRefunded || 0);
+      if (order.payment.refundedAmount + AMOUNT_TOLERANCE >= order.totalAmount) {
+        targetStatus = 'refunded';
+      }
+      break;
+    default:
+      return { applied: false, previousStatus, status: previousStatus, ignoredReason: `Unhandled event type ${event.type}` };
+  }
+
+  if (targetStatus && targetStatus !== previousStatus) {
+    // Late or out-of-order events (e.g. "processing" after "succeeded") must not move the status backwards
+    if (!canTransition('paymentStatus', previousStatus, targetStatus)) {
+      return { applied: false, previousStatus, status: previousStatus, ignoredReason: `Cannot move payment from ${previousStatus} to ${targetStatus}` };
+    }
+
+    order.transitionStatus('paymentStatus', targetStatus, {
+      actor: { role: 'system' },
+      reason: reason || `${provider || order.payment.provider} ${event.type}`
+    });
+  }
+
+  if (event.raw) {
+    order.payment.gatewayResponse = event.raw;
+  }
+  await order.save();
+
+  const status = order.getStatus('paymentStatus');
+  if (status !== previousStatus) {
+    notifyOrderEvent(order, 'payment', status);
+  }
+
+  return { applied: true, previousStatus, status };
+};
+
+const findOrderForEvent = async (providerName, event) => {
+  if (!event.intentId) return null;
+  return Order.findOne({ 'payment.provider': providerName, 'payment.transactionId': event.intentId });
+};
+
+// Record the event; returns null when it was already handled (a replay)
+const claimEvent = async (providerName, event) => {
+  try {
+    return await PaymentEvent.create({
+      provider: providerName,
+      eventId: event.id,
+      type: event.type,
+      intentId: event.intentId,
+      payload: event.raw
+    });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+
+    // Events that failed earlier may be retried by the provider; anything else is a replay
+    const retried = await PaymentEvent.findOneAndUpdate(
+      { provider: providerName, eventId: event.id, status: 'failed' },
+      { $set: { status: 'processing', error: null }, $inc: { deliveries: 1 } },
+      { new: true }
+    );
+    if (!retried) {
+      await PaymentEvent.updateOne({ provider: providerName, eventId: event.id }, { $inc: { deliveries: 1 } });
+    }
+    return retried;
+  }
+};
+
+/**
+ * Verify and apply a provider webhook.
+ * @param {string} providerName - provider from the URL
+ * @param {Buffer|string} rawBody - request body exactly as received
+ * @param {Object} headers - request headers
+ * @returns {Promise<Object>} { success, duplicate, result } or { success: false, status, error, details }
+ */
+const processWebhook = async (providerName, rawBody, headers) => {
+  const provider = getPaymentProvider(providerName);
+  if (!provider) {
+    return paymentError(404, 'Unknown provider', `Payment provider "${providerName}" is not configured`);
+  }
+
+  let event;
+  try {
+    event = provider.toPaymentEvent(provider.verifyWebhook(rawBody, headers));
+  } catch (error) {
+    return paymentError(400, 'Invalid webhook', error.message);
+  }
+
+  const record = await claimEvent(provider.name, event);
+  if (!record) {
+    return { success: true, duplicate: true };
+  }
+
+  try {
+    const order = await findOrderForEvent(provider.name, event);
+    if (!order) {
+      record.status = 'ignored';
+      record.error = 'No order matches this payment';
+    } else {
+      record.orderId = order._id;
+      const result = await applyPaymentEvent(order, event, { provider: provider.name });
+      record.status = result.applied ? 'processed' : 'ignored';
+      record.error = result.ignoredReason;
+    }
+    record.processedAt = new Date();
+    await record.save();
+
+    return { success: true, duplicate: false, result: { status: record.status, reason: record.error } };
+  } catch (error) {
+    // Leave the event retriable so the provider's next delivery can complete it
+    record.status = 'failed';
+    record.error = error.message;
+    await record.save();
+    throw error;
+  }
+};
+
+const getOrderProvider = (order) => {
+  if (!order.payment.provider || !order.payment.transactionId) {
+    return { error: paymentError(400, 'No gateway payment', 'This order has no gateway payment to act on') };
+  }
+  const provider = getPaymentProvider(order.payment.provider);
+  if (!provider) {
+    return { error: paymentError(400, 'Unknown provider', `Payment provider "${order.payment.provider}" is not configured`) };
+  }
+  return { provider };
+};
+
+// Capture an authorized payment (admin action)
+const capturePayment = async (order, { amount, reason } = {}) => {
+  const { provider, error } = getOrderProvider(order);
+  if (error) return error;
+
+  const captured = await provider.capture(order.payment.transactionId, { amount });
+  const result = await applyPaymentEvent(order, {
+    type: 'payment.succeeded',
+    amount: captured.amount,
+    raw: captured.raw
+  }, { provider: provider.name, reason: reason || 'Payment captured' });
+
+  return { success: true, capture: { id: captured.id, status: captured.status, amount: captured.amount }, result };
+};
+
+// Whether an order was paid through a gateway (its refunds then go back through it)
+const hasGatewayPayment = (order) => Boolean(order.payment?.provider && order.payment?.transactionId);
+
+// Send a refund to the gateway; the caller records it in the order's refunds ledger (see refundService)
+// and passes the ledger entry's id as idempotencyKey so a repeated call cannot refund twice
+const issueGatewayRefund = async (order, { amount, reason, idempotencyKey } = {}) => {
+  const { provider, error } = getOrderProvider(order);
+  if (error) return error;
+
+  const refund = await provider.refund(order.payment.transactionId, { amount, reason, idempotencyKey });
+  return { success: true, refund };
+};
+
+module.exports = {
+  ONLINE_PAYMENT_METHODS,
+  createPaymentIntent,
+  applyPaymentEvent,
+  processWebhook,
+  capturePayment,
+  hasGatewayPayment,
+  issueGatewayRefund
+};
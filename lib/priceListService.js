@@ -0,0 +1,160 @@
+// Customer pricing
+// Works out the unit price a customer pays for a product or variant from the
+// catalogue price, the quantity-break tiers and the price list of the
+// customer's group (an entry for the product, or the list's blanket discount).
+
+const PriceList = require('../models/PriceList');
+
+// Round prices to 2 decimal places
+const roundPrice = (value) => Math.round((value + Number.EPSILON) * 100) / 100;
+
+/**
+ * Active price list for a customer group.
+ * @param {string} customerGroup - User.customerGroup
+ * @returns {Promise<Object|null>} PriceList document, or null for catalogue prices
+ */
+const getPriceList = async (customerGroup) => {
+  if (!customerGroup) return null;
+  return PriceList.findOne({ customerGroup, isActive: true });
+};
+
+// The list entry for a variant, falling back to an entry for the whole product
+const findEntry = (priceList, product, variant) => {
+  if (!priceList) return null;
+
+  const productEntries = priceList.entries.filter(entry => entry.productId.toString() === product._id.toString());
+  return (variant && productEntries.find(entry => entry.variantId?.toString() === variant._id.toString()))
+    || productEntries.find(entry => !entry.variantId)
+    || null;
+};
+
+/**
+ * Base price and quantity tiers a customer gets for a product or variant.
+ * @returns {Object} { listPrice, price, tiers, source } where source is
+ *   'catalogue', 'price_list' (an entry) or 'price_list_discount' (blanket discount)
+ */
+const getApplicablePrices = (product, variant, priceList) => {
+  const priced = variant || product;
+  const listPrice = priced.price;
+  const catalogueTiers = priced.priceTiers || [];
+  const entry = findEntry(priceList, product, variant);
+
+  if (entry) {
+    return {
+      listPrice,
+      price: entry.price ?? listPrice,
+      tiers: entry.priceTiers?.length ? entry.priceTiers : catalogueTiers,
+      source: 'price_list'
+    };
+  }
+
+  if (priceList?.discountPercentage) {
+    const factor = 1 - priceList.discountPercentage / 100;
+    return {
+      listPrice,
+      price: listPrice * factor,
+      tiers: catalogueTiers.map(tier => ({ minQuantity: tier.minQuantity, price: tier.price * factor })),
+      source: 'price_list_discount'
+    };
+  }
+
+  return { listPrice, price: listPrice, tiers: catalogueTiers, source: 'catalogue' };
+};
+
+// Tiers that beat the base price, in quantity order
+const effectiveTiers = (tiers, price) => tiers
+  .filter(tier => tier.price < price)
+  .map(tier => ({ minQuantity: tier.minQuantity, price: roundPrice(tier.price) }))
+  .sort((a, b) => a.minQuantity - b.minQuantity);
+
+// Highest tier the quantity reaches
+const findTier = (tiers, quantity) => tiers.reduce(
+  (best, tier) => (tier.minQuantity <= quantity && (!best || tier.minQuantity > best.minQuantity) ? tier : best),
+  null
+);
+
+/**
+ * Unit price a customer pays for a quantity of a product or variant.
+ * The price of the highest tier reached is charged when it beats the base price.
+ * @param {Object} product - Product document
+ * @param {Object|null} variant - variant of the product, if it has them
+ * @param {number} quantity - units ordered
+ * @param {Object|null} priceList - customer's price list (see getPriceList)
+ * @returns {Object} { unitPrice, listPrice, tier, source }
+ */
+const resolveUnitPrice = (product, variant, quantity, priceList) => {
+  const { listPrice, price, tiers, source } = getApplicablePrices(product, variant, priceList);
+  const tier = findTier(effectiveTiers(tiers, price), quantity);
+
+  return {
+    unitPrice: tier ? tier.price : roundPrice(price),
+    listPrice,
+    tier,
+    source
+  };
+};
+
+// Unit price at a quantity plus the full tier table, for one product or variant
+const describePrice = (product, variant, { priceList, quantity }) => {
+  const priced = variant || product;
+  const units = quantity || priced.minOrder || 1;
+  const { price, tiers } = getApplicablePrices(product, variant, priceList);
+  const { unitPrice, listPrice, source } = resolveUnitPrice(product, variant, units, priceList);
+
+  return {
+    quantity: units,
+    unitPrice,
+    listPrice,
+    source,
+    tiers: effectiveTiers(tiers, price)
+  };
+};
+
+/**
+ * Prices to show a customer for a product (and each of its variants).
+ * @param {Object} product - Product document
+ * @param {Object} options - { priceList, quantity } quantity defaults to the minimum order
+ * @returns {Object} { customerGroup, quantity, unitPrice, listPrice, source, tiers, variants }
+ */
+const describeProductPricing = (product, { priceList = null, quantity } = {}) => {
+  const customerGroup = priceList?.customerGroup || null;
+
+  if (!product.variants?.length) {
+    return { customerGroup, ...describePrice(product, null, { priceList, quantity }), variants: [] };
+  }
+
+  const variants = product.variants.map(variant => ({
+    variantId: variant._id,
+    sku: variant.sku,
+    packagingSize: variant.packagingSize,
+    ...describePrice(product, variant, { priceList, quantity })
+  }));
+
+  // Products with variants show the lowest price across their packaging sizes
+  return {
+    customerGroup,
+    quantity: quantity || null,
+    unitPrice: Math.min(...variants.map(variant => variant.unitPrice)),
+    listPrice: product.price,
+    source: variants.some(variant => variant.source !== 'catalogue') ? 'price_list' : 'catalogue',
+    tiers: [],
+    variants
+  };
+};
+
+/**
+ * Product documents as plain objects with a `pricing` block for the customer.
+ * @param {Array|Object} products - Product document(s)
+ * @param {Object} options - see describeProductPricing
+ */
+const withCustomerPricing = (products, options) => {
+  const attach = (product) => ({ ...product.toObject(), pricing: describeProductPricing(product, options) });
+  return Array.isArray(products) ? products.map(attach) : attach(products);
+};
+
+module.exports = {
+  getPriceList,
+  resolveUnitPrice,
+  describeProductPricing,
+  withCustomerPricing
+};
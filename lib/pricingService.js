@@ -0,0 +1,294 @@
+// Checkout pricing engine
+// Works out subtotal, shipping, discount and tax for an order from the stored Settings
+
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const Settings = require('../models/Settings');
+const { findApplicableCoupon, calculateCouponDiscount } = require('./couponService');
+const { getPriceList, resolveUnitPrice } = require('./priceListService');
+
+const ORDER_CURRENCY = 'PKR';
+
+// Round money values to 2 decimal places
+const roundAmount = (value) => Math.round((value + Number.EPSILON) * 100) / 100;
+
+// Load the settings document, falling back to schema defaults when none is saved yet
+const getSettings = async () => {
+  const settings = await Settings.findOne();
+  return settings || new Settings();
+};
+
+// Pick the variant a cart item refers to, by variantId or variant SKU
+const findVariant = (product, item) => {
+  if (item.variantId) {
+    return mongoose.Types.ObjectId.isValid(item.variantId) ? product.variants.id(item.variantId) : null;
+  }
+  return item.sku ? product.variants.find(variant => variant.sku === item.sku) : null;
+};
+
+// Validate cart items against the catalog and build order line items
+// Products with variants need the item to name one (variantId or variant sku);
+// stock, minimum order and price then come from that variant.
+// Prices follow quantity tiers and the customer's price list (options.priceList).
+// Returns { success, items } or { success: false, error, details }
+const resolveOrderItems = async (items = [], { priceList = null } = {}) => {
+  const resolvedItems = [];
+
+  for (const item of items) {
+    // Accept both the frontend (id) and backend (productId) field names
+    const productId = item.productId || item.id;
+
+    // Every line is priced from the catalog, so it has to name a catalog product
+    if (!productId || !mongoose.Types.ObjectId.isValid(productId)) {
+      return {
+        success: false,
+        error: 'Invalid product',
+        details: `Item ${item.name ? `"${item.name}" ` : ''}does not reference a catalog product`
+      };
+    }
+
+    const product = await Product.findById(productId);
+    if (!product) {
+      return {
+        success: false,
+        error: 'Invalid product',
+        details: `Product with ID ${productId} not found`
+      };
+    }
+
+    if (product.status !== 'active') {
+      return {
+        success: false,
+        error: 'Product unavailable',
+        details: `Product ${product.name} is not available for purchase`
+      };
+    }
+
+    let variant = null;
+    if (product.variants?.length > 0) {
+      variant = findVariant(product, item);
+      if (!variant) {
+        return {
+          success: false,
+          error: 'Invalid variant',
+          details: `Choose one of the packaging sizes of ${product.name}: ${product.variants.map(v => v.packagingSize).join(', ')}`
+        };
+      }
+    }
+
+    // Stock, minimum order and price are set per variant when the product has them
+    const stocked = variant || product;
+    const name = variant ? `${product.name} (${variant.packagingSize})` : product.name;
+
+    if (stocked.stock < item.quantity) {
+      return {
+        success: false,
+        error: 'Insufficient stock',
+        details: `Product ${name} only has ${stocked.stock} units in stock`
+      };
+    }
+
+    // Check minimum order quantity
+    if (item.quantity < (stocked.minOrder || 1)) {
+      return {
+        success: false,
+        error: 'Minimum order not met',
+        details: `Product ${name} requires minimum order of ${stocked.minOrder || 1} units`
+      };
+    }
+
+    const { unitPrice, listPrice } = resolveUnitPrice(product, variant, item.quantity, priceList);
+
+    resolvedItems.push({
+      productId: product._id,
+      variantId: variant?._id,
+      packagingSize: variant?.packagingSize,
+      name,
+      price: unitPrice,
+      listPrice,
+      currency: ORDER_CURRENCY,
+      quantity: item.quantity,
+      image: product.images?.main || product.images?.gallery?.[0],
+      sku: stocked.sku,
+      category: product.category,
+      specifications: product.specifications
+    });
+  }
+
+  return { success: true, items: resolvedItems };
+};
+
+// Find the shipping zone that covers a country (case-insensitive)
+const findShippingZone = (settings, country) => {
+  if (!country || !Array.isArray(settings.shippingZones)) return null;
+
+  const normalizedCountry = country.trim().toLowerCase();
+  return settings.shippingZones.find(zone =>
+    (zone.countries || []).some(c => c && c.trim().toLowerCase() === normalizedCountry)
+  ) || null;
+};
+
+// Shipping cost for the matched zone, honouring free-shipping thresholds
+const calculateShipping = (settings, zone, subtotal, method) => {
+  if (method === 'pickup') {
+    return { cost: 0, freeShippingApplied: false, freeShippingThreshold: null };
+  }
+
+  const baseCharge = zone ? zone.shippingCharge : settings.shippingCharge;
+  const threshold = zone && zone.freeShippingThreshold != null ? zone.freeShippingThreshold : null;
+  const freeShippingApplied = Boolean(settings.freeShippingEnabled && threshold != null && subtotal >= threshold);
+
+  return {
+    cost: freeShippingApplied ? 0 : roundAmount(baseCharge || 0),
+    freeShippingApplied,
+    freeShippingThreshold: settings.freeShippingEnabled ? threshold : null
+  };
+};
+
+// Store-wide discount: a percentage of the subtotal, skipped below the minimum and capped at the maximum
+const calculateDiscount = (settings, subtotal) => {
+  const discountSettings = settings.discountSettings || {};
+  if (!discountSettings.enabled || !discountSettings.defaultDiscountPercentage) {
+    return { amount: 0, percentage: 0 };
+  }
+
+  let amount = subtotal * (discountSettings.defaultDiscountPercentage / 100);
+
+  if (discountSettings.minimumDiscountAmount && amount < discountSettings.minimumDiscountAmount) {
+    return { amount: 0, percentage: 0 };
+  }
+
+  if (discountSettings.maximumDiscountAmount && amount > discountSettings.maximumDiscountAmount) {
+    amount = discountSettings.maximumDiscountAmount;
+  }
+
+  return {
+    amount: roundAmount(Math.min(amount, subtotal)),
+    percentage: discountSettings.defaultDiscountPercentage
+  };
+};
+
+// Tax is charged on the discounted subtotal
+const calculateTax = (settings, taxableAmount) => {
+  const taxSettings = settings.taxSettings || {};
+  if (!taxSettings.enabled || !taxSettings.percentage) {
+    return { amount: 0, percentage: 0 };
+  }
+
+  return {
+    amount: roundAmount(taxableAmount * (taxSettings.percentage / 100)),
+    percentage: taxSettings.percentage
+  };
+};
+
+const calculateSubtotal = (items) => roundAmount(items.reduce((sum, item) => sum + (item.price || 0) * item.quantity, 0));
+
+/**
+ * Price a set of resolved order items.
+ * @param {Array} items - line items with price and quantity (see resolveOrderItems)
+ * @param {Object} options - { country, shippingMethod, settings, coupon }
+ * @returns {Promise<Object>} { success, pricing } or { success: false, error, details, pricing }
+ */
+const calculatePricing = async (items, { country, shippingMethod = 'standard', settings, coupon } = {}) => {
+  const activeSettings = settings || await getSettings();
+
+  const subtotal = calculateSubtotal(items);
+  const zone = findShippingZone(activeSettings, country);
+  const shipping = calculateShipping(activeSettings, zone, subtotal, shippingMethod);
+  const storeDiscount = calculateDiscount(activeSettings, subtotal);
+
+  // Coupons stack on the store-wide discount but never take the subtotal below zero
+  let couponDiscount = 0;
+  let couponSummary = null;
+  if (coupon) {
+    const couponResult = calculateCouponDiscount(coupon, items, subtotal - storeDiscount.amount);
+    couponDiscount = roundAmount(couponResult.amount);
+
+    if (couponResult.freeShipping && shippingMethod !== 'pickup') {
+      shipping.cost = 0;
+      shipping.freeShippingApplied = true;
+    }
+
+    couponSummary = {
+      couponId: coupon._id,
+      code: coupon.code,
+      type: coupon.type,
+      discount: couponDiscount,
+      freeShipping: couponResult.freeShipping
+    };
+  }
+
+  const discount = roundAmount(storeDiscount.amount + couponDiscount);
+  const tax = calculateTax(activeSettings, subtotal - discount);
+  const totalAmount = roundAmount(subtotal - discount + shipping.cost + tax.amount);
+
+  const pricing = {
+    currency: ORDER_CURRENCY,
+    subtotal,
+    discount,
+    discountPercentage: storeDiscount.percentage,
+    storeDiscount: storeDiscount.amount,
+    couponDiscount,
+    coupon: couponSummary,
+    shipping: {
+      method: shippingMethod,
+      cost: shipping.cost,
+      zone: zone ? { id: zone.id, name: zone.name } : null,
+      freeShippingApplied: shipping.freeShippingApplied,
+      freeShippingThreshold: shipping.freeShippingThreshold
+    },
+    tax: tax.amount,
+    taxPercentage: tax.percentage,
+    totalAmount,
+    minimumOrderAmount: activeSettings.minimumOrderAmount || 0
+  };
+
+  if (activeSettings.minimumOrderAmount && subtotal < activeSettings.minimumOrderAmount) {
+    return {
+      success: false,
+      error: 'Minimum order not met',
+      details: `Order subtotal must be at least ${activeSettings.minimumOrderAmount} ${ORDER_CURRENCY}`,
+      pricing
+    };
+  }
+
+  return { success: true, pricing };
+};
+
+// Resolve cart items and price them in one step (used by checkout and quotes)
+// options.customerGroup picks the price list; options.couponCode is checked
+// against the cart and options.customerId before pricing
+const quoteOrder = async (cartItems, options = {}) => {
+  const priceList = await getPriceList(options.customerGroup);
+  const resolved = await resolveOrderItems(cartItems, { priceList });
+  if (!resolved.success) return resolved;
+
+  let coupon = null;
+  if (options.couponCode) {
+    const couponCheck = await findApplicableCoupon(options.couponCode, {
+      items: resolved.items,
+      subtotal: calculateSubtotal(resolved.items),
+      customerId: options.customerId
+    });
+    if (!couponCheck.success) {
+      return { ...couponCheck, couponRejected: true, items: resolved.items };
+    }
+    coupon = couponCheck.coupon;
+  }
+
+  const result = await calculatePricing(resolved.items, { ...options, coupon });
+  if (result.pricing) {
+    result.pricing.customerGroup = priceList?.customerGroup || null;
+  }
+  return { ...result, items: resolved.items, coupon };
+};
+
+module.exports = {
+  ORDER_CURRENCY,
+  roundAmount,
+  getSettings,
+  resolveOrderItems,
+  findShippingZone,
+  calculatePricing,
+  quoteOrder
+};
@@ -0,0 +1,434 @@
+// Product import and export
+// Imports read products from CSV or JSON rows, check each row with the same
+// rules as POST /api/products and create the product or update the one with
+// the same SKU. Exports write the same columns, so an exported file imports
+// back unchanged.
+
+const { validationResult } = require('express-validator');
+const Product = require('../models/Product');
+const { productValidators } = require('./productValidators');
+const { resolveProductCategory } = require('./categoryService');
+const { recordInitialStock, setStock } = require('./inventoryService');
+const { parseCsvRecords, unguardFormula } = require('./csv');
+
+const MAX_IMPORT_ROWS = 5000;
+
+// Separator for list columns (tags, keywords...) in CSV cells
+const LIST_SEPARATOR = '|';
+
+// Columns of an import or export file. `path` is where the value lives on the
+// product; `type` is how a CSV cell holds it: text as is, `list` as values
+// separated by |, `json` as a JSON document.
+const PRODUCT_COLUMNS = [
+  { column: 'sku', path: 'sku' },
+  { column: 'name', path: 'name' },
+  { column: 'slug', path: 'seo.slug' },
+  { column: 'description', path: 'description' },
+  { column: 'category', path: 'category' },
+  { column: 'packaging', path: 'packaging' },
+  { column: 'price', path: 'price' },
+  { column: 'stock', path: 'stock' },
+  { column: 'currency', path: 'currency' },
+  { column: 'minOrder', path: 'minOrder' },
+  { column: 'reorderPoint', path: 'reorderPoint' },
+  { column: 'reorderQuantity', path: 'reorderQuantity' },
+  { column: 'status', path: 'status' },
+  { column: 'barcode', path: 'barcode' },
+  { column: 'imageUrl', path: 'imageUrl' },
+  { column: 'tags', path: 'tags', type: 'list' },
+  { column: 'benefits', path: 'benefits', type: 'list' },
+  { column: 'applications', path: 'applications', type: 'list' },
+  { column: 'certifications', path: 'certifications', type: 'list' },
+  { column: 'metaTitle', path: 'seo.metaTitle' },
+  { column: 'metaDescription', path: 'seo.metaDescription' },
+  { column: 'keywords', path: 'seo.keywords', type: 'list' },
+  { column: 'specifications', path: 'specifications', type: 'json' },
+  { column: 'supplier', path: 'supplier', type: 'json' },
+  { column: 'shipping', path: 'shipping', type: 'json' },
+  { column: 'priceTiers', path: 'priceTiers', type: 'json' },
+  { column: 'variants', path: 'variants', type: 'json' }
+];
+
+// Variant fields carried in the variants column
+const VARIANT_FIELDS = ['sku', 'barcode', 'packagingSize', 'price', 'priceTiers', 'stock', 'minOrder'];
+
+// Row status once saved, by action
+const SAVED_STATUS = { create: 'created', update: 'updated' };
+
+// Columns whose value is handled separately when updating a product
+const MANAGED_COLUMNS = ['price', 'stock', 'variants'];
+
+const getPath = (source, path) => path.split('.').reduce((value, key) => value?.[key], source);
+
+const setPath = (target, path, value) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((obj, key) => {
+    if (!obj[key] || typeof obj[key] !== 'object') obj[key] = {};
+    return obj[key];
+  }, target);
+  parent[last] = value;
+};
+
+// Nothing worth writing: empty text, list or object
+const isBlank = (value) => value === undefined
+  || value === null
+  || value === ''
+  || (Array.isArray(value) && value.length === 0)
+  || (typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length === 0);
+
+const slugify = (name) => name
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/(^-|-$)/g, '');
+
+/**
+ * Turn an import row (CSV cells or a JSON object keyed by column) into product data.
+ * Blank cells are left out.
+ * @returns {Object} { data, errors }
+ */
+const rowToProductData = (row) => {
+  const data = {};
+  const errors = [];
+
+  PRODUCT_COLUMNS.forEach(({ column, path, type }) => {
+    let value = typeof row[column] === 'string' ? row[column].trim() : row[column];
+    if (isBlank(value)) return;
+
+    if (type === 'list' && typeof value === 'string') {
+      value = value.split(LIST_SEPARATOR).map(item => item.trim()).filter(Boolean);
+    } else if (type === 'json' && typeof value === 'string') {
+      try {
+        value = JSON.parse(value);
+      } catch (error) {
+        errors.push(`${column} must be valid JSON`);
+        return;
+      }
+    }
+
+    setPath(data, path, value);
+  });
+
+  return { data, errors };
+};
+
+// A product's value for an export column (undefined when blank)
+const exportValue = (product, { column, path }) => {
+  let value = getPath(product, path);
+
+  if (column === 'variants' && value) {
+    value = value.map(variant => VARIANT_FIELDS.reduce((fields, field) => {
+      if (!isBlank(variant[field])) fields[field] = variant[field];
+      return fields;
+    }, {}));
+  }
+
+  return isBlank(value) ? undefined : value;
+};
+
+/**
+ * A product as an export row keyed by column, blank values left out.
+ * @param {Object} product - lean Product
+ * @returns {Object} row
+ */
+const productToRow = (product) => PRODUCT_COLUMNS.reduce((row, column) => {
+  const value = exportValue(product, column);
+  if (value !== undefined) row[column.column] = value;
+  return row;
+}, {});
+
+// CSV cell for a column value
+const formatCell = (value, type) => {
+  if (isBlank(value)) return '';
+  if (type === 'list') return value.join(LIST_SEPARATOR);
+  if (type === 'json') return JSON.stringify(value);
+  return value;
+};
+
+// Columns of the CSV export (see lib/exportService), headed by the import column names
+const PRODUCT_EXPORT_COLUMNS = PRODUCT_COLUMNS.map(column => ({
+  key: column.column,
+  label: column.column,
+  value: product => formatCell(exportValue(product, column), column.type)
+}));
+
+/**
+ * Read the rows of an import file.
+ * @param {string|Array|Object} content - CSV text, JSON text, or parsed JSON (an array or { products })
+ * @param {string} format - 'csv' or 'json'
+ * @returns {Object} { success, rows, firstRow } where firstRow is the file row number
+ *   of the first data row, or { success: false, status, error, details }
+ */
+const parseProductFile = (content, format) => {
+  try {
+    if (format === 'csv') {
+      // Row 1 is the header; cells guarded against formulas on export are read back as written
+      const rows = parseCsvRecords(content).map(record => Object.fromEntries(
+        Object.entries(record).map(([column, value]) => [column, unguardFormula(value)])
+      ));
+      return { success: true, rows, firstRow: 2 };
+    }
+
+    const parsed = typeof content === 'string' ? JSON.parse(content) : content;
+    const rows = Array.isArray(parsed) ? parsed : parsed?.products;
+    if (!Array.isArray(rows)) {
+      return {
+        success: false,
+        status: 400,
+        error: 'Invalid file',
+        details: 'JSON imports must be an array of products or an object with a products array'
+      };
+    }
+    return { success: true, rows, firstRow: 1 };
+  } catch (error) {
+    return { success: false, status: 400, error: 'Invalid file', details: error.message };
+  }
+};
+
+// Run the product creation validators against one row
+const validateProductData = async (data) => {
+  const req = { body: data };
+  for (const validator of productValidators) {
+    await validator.run(req);
+  }
+
+  const errors = validationResult(req).array().map(error => (error.path ? `${error.path}: ${error.msg}` : error.msg));
+  return { data: req.body, errors };
+};
+
+// Whether another product already uses a SKU (as its own or a variant's)
+const skuTaken = (sku, exceptProductId) => Product.exists({
+  ...(exceptProductId && { _id: { $ne: exceptProductId } }),
+  $or: [{ sku }, { 'variants.sku': sku }]
+});
+
+// Whether another product already uses a value of a unique field
+const valueTaken = (path, value, exceptProductId) => Product.exists({
+  ...(exceptProductId && { _id: { $ne: exceptProductId } }),
+  [path]: value
+});
+
+// Apply an import row to an existing product (unsaved). Stock changes are
+// returned rather than applied, since they go through the inventory service.
+const applyRowToProduct = (product, data) => {
+  const errors = [];
+  const stockChanges = [];
+
+  PRODUCT_COLUMNS.forEach(({ column, path }) => {
+    if (MANAGED_COLUMNS.includes(column)) return;
+    const value = getPath(data, path);
+    if (value !== undefined) product.set(path, value);
+  });
+  product.categoryId = data.categoryId;
+
+  if (data.variants?.length) {
+    // Stock held before the first variant does not belong to any packaging size
+    if (product.variants.length === 0 && product.stock > 0) {
+      errors.push('Set the product stock to 0 before giving it variants, then give each variant its stock');
+      return { errors, stockChanges };
+    }
+
+    data.variants.forEach(({ stock, ...fields }) => {
+      const existing = product.variants.find(variant => variant.sku === fields.sku);
+      if (existing) {
+        VARIANT_FIELDS.forEach(field => {
+          if (field !== 'stock' && fields[field] !== undefined) existing[field] = fields[field];
+        });
+      } else {
+        // Added empty; its stock is set afterwards so it is in the ledger
+        product.variants.push({ ...fields, stock: 0 });
+      }
+
+      if (stock !== undefined) {
+        stockChanges.push({ sku: fields.sku, stock: parseInt(stock), added: !existing });
+      }
+    });
+  } else if (product.variants.length === 0) {
+    if (data.price !== undefined) product.price = data.price;
+    if (data.stock !== undefined) stockChanges.push({ stock: parseInt(data.stock) });
+  }
+
+  return { errors, stockChanges };
+};
+
+// Check one row and build the product it creates or updates, without saving
+const prepareRow = async (row, seenSkus) => {
+  if (!row || typeof row !== 'object' || Array.isArray(row)) {
+    return { errors: ['Row must be an object of column values'] };
+  }
+
+  const parsed = rowToProductData(row);
+  if (parsed.errors.length) return { sku: row.sku || null, errors: parsed.errors };
+
+  const { data, errors } = await validateProductData(parsed.data);
+  const rowSkus = [data.sku, ...(data.variants || []).map(variant => variant.sku)].filter(Boolean);
+  const prepared = { sku: data.sku || null, rowSkus, errors };
+  if (errors.length) return prepared;
+
+  // SKUs may appear once across the whole file
+  rowSkus.forEach(sku => {
+    if (seenSkus.has(sku)) {
+      errors.push(`SKU ${sku} is already used in row ${seenSkus.get(sku)} of the file`);
+    }
+  });
+  if (errors.length) return prepared;
+
+  // Match an existing product by SKU, or by slug for rows without one
+  const product = data.sku
+    ? await Product.findOne({ sku: data.sku })
+    : data.seo?.slug ? await Product.findOne({ 'seo.slug': data.seo.slug }) : null;
+  prepared.action = product ? 'update' : 'create';
+  prepared.productId = product?._id || null;
+
+  for (const sku of rowSkus) {
+    if (await skuTaken(sku, product?._id)) {
+      errors.push(`A product or variant with SKU ${sku} already exists`);
+    }
+  }
+  if (data.barcode && await valueTaken('barcode', data.barcode, product?._id)) {
+    errors.push(`A product with barcode ${data.barcode} already exists`);
+  }
+
+  // File the product under its Category (given by name or slug)
+  const categoryCheck = await resolveProductCategory(data);
+  if (!categoryCheck.success) {
+    errors.push(categoryCheck.details);
+  } else {
+    data.category = categoryCheck.category;
+    data.categoryId = categoryCheck.categoryId;
+  }
+
+  if (!product) {
+    data.seo = data.seo || {};
+    data.seo.slug = data.seo.slug || slugify(data.name);
+    data.status = data.status || 'active';
+    data.currency = data.currency || 'USD';
+    data.minOrder = data.minOrder || 1;
+  }
+  if (data.seo?.slug && await valueTaken('seo.slug', data.seo.slug, product?._id)) {
+    errors.push(`A product with slug ${data.seo.slug} already exists`);
+  }
+  if (errors.length) return prepared;
+
+  let document = product;
+  if (product) {
+    const applied = applyRowToProduct(product, data);
+    errors.push(...applied.errors);
+    prepared.stockChanges = applied.stockChanges;
+  } else {
+    document = new Product(data);
+  }
+
+  try {
+    await document.validate();
+  } catch (error) {
+    if (error.name !== 'ValidationError') throw error;
+    errors.push(...Object.values(error.errors).map(err => err.message));
+  }
+
+  prepared.document = document;
+  return prepared;
+};
+
+// Save a prepared row and set its stock through the inventory service
+const saveRow = async (prepared, actor) => {
+  const { document } = prepared;
+  await document.save();
+
+  if (prepared.action === 'create') {
+    await recordInitialStock(document, { actor, note: 'Product import' });
+    return;
+  }
+
+  for (const change of prepared.stockChanges) {
+    const variantId = change.sku ? document.variants.find(variant => variant.sku === change.sku)._id : undefined;
+    await setStock(document._id, change.stock, {
+      variantId,
+      actor,
+      reasonCode: change.added ? 'initial_stock' : 'stock_count',
+      note: 'Stock set from product import'
+    });
+  }
+};
+
+/**
+ * Create or update products from import rows. Every row is checked; rows
+ * with errors are skipped and reported, the rest are saved (unless dryRun).
+ * @param {Array<Object>} rows - rows keyed by column (see PRODUCT_COLUMNS)
+ * @param {Object} options - { dryRun, actor, firstRow } firstRow numbers the rows in the report
+ * @returns {Promise<Object>} { success, dryRun, summary, results } or { success: false, status, error, details }
+ */
+const importProducts = async (rows, { dryRun = false, actor, firstRow = 1 } = {}) => {
+  if (rows.length === 0) {
+    return { success: false, status: 400, error: 'Invalid file', details: 'The file has no products' };
+  }
+  if (rows.length > MAX_IMPORT_ROWS) {
+    return {
+      success: false,
+      status: 400,
+      error: 'Too many rows',
+      details: `Import at most ${MAX_IMPORT_ROWS} products at a time`
+    };
+  }
+
+  const seenSkus = new Map();
+  const results = [];
+
+  for (const [index, row] of rows.entries()) {
+    const rowNumber = firstRow + index;
+    const prepared = await prepareRow(row, seenSkus);
+    (prepared.rowSkus || []).forEach(sku => {
+      if (!seenSkus.has(sku)) seenSkus.set(sku, rowNumber);
+    });
+
+    if (!dryRun && prepared.errors.length === 0) {
+      try {
+        await saveRow(prepared, actor);
+      } catch (error) {
+        console.error(`Product import row ${rowNumber} error:`, error);
+        prepared.errors.push(error.code === 11000
+          ? 'A product with this SKU, barcode or slug already exists'
+          : 'Failed to save product');
+      }
+    }
+
+    results.push({
+      row: rowNumber,
+      sku: prepared.sku || null,
+      action: prepared.action || null,
+      productId: prepared.document?._id || null,
+      status: prepared.errors.length ? 'failed' : (dryRun ? 'valid' : SAVED_STATUS[prepared.action]),
+      errors: prepared.errors
+    });
+  }
+
+  const count = (status) => results.filter(result => result.status === status).length;
+  return {
+    success: true,
+    dryRun,
+    summary: {
+      total: results.length,
+      valid: dryRun ? count('valid') : undefined,
+      created: count('created'),
+      updated: count('updated'),
+      failed: count('failed')
+    },
+    results
+  };
+};
+
+/**
+ * Query for the products to export, in a stable order.
+ * @param {Object} filter - Product filter
+ */
+const findProductsForExport = (filter = {}) => Product.find(filter).sort({ createdAt: 1, _id: 1 }).lean();
+
+module.exports = {
+  PRODUCT_COLUMNS,
+  PRODUCT_EXPORT_COLUMNS,
+  MAX_IMPORT_ROWS,
+  parseProductFile,
+  importProducts,
+  findProductsForExport,
+  productToRow
+};
@@ -0,0 +1,59 @@
+// Product maintenance
+// Clean-up jobs for product data that admins start from /api/admin/jobs
+// (fix-product-images.js runs the same fix from the command line).
+
+const Product = require('../models/Product');
+const { defineJob } = require('./jobQueue');
+
+// Images uploaded from a development machine point at localhost and never load
+const LOCALHOST_IMAGES = {
+  $or: [
+    { imageUrl: { $regex: /localhost/ } },
+    { 'images.main': { $regex: /localhost/ } },
+    { 'images.gallery': { $regex: /localhost/ } }
+  ]
+};
+
+/**
+ * Clear product image URLs that point at localhost.
+ * @returns {Promise<Object>} { fixed, remaining }
+ */
+const clearLocalhostImageUrls = async () => {
+  const products = await Product.find(LOCALHOST_IMAGES);
+  console.log(`📊 Found ${products.length} products with localhost image URLs`);
+
+  let fixed = 0;
+  for (const product of products) {
+    if (product.imageUrl && product.imageUrl.includes('localhost')) {
+      product.imageUrl = null;
+    }
+    if (product.images?.main && product.images.main.includes('localhost')) {
+      product.images.main = null;
+    }
+    if (product.images?.gallery) {
+      product.images.gallery = product.images.gallery.filter(url => !url.includes('localhost'));
+    }
+
+    try {
+      await product.save();
+      fixed += 1;
+      console.log(`  ✅ Updated product: ${product.name} (${product._id})`);
+    } catch (error) {
+      console.error(`  ❌ Could not update product ${product._id}:`, error.message);
+    }
+  }
+
+  const remaining = await Product.countDocuments(LOCALHOST_IMAGES);
+  return { fixed, remaining };
+};
+
+defineJob('fix-product-images', clearLocalhostImageUrls, {
+  maxAttempts: 2,
+  lockSeconds: 300,
+  manual: true,
+  description: 'Clear product image URLs that point at localhost'
+});
+
+module.exports = {
+  clearLocalhostImageUrls
+};
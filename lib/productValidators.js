@@ -0,0 +1,134 @@
+// Product validators
+// express-validator rules for product data, shared by the product routes and
+// the bulk import (lib/productImportService) so both accept the same rows.
+
+const { body } = require('express-validator');
+
+// Validators for quantity-break price tiers under `prefix`
+const priceTierValidators = (prefix) => [
+  body(`${prefix}priceTiers`)
+    .optional()
+    .isArray()
+    .withMessage('Price tiers must be an array'),
+  body(`${prefix}priceTiers.*.minQuantity`)
+    .isInt({ min: 1 })
+    .withMessage('Tier minimum quantity must be a positive integer'),
+  body(`${prefix}priceTiers.*.price`)
+    .isFloat({ min: 0 })
+    .withMessage('Tier price must be a positive number')
+];
+
+// Validators for a packaging variant. `prefix` is 'variants.*.' for variants
+// sent with a new product and '' for the variant endpoints; `optional` makes
+// every field optional (for updates).
+const variantValidators = (prefix, { optional = false } = {}) => {
+  const field = (name) => (optional ? body(`${prefix}${name}`).optional() : body(`${prefix}${name}`));
+  return [
+    field('sku')
+      .trim()
+      .isLength({ min: 3, max: 50 })
+      .withMessage('Variant SKU must be between 3 and 50 characters'),
+    body(`${prefix}barcode`)
+      .optional()
+      .trim()
+      .isLength({ min: 8, max: 20 })
+      .withMessage('Barcode must be between 8 and 20 characters'),
+    field('packagingSize')
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Packaging size must be between 1 and 100 characters'),
+    field('price')
+      .isFloat({ min: 0 })
+      .withMessage('Price must be a positive number'),
+    body(`${prefix}stock`)
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('Stock must be a non-negative integer'),
+    body(`${prefix}minOrder`)
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Min order must be a positive integer'),
+    ...priceTierValidators(prefix)
+  ];
+};
+
+// Validators for a new product (POST /api/products and each imported row)
+const productValidators = [
+  body('name')
+    .trim()
+    .isLength({ min: 2, max: 200 })
+    .withMessage('Name must be between 2 and 200 characters'),
+  body('description')
+    .trim()
+    .isLength({ min: 10, max: 2000 })
+    .withMessage('Description must be between 10 and 2000 characters'),
+  // Price and stock come from the variants when the product has them
+  body('price')
+    .if((value, { req }) => !req.body.variants?.length)
+    .isFloat({ min: 0 })
+    .withMessage('Price must be a positive number'),
+  body('stock')
+    .if((value, { req }) => !req.body.variants?.length)
+    .isInt({ min: 0 })
+    .withMessage('Stock must be a non-negative integer'),
+  // A Category ID, or a category name or slug
+  body('category')
+    .if((value, { req }) => !req.body.categoryId)
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Category must be between 2 and 100 characters'),
+  body('categoryId')
+    .optional()
+    .isMongoId()
+    .withMessage('Category ID must be a valid ID'),
+  body('packaging')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Packaging must be between 2 and 100 characters'),
+  body('currency')
+    .optional()
+    .isLength({ min: 3, max: 3 })
+    .withMessage('Currency must be exactly 3 characters'),
+  body('minOrder')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Min order must be a positive integer'),
+  body('reorderPoint')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Reorder point must be a non-negative integer'),
+  body('reorderQuantity')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Reorder quantity must be a non-negative integer'),
+  body('imageUrl')
+    .optional()
+    .isString()
+    .withMessage('Image URL must be a string'),
+  body('sku')
+    .optional()
+    .trim()
+    .isLength({ min: 3, max: 50 })
+    .withMessage('SKU must be between 3 and 50 characters'),
+  body('barcode')
+    .optional()
+    .trim()
+    .isLength({ min: 8, max: 20 })
+    .withMessage('Barcode must be between 8 and 20 characters'),
+  body('status')
+    .optional()
+    .isIn(['active', 'inactive', 'out_of_stock', 'discontinued'])
+    .withMessage('Invalid status value'),
+  ...priceTierValidators(''),
+  body('variants')
+    .optional()
+    .isArray()
+    .withMessage('Variants must be an array'),
+  ...variantValidators('variants.*.')
+];
+
+module.exports = {
+  priceTierValidators,
+  variantValidators,
+  productValidators
+};
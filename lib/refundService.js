@@ -0,0 +1,248 @@
+// Refund service
+// Partial and full refunds per line item and shipping, recorded in Order.refunds.
+// Line items are refunded at what the customer actually paid for them: the
+// order-level discount and tax are spread over the items in proportion to price.
+
+const Order = require('../models/Order');
+const { roundAmount } = require('./pricingService');
+const { restoreOrderStock } = require('./inventoryService');
+const { hasGatewayPayment, issueGatewayRefund } = require('./paymentService');
+const { notifyOrderEvent } = require('./orderNotifications');
+
+// A refund lock older than this is treated as abandoned (e.g. the process died mid-refund)
+const REFUND_LOCK_TTL_MS = 2 * 60 * 1000;
+
+const refundError = (status, error, details) => ({ success: false, status, error, details });
+
+// Share of each subtotal unit the customer paid once discount and tax are applied
+const getItemPriceFactor = (order) => {
+  if (!order.subtotal) return 0;
+  return (order.subtotal - (order.discount || 0) + (order.tax || 0)) / order.subtotal;
+};
+
+/**
+ * What has been refunded so far and what is still refundable, per line and for shipping.
+ * @param {Object} order - Order document
+ * @returns {Object} { items, shipping, total }
+ */
+const getRefundSummary = (order) => {
+  const factor = getItemPriceFactor(order);
+  const refunds = order.refunds || [];
+
+  const items = order.items.map(item => {
+    const lines = refunds.flatMap(refund => refund.items.filter(line => line.itemId.toString() === item._id.toString()));
+    const refundedQuantity = lines.reduce((sum, line) => sum + line.quantity, 0);
+    const refundedAmount = roundAmount(lines.reduce((sum, line) => sum + line.amount, 0));
+    const paidAmount = roundAmount(item.price * item.quantity * factor);
+
+    return {
+      itemId: item._id,
+      productId: item.productId,
+      name: item.name,
+      quantity: item.quantity,
+      unitAmount: roundAmount(item.price * factor),
+      paidAmount,
+      refundedQuantity,
+      refundedAmount,
+      refundableQuantity: Math.max(0, item.quantity - refundedQuantity),
+      refundableAmount: Math.max(0, roundAmount(paidAmount - refundedAmount))
+    };
+  });
+
+  const shippingPaid = order.shipping?.cost || 0;
+  const shippingRefunded = roundAmount(refunds.reduce((sum, refund) => sum + (refund.shippingAmount || 0), 0));
+
+  const paid = order.payment?.amount || order.totalAmount;
+  const refunded = roundAmount(refunds.reduce((sum, refund) => sum + refund.amount, 0));
+
+  return {
+    items,
+    shipping: {
+      paidAmount: shippingPaid,
+      refundedAmount: shippingRefunded,
+      refundableAmount: Math.max(0, roundAmount(shippingPaid - shippingRefunded))
+    },
+    total: {
+      paidAmount: paid,
+      refundedAmount: refunded,
+      refundableAmount: Math.max(0, roundAmount(paid - refunded))
+    }
+  };
+};
+
+// Work out the ledger lines for a refund request, checking them against what is left
+const buildRefundLines = (order, summary, requestedItems = []) => {
+  const lines = [];
+
+  for (const requested of requestedItems) {
+    const line = summary.items.find(item => item.itemId.toString() === String(requested.itemId));
+    if (!line) {
+      return refundError(400, 'Invalid item', `Order has no line item ${requested.itemId}`);
+    }
+
+    const quantity = requested.quantity || 0;
+    if (quantity > line.refundableQuantity) {
+      return refundError(400, 'Quantity not refundable', `Only ${line.refundableQuantity} of ${line.name} can still be refunded`);
+    }
+
+    // The last units of a line take whatever is left so rounding never strands a few paisa
+    const defaultAmount = quantity === line.refundableQuantity
+      ? line.refundableAmount
+      : roundAmount(line.unitAmount * quantity);
+    const amount = requested.amount != null ? roundAmount(requested.amount) : defaultAmount;
+
+    if (amount > line.refundableAmount) {
+      return refundError(400, 'Amount not refundable', `At most ${line.refundableAmount} can still be refunded for ${line.name}`);
+    }
+
+    if (quantity === 0 && amount === 0) {
+      return refundError(400, 'Empty refund line', `Refund for ${line.name} needs a quantity or an amount`);
+    }
+
+    lines.push({
+      itemId: line.itemId,
+      productId: line.productId,
+      name: line.name,
+      quantity,
+      amount
+    });
+  }
+
+  return { success: true, lines };
+};
+
+const lockOrder = (orderId) => Order.findOneAndUpdate(
+  {
+    _id: orderId,
+    $or: [
+      { refundLockedAt: null },
+      { refundLockedAt: { $lt: new Date(Date.now() - REFUND_LOCK_TTL_MS) } }
+    ]
+  },
+  { $set: { refundLockedAt: new Date() } },
+  { new: true }
+);
+
+const unlockOrder = (orderId) => Order.updateOne({ _id: orderId }, { $unset: { refundLockedAt: 1 } });
+
+/**
+ * Refund line items and/or shipping on a paid order.
+ * Gateway payments are refunded through their provider; other methods are
+ * recorded as manual refunds. A gateway refund is saved as pending before the
+ * gateway is called, so a failure after the gateway has paid out still leaves
+ * it in the ledger and it cannot be refunded again. paymentStatus only becomes
+ * 'refunded' once the whole amount paid has been refunded.
+ * @param {string} orderId - order to refund
+ * @param {Object} request - { items: [{ itemId, quantity, amount }], shippingAmount, reason, restock, adminId }
+ * @returns {Promise<Object>} { success, order, refund, summary } or { success: false, status, error, details }
+ */
+const createRefund = async (orderId, { items = [], shippingAmount = 0, reason, restock = false, adminId } = {}) => {
+  const order = await lockOrder(orderId);
+  if (!order) {
+    const exists = await Order.exists({ _id: orderId });
+    return exists
+      ? refundError(409, 'Refund in progress', 'Another refund is being processed for this order. Please try again.')
+      : refundError(404, 'Order not found', 'Order does not exist');
+  }
+
+  let saved = false;
+  try {
+    if (!['completed', 'refunded'].includes(order.paymentStatus)) {
+      return refundError(409, 'Order not paid', `Orders with payment status ${order.paymentStatus} cannot be refunded`);
+    }
+
+    const summary = getRefundSummary(order);
+    const built = buildRefundLines(order, summary, items);
+    if (!built.success) return built;
+
+    const shipping = roundAmount(shippingAmount || 0);
+    if (shipping > summary.shipping.refundableAmount) {
+      return refundError(400, 'Amount not refundable', `At most ${summary.shipping.refundableAmount} of shipping can still be refunded`);
+    }
+
+    const amount = roundAmount(built.lines.reduce((sum, line) => sum + line.amount, 0) + shipping);
+    if (amount <= 0) {
+      return refundError(400, 'Empty refund', 'Select line items or shipping to refund');
+    }
+    if (amount > summary.total.refundableAmount) {
+      return refundError(400, 'Amount not refundable', `At most ${summary.total.refundableAmount} can still be refunded on this order`);
+    }
+
+    const method = hasGatewayPayment(order) ? 'gateway' : 'manual';
+    order.refunds.push({
+      items: built.lines,
+      shippingAmount: shipping,
+      amount,
+      reason,
+      restocked: Boolean(restock),
+      method,
+      status: method === 'gateway' ? 'pending' : 'completed',
+      createdBy: adminId
+    });
+    const refund = order.refunds[order.refunds.length - 1];
+
+    if (refund.method === 'gateway') {
+      await order.save();
+
+      let gateway;
+      try {
+        gateway = await issueGatewayRefund(order, { amount, reason, idempotencyKey: refund._id.toString() });
+      } finally {
+        // Nothing was paid out, so take the pending entry back off the ledger
+        if (!gateway?.success) {
+          await Order.updateOne({ _id: order._id }, { $pull: { refunds: { _id: refund._id } } });
+        }
+      }
+      if (!gateway.success) return gateway;
+
+      refund.status = 'completed';
+      refund.gatewayRefundId = gateway.refund.id;
+    }
+
+    order.payment.refundedAmount = roundAmount((order.payment.refundedAmount || 0) + amount);
+    if (reason) {
+      order.payment.refundReason = reason;
+    }
+
+    const fullyRefunded = amount >= summary.total.refundableAmount;
+    if (fullyRefunded) {
+      order.transitionStatus('paymentStatus', 'refunded', {
+        actor: { userId: adminId, role: adminId ? 'admin' : 'system' },
+        reason: reason || 'Order fully refunded'
+      });
+    }
+
+    order.refundLockedAt = undefined;
+    await order.save();
+    saved = true;
+
+    if (restock) {
+      await restoreOrderStock(order, {
+        lines: built.lines,
+        reasonCode: 'refund_restock',
+        actor: { userId: adminId, role: adminId ? 'admin' : 'system' },
+        reference: { type: 'refund', id: refund._id }
+      });
+    }
+
+    if (fullyRefunded) {
+      notifyOrderEvent(order, 'payment', 'refunded');
+    }
+
+    return {
+      success: true,
+      order,
+      refund,
+      summary: getRefundSummary(order)
+    };
+  } finally {
+    if (!saved) {
+      await unlockOrder(order._id);
+    }
+  }
+};
+
+module.exports = {
+  getRefundSummary,
+  createRefund
+};
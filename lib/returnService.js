@@ -0,0 +1,240 @@
+// Return (RMA) service
+// Customers request returns within the configured window after delivery; admins
+// approve or reject them and, once the goods arrive, receive them, which puts
+// the units back in stock and refunds them through the refund ledger.
+
+const Order = require('../models/Order');
+const ReturnRequest = require('../models/ReturnRequest');
+const { getSettings } = require('./pricingService');
+const { restoreOrderStock } = require('./inventoryService');
+const { createRefund } = require('./refundService');
+const { notifyOrderEvent } = require('./orderNotifications');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const returnError = (status, error, details) => ({ success: false, status, error, details });
+
+const getReturnSettings = async () => {
+  const settings = await getSettings();
+  const returnSettings = settings.returnSettings || {};
+  return {
+    enabled: returnSettings.enabled !== false,
+    windowDays: returnSettings.windowDays ?? 14,
+    maxPhotos: returnSettings.maxPhotos ?? 5
+  };
+};
+
+// Last moment a return can be requested for a delivered order
+const getReturnDeadline = (order, windowDays) => (
+  order.actualDelivery ? new Date(order.actualDelivery.getTime() + windowDays * DAY_MS) : null
+);
+
+// Units of each order line already covered by returns that were not rejected
+const getReturnedQuantities = async (orderId) => {
+  const returns = await ReturnRequest.find({ orderId, status: { $ne: 'rejected' } }).select('items');
+  const quantities = {};
+  returns.forEach(returnRequest => {
+    returnRequest.items.forEach(item => {
+      const key = item.itemId.toString();
+      quantities[key] = (quantities[key] || 0) + item.quantity;
+    });
+  });
+  return quantities;
+};
+
+/**
+ * Open a return request for a delivered order.
+ * @param {Object} order - Order document (already checked to belong to the customer)
+ * @param {Object} request - { items: [{ itemId, quantity }], reason, comment, photos, customerId }
+ * @returns {Promise<Object>} { success, returnRequest } or { success: false, status, error, details }
+ */
+const createReturnRequest = async (order, { items = [], reason, comment, photos = [], customerId }) => {
+  const settings = await getReturnSettings();
+  if (!settings.enabled) {
+    return returnError(403, 'Returns disabled', 'Returns are not being accepted at the moment');
+  }
+
+  if (order.orderStatus !== 'delivered') {
+    return returnError(409, 'Order not returnable', `Orders that are ${order.orderStatus} cannot be returned`);
+  }
+
+  const deadline = getReturnDeadline(order, settings.windowDays);
+  if (!deadline || Date.now() > deadline.getTime()) {
+    return returnError(409, 'Return window closed', `Returns must be requested within ${settings.windowDays} days of delivery`);
+  }
+
+  if (photos.length > settings.maxPhotos) {
+    return returnError(400, 'Too many photos', `At most ${settings.maxPhotos} photos can be attached to a return`);
+  }
+
+  const returned = await getReturnedQuantities(order._id);
+  const lines = [];
+  for (const requested of items) {
+    const item = order.items.find(line => line._id.toString() === String(requested.itemId));
+    if (!item) {
+      return returnError(400, 'Invalid item', `Order has no line item ${requested.itemId}`);
+    }
+    if (lines.some(line => line.itemId.toString() === item._id.toString())) {
+      return returnError(400, 'Duplicate item', `${item.name} is listed more than once`);
+    }
+
+    const returnable = item.quantity - (returned[item._id.toString()] || 0);
+    if (requested.quantity > returnable) {
+      return returnError(400, 'Quantity not returnable', `Only ${Math.max(returnable, 0)} of ${item.name} can still be returned`);
+    }
+
+    lines.push({
+      itemId: item._id,
+      productId: item.productId,
+      name: item.name,
+      quantity: requested.quantity
+    });
+  }
+
+  try {
+    const returnRequest = await ReturnRequest.create({
+      orderId: order._id,
+      orderNumber: order.orderNumber,
+      customerId,
+      openOrderId: order._id,
+      items: lines,
+      reason,
+      comment,
+      photos,
+      history: [{ status: 'requested', actor: { userId: customerId, role: 'customer' } }]
+    });
+
+    notifyOrderEvent(order, 'return', 'requested', returnRequest);
+    return { success: true, returnRequest, deadline };
+  } catch (error) {
+    if (error.code === 11000) {
+      return returnError(409, 'Return already open', 'This order already has a return in progress');
+    }
+    throw error;
+  }
+};
+
+// Move a return between statuses only if it is still in the expected one
+const moveReturn = async (returnId, from, to, { adminId, note, set = {}, closes = false }) => {
+  const update = {
+    $set: { status: to, ...set },
+    $push: { history: { status: to, actor: { userId: adminId, role: 'admin' }, note } }
+  };
+  if (closes) {
+    update.$unset = { openOrderId: 1 };
+  }
+
+  const returnRequest = await ReturnRequest.findOneAndUpdate({ _id: returnId, status: from }, update, { new: true });
+  if (returnRequest) return { success: true, returnRequest };
+
+  const current = await ReturnRequest.findById(returnId).select('status');
+  return current
+    ? returnError(409, 'Invalid return status', `Return is ${current.status}; only ${from} returns can be ${to}`)
+    : returnError(404, 'Return not found', 'Return request does not exist');
+};
+
+const notifyReturn = async (returnRequest, status) => {
+  const order = await Order.findById(returnRequest.orderId);
+  if (order) {
+    notifyOrderEvent(order, 'return', status, returnRequest);
+  }
+};
+
+const approveReturn = async (returnId, { adminId, note } = {}) => {
+  const result = await moveReturn(returnId, 'requested', 'approved', { adminId, note });
+  if (result.success) await notifyReturn(result.returnRequest, 'approved');
+  return result;
+};
+
+const rejectReturn = async (returnId, { adminId, note } = {}) => {
+  const result = await moveReturn(returnId, 'requested', 'rejected', { adminId, note, closes: true });
+  if (result.success) await notifyReturn(result.returnRequest, 'rejected');
+  return result;
+};
+
+// Mark the order returned once every unit on it has come back
+const markOrderReturned = async (orderId, returnRequest, adminId) => {
+  const order = await Order.findById(orderId);
+  if (!order || order.orderStatus !== 'delivered') return order;
+
+  const received = await ReturnRequest.find({ orderId, status: 'received' }).select('items');
+  const quantities = {};
+  received.forEach(entry => entry.items.forEach(item => {
+    const key = item.itemId.toString();
+    quantities[key] = (quantities[key] || 0) + item.quantity;
+  }));
+
+  const fullyReturned = order.items.every(item => (quantities[item._id.toString()] || 0) >= item.quantity);
+  if (fullyReturned) {
+    order.returnReason = returnRequest.reason;
+    await order.updateStatus('returned', adminId, `Return ${returnRequest.rmaNumber} received`);
+  }
+  return order;
+};
+
+/**
+ * Receive the goods for an approved return: restock them (unless they cannot be
+ * resold) and refund the returned lines. A refund that cannot be issued (e.g. the
+ * order was never paid) is recorded on the return for the admin to follow up.
+ * @param {string} returnId - return request ID
+ * @param {Object} options - { adminId, note, restock }
+ * @returns {Promise<Object>} { success, returnRequest, refund } or { success: false, status, error, details }
+ */
+const receiveReturn = async (returnId, { adminId, note, restock = true } = {}) => {
+  const moved = await moveReturn(returnId, 'approved', 'received', {
+    adminId,
+    note,
+    closes: true,
+    set: { receivedAt: new Date(), restocked: Boolean(restock) }
+  });
+  if (!moved.success) return moved;
+
+  const returnRequest = moved.returnRequest;
+
+  if (restock) {
+    const order = await Order.findById(returnRequest.orderId);
+    if (order) {
+      await restoreOrderStock(order, {
+        lines: returnRequest.items,
+        reasonCode: 'return_received',
+        actor: { userId: adminId, role: 'admin' },
+        reference: { type: 'return', id: returnRequest._id }
+      });
+    }
+  }
+
+  let refund;
+  try {
+    refund = await createRefund(returnRequest.orderId, {
+      items: returnRequest.items.map(item => ({ itemId: item.itemId, quantity: item.quantity })),
+      reason: `Return ${returnRequest.rmaNumber}`,
+      restock: false,
+      adminId
+    });
+  } catch (error) {
+    // Gateway failures must not undo the receipt; the refund can be retried from the order
+    console.error(`❌ Refund for return ${returnRequest.rmaNumber} failed:`, error.message);
+    refund = { success: false, status: 502, error: 'Refund Failed', details: error.message };
+  }
+
+  returnRequest.refund = refund.success
+    ? { refundId: refund.refund._id, amount: refund.refund.amount }
+    : { error: refund.details || refund.error };
+  await returnRequest.save();
+
+  const order = await markOrderReturned(returnRequest.orderId, returnRequest, adminId);
+  if (order) {
+    notifyOrderEvent(order, 'return', 'received', returnRequest);
+  }
+
+  return { success: true, returnRequest, refund };
+};
+
+module.exports = {
+  getReturnSettings,
+  getReturnDeadline,
+  createReturnRequest,
+  approveReturn,
+  rejectReturn,
+  receiveReturn
+};
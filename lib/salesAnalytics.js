@@ -0,0 +1,318 @@
+// Sales analytics
+// Aggregation pipelines behind the admin dashboard: revenue, orders, average
+// order value and new versus returning customers for a date range, in day,
+// week or month buckets and compared with the period just before it.
+// Only paid orders are sales: payment completed and not cancelled. Revenue is
+// net of partial refunds (a fully refunded order is no longer paid).
+
+const Order = require('../models/Order');
+const User = require('../models/User');
+const Product = require('../models/Product');
+
+const PAID_ORDER_MATCH = { paymentStatus: 'completed', orderStatus: { $ne: 'cancelled' } };
+const INTERVALS = ['day', 'week', 'month'];
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_BUCKETS = 400;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// What a paid order brought in once partial refunds are taken off
+const NET_REVENUE = { $subtract: ['$totalAmount', { $sum: '$refunds.amount' }] };
+
+const roundMoney = (value) => Math.round((value + Number.EPSILON) * 100) / 100;
+
+// Calendar dates are 'YYYY-MM-DD' keys; arithmetic on them is done in UTC
+const toDateKey = (date) => date.toISOString().slice(0, 10);
+const parseDateKey = (key) => new Date(`${key}T00:00:00Z`);
+const addDays = (key, days) => toDateKey(new Date(parseDateKey(key).getTime() + days * DAY_MS));
+const daysBetween = (fromKey, toKey) => Math.round((parseDateKey(toKey) - parseDateKey(fromKey)) / DAY_MS);
+const isDateKey = (key) => /^\d{4}-\d{2}-\d{2}$/.test(key) && !isNaN(parseDateKey(key)) && toDateKey(parseDateKey(key)) === key;
+
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Calendar date of an instant in a time zone
+const localDateKey = (date, timeZone) => new Intl.DateTimeFormat('en-CA', {
+  timeZone,
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit'
+}).format(date);
+
+// How far a time zone's wall clock is ahead of UTC at an instant, in ms
+const zoneOffset = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  }).formatToParts(date);
+  const part = (type) => Number(parts.find(p => p.type === type).value);
+  const wallClock = Date.UTC(part('year'), part('month') - 1, part('day'), part('hour'), part('minute'), part('second'));
+  return wallClock - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+// Instant a calendar date starts in a time zone
+const startOfDay = (key, timeZone) => {
+  const midnightUtc = parseDateKey(key).getTime();
+  const guess = midnightUtc - zoneOffset(new Date(midnightUtc), timeZone);
+  return new Date(midnightUtc - zoneOffset(new Date(guess), timeZone));
+};
+
+// First day of the bucket a date falls in (weeks start on Monday)
+const bucketStart = (key, interval) => {
+  if (interval === 'month') return `${key.slice(0, 7)}-01`;
+  if (interval === 'week') return addDays(key, -((parseDateKey(key).getUTCDay() + 6) % 7));
+  return key;
+};
+
+const nextBucket = (key, interval) => {
+  if (interval === 'week') return addDays(key, 7);
+  if (interval === 'month') {
+    const date = parseDateKey(key);
+    date.setUTCMonth(date.getUTCMonth() + 1);
+    return toDateKey(date);
+  }
+  return addDays(key, 1);
+};
+
+// Bucket key of a date field, matching bucketStart in the range's time zone
+const bucketExpression = (field, { interval, timeZone }) => ({
+  $dateToString: {
+    format: '%Y-%m-%d',
+    timezone: timeZone,
+    date: {
+      $dateTrunc: {
+        date: field,
+        unit: interval,
+        timezone: timeZone,
+        ...(interval === 'week' && { startOfWeek: 'monday' })
+      }
+    }
+  }
+});
+
+/**
+ * Work out the date range to report on and the period before it.
+ * @param {Object} options - { from, to } calendar dates (YYYY-MM-DD, both included;
+ *   default the last 30 days), interval ('day', 'week' or 'month'; picked from the
+ *   range length when not given), timeZone (IANA name, default UTC)
+ * @returns {Object} { success, range, previous } where each has from, to, start and
+ *   end (end exclusive) and range also has days, interval, timeZone and bucket keys;
+ *   or { success: false, status, error, details }
+ */
+const resolveDateRange = ({ from, to, interval, timeZone = 'UTC' } = {}) => {
+  const invalid = (error, details) => ({ success: false, status: 400, error, details });
+
+  if (!isValidTimeZone(timeZone)) return invalid('Invalid time zone', `Unknown time zone ${timeZone}`);
+  if (interval && !INTERVALS.includes(interval)) return invalid('Invalid interval', 'Interval must be day, week or month');
+  if ((from && !isDateKey(from)) || (to && !isDateKey(to))) {
+    return invalid('Invalid date range', 'Dates must be calendar dates in YYYY-MM-DD format');
+  }
+
+  const toKey = to || localDateKey(new Date(), timeZone);
+  const fromKey = from || addDays(toKey, -(DEFAULT_RANGE_DAYS - 1));
+  if (fromKey > toKey) return invalid('Invalid date range', 'from must not be after to');
+
+  const days = daysBetween(fromKey, toKey) + 1;
+  const bucketInterval = interval || (days <= 31 ? 'day' : days <= 182 ? 'week' : 'month');
+
+  const buckets = [];
+  for (let key = bucketStart(fromKey, bucketInterval); key <= toKey; key = nextBucket(key, bucketInterval)) {
+    buckets.push(key);
+    if (buckets.length > MAX_BUCKETS) {
+      return invalid('Invalid interval', `The range would have more than ${MAX_BUCKETS} ${bucketInterval} buckets; pick a longer interval or a shorter range`);
+    }
+  }
+
+  const previousFrom = addDays(fromKey, -days);
+  return {
+    success: true,
+    range: {
+      from: fromKey,
+      to: toKey,
+      days,
+      interval: bucketInterval,
+      timeZone,
+      start: startOfDay(fromKey, timeZone),
+      end: startOfDay(addDays(toKey, 1), timeZone),
+      buckets
+    },
+    previous: {
+      from: previousFrom,
+      to: addDays(fromKey, -1),
+      start: startOfDay(previousFrom, timeZone),
+      end: startOfDay(fromKey, timeZone)
+    }
+  };
+};
+
+// Percentage change from the previous period (null when there is nothing to compare with)
+const percentChange = (current, previous) => {
+  if (!previous) return current ? null : 0;
+  return Math.round(((current - previous) / previous) * 1000) / 10;
+};
+
+const compare = (current, previous) => ({ current, previous, change: percentChange(current, previous) });
+
+// Revenue, orders and customers for the range and the previous period
+const salesTotals = async (range, previous) => {
+  const rows = await Order.aggregate([
+    { $match: { ...PAID_ORDER_MATCH, createdAt: { $gte: previous.start, $lt: range.end } } },
+    {
+      $group: {
+        _id: { $cond: [{ $gte: ['$createdAt', range.start] }, 'current', 'previous'] },
+        revenue: { $sum: NET_REVENUE },
+        orders: { $sum: 1 },
+        customers: { $addToSet: '$customerId' }
+      }
+    },
+    { $project: { revenue: 1, orders: 1, customers: { $size: '$customers' } } }
+  ]);
+
+  const totals = (period) => {
+    const row = rows.find(r => r._id === period) || { revenue: 0, orders: 0, customers: 0 };
+    return {
+      revenue: roundMoney(row.revenue),
+      orders: row.orders,
+      averageOrderValue: row.orders ? roundMoney(row.revenue / row.orders) : 0,
+      customers: row.customers
+    };
+  };
+
+  return { current: totals('current'), previous: totals('previous') };
+};
+
+// Customers who bought in the range or the previous period, split into new
+// (first paid order in that period) and returning, plus new customers per bucket
+const customerActivity = async (range, previous) => {
+  const inPeriod = (period) => ({ $and: [{ $gte: ['$createdAt', period.start] }, { $lt: ['$createdAt', period.end] }] });
+  const countWhere = (condition) => ({ $sum: { $cond: [condition, 1, 0] } });
+
+  const [result] = await Order.aggregate([
+    { $match: { ...PAID_ORDER_MATCH, createdAt: { $lt: range.end } } },
+    {
+      $group: {
+        _id: '$customerId',
+        firstOrderAt: { $min: '$createdAt' },
+        current: countWhere(inPeriod(range)),
+        previous: countWhere(inPeriod(previous))
+      }
+    },
+    { $match: { $or: [{ current: { $gt: 0 } }, { previous: { $gt: 0 } }] } },
+    {
+      $facet: {
+        totals: [{
+          $group: {
+            _id: null,
+            newCurrent: countWhere({ $and: [{ $gt: ['$current', 0] }, { $gte: ['$firstOrderAt', range.start] }] }),
+            returningCurrent: countWhere({ $and: [{ $gt: ['$current', 0] }, { $lt: ['$firstOrderAt', range.start] }] }),
+            newPrevious: countWhere({ $and: [{ $gt: ['$previous', 0] }, { $gte: ['$firstOrderAt', previous.start] }] }),
+            returningPrevious: countWhere({ $and: [{ $gt: ['$previous', 0] }, { $lt: ['$firstOrderAt', previous.start] }] })
+          }
+        }],
+        newByBucket: [
+          { $match: { firstOrderAt: { $gte: range.start } } },
+          { $group: { _id: bucketExpression('$firstOrderAt', range), count: { $sum: 1 } } }
+        ]
+      }
+    }
+  ]);
+
+  const totals = result.totals[0] || { newCurrent: 0, returningCurrent: 0, newPrevious: 0, returningPrevious: 0 };
+  return {
+    newCustomers: compare(totals.newCurrent, totals.newPrevious),
+    returningCustomers: compare(totals.returningCurrent, totals.returningPrevious),
+    newByBucket: new Map(result.newByBucket.map(row => [row._id, row.count]))
+  };
+};
+
+// Revenue, orders and customers per bucket, with empty buckets filled in
+const salesSeries = async (range, newByBucket) => {
+  const rows = await Order.aggregate([
+    { $match: { ...PAID_ORDER_MATCH, createdAt: { $gte: range.start, $lt: range.end } } },
+    {
+      $group: {
+        _id: bucketExpression('$createdAt', range),
+        revenue: { $sum: NET_REVENUE },
+        orders: { $sum: 1 },
+        customers: { $addToSet: '$customerId' }
+      }
+    },
+    { $project: { revenue: 1, orders: 1, customers: { $size: '$customers' } } }
+  ]);
+  const byBucket = new Map(rows.map(row => [row._id, row]));
+
+  return range.buckets.map(bucket => {
+    const row = byBucket.get(bucket) || { revenue: 0, orders: 0, customers: 0 };
+    const newCustomers = newByBucket.get(bucket) || 0;
+    return {
+      bucket,
+      revenue: roundMoney(row.revenue),
+      orders: row.orders,
+      averageOrderValue: row.orders ? roundMoney(row.revenue / row.orders) : 0,
+      customers: row.customers,
+      newCustomers,
+      returningCustomers: row.customers - newCustomers
+    };
+  });
+};
+
+// Documents of a model created in the range and in the previous period
+const createdCounts = async (Model, range, previous) => {
+  const [current, before] = await Promise.all([
+    Model.countDocuments({ createdAt: { $gte: range.start, $lt: range.end } }),
+    Model.countDocuments({ createdAt: { $gte: previous.start, $lt: previous.end } })
+  ]);
+  return compare(current, before);
+};
+
+/**
+ * Dashboard analytics for a date range (see resolveDateRange).
+ * @returns {Promise<Object>} { range, previous, summary, series } where each summary
+ *   figure is { current, previous, change } and change is a percentage
+ */
+const getDashboardAnalytics = async (range, previous) => {
+  const [totals, customers, signups, newProducts] = await Promise.all([
+    salesTotals(range, previous),
+    customerActivity(range, previous),
+    createdCounts(User, range, previous),
+    createdCounts(Product, range, previous)
+  ]);
+  const series = await salesSeries(range, customers.newByBucket);
+
+  const summaryOf = (field) => compare(totals.current[field], totals.previous[field]);
+  return {
+    range: { from: range.from, to: range.to, days: range.days, interval: range.interval, timeZone: range.timeZone },
+    previous: { from: previous.from, to: previous.to },
+    summary: {
+      revenue: summaryOf('revenue'),
+      orders: summaryOf('orders'),
+      averageOrderValue: summaryOf('averageOrderValue'),
+      customers: summaryOf('customers'),
+      newCustomers: customers.newCustomers,
+      returningCustomers: customers.returningCustomers,
+      signups,
+      newProducts
+    },
+    series
+  };
+};
+
+module.exports = {
+  PAID_ORDER_MATCH,
+  NET_REVENUE,
+  roundMoney,
+  resolveDateRange,
+  percentChange,
+  getDashboardAnalytics
+};
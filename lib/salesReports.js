@@ -0,0 +1,529 @@
+// Sales reports
+// Aggregation pipelines behind /api/admin/reports: best sellers, sales by
+// payment method and city, cohort retention and checkout-to-payment
+// conversion. Each report takes a date range from salesAnalytics.resolveDateRange
+// and returns { columns, rows, totals } so it can be sent as JSON or CSV, or
+// built on the job queue and emailed (queueReportEmail).
+
+const Order = require('../models/Order');
+const Category = require('../models/Category');
+const { findCategory, getSubtreeIds } = require('./categoryService');
+const { PAID_ORDER_MATCH, NET_REVENUE, roundMoney, resolveDateRange } = require('./salesAnalytics');
+const { toCsv } = require('./csv');
+const { sendReportEmail } = require('./emailService');
+const { defineJob, enqueue, permanentFailure } = require('./jobQueue');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+const SORTS = ['units', 'revenue'];
+
+// Line revenue before order-level discounts, shipping and tax
+const LINE_REVENUE = { $multiply: ['$items.price', '$items.quantity'] };
+
+const reportError = (details) => ({ success: false, status: 400, error: 'Validation Error', details });
+
+const inRange = (range) => ({ createdAt: { $gte: range.start, $lt: range.end } });
+
+// Share of a total as a percentage with one decimal
+const share = (value, total) => (total ? Math.round((value / total) * 1000) / 10 : 0);
+
+// Read the limit and sort options of a best-sellers report
+const rankingOptions = ({ limit, sort = 'units' }) => {
+  const parsedLimit = limit === undefined ? DEFAULT_LIMIT : parseInt(limit);
+  if (!Number.isInteger(parsedLimit) || parsedLimit < 1 || parsedLimit > MAX_LIMIT) {
+    return reportError(`Limit must be between 1 and ${MAX_LIMIT}`);
+  }
+  if (!SORTS.includes(sort)) {
+    return reportError('Sort must be units or revenue');
+  }
+  return {
+    success: true,
+    limit: parsedLimit,
+    sort: sort === 'revenue' ? { revenue: -1, units: -1 } : { units: -1, revenue: -1 }
+  };
+};
+
+// Names a category (and its subcategories) had on order lines
+const categoryNames = async (value) => {
+  const category = await findCategory(value);
+  if (!category) return [value];
+
+  const categories = await Category.find({ _id: { $in: await getSubtreeIds(category._id) } }).select('name');
+  return categories.map(c => c.name);
+};
+
+// Units and line revenue across all paid order lines in the range
+const lineTotals = async (range, itemMatch = {}) => {
+  const [totals] = await Order.aggregate([
+    { $match: { ...PAID_ORDER_MATCH, ...inRange(range), ...itemMatch } },
+    { $unwind: '$items' },
+    { $match: itemMatch },
+    { $group: { _id: null, units: { $sum: '$items.quantity' }, revenue: { $sum: LINE_REVENUE } } }
+  ]);
+  return { units: totals?.units || 0, revenue: roundMoney(totals?.revenue || 0) };
+};
+
+/**
+ * Best-selling products by units or line revenue.
+ * @param {Object} range - see resolveDateRange
+ * @param {Object} options - { limit, sort: 'units' | 'revenue', category: ID, slug or name (includes subcategories) }
+ */
+const topProducts = async (range, options = {}) => {
+  const ranking = rankingOptions(options);
+  if (!ranking.success) return ranking;
+
+  const itemMatch = options.category ? { 'items.category': { $in: await categoryNames(options.category) } } : {};
+
+  const [rows, totals] = await Promise.all([
+    Order.aggregate([
+      { $match: { ...PAID_ORDER_MATCH, ...inRange(range), ...itemMatch } },
+      { $unwind: '$items' },
+      { $match: itemMatch },
+      {
+        $group: {
+          // Line items may hold the product ID as an ObjectId or a string
+          _id: { $toString: '$items.productId' },
+          name: { $last: '$items.name' },
+          category: { $last: '$items.category' },
+          units: { $sum: '$items.quantity' },
+          revenue: { $sum: LINE_REVENUE },
+          orders: { $addToSet: '$_id' }
+        }
+      },
+      { $project: { name: 1, category: 1, units: 1, revenue: 1, orders: { $size: '$orders' } } },
+      { $sort: ranking.sort },
+      { $limit: ranking.limit },
+      { $addFields: { productObjectId: { $convert: { input: '$_id', to: 'objectId', onError: null, onNull: null } } } },
+      {
+        $lookup: {
+          from: 'products',
+          localField: 'productObjectId',
+          foreignField: '_id',
+          pipeline: [{ $project: { name: 1, sku: 1, category: 1 } }],
+          as: 'product'
+        }
+      }
+    ]),
+    lineTotals(range, itemMatch)
+  ]);
+
+  return {
+    success: true,
+    columns: [
+      { key: 'productId', label: 'Product ID' },
+      { key: 'name', label: 'Product' },
+      { key: 'sku', label: 'SKU' },
+      { key: 'category', label: 'Category' },
+      { key: 'units', label: 'Units' },
+      { key: 'revenue', label: 'Revenue' },
+      { key: 'orders', label: 'Orders' },
+      { key: 'revenueShare', label: 'Revenue Share %' }
+    ],
+    rows: rows.map(row => {
+      const [product] = row.product;
+      return {
+        productId: row._id,
+        name: product?.name || row.name,
+        sku: product?.sku || null,
+        category: product?.category || row.category || null,
+        units: row.units,
+        revenue: roundMoney(row.revenue),
+        orders: row.orders,
+        revenueShare: share(row.revenue, totals.revenue)
+      };
+    }),
+    totals
+  };
+};
+
+/**
+ * Best-selling categories by units or line revenue, by the category each
+ * line was sold under.
+ * @param {Object} options - { limit, sort: 'units' | 'revenue' }
+ */
+const topCategories = async (range, options = {}) => {
+  const ranking = rankingOptions(options);
+  if (!ranking.success) return ranking;
+
+  const [rows, totals] = await Promise.all([
+    Order.aggregate([
+      { $match: { ...PAID_ORDER_MATCH, ...inRange(range) } },
+      { $unwind: '$items' },
+      {
+        $group: {
+          _id: { $ifNull: ['$items.category', 'Uncategorized'] },
+          units: { $sum: '$items.quantity' },
+          revenue: { $sum: LINE_REVENUE },
+          orders: { $addToSet: '$_id' },
+          products: { $addToSet: { $toString: '$items.productId' } }
+        }
+      },
+      { $project: { units: 1, revenue: 1, orders: { $size: '$orders' }, products: { $size: '$products' } } },
+      { $sort: ranking.sort },
+      { $limit: ranking.limit }
+    ]),
+    lineTotals(range)
+  ]);
+
+  const categories = await Category.find({ name: { $in: rows.map(row => row._id) } }).select('name slug');
+
+  return {
+    success: true,
+    columns: [
+      { key: 'category', label: 'Category' },
+      { key: 'categoryId', label: 'Category ID' },
+      { key: 'slug', label: 'Slug' },
+      { key: 'units', label: 'Units' },
+      { key: 'revenue', label: 'Revenue' },
+      { key: 'orders', label: 'Orders' },
+      { key: 'products', label: 'Products' },
+      { key: 'revenueShare', label: 'Revenue Share %' }
+    ],
+    rows: rows.map(row => {
+      const category = categories.find(c => c.name === row._id);
+      return {
+        category: row._id,
+        categoryId: category?._id || null,
+        slug: category?.slug || null,
+        units: row.units,
+        revenue: roundMoney(row.revenue),
+        orders: row.orders,
+        products: row.products,
+        revenueShare: share(row.revenue, totals.revenue)
+      };
+    }),
+    totals
+  };
+};
+
+/**
+ * Paid orders and revenue per payment method.
+ */
+const salesByPaymentMethod = async (range) => {
+  const rows = await Order.aggregate([
+    { $match: { ...PAID_ORDER_MATCH, ...inRange(range) } },
+    { $group: { _id: '$payment.method', orders: { $sum: 1 }, revenue: { $sum: NET_REVENUE } } },
+    { $sort: { revenue: -1 } }
+  ]);
+
+  const totals = {
+    orders: rows.reduce((sum, row) => sum + row.orders, 0),
+    revenue: roundMoney(rows.reduce((sum, row) => sum + row.revenue, 0))
+  };
+
+  return {
+    success: true,
+    columns: [
+      { key: 'paymentMethod', label: 'Payment Method' },
+      { key: 'orders', label: 'Orders' },
+      { key: 'revenue', label: 'Revenue' },
+      { key: 'averageOrderValue', label: 'Average Order Value' },
+      { key: 'revenueShare', label: 'Revenue Share %' }
+    ],
+    rows: rows.map(row => ({
+      paymentMethod: row._id,
+      orders: row.orders,
+      revenue: roundMoney(row.revenue),
+      averageOrderValue: roundMoney(row.revenue / row.orders),
+      revenueShare: share(row.revenue, totals.revenue)
+    })),
+    totals
+  };
+};
+
+/**
+ * Paid orders, revenue and customers per delivery city (spellings that only
+ * differ in case or spacing are counted together).
+ * @param {Object} options - { limit, sort: 'revenue' | 'orders' }
+ */
+const salesByCity = async (range, { limit, sort = 'revenue' } = {}) => {
+  const ranking = rankingOptions({ limit });
+  if (!ranking.success) return ranking;
+  if (!['revenue', 'orders'].includes(sort)) return reportError('Sort must be revenue or orders');
+
+  const normalized = (field) => ({ $toLower: { $trim: { input: { $ifNull: [field, ''] } } } });
+
+  const [rows, [totals]] = await Promise.all([
+    Order.aggregate([
+      { $match: { ...PAID_ORDER_MATCH, ...inRange(range) } },
+      {
+        $group: {
+          _id: { city: normalized('$customerInfo.city'), country: normalized('$customerInfo.country') },
+          city: { $first: '$customerInfo.city' },
+          state: { $first: '$customerInfo.state' },
+          country: { $first: '$customerInfo.country' },
+          orders: { $sum: 1 },
+          revenue: { $sum: NET_REVENUE },
+          customers: { $addToSet: '$customerId' }
+        }
+      },
+      { $project: { city: 1, state: 1, country: 1, orders: 1, revenue: 1, customers: { $size: '$customers' } } },
+      { $sort: sort === 'orders' ? { orders: -1, revenue: -1 } : { revenue: -1, orders: -1 } },
+      { $limit: ranking.limit }
+    ]),
+    Order.aggregate([
+      { $match: { ...PAID_ORDER_MATCH, ...inRange(range) } },
+      { $group: { _id: null, orders: { $sum: 1 }, revenue: { $sum: NET_REVENUE } } }
+    ])
+  ]);
+
+  const totalRevenue = roundMoney(totals?.revenue || 0);
+
+  return {
+    success: true,
+    columns: [
+      { key: 'city', label: 'City' },
+      { key: 'state', label: 'State' },
+      { key: 'country', label: 'Country' },
+      { key: 'orders', label: 'Orders' },
+      { key: 'customers', label: 'Customers' },
+      { key: 'revenue', label: 'Revenue' },
+      { key: 'averageOrderValue', label: 'Average Order Value' },
+      { key: 'revenueShare', label: 'Revenue Share %' }
+    ],
+    rows: rows.map(row => ({
+      city: row.city?.trim() || null,
+      state: row.state?.trim() || null,
+      country: row.country?.trim() || null,
+      orders: row.orders,
+      customers: row.customers,
+      revenue: roundMoney(row.revenue),
+      averageOrderValue: roundMoney(row.revenue / row.orders),
+      revenueShare: share(row.revenue, totalRevenue)
+    })),
+    totals: { orders: totals?.orders || 0, revenue: totalRevenue }
+  };
+};
+
+// Months between two 'YYYY-MM' keys
+const monthsBetween = (from, to) => {
+  const [fromYear, fromMonth] = from.split('-').map(Number);
+  const [toYear, toMonth] = to.split('-').map(Number);
+  return (toYear - fromYear) * 12 + (toMonth - fromMonth);
+};
+
+/**
+ * Cohort retention: customers grouped by the month of their first paid order
+ * (within the range), and how many of them bought again in each later month
+ * up to the end of the range. Month 0 is the cohort month itself.
+ */
+const cohortRetention = async (range) => {
+  const monthKey = (field) => ({ $dateToString: { format: '%Y-%m', date: field, timezone: range.timeZone } });
+
+  const rows = await Order.aggregate([
+    { $match: { ...PAID_ORDER_MATCH, createdAt: { $lt: range.end } } },
+    {
+      $group: {
+        _id: '$customerId',
+        firstOrderAt: { $min: '$createdAt' },
+        months: { $addToSet: monthKey('$createdAt') }
+      }
+    },
+    { $match: { firstOrderAt: { $gte: range.start } } },
+    { $project: { cohort: monthKey('$firstOrderAt'), months: 1 } },
+    { $unwind: '$months' },
+    { $group: { _id: { cohort: '$cohort', month: '$months' }, customers: { $sum: 1 } } },
+    { $sort: { '_id.cohort': 1, '_id.month': 1 } }
+  ]);
+
+  const lastMonth = range.to.slice(0, 7);
+  const cohorts = new Map();
+  rows.forEach(({ _id, customers }) => {
+    if (!cohorts.has(_id.cohort)) cohorts.set(_id.cohort, new Map());
+    cohorts.get(_id.cohort).set(monthsBetween(_id.cohort, _id.month), customers);
+  });
+
+  const maxOffset = Math.max(0, ...[...cohorts.keys()].map(cohort => monthsBetween(cohort, lastMonth)));
+  const offsets = Array.from({ length: maxOffset + 1 }, (value, index) => index);
+
+  return {
+    success: true,
+    columns: [
+      { key: 'cohort', label: 'Cohort' },
+      { key: 'customers', label: 'Customers' },
+      ...offsets.map(offset => ({
+        key: `month${offset}`,
+        label: `Month ${offset} %`,
+        value: row => row.retention[offset]?.rate
+      }))
+    ],
+    rows: [...cohorts.entries()].map(([cohort, activity]) => {
+      const size = activity.get(0) || 0;
+      const retention = offsets
+        .filter(offset => offset <= monthsBetween(cohort, lastMonth))
+        .map(offset => ({
+          month: offset,
+          customers: activity.get(offset) || 0,
+          rate: share(activity.get(offset) || 0, size)
+        }));
+
+      return { cohort, customers: size, retention };
+    }),
+    totals: { customers: [...cohorts.values()].reduce((sum, activity) => sum + (activity.get(0) || 0), 0) }
+  };
+};
+
+/**
+ * How much of the value checked out (orders placed) turned into completed
+ * payments, overall and per payment method. Orders are split into paid,
+ * refunded, cancelled, failed and still pending.
+ */
+const checkoutConversion = async (range) => {
+  const when = (condition, value = 1) => ({ $sum: { $cond: [condition, value, 0] } });
+  const cancelled = { $eq: ['$orderStatus', 'cancelled'] };
+  const notCancelled = { $ne: ['$orderStatus', 'cancelled'] };
+  const paymentIs = (...statuses) => ({ $and: [notCancelled, { $in: ['$paymentStatus', statuses] }] });
+
+  const rows = await Order.aggregate([
+    { $match: inRange(range) },
+    {
+      $group: {
+        _id: '$payment.method',
+        placedOrders: { $sum: 1 },
+        placedValue: { $sum: '$totalAmount' },
+        paidOrders: when(paymentIs('completed')),
+        paidValue: when(paymentIs('completed'), NET_REVENUE),
+        refundedOrders: when(paymentIs('refunded')),
+        refundedValue: when(paymentIs('refunded'), '$totalAmount'),
+        cancelledOrders: when(cancelled),
+        cancelledValue: when(cancelled, '$totalAmount'),
+        failedOrders: when(paymentIs('failed')),
+        failedValue: when(paymentIs('failed'), '$totalAmount'),
+        pendingOrders: when(paymentIs('pending', 'processing')),
+        pendingValue: when(paymentIs('pending', 'processing'), '$totalAmount')
+      }
+    },
+    { $sort: { placedValue: -1 } }
+  ]);
+
+  const FIGURES = [
+    'placedOrders', 'placedValue', 'paidOrders', 'paidValue', 'refundedOrders', 'refundedValue',
+    'cancelledOrders', 'cancelledValue', 'failedOrders', 'failedValue', 'pendingOrders', 'pendingValue'
+  ];
+
+  const toRow = (paymentMethod, figures) => {
+    const row = { paymentMethod };
+    FIGURES.forEach(key => {
+      row[key] = key.endsWith('Value') ? roundMoney(figures[key] || 0) : figures[key] || 0;
+    });
+    row.orderConversion = share(row.paidOrders, row.placedOrders);
+    row.valueConversion = share(row.paidValue, row.placedValue);
+    return row;
+  };
+
+  const totals = toRow('all', FIGURES.reduce((sum, key) => {
+    sum[key] = rows.reduce((total, row) => total + row[key], 0);
+    return sum;
+  }, {}));
+  delete totals.paymentMethod;
+
+  return {
+    success: true,
+    columns: [
+      { key: 'paymentMethod', label: 'Payment Method' },
+      ...FIGURES.map(key => ({ key, label: key.replace(/([A-Z])/g, ' $1').replace(/^./, c => c.toUpperCase()) })),
+      { key: 'orderConversion', label: 'Order Conversion %' },
+      { key: 'valueConversion', label: 'Value Conversion %' }
+    ],
+    rows: rows.map(row => toRow(row._id, row)),
+    totals
+  };
+};
+
+/**
+ * A report as CSV: one line per row in column order. Columns read row[key],
+ * or their own value(row) for nested figures.
+ * @param {Object} report - { columns, rows }
+ * @returns {string} CSV content
+ */
+const reportToCsv = ({ columns, rows }) => toCsv([
+  columns.map(column => column.label),
+  ...rows.map(row => columns.map(column => (column.value ? column.value(row) : row[column.key]) ?? ''))
+]);
+
+// Reports by the name used in /api/admin/reports/:name
+const REPORTS = {
+  'top-products': { title: 'Top Products', run: topProducts },
+  'top-categories': { title: 'Top Categories', run: topCategories },
+  'payment-methods': { title: 'Payment Methods', run: salesByPaymentMethod },
+  cities: { title: 'Sales by City', run: salesByCity },
+  cohorts: { title: 'Cohort Retention', run: cohortRetention },
+  conversion: { title: 'Checkout Conversion', run: checkoutConversion }
+};
+
+const REPORT_EMAIL_JOB = 'report-email';
+
+// Bad input will not get better on a retry, so it dead-letters the job at once
+defineJob(REPORT_EMAIL_JOB, async ({ report, from, to, timeZone, options = {}, email }) => {
+  const definition = REPORTS[report];
+  if (!definition) {
+    throw permanentFailure(`Unknown report: ${report}`);
+  }
+
+  const period = resolveDateRange({ from, to, timeZone });
+  if (!period.success) {
+    throw permanentFailure(period.details);
+  }
+
+  const result = await definition.run(period.range, options);
+  if (!result.success) {
+    throw permanentFailure(result.details);
+  }
+
+  const { range } = period;
+  const sent = await sendReportEmail(email, {
+    title: definition.title,
+    from: range.from,
+    to: range.to,
+    rowCount: result.rows.length,
+    filename: `${report}_${range.from}_${range.to}.csv`,
+    csv: reportToCsv(result)
+  });
+  if (!sent?.success) {
+    throw new Error(sent?.error || 'Report email could not be sent');
+  }
+
+  return { rows: result.rows.length, from: range.from, to: range.to };
+}, {
+  maxAttempts: 3,
+  lockSeconds: 300,
+  description: 'Build a sales report and email it as CSV'
+});
+
+/**
+ * Queue a report to be built and emailed as CSV.
+ * The date range is checked here so mistakes are reported straight away.
+ * @param {string} report - report name (a key of REPORTS)
+ * @param {Object} request - { from, to, timeZone, options (report query options), email, createdBy }
+ * @returns {Promise<Object>} { success, job } or { success: false, status, error, details }
+ */
+const queueReportEmail = async (report, { from, to, timeZone, options = {}, email, createdBy }) => {
+  if (!REPORTS[report]) {
+    return { success: false, status: 404, error: 'Report not found', details: `Reports: ${Object.keys(REPORTS).join(', ')}` };
+  }
+
+  const period = resolveDateRange({ from, to, timeZone });
+  if (!period.success) return period;
+
+  const { range } = period;
+  return enqueue(REPORT_EMAIL_JOB, {
+    report,
+    from: range.from,
+    to: range.to,
+    timeZone: range.timeZone,
+    options,
+    email
+  }, { createdBy });
+};
+
+module.exports = {
+  REPORTS,
+  topProducts,
+  topCategories,
+  salesByPaymentMethod,
+  salesByCity,
+  cohortRetention,
+  checkoutConversion,
+  reportToCsv,
+  queueReportEmail
+};
@@ -0,0 +1,144 @@
+// Session service
+// Short-lived access tokens paired with rotating, hashed refresh tokens
+
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const Session = require('../models/Session');
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+
+const getJwtSecret = () => process.env.JWT_SECRET || 'fallback-secret-key';
+
+// Refresh tokens are stored as keyed hashes so a database leak does not expose them
+const hashRefreshToken = (token) => crypto
+  .createHmac('sha256', getJwtSecret())
+  .update(token)
+  .digest('hex');
+
+const generateRefreshToken = () => crypto.randomBytes(48).toString('base64url');
+
+// Generate JWT access token bound to a session
+const generateAccessToken = (userId, sessionId) => {
+  return jwt.sign(
+    { userId, sid: sessionId },
+    getJwtSecret(),
+    { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+  );
+};
+
+const getClientInfo = (req) => {
+  const userAgent = req?.headers?.['user-agent'] || 'unknown';
+  return {
+    device: {
+      userAgent,
+      name: req?.body?.deviceName || undefined
+    },
+    ipAddress: req?.ip
+  };
+};
+
+const buildTokenResponse = (userId, session, refreshToken) => ({
+  token: generateAccessToken(userId, session._id),
+  refreshToken,
+  expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+  sessionId: session._id
+});
+
+// Start a new session (token family) for a user, e.g. on login
+const createSession = async (userId, req) => {
+  const refreshToken = generateRefreshToken();
+  const session = await Session.create({
+    userId,
+    refreshTokenHash: hashRefreshToken(refreshToken),
+    ...getClientInfo(req),
+    lastUsedAt: new Date(),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000)
+  });
+
+  return buildTokenResponse(userId, session, refreshToken);
+};
+
+/**
+ * Exchange a refresh token for a new access/refresh token pair.
+ * Presenting a token that was already rotated revokes the whole session.
+ * @param {string} refreshToken - refresh token from the client
+ * @param {Object} req - express request (for device/IP tracking)
+ * @returns {Promise<Object>} { success, userId, tokens } or { success: false, error, details }
+ */
+const rotateRefreshToken = async (refreshToken, req) => {
+  const tokenHash = hashRefreshToken(refreshToken);
+
+  const session = await Session.findOne({ refreshTokenHash: tokenHash });
+  if (!session) {
+    // A rotated token being replayed means the token family is compromised
+    const reusedSession = await Session.findOne({ rotatedTokenHashes: tokenHash });
+    if (reusedSession) {
+      console.warn(`⚠️ Refresh token reuse detected for session ${reusedSession._id}, revoking`);
+      await reusedSession.revoke('token_reuse');
+      return { success: false, error: 'Token reuse detected', details: 'Session has been revoked. Please log in again.' };
+    }
+    return { success: false, error: 'Invalid token', details: 'Refresh token is invalid' };
+  }
+
+  if (session.revokedAt) {
+    return { success: false, error: 'Session revoked', details: 'Session has been revoked. Please log in again.' };
+  }
+
+  if (session.expiresAt <= new Date()) {
+    await session.revoke('expired');
+    return { success: false, error: 'Token expired', details: 'Refresh token has expired. Please log in again.' };
+  }
+
+  // Rotate atomically so two concurrent refreshes cannot both succeed
+  const newRefreshToken = generateRefreshToken();
+  const clientInfo = getClientInfo(req);
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: tokenHash, revokedAt: null },
+    {
+      $set: {
+        refreshTokenHash: hashRefreshToken(newRefreshToken),
+        lastUsedAt: new Date(),
+        ipAddress: clientInfo.ipAddress,
+        'device.userAgent': clientInfo.device.userAgent
+      },
+      $push: { rotatedTokenHashes: { $each: [tokenHash], $slice: -50 } }
+    },
+    { new: true }
+  );
+
+  if (!rotated) {
+    await session.revoke('token_reuse');
+    return { success: false, error: 'Token reuse detected', details: 'Session has been revoked. Please log in again.' };
+  }
+
+  return {
+    success: true,
+    userId: rotated.userId,
+    tokens: buildTokenResponse(rotated.userId, rotated, newRefreshToken)
+  };
+};
+
+// Revoke the session behind a refresh token (logout without a valid access token)
+const revokeByRefreshToken = async (refreshToken, reason = 'logout') => {
+  const session = await Session.findOne({ refreshTokenHash: hashRefreshToken(refreshToken) });
+  if (session) {
+    await session.revoke(reason);
+  }
+  return session;
+};
+
+// Check whether the session an access token belongs to is still usable
+const isSessionActive = async (sessionId) => {
+  const session = await Session.findOne({ _id: sessionId, revokedAt: null }).select('expiresAt');
+  return Boolean(session && session.expiresAt > new Date());
+};
+
+module.exports = {
+  ACCESS_TOKEN_EXPIRES_IN,
+  generateAccessToken,
+  createSession,
+  rotateRefreshToken,
+  revokeByRefreshToken,
+  isSessionActive
+};
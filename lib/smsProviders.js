@@ -0,0 +1,87 @@
+// SMS provider adapters
+// A provider is an object with a name and an async send(to, message) that
+// resolves to { success, messageId } or { success: false, error }.
+// Real gateways (Twilio, local aggregators, ...) register themselves with
+// registerSmsProvider(); SMS_PROVIDER selects the active one. With no
+// provider selected the SMS channel is unavailable.
+
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+
+const providers = new Map();
+
+const registerSmsProvider = (provider) => {
+  if (!provider || !provider.name || typeof provider.send !== 'function') {
+    throw new Error('SMS provider must have a name and a send(to, message) function');
+  }
+  providers.set(provider.name, provider);
+  return provider;
+};
+
+const getSmsProvider = (name = process.env.SMS_PROVIDER) => (name && providers.get(name)) || null;
+
+const listSmsProviders = () => Array.from(providers.keys());
+
+// Local stub for development and tests: appends every message to an outbox
+// file (one JSON object per line) and, if SMS_STUB_URL is set, POSTs it there
+// so a local mock server can capture it. The outbox holds codes in plaintext,
+// so the stub is only registered in development and tests, or with
+// ENABLE_SMS_STUB=true, and still has to be selected with SMS_PROVIDER=stub.
+const stubProvider = {
+  name: 'stub',
+
+  getOutboxPath() {
+    return process.env.SMS_STUB_FILE || path.join(__dirname, '../logs/sms-outbox.log');
+  },
+
+  async send(to, message) {
+    const entry = {
+      id: `stub_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+      to,
+      message,
+      sentAt: new Date().toISOString()
+    };
+
+    try {
+      const outboxPath = this.getOutboxPath();
+      await fs.promises.mkdir(path.dirname(outboxPath), { recursive: true });
+      await fs.promises.appendFile(outboxPath, `${JSON.stringify(entry)}\n`);
+
+      if (process.env.SMS_STUB_URL) {
+        await axios.post(process.env.SMS_STUB_URL, entry, { timeout: 5000 });
+      }
+
+      console.log(`📱 [stub] SMS to ${to} written to ${outboxPath}`);
+      return { success: true, messageId: entry.id };
+    } catch (error) {
+      console.error('❌ Stub SMS provider error:', error.message);
+      return { success: false, error: error.message };
+    }
+  },
+
+  // Read back what was "sent", newest last (handy for tests and local debugging)
+  async readOutbox() {
+    try {
+      const content = await fs.promises.readFile(this.getOutboxPath(), 'utf8');
+      return content.split('\n').filter(Boolean).map(line => JSON.parse(line));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+};
+
+const isSmsStubEnabled = () => process.env.ENABLE_SMS_STUB === 'true'
+  || ['development', 'test'].includes(process.env.NODE_ENV);
+
+if (isSmsStubEnabled()) {
+  registerSmsProvider(stubProvider);
+}
+
+module.exports = {
+  registerSmsProvider,
+  getSmsProvider,
+  listSmsProviders,
+  stubProvider
+};
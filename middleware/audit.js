@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+const { recordAudit } = require('../lib/auditLog');
+
+// Load an entity as a plain object for the before/after diff
+const loadById = (entityType) => (id) => (mongoose.Types.ObjectId.isValid(id)
+  ? mongoose.model(entityType).findById(id).lean()
+  : null);
+
+/**
+ * Audit middleware - put it after auth and adminAuth. It loads the entity
+ * before the route runs and again once the response has gone out, and records
+ * the action with the diff when the request succeeded.
+ * @param {string} action - e.g. 'product.update'
+ * @param {Object} options
+ * @param {string} [options.entity] - model name of the entity changed
+ * @param {Function} [options.id] - (req) => entity id before the route runs (default req.params.id)
+ * @param {Function} [options.resultId] - (req, body) => entity id after it ran (for creates)
+ * @param {Function} [options.load] - (id) => plain object (default Model.findById(id).lean())
+ * @param {Function} [options.metadata] - (req, body) => extra detail to store
+ * @param {Function} [options.skip] - (req, body) => true to leave this request out (dry runs)
+ */
+const auditAction = (action, options = {}) => {
+  const {
+    entity,
+    id = (req) => req.params.id,
+    resultId,
+    load = entity ? loadById(entity) : null,
+    metadata,
+    skip
+  } = options;
+
+  return async (req, res, next) => {
+    let entityId;
+    let before = null;
+    try {
+      entityId = entity ? id(req) : undefined;
+      if (entityId) before = await load(entityId);
+    } catch (error) {
+      console.error(`❌ Could not load ${entity} for audit:`, error.message);
+    }
+
+    // Keep the response body, which holds the id of anything created
+    let body;
+    const json = res.json.bind(res);
+    res.json = (payload) => {
+      body = payload;
+      return json(payload);
+    };
+
+    res.on('finish', async () => {
+      if (res.statusCode >= 400 || (skip && skip(req, body))) return;
+
+      let after = null;
+      let afterId = entityId;
+      let details;
+      try {
+        afterId = (resultId && resultId(req, body)) || entityId;
+        if (entity && afterId) after = await load(afterId);
+        details = metadata ? metadata(req, body) : undefined;
+      } catch (error) {
+        console.error(`❌ Could not load ${entity || action} for audit:`, error.message);
+      }
+
+      await recordAudit(req, {
+        action,
+        entityType: entity,
+        entityId: afterId,
+        before,
+        after,
+        metadata: details,
+        statusCode: res.statusCode
+      });
+    });
+
+    next();
+  };
+};
+
+module.exports = {
+  auditAction
+};
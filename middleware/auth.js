@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { isSessionActive } = require('../lib/sessionService');
 
 const auth = async (req, res, next) => {
   try {
@@ -35,6 +36,23 @@ const auth = async (req, res, next) => {
       throw jwtError;
     }
     
+    // Every access token belongs to a session; tokens without one (issued before
+    // sessions existed) could not be revoked, so they are refused outright
+    if (!decoded.sid) {
+      return res.status(401).json({
+        error: 'Access denied',
+        details: 'Token is no longer accepted, please sign in again'
+      });
+    }
+
+    // Reject access tokens whose session was revoked (logout, reuse detection, device removal)
+    if (!(await isSessionActive(decoded.sid))) {
+      return res.status(401).json({
+        error: 'Access denied',
+        details: 'Session has been revoked'
+      });
+    }
+    
     // Check if user still exists in database
     const user = await User.findById(decoded.userId).select('-password');
     
@@ -75,7 +93,9 @@ const optionalAuth = async (req, res, next) => {
     if (token) {
       const decoded = jwt.verify(token, process.env.JWT_SECRET || 'fallback-secret-key');
       
-
+      if (!decoded.sid || !(await isSessionActive(decoded.sid))) {
+        return next();
+      }
       
       const user = await User.findById(decoded.userId).select('-password');
       
@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+const Product = require('./models/Product');
+const Category = require('./models/Category');
+const { findCategory, uniqueSlug } = require('./lib/categoryService');
+require('dotenv').config();
+
+// Connect to MongoDB
+const connectDB = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+  } catch (error) {
+    console.error('❌ MongoDB connection error:', error);
+    process.exit(1);
+  }
+};
+
+// Spellings that only differ in case or spacing are the same category
+const normalizeName = (name) => name.trim().replace(/\s+/g, ' ').toLowerCase();
+
+// Turn the free-text category strings on products into Category documents and
+// link every product to one. Spellings that only differ in case or spacing are
+// merged under the most used one. Safe to run more than once: existing
+// categories are reused and linked products are left alone.
+const migrateCategories = async () => {
+  try {
+    console.log('🔧 Starting category migration...');
+
+    const spellings = await Product.aggregate([
+      { $match: { categoryId: { $exists: false }, category: { $type: 'string', $ne: '' } } },
+      { $group: { _id: '$category', count: { $sum: 1 } } },
+      { $sort: { count: -1 } }
+    ]);
+
+    // Most used spelling first, so it names the group
+    const groups = new Map();
+    spellings.forEach(({ _id: spelling, count }) => {
+      const key = normalizeName(spelling);
+      if (!groups.has(key)) groups.set(key, { name: spelling.trim().replace(/\s+/g, ' '), spellings: [], count: 0 });
+      const group = groups.get(key);
+      group.spellings.push(spelling);
+      group.count += count;
+    });
+
+    console.log(`📊 Found ${spellings.length} category spellings in ${groups.size} categories`);
+
+    let created = 0;
+    let linked = 0;
+    for (const group of groups.values()) {
+      let category = await findCategory(group.name);
+      if (!category) {
+        category = await Category.create({ name: group.name, slug: await uniqueSlug(group.name) });
+        created += 1;
+        console.log(`  ✅ Created category ${category.name} (${category.slug})`);
+      }
+
+      const result = await Product.updateMany(
+        { categoryId: { $exists: false }, category: { $in: group.spellings } },
+        { $set: { categoryId: category._id, category: category.name } }
+      );
+      linked += result.modifiedCount;
+
+      const merged = group.spellings.length > 1 ? ` (merged ${group.spellings.map(s => `"${s}"`).join(', ')})` : '';
+      console.log(`  🔗 ${category.name}: linked ${result.modifiedCount} products${merged}`);
+    }
+
+    console.log(`🎉 Category migration completed! Created ${created} categories, linked ${linked} products`);
+
+  } catch (error) {
+    console.error('❌ Error migrating categories:', error);
+  } finally {
+    await mongoose.connection.close();
+    console.log('🔌 Database connection closed');
+  }
+};
+
+// Run the migration
+const runMigration = async () => {
+  await connectDB();
+  await migrateCategories();
+};
+
+runMigration();
@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+const User = require('./models/User');
+const { hashOTP, isHashedOTP } = require('./lib/otpService');
+require('dotenv').config();
+
+// Fields that used to be stored in plaintext
+const SECRET_FIELDS = ['emailVerificationCode', 'passwordResetOTP', 'passwordResetToken'];
+
+// Connect to MongoDB
+const connectDB = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+  } catch (error) {
+    console.error('❌ MongoDB connection error:', error);
+    process.exit(1);
+  }
+};
+
+// Replace plaintext OTPs and reset tokens with their keyed hashes.
+// Hashing the existing value keeps codes that were already sent working.
+const hashExistingSecrets = async () => {
+  try {
+    console.log('🔧 Starting OTP hashing migration...');
+
+    const users = await User.find({
+      $or: SECRET_FIELDS.map(field => ({ [field]: { $type: 'string', $ne: '' } }))
+    }).select(SECRET_FIELDS.join(' '));
+
+    console.log(`📊 Found ${users.length} users with pending codes or tokens`);
+
+    let migrated = 0;
+    for (const user of users) {
+      const update = {};
+
+      for (const field of SECRET_FIELDS) {
+        const value = user[field];
+        if (value && !isHashedOTP(value)) {
+          update[field] = hashOTP(value);
+        }
+      }
+
+      if (Object.keys(update).length > 0) {
+        // Only replace the value if it has not changed since it was read
+        const filter = { _id: user._id };
+        for (const field of Object.keys(update)) {
+          filter[field] = user[field];
+        }
+        const result = await User.updateOne(filter, { $set: update });
+        if (result.modifiedCount > 0) {
+          migrated += 1;
+          console.log(`  ✅ Hashed ${Object.keys(update).join(', ')} for user ${user._id}`);
+        }
+      }
+    }
+
+    console.log(`🎉 OTP hashing migration completed! Updated ${migrated} users`);
+
+  } catch (error) {
+    console.error('❌ Error hashing OTPs:', error);
+  } finally {
+    await mongoose.connection.close();
+    console.log('🔌 Database connection closed');
+  }
+};
+
+// Run the migration
+const runMigration = async () => {
+  await connectDB();
+  await hashExistingSecrets();
+};
+
+runMigration();
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+const Product = require('./models/Product');
+const InventoryMovement = require('./models/InventoryMovement');
+require('dotenv').config();
+
+// Connect to MongoDB
+const connectDB = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+  } catch (error) {
+    console.error('❌ MongoDB connection error:', error);
+    process.exit(1);
+  }
+};
+
+// Give every product that has no movements yet an opening_balance movement for
+// its current stock, so the reconciliation job starts from a matching ledger.
+// Safe to run more than once: products that already have movements are skipped.
+const recordOpeningBalances = async () => {
+  try {
+    console.log('🔧 Starting inventory opening balance migration...');
+
+    const productsWithMovements = await InventoryMovement.distinct('productId');
+    const products = await Product.find({ _id: { $nin: productsWithMovements } }).select('name stock');
+
+    console.log(`📊 Found ${products.length} products without inventory movements`);
+
+    let recorded = 0;
+    for (const product of products) {
+      await InventoryMovement.create({
+        productId: product._id,
+        quantity: product.stock || 0,
+        balance: product.stock || 0,
+        reasonCode: 'opening_balance',
+        actor: { role: 'system' },
+        note: 'Stock before the inventory ledger was introduced'
+      });
+      recorded += 1;
+      console.log(`  ✅ ${product.name}: opening balance ${product.stock || 0}`);
+    }
+
+    console.log(`🎉 Opening balance migration completed! Recorded ${recorded} movements`);
+
+  } catch (error) {
+    console.error('❌ Error recording opening balances:', error);
+  } finally {
+    await mongoose.connection.close();
+    console.log('🔌 Database connection closed');
+  }
+};
+
+// Run the migration
+const runMigration = async () => {
+  await connectDB();
+  await recordOpeningBalances();
+};
+
+runMigration();
@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+// One admin action: who did it, from where, through which route, to what,
+// and the fields it changed
+const auditLogSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    required: true
+  },
+  actor: {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    email: String,
+    role: String
+  },
+  ip: String,
+  userAgent: String,
+  method: {
+    type: String,
+    required: true
+  },
+  // Route pattern (/api/products/:id) and the path that was called
+  route: {
+    type: String,
+    required: true
+  },
+  path: String,
+  statusCode: Number,
+  entity: {
+    type: { type: String },
+    id: String,
+    label: String
+  },
+  // Changed fields as dotted paths; secrets are recorded as changed but not stored
+  changes: [{
+    _id: false,
+    path: String,
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  }],
+  // Extra detail for actions without a single entity (imports, bulk changes)
+  metadata: mongoose.Schema.Types.Mixed
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ 'actor.userId': 1, createdAt: -1 });
+auditLogSchema.index({ 'entity.type': 1, 'entity.id': 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+
+// Entries are never edited or removed
+const rejectChange = function(next) {
+  next(new Error('Audit log entries are append-only'));
+};
+['updateOne', 'updateMany', 'findOneAndUpdate', 'findOneAndReplace', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete']
+  .forEach(operation => auditLogSchema.pre(operation, rejectChange));
+auditLogSchema.pre('deleteOne', { document: true, query: false }, rejectChange);
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) return rejectChange(next);
+  next();
+});
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// Failure counter for one account or one IP address on the auth endpoints
+const authThrottleSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  scope: {
+    type: String,
+    enum: ['account', 'ip'],
+    required: true
+  },
+  failures: {
+    type: Number,
+    default: 0
+  },
+  lockCount: {
+    type: Number,
+    default: 0
+  },
+  lastFailureAt: Date,
+  lockUntil: Date,
+  // Documents are removed by MongoDB once they stop mattering
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+authThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Virtual for whether the key is currently locked out
+authThrottleSchema.virtual('isLocked').get(function() {
+  return Boolean(this.lockUntil && this.lockUntil > new Date());
+});
+
+module.exports = mongoose.model('AuthThrottle', authThrottleSchema);
@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+// Catalog category. Categories form a tree through parentId; `ancestors` holds
+// every category above this one (root first) so a whole subtree can be found
+// with one query (see lib/categoryService).
+const categorySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    maxlength: 120,
+    match: [/^[a-z0-9]+(?:-[a-z0-9]+)*$/, 'Slug may only contain lowercase letters, numbers and dashes']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 2000
+  },
+  image: {
+    type: String,
+    trim: true
+  },
+  parentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  },
+  ancestors: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  }],
+  // Position among its siblings (lowest first)
+  sortOrder: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  seo: {
+    metaTitle: {
+      type: String,
+      trim: true,
+      maxlength: 200
+    },
+    metaDescription: {
+      type: String,
+      trim: true,
+      maxlength: 500
+    },
+    keywords: [String]
+  }
+}, {
+  timestamps: true
+});
+
+categorySchema.index({ parentId: 1, sortOrder: 1, name: 1 });
+categorySchema.index({ ancestors: 1 });
+
+// Static method to turn a name into a URL slug
+categorySchema.statics.slugify = function(name) {
+  return String(name)
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/(^-|-$)/g, '');
+};
+
+module.exports = mongoose.model('Category', categorySchema);
@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+
+const COUPON_TYPES = ['percentage', 'fixed', 'free_shipping'];
+
+const couponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true,
+    maxlength: 50
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  type: {
+    type: String,
+    enum: COUPON_TYPES,
+    required: true
+  },
+  // Percentage (0-100) for percentage coupons, amount in PKR for fixed coupons
+  value: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  // Cap for percentage coupons
+  maxDiscountAmount: {
+    type: Number,
+    min: 0
+  },
+  minimumSpend: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  startsAt: Date,
+  expiresAt: Date,
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Total redemptions allowed across all customers (unlimited when not set)
+  usageLimit: {
+    type: Number,
+    min: 1
+  },
+  // Redemptions allowed per customer (unlimited when not set)
+  perCustomerLimit: {
+    type: Number,
+    min: 1,
+    default: 1
+  },
+  redemptionCount: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  // When set, the discount only applies to matching line items
+  restrictions: {
+    categories: [String],
+    products: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product'
+    }]
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+couponSchema.index({ isActive: 1, expiresAt: 1 });
+
+// Percentage coupons cannot exceed 100%
+couponSchema.pre('validate', function(next) {
+  if (this.type === 'percentage' && this.value > 100) {
+    this.invalidate('value', 'Percentage coupons cannot exceed 100');
+  }
+  if (this.startsAt && this.expiresAt && this.startsAt >= this.expiresAt) {
+    this.invalidate('expiresAt', 'Expiry must be after the start date');
+  }
+  next();
+});
+
+// Virtual for whether the code has any redemptions left
+couponSchema.virtual('remainingUses').get(function() {
+  if (!this.usageLimit) return null;
+  return Math.max(0, this.usageLimit - this.redemptionCount);
+});
+
+// Virtual for whether the coupon is restricted to some categories or products
+couponSchema.virtual('isRestricted').get(function() {
+  return Boolean(this.restrictions?.categories?.length || this.restrictions?.products?.length);
+});
+
+// Static method to find a coupon by the code a customer typed
+couponSchema.statics.findByCode = function(code) {
+  return this.findOne({ code: String(code || '').trim().toUpperCase() });
+};
+
+const Coupon = mongoose.model('Coupon', couponSchema);
+Coupon.COUPON_TYPES = COUPON_TYPES;
+
+module.exports = Coupon;
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// One use of a coupon by one customer on one order.
+// `slot` numbers a customer's uses of a coupon (1..perCustomerLimit); the unique
+// index on (couponId, customerId, slot) lets concurrent checkouts race safely.
+const couponRedemptionSchema = new mongoose.Schema({
+  couponId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Coupon',
+    required: true
+  },
+  code: {
+    type: String,
+    required: true
+  },
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true,
+    unique: true
+  },
+  slot: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  discount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+couponRedemptionSchema.index({ couponId: 1, customerId: 1, slot: 1 }, { unique: true });
+
+module.exports = mongoose.model('CouponRedemption', couponRedemptionSchema);
@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+
+// Why a product's stock changed
+const MOVEMENT_REASONS = [
+  'opening_balance',   // stock that existed before the ledger was introduced
+  'initial_stock',     // stock a product was created with
+  'order_placed',      // reserved by checkout
+  'order_released',    // checkout failed after reserving
+  'order_cancelled',   // order cancelled by the customer or an admin
+  'return_received',   // returned goods put back on the shelf
+  'refund_restock',    // refunded units put back on the shelf
+  'manual_adjustment', // admin increase/decrease
+  'stock_count'        // admin set an absolute stock level
+];
+
+// One change to a product's stock. The ledger is append-only: stock should
+// always equal the sum of a product's movements (see lib/inventoryAudit).
+const inventoryMovementSchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  // Packaging variant whose stock changed, with its stock right after the change
+  variant: {
+    variantId: mongoose.Schema.Types.ObjectId,
+    sku: String,
+    balance: Number
+  },
+  // Signed change: negative when stock went down
+  quantity: {
+    type: Number,
+    required: true
+  },
+  // Product stock (total across variants) right after this change
+  balance: {
+    type: Number,
+    required: true
+  },
+  reasonCode: {
+    type: String,
+    enum: MOVEMENT_REASONS,
+    required: true
+  },
+  actor: {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    role: {
+      type: String,
+      enum: ['customer', 'admin', 'system'],
+      default: 'system'
+    }
+  },
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  orderNumber: String,
+  // Return request or refund that caused the change
+  reference: {
+    type: {
+      type: String,
+      enum: ['return', 'refund']
+    },
+    id: mongoose.Schema.Types.ObjectId
+  },
+  note: {
+    type: String,
+    maxlength: 500
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+inventoryMovementSchema.index({ productId: 1, createdAt: -1 });
+inventoryMovementSchema.index({ orderId: 1 });
+inventoryMovementSchema.index({ reasonCode: 1, createdAt: -1 });
+
+// Movements are never edited or removed; corrections are new movements
+const rejectChange = function(next) {
+  next(new Error('Inventory movements are append-only'));
+};
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete']
+  .forEach(operation => inventoryMovementSchema.pre(operation, rejectChange));
+
+const InventoryMovement = mongoose.model('InventoryMovement', inventoryMovementSchema);
+InventoryMovement.MOVEMENT_REASONS = MOVEMENT_REASONS;
+
+module.exports = InventoryMovement;
@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+const JOB_STATUSES = ['queued', 'running', 'completed', 'dead'];
+
+// Failed attempts kept on a job (older ones are dropped)
+const MAX_FAILURE_HISTORY = 10;
+
+// One unit of background work, claimed and run by lib/jobQueue
+const jobSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Encrypted data the handler needs but that must not be stored readable
+  // (a one-time code, for example). Removed once the job completes.
+  secret: {
+    type: String,
+    select: false
+  },
+  // queued jobs wait for runAt; dead jobs used up their attempts and wait for an admin
+  status: {
+    type: String,
+    enum: JOB_STATUSES,
+    default: 'queued'
+  },
+  runAt: {
+    type: Date,
+    default: Date.now
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5,
+    min: 1
+  },
+  // Only one queued or running job can hold a key, so a job is not added twice
+  uniqueKey: String,
+  // Worker holding the job and when its lock runs out; an expired lock means
+  // the worker died and another one can take the job over
+  lockedBy: String,
+  lockedUntil: Date,
+  startedAt: Date,
+  finishedAt: Date,
+  result: mongoose.Schema.Types.Mixed,
+  lastError: String,
+  failures: [{
+    attempt: Number,
+    message: String,
+    failedAt: Date
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+jobSchema.index({ status: 1, name: 1, runAt: 1 });
+jobSchema.index({ status: 1, lockedUntil: 1 });
+jobSchema.index({ name: 1, createdAt: -1 });
+jobSchema.index({ uniqueKey: 1 }, { unique: true, sparse: true });
+jobSchema.index({ status: 1, finishedAt: 1 });
+
+// The encrypted secret never leaves the server
+jobSchema.methods.toJSON = function() {
+  const job = this.toObject();
+  delete job.secret;
+  return job;
+};
+
+const Job = mongoose.model('Job', jobSchema);
+Job.JOB_STATUSES = JOB_STATUSES;
+Job.MAX_FAILURE_HISTORY = MAX_FAILURE_HISTORY;
+
+module.exports = Job;
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { STATUS_FIELDS, canTransition, assertTransition } = require('../lib/orderStateMachine');
 
 const orderItemSchema = new mongoose.Schema({
   productId: {
@@ -14,6 +15,11 @@ const orderItemSchema = new mongoose.Schema({
     required: true,
     min: 0
   },
+  // Catalogue unit price before quantity tiers and price lists
+  listPrice: {
+    type: Number,
+    min: 0
+  },
   currency: {
     type: String,
     default: 'USD',
@@ -24,9 +30,19 @@ const orderItemSchema = new mongoose.Schema({
     required: true,
     min: 1
   },
+  // Packaging variant of the product, when it has variants
+  variantId: mongoose.Schema.Types.ObjectId,
+  packagingSize: String,
   image: String,
   sku: String,
-  specifications: mongoose.Schema.Types.Mixed
+  category: String,
+  specifications: mongoose.Schema.Types.Mixed,
+  // Units put back in stock after a cancellation, return or refund (see inventoryService.restoreOrderStock)
+  restockedQuantity: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
 });
 
 const customerInfoSchema = new mongoose.Schema({
@@ -112,12 +128,16 @@ const paymentInfoSchema = new mongoose.Schema({
     enum: ['pending', 'processing', 'completed', 'failed', 'refunded'],
     default: 'pending'
   },
+  // Gateway intent/charge ID; set by the payment provider, never by the client
   transactionId: String,
+  provider: String,
   amount: {
     type: Number,
     required: true,
     min: 0
   },
+  capturedAmount: Number,
+  paidAt: Date,
   currency: {
     type: String,
     default: 'USD',
@@ -131,6 +151,94 @@ const paymentInfoSchema = new mongoose.Schema({
   refundReason: String
 });
 
+const refundItemSchema = new mongoose.Schema({
+  itemId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  productId: mongoose.Schema.Types.Mixed,
+  name: String,
+  quantity: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  }
+}, { _id: false });
+
+// One entry in the refunds ledger; amounts are never edited once recorded.
+// Gateway refunds are recorded as pending before the gateway is called.
+const refundSchema = new mongoose.Schema({
+  items: [refundItemSchema],
+  shippingAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  reason: String,
+  restocked: {
+    type: Boolean,
+    default: false
+  },
+  method: {
+    type: String,
+    enum: ['gateway', 'manual'],
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'completed'],
+    default: 'completed'
+  },
+  gatewayRefundId: String,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const statusHistorySchema = new mongoose.Schema({
+  field: {
+    type: String,
+    required: true,
+    enum: STATUS_FIELDS
+  },
+  from: String,
+  to: {
+    type: String,
+    required: true
+  },
+  actor: {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    role: {
+      type: String,
+      enum: ['customer', 'admin', 'system'],
+      default: 'system'
+    }
+  },
+  reason: String,
+  timestamp: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
 const orderSchema = new mongoose.Schema({
   orderNumber: {
     type: String,
@@ -152,6 +260,30 @@ const orderSchema = new mongoose.Schema({
     required: true,
     min: 0
   },
+  discount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Promo code redeemed on this order (its discount is included in `discount`)
+  coupon: {
+    couponId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Coupon'
+    },
+    code: String,
+    type: {
+      type: String
+    },
+    discount: {
+      type: Number,
+      default: 0
+    },
+    freeShipping: Boolean,
+    redeemedAt: Date
+  },
+  // Customer group whose price list priced the order (catalogue prices when not set)
+  customerGroup: String,
   tax: {
     type: Number,
     default: 0,
@@ -199,6 +331,10 @@ const orderSchema = new mongoose.Schema({
   actualDelivery: Date,
   cancellationReason: String,
   returnReason: String,
+  statusHistory: [statusHistorySchema],
+  refunds: [refundSchema],
+  // Set while a refund is being issued so two refunds cannot both pass the refundable check
+  refundLockedAt: Date,
   adminNotes: [{
     note: String,
     adminId: {
@@ -213,7 +349,11 @@ const orderSchema = new mongoose.Schema({
   notifications: {
     orderConfirmation: { sent: Boolean, sentAt: Date },
     shippingConfirmation: { sent: Boolean, sentAt: Date },
-    deliveryConfirmation: { sent: Boolean, sentAt: Date }
+    deliveryConfirmation: { sent: Boolean, sentAt: Date },
+    cancellationConfirmation: { sent: Boolean, sentAt: Date },
+    statusUpdate: { sent: Boolean, sentAt: Date },
+    paymentUpdate: { sent: Boolean, sentAt: Date },
+    returnUpdate: { sent: Boolean, sentAt: Date }
   }
 }, {
   timestamps: true
@@ -224,6 +364,11 @@ orderSchema.index({ customerId: 1 });
 orderSchema.index({ orderStatus: 1 });
 orderSchema.index({ paymentStatus: 1 });
 orderSchema.index({ createdAt: -1 });
+// Paid orders by date (sales analytics and reports)
+orderSchema.index({ paymentStatus: 1, createdAt: -1 });
+// Sales of a product or category over time (reports, verified-purchase checks)
+orderSchema.index({ 'items.productId': 1, createdAt: -1 });
+orderSchema.index({ 'items.category': 1, createdAt: -1 });
 orderSchema.index({ 'customerInfo.email': 1 });
 orderSchema.index({ 'customerInfo.phone': 1 });
 orderSchema.index({ priority: 1 });
@@ -244,10 +389,54 @@ orderSchema.virtual('isUrgent').get(function() {
   return this.priority === 'urgent' || this.priority === 'high';
 });
 
+// Read the current value of a status field (shippingStatus lives on the shipping sub-document)
+orderSchema.methods.getStatus = function(field) {
+  if (field === 'shippingStatus') {
+    return this.shipping?.status || 'pending';
+  }
+  return this[field];
+};
+
+// Method to move a status field along its transition graph and record it in statusHistory
+// Returns false when the field is already in the requested status
+orderSchema.methods.transitionStatus = function(field, newStatus, { actor = {}, reason } = {}) {
+  const oldStatus = this.getStatus(field);
+  if (oldStatus === newStatus) return false;
+
+  assertTransition(field, oldStatus, newStatus);
+
+  if (field === 'shippingStatus') {
+    this.shipping.status = newStatus;
+  } else {
+    this[field] = newStatus;
+  }
+
+  // Keep the payment sub-document in step with the order-level payment status
+  if (field === 'paymentStatus' && this.payment) {
+    this.payment.status = newStatus;
+  }
+
+  this.statusHistory.push({
+    field,
+    from: oldStatus,
+    to: newStatus,
+    actor: {
+      userId: actor.userId,
+      role: actor.role || 'system'
+    },
+    reason,
+    timestamp: new Date()
+  });
+
+  return true;
+};
+
 // Method to update order status
 orderSchema.methods.updateStatus = function(newStatus, adminId = null, note = null) {
   const oldStatus = this.orderStatus;
-  this.orderStatus = newStatus;
+  const actor = adminId ? { userId: adminId, role: 'admin' } : { role: 'system' };
+
+  this.transitionStatus('orderStatus', newStatus, { actor, reason: note });
   
   if (adminId && note) {
     this.adminNotes.push({
@@ -257,11 +446,13 @@ orderSchema.methods.updateStatus = function(newStatus, adminId = null, note = nu
     });
   }
   
-  // Update timestamps based on status
-  if (newStatus === 'shipped') {
-    this.shipping.status = 'shipped';
-  } else if (newStatus === 'delivered') {
-    this.shipping.status = 'delivered';
+  // Shipping status follows the order status where the shipping graph allows it
+  if (['shipped', 'delivered', 'returned'].includes(newStatus) &&
+      canTransition('shippingStatus', this.getStatus('shippingStatus'), newStatus)) {
+    this.transitionStatus('shippingStatus', newStatus, { actor, reason: note });
+  }
+
+  if (newStatus === 'delivered') {
     this.actualDelivery = new Date();
   }
   
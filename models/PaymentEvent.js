@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// A webhook event received from a payment provider.
+// The unique (provider, eventId) index makes replayed deliveries no-ops.
+const paymentEventSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    required: true
+  },
+  eventId: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    required: true
+  },
+  intentId: String,
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  status: {
+    type: String,
+    enum: ['processing', 'processed', 'ignored', 'failed'],
+    default: 'processing'
+  },
+  error: String,
+  payload: mongoose.Schema.Types.Mixed,
+  processedAt: Date,
+  deliveries: {
+    type: Number,
+    default: 1
+  }
+}, {
+  timestamps: true
+});
+
+paymentEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+paymentEventSchema.index({ orderId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('PaymentEvent', paymentEventSchema);
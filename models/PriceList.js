@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+
+// Unit price from a minimum quantity upwards
+const priceTierSchema = new mongoose.Schema({
+  minQuantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  price: {
+    type: Number,
+    required: true,
+    min: 0
+  }
+}, { _id: false });
+
+// Price for one product (or one of its variants) on a price list
+const priceListEntrySchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  // Leave empty to price every variant of the product the same
+  variantId: mongoose.Schema.Types.ObjectId,
+  // Replaces the catalogue price (the catalogue price is kept when not set)
+  price: {
+    type: Number,
+    min: 0
+  },
+  // Replaces the product's own quantity tiers when set
+  priceTiers: [priceTierSchema]
+});
+
+// Prices for a customer group (e.g. wholesale). Users are assigned a group in
+// User.customerGroup; users without a group pay catalogue prices.
+const priceListSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  customerGroup: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    maxlength: 50,
+    match: [/^[a-z0-9_-]+$/, 'Customer group may only contain letters, numbers, dashes and underscores']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Percentage off catalogue prices for products without an entry on the list
+  discountPercentage: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: 0
+  },
+  entries: [priceListEntrySchema],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+priceListSchema.index({ 'entries.productId': 1 });
+
+// One entry per product/variant, with tiers in quantity order
+priceListSchema.pre('validate', function(next) {
+  const seen = new Set();
+  this.entries.forEach(entry => {
+    const key = `${entry.productId}:${entry.variantId || ''}`;
+    if (seen.has(key)) {
+      this.invalidate('entries', `Product ${entry.productId} is listed more than once`);
+    }
+    seen.add(key);
+    entry.priceTiers.sort((a, b) => a.minQuantity - b.minQuantity);
+  });
+  next();
+});
+
+const PriceList = mongoose.model('PriceList', priceListSchema);
+PriceList.priceTierSchema = priceTierSchema;
+
+module.exports = PriceList;
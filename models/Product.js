@@ -1,4 +1,41 @@
 const mongoose = require('mongoose');
+const { priceTierSchema } = require('./PriceList');
+
+// One packaging size of a product, sold and stocked on its own
+const variantSchema = new mongoose.Schema({
+  sku: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  barcode: {
+    type: String,
+    trim: true
+  },
+  packagingSize: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  price: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Quantity-break prices for this variant (see lib/priceListService)
+  priceTiers: [priceTierSchema],
+  stock: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  minOrder: {
+    type: Number,
+    min: 1,
+    default: 1
+  }
+});
 
 const productSchema = new mongoose.Schema({
   name: {
@@ -17,18 +54,25 @@ const productSchema = new mongoose.Schema({
     required: true,
     min: 0
   },
+  // Quantity-break prices: the unit price from each minQuantity upwards
+  priceTiers: [priceTierSchema],
   stock: {
     type: Number,
     required: true,
     min: 0,
     default: 0
   },
+  // Name of the category (kept in step with categoryId by lib/categoryService)
   category: {
     type: String,
     required: true,
     trim: true,
     maxlength: 100
   },
+  categoryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  },
   packaging: {
     type: String,
     required: true,
@@ -50,6 +94,22 @@ const productSchema = new mongoose.Schema({
     min: 1,
     default: 1
   },
+  // Packaging sizes with their own SKU, price and stock. When a product has
+  // variants, its price is the lowest variant price and its stock the total
+  // across variants (kept in step by lib/inventoryService).
+  variants: [variantSchema],
+  // Stock level at or below which the product counts as low stock
+  reorderPoint: {
+    type: Number,
+    min: 0,
+    default: 10
+  },
+  // Suggested quantity to order from the supplier when restocking
+  reorderQuantity: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
   imageUrl: {
     type: String,
     trim: true
@@ -111,6 +171,25 @@ const productSchema = new mongoose.Schema({
     orders: { type: Number, default: 0 },
     rating: { type: Number, default: 0 },
     reviewCount: { type: Number, default: 0 }
+  },
+  // Result of the last stock reconciliation against the inventory movement ledger
+  stockAudit: {
+    status: {
+      type: String,
+      enum: ['ok', 'mismatch']
+    },
+    expectedStock: Number,
+    difference: Number,
+    checkedAt: Date
+  },
+  // Stock level the last low-stock alert was sent for, so each threshold crossing alerts once
+  lowStockAlert: {
+    level: {
+      type: String,
+      enum: ['ok', 'low', 'out'],
+      default: 'ok'
+    },
+    alertedAt: Date
   }
 }, {
   timestamps: true
@@ -119,9 +198,34 @@ const productSchema = new mongoose.Schema({
 // Indexes for better query performance
 productSchema.index({ name: 'text', description: 'text', category: 'text' });
 productSchema.index({ category: 1, status: 1 });
+productSchema.index({ categoryId: 1, status: 1 });
 productSchema.index({ price: 1 });
 productSchema.index({ stock: 1 });
 productSchema.index({ status: 1 });
+productSchema.index({ status: 1, 'analytics.rating': -1 });
+productSchema.index({ 'stockAudit.status': 1 });
+productSchema.index({ 'variants.sku': 1 }, { unique: true, sparse: true });
+productSchema.index({ 'variants.packagingSize': 1 });
+
+// Derive price (and stock for new products) from the variants
+productSchema.pre('validate', function(next) {
+  if (!this.variants || this.variants.length === 0) {
+    return next();
+  }
+
+  const skus = this.variants.map(variant => variant.sku);
+  const duplicate = skus.find((sku, index) => skus.indexOf(sku) !== index);
+  if (duplicate) {
+    this.invalidate('variants', `Variant SKU ${duplicate} is used more than once`);
+  }
+
+  this.price = Math.min(...this.variants.map(variant => variant.price));
+  // Existing stock only moves through the inventory service
+  if (this.isNew) {
+    this.stock = this.variants.reduce((sum, variant) => sum + (variant.stock || 0), 0);
+  }
+  next();
+});
 
 // Virtual for main image URL
 productSchema.virtual('mainImageUrl').get(function() {
@@ -135,30 +239,25 @@ productSchema.virtual('isAvailable').get(function() {
 
 // Virtual for stock status
 productSchema.virtual('stockStatus').get(function() {
-  if (this.stock === 0) return 'out_of_stock';
-  if (this.stock <= 10) return 'low_stock';
+  if (this.stock <= 0) return 'out_of_stock';
+  if (this.stock <= (this.reorderPoint ?? 10)) return 'low_stock';
   return 'in_stock';
 });
 
-// Method to update stock
-productSchema.methods.updateStock = function(quantity, operation = 'decrease') {
-  if (operation === 'decrease') {
-    if (this.stock < quantity) {
-      throw new Error('Insufficient stock');
-    }
-    this.stock -= quantity;
-  } else if (operation === 'increase') {
-    this.stock += quantity;
-  }
-  
-  // Update status based on stock
-  if (this.stock === 0) {
-    this.status = 'out_of_stock';
-  } else if (this.status === 'out_of_stock') {
-    this.status = 'active';
+// Method to update stock (atomic, and recorded in the inventory movement ledger)
+productSchema.methods.updateStock = async function(quantity, operation = 'decrease', options = {}) {
+  const { adjustStock } = require('../lib/inventoryService');
+  const change = operation === 'decrease' ? -quantity : quantity;
+
+  const updated = await adjustStock(this._id, change, options);
+  if (!updated) {
+    throw new Error('Insufficient stock');
   }
-  
-  return this.save();
+
+  this.stock = updated.stock;
+  this.status = updated.status;
+  this.variants = updated.variants;
+  return this;
 };
 
 // Method to increment views
@@ -177,6 +276,14 @@ productSchema.statics.getByCategory = function(category, limit = 20) {
   .sort({ 'analytics.views': -1 });
 };
 
+// Static filter for products priced in a range, or with any variant priced in it
+productSchema.statics.priceRangeFilter = function(minPrice, maxPrice) {
+  const range = {};
+  if (minPrice !== undefined) range.$gte = minPrice;
+  if (maxPrice !== undefined) range.$lte = maxPrice;
+  return { $or: [{ price: range }, { variants: { $elemMatch: { price: range } } }] };
+};
+
 // Static method to search products
 productSchema.statics.search = function(query, options = {}) {
   const { category, minPrice, maxPrice, inStock, limit = 20, page = 1 } = options;
@@ -192,9 +299,7 @@ productSchema.statics.search = function(query, options = {}) {
   }
   
   if (minPrice !== undefined || maxPrice !== undefined) {
-    filter.price = {};
-    if (minPrice !== undefined) filter.price.$gte = minPrice;
-    if (maxPrice !== undefined) filter.price.$lte = maxPrice;
+    Object.assign(filter, this.priceRangeFilter(minPrice, maxPrice));
   }
   
   if (inStock) {
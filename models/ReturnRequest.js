@@ -0,0 +1,135 @@
+const mongoose = require('mongoose');
+
+const RETURN_STATUSES = ['requested', 'approved', 'rejected', 'received'];
+const RETURN_REASONS = ['damaged', 'defective', 'wrong_item', 'not_as_described', 'expired', 'changed_mind', 'other'];
+
+const returnItemSchema = new mongoose.Schema({
+  // _id of the line in Order.items
+  itemId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  productId: mongoose.Schema.Types.Mixed,
+  name: String,
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  }
+}, { _id: false });
+
+const returnHistorySchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: RETURN_STATUSES,
+    required: true
+  },
+  actor: {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    role: {
+      type: String,
+      enum: ['customer', 'admin', 'system'],
+      default: 'system'
+    }
+  },
+  note: {
+    type: String,
+    maxlength: 500
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// A customer's request to send back some or all of a delivered order (RMA)
+const returnRequestSchema = new mongoose.Schema({
+  rmaNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  orderNumber: String,
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Set to orderId while the return is open; the unique index allows one open return per order
+  openOrderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    unique: true,
+    sparse: true
+  },
+  items: {
+    type: [returnItemSchema],
+    validate: [items => items.length > 0, 'A return needs at least one item']
+  },
+  reason: {
+    type: String,
+    enum: RETURN_REASONS,
+    required: true
+  },
+  comment: {
+    type: String,
+    trim: true,
+    maxlength: 1000
+  },
+  // Image URLs from POST /api/orders/returns/photos
+  photos: [String],
+  status: {
+    type: String,
+    enum: RETURN_STATUSES,
+    default: 'requested'
+  },
+  restocked: {
+    type: Boolean,
+    default: false
+  },
+  // Refund started when the goods were received
+  refund: {
+    refundId: mongoose.Schema.Types.ObjectId,
+    amount: Number,
+    error: String
+  },
+  receivedAt: Date,
+  history: [returnHistorySchema]
+}, {
+  timestamps: true
+});
+
+returnRequestSchema.index({ orderId: 1, status: 1 });
+returnRequestSchema.index({ customerId: 1, createdAt: -1 });
+returnRequestSchema.index({ status: 1, createdAt: 1 });
+
+// Static method to generate an RMA number
+returnRequestSchema.statics.generateRmaNumber = function() {
+  const date = new Date();
+  const year = date.getFullYear().toString().slice(-2);
+  const month = (date.getMonth() + 1).toString().padStart(2, '0');
+  const day = date.getDate().toString().padStart(2, '0');
+  const random = Math.floor(Math.random() * 10000).toString().padStart(4, '0');
+  return `RMA${year}${month}${day}${random}`;
+};
+
+// Pre-validate middleware to generate the RMA number (runs before validation)
+returnRequestSchema.pre('validate', function(next) {
+  if (this.isNew && !this.rmaNumber) {
+    this.rmaNumber = this.constructor.generateRmaNumber();
+  }
+  next();
+});
+
+const ReturnRequest = mongoose.model('ReturnRequest', returnRequestSchema);
+ReturnRequest.RETURN_STATUSES = RETURN_STATUSES;
+ReturnRequest.RETURN_REASONS = RETURN_REASONS;
+
+module.exports = ReturnRequest;
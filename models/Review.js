@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+
+const REVIEW_STATUSES = ['pending', 'approved', 'rejected', 'flagged'];
+
+const moderationSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: ['approve', 'reject', 'flag'],
+    required: true
+  },
+  moderatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reason: {
+    type: String,
+    maxlength: 500
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const reviewSchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Delivered order that qualifies the customer to review the product
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  rating: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 5
+  },
+  title: {
+    type: String,
+    trim: true,
+    maxlength: 150
+  },
+  comment: {
+    type: String,
+    trim: true,
+    maxlength: 2000
+  },
+  status: {
+    type: String,
+    enum: REVIEW_STATUSES,
+    default: 'pending'
+  },
+  moderationHistory: [moderationSchema]
+}, {
+  timestamps: true
+});
+
+// One review per customer per product
+reviewSchema.index({ productId: 1, customerId: 1 }, { unique: true });
+reviewSchema.index({ productId: 1, status: 1, createdAt: -1 });
+reviewSchema.index({ status: 1, createdAt: 1 });
+
+// Method to apply an admin moderation action
+reviewSchema.methods.moderate = function(action, adminId, reason) {
+  const statusByAction = { approve: 'approved', reject: 'rejected', flag: 'flagged' };
+  this.status = statusByAction[action];
+  this.moderationHistory.push({ action, moderatedBy: adminId, reason });
+};
+
+// Static method to recompute a product's rating from its approved reviews
+reviewSchema.statics.updateProductRating = async function(productId) {
+  const Product = mongoose.model('Product');
+  const [stats] = await this.aggregate([
+    { $match: { productId: new mongoose.Types.ObjectId(productId), status: 'approved' } },
+    { $group: { _id: '$productId', rating: { $avg: '$rating' }, reviewCount: { $sum: 1 } } }
+  ]);
+
+  const rating = stats ? Math.round(stats.rating * 10) / 10 : 0;
+  const reviewCount = stats ? stats.reviewCount : 0;
+
+  await Product.updateOne(
+    { _id: productId },
+    { $set: { 'analytics.rating': rating, 'analytics.reviewCount': reviewCount } }
+  );
+
+  return { rating, reviewCount };
+};
+
+// Static method to get rating distribution (count per star) for approved reviews
+reviewSchema.statics.getRatingBreakdown = async function(productId) {
+  const rows = await this.aggregate([
+    { $match: { productId: new mongoose.Types.ObjectId(productId), status: 'approved' } },
+    { $group: { _id: '$rating', count: { $sum: 1 } } }
+  ]);
+
+  const breakdown = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  rows.forEach(row => { breakdown[row._id] = row.count; });
+  return breakdown;
+};
+
+const Review = mongoose.model('Review', reviewSchema);
+Review.REVIEW_STATUSES = REVIEW_STATUSES;
+
+module.exports = Review;
@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+// A session is one refresh token family: every rotation replaces the current
+// token hash and keeps the old one so reuse of a rotated token can be detected.
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true
+  },
+  rotatedTokenHashes: {
+    type: [String],
+    default: []
+  },
+  device: {
+    userAgent: String,
+    name: String
+  },
+  ipAddress: String,
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'user_revoked', 'token_reuse', 'password_change', 'admin_revoked', 'expired']
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for token lookups and listing a user's devices
+sessionSchema.index({ refreshTokenHash: 1 }, { unique: true });
+sessionSchema.index({ rotatedTokenHashes: 1 });
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+// Let MongoDB drop sessions a while after they expire
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+// Virtual for whether the session can still be used
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Method to revoke the session (and with it the whole refresh token family)
+sessionSchema.methods.revoke = function(reason = 'logout') {
+  if (!this.revokedAt) {
+    this.revokedAt = new Date();
+    this.revokedReason = reason;
+  }
+  return this.save();
+};
+
+// Static method to revoke every active session of a user
+sessionSchema.statics.revokeAllForUser = function(userId, reason = 'user_revoked', exceptSessionId = null) {
+  const filter = { userId, revokedAt: null };
+  if (exceptSessionId) {
+    filter._id = { $ne: exceptSessionId };
+  }
+  return this.updateMany(filter, { $set: { revokedAt: new Date(), revokedReason: reason } });
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -67,6 +67,39 @@ const SettingsSchema = new mongoose.Schema({
     }
   },
 
+  // Tax Settings
+  taxSettings: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    percentage: {
+      type: Number,
+      default: 0,
+      min: 0,
+      max: 100
+    }
+  },
+
+  // Return (RMA) Settings
+  returnSettings: {
+    enabled: {
+      type: Boolean,
+      default: true
+    },
+    // Days after actual delivery during which customers can request a return
+    windowDays: {
+      type: Number,
+      default: 14,
+      min: 0
+    },
+    maxPhotos: {
+      type: Number,
+      default: 5,
+      min: 0
+    }
+  },
+
   // Shipping Zones
   shippingZones: [{
     id: {
@@ -1,5 +1,8 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { hashOTP, verifyOTP } = require('../lib/otpService');
+
+const OTP_TTL_MS = 10 * 60 * 1000; // 10 minutes
 
 const userSchema = new mongoose.Schema({
   email: {
@@ -30,6 +33,13 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Price list the user buys on (PriceList.customerGroup, e.g. wholesale); catalogue prices when not set
+  customerGroup: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    maxlength: 50
+  },
   profile: {
     firstName: String,
     lastName: String,
@@ -69,10 +79,31 @@ const userSchema = new mongoose.Schema({
   },
   emailVerificationCode: String,
   emailVerificationExpires: Date,
+  emailVerificationAttempts: {
+    type: Number,
+    default: 0
+  },
   passwordResetToken: String,
   passwordResetExpires: Date,
   passwordResetOTP: String,
-  passwordResetOTPExpires: Date
+  passwordResetOTPExpires: Date,
+  passwordResetOTPAttempts: {
+    type: Number,
+    default: 0
+  },
+  isPhoneVerified: {
+    type: Boolean,
+    default: false
+  },
+  phoneVerifiedAt: Date,
+  // Number waiting for verification; moved to profile.phone once the code is confirmed
+  pendingPhone: String,
+  phoneVerificationCode: String,
+  phoneVerificationExpires: Date,
+  phoneVerificationAttempts: {
+    type: Number,
+    default: 0
+  }
 }, {
   timestamps: true
 });
@@ -99,16 +130,128 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return bcrypt.compare(candidatePassword, this.password);
 };
 
+// Store a new email verification code (hashed); replaces any earlier code
+userSchema.methods.setEmailVerificationCode = function(code, ttlMs = OTP_TTL_MS) {
+  this.emailVerificationCode = hashOTP(code);
+  this.emailVerificationExpires = new Date(Date.now() + ttlMs);
+  this.emailVerificationAttempts = 0;
+};
+
+userSchema.methods.verifyEmailVerificationCode = function(candidate) {
+  return verifyOTP(candidate, this.emailVerificationCode);
+};
+
+// Store a new password reset OTP (hashed); replaces any earlier OTP
+userSchema.methods.setPasswordResetOTP = function(code, ttlMs = OTP_TTL_MS) {
+  this.passwordResetOTP = hashOTP(code);
+  this.passwordResetOTPExpires = new Date(Date.now() + ttlMs);
+  this.passwordResetOTPAttempts = 0;
+};
+
+userSchema.methods.verifyPasswordResetOTP = function(candidate) {
+  return verifyOTP(candidate, this.passwordResetOTP);
+};
+
+// Store a new phone verification code (hashed) for the number being verified
+userSchema.methods.setPhoneVerificationCode = function(phone, code, ttlMs = OTP_TTL_MS) {
+  this.pendingPhone = phone;
+  this.phoneVerificationCode = hashOTP(code);
+  this.phoneVerificationExpires = new Date(Date.now() + ttlMs);
+  this.phoneVerificationAttempts = 0;
+};
+
+userSchema.methods.verifyPhoneVerificationCode = function(candidate) {
+  return verifyOTP(candidate, this.phoneVerificationCode);
+};
+
+// Stored code, expiry and wrong-guess counter for each kind of OTP
+const OTP_FIELDS = {
+  emailVerification: {
+    code: 'emailVerificationCode',
+    expires: 'emailVerificationExpires',
+    attempts: 'emailVerificationAttempts'
+  },
+  passwordReset: {
+    code: 'passwordResetOTP',
+    expires: 'passwordResetOTPExpires',
+    attempts: 'passwordResetOTPAttempts'
+  },
+  phoneVerification: {
+    code: 'phoneVerificationCode',
+    expires: 'phoneVerificationExpires',
+    attempts: 'phoneVerificationAttempts'
+  }
+};
+
+/**
+ * Use up one attempt at the current code before it is compared. The counter is
+ * raised in a single update guarded by the limit, so parallel guesses each take
+ * their own attempt and none get through once the limit is reached.
+ * @param {string} purpose - emailVerification, passwordReset or phoneVerification
+ * @param {number} maxAttempts - attempts allowed per code
+ * @returns {Promise<number|null>} attempts used including this one, or null when none are left
+ */
+userSchema.methods.claimOTPAttempt = async function(purpose, maxAttempts) {
+  const fields = OTP_FIELDS[purpose];
+  const updated = await this.constructor.findOneAndUpdate(
+    {
+      _id: this._id,
+      // A code issued since this document was loaded has its own attempts
+      [fields.code]: this[fields.code],
+      [fields.attempts]: { $not: { $gte: maxAttempts } }
+    },
+    { $inc: { [fields.attempts]: 1 } },
+    { new: true, projection: { [fields.attempts]: 1 } }
+  );
+  if (!updated) return null;
+
+  this[fields.attempts] = updated[fields.attempts];
+  return updated[fields.attempts];
+};
+
+// Throw away the current code (after too many wrong guesses)
+userSchema.methods.burnOTP = function(purpose) {
+  const fields = OTP_FIELDS[purpose];
+  return this.constructor.updateOne(
+    { _id: this._id, [fields.code]: this[fields.code] },
+    { $set: { [fields.code]: null, [fields.expires]: null } }
+  );
+};
+
+// Give every kind of OTP a fresh set of attempts (when an admin unlocks the account)
+userSchema.methods.resetOTPAttempts = function() {
+  Object.values(OTP_FIELDS).forEach(fields => {
+    this[fields.attempts] = 0;
+  });
+};
+
+// Mark the pending number as the user's verified phone
+userSchema.methods.confirmPhone = function() {
+  this.profile = this.profile || {};
+  this.profile.phone = this.pendingPhone;
+  this.isPhoneVerified = true;
+  this.phoneVerifiedAt = new Date();
+  this.pendingPhone = undefined;
+  this.phoneVerificationCode = null;
+  this.phoneVerificationExpires = null;
+  this.phoneVerificationAttempts = 0;
+};
+
 // Remove password from JSON output
 userSchema.methods.toJSON = function() {
   const user = this.toObject();
   delete user.password;
   delete user.emailVerificationCode;
   delete user.emailVerificationExpires;
+  delete user.emailVerificationAttempts;
   delete user.passwordResetToken;
   delete user.passwordResetExpires;
   delete user.passwordResetOTP;
   delete user.passwordResetOTPExpires;
+  delete user.passwordResetOTPAttempts;
+  delete user.phoneVerificationCode;
+  delete user.phoneVerificationExpires;
+  delete user.phoneVerificationAttempts;
   return user;
 };
 
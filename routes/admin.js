@@ -1,45 +1,89 @@
 const express = require("express");
+const multer = require("multer");
 const { body, validationResult } = require("express-validator");
 const { auth, adminAuth } = require("../middleware/auth");
+const { auditAction } = require("../middleware/audit");
+const { findAuditEntries } = require("../lib/auditLog");
 const User = require("../models/User");
 const Product = require("../models/Product");
 const Order = require("../models/Order");
 const Settings = require("../models/Settings");
+const Review = require("../models/Review");
+const Coupon = require("../models/Coupon");
+const CouponRedemption = require("../models/CouponRedemption");
+const ReturnRequest = require("../models/ReturnRequest");
+const InventoryMovement = require("../models/InventoryMovement");
+const PriceList = require("../models/PriceList");
+const { notifyOrderEvent } = require("../lib/orderNotifications");
+const { releaseCoupon } = require("../lib/couponService");
+const { restoreOrderStock } = require("../lib/inventoryService");
+const { reconcileInventory } = require("../lib/inventoryAudit");
+const { getLowStockReport, runLowStockCheck } = require("../lib/lowStockAlerts");
+const { getCategoryFilter } = require("../lib/categoryService");
+const { resolveDateRange, getDashboardAnalytics } = require("../lib/salesAnalytics");
+const {
+  topProducts,
+  topCategories,
+  salesByPaymentMethod,
+  salesByCity,
+  cohortRetention,
+  checkoutConversion,
+  reportToCsv,
+  queueReportEmail,
+} = require("../lib/salesReports");
+const {
+  PRODUCT_EXPORT_COLUMNS,
+  parseProductFile,
+  importProducts,
+  findProductsForExport,
+  productToRow,
+} = require("../lib/productImportService");
+const { streamExport } = require("../lib/exportService");
+const {
+  listJobDefinitions,
+  enqueue,
+  findJob,
+  retryJob,
+  getJobCounts,
+} = require("../lib/jobQueue");
+// Defines the product maintenance jobs admins can queue from /jobs
+require("../lib/productMaintenance");
+const Job = require("../models/Job");
+const { getRefundSummary, createRefund } = require("../lib/refundService");
+const { approveReturn, rejectReturn, receiveReturn } = require("../lib/returnService");
 const router = express.Router();
 
+// "+12%" style change for the dashboard cards (null when there is no previous figure)
+const formatChange = (change) => (change === null ? null : `${change > 0 ? "+" : ""}${change}%`);
+
 // @route   GET /api/admin/dashboard
-// @desc    Get admin dashboard statistics
+// @desc    Dashboard statistics for a date range (from/to as YYYY-MM-DD, default the
+//          last 30 days) with day, week or month buckets (interval) in a time zone
+//          (timezone, default UTC), compared with the previous period of the same length
 // @access  Private (Admin only)
 router.get("/dashboard", auth, adminAuth, async (req, res) => {
   try {
-    // Fetch all data in parallel for better performance
-    const [users, products, orders] = await Promise.all([
-      User.find({}).select("-password").sort({ createdAt: -1 }),
-      Product.find({}).sort({ createdAt: -1 }),
+    const { from, to, interval, timezone } = req.query;
+    const period = resolveDateRange({ from, to, interval, timeZone: timezone || undefined });
+    if (!period.success) {
+      return res.status(period.status).json({
+        error: period.error,
+        details: period.details,
+      });
+    }
+
+    const [analytics, totalUsers, totalProducts, recentOrders, recentUsers] = await Promise.all([
+      getDashboardAnalytics(period.range, period.previous),
+      User.countDocuments(),
+      Product.countDocuments(),
       Order.find({})
         .populate("customerId", "displayName email")
-        .sort({ createdAt: -1 }),
+        .sort({ createdAt: -1 })
+        .limit(5),
+      User.find({}).select("-password").sort({ createdAt: -1 }).limit(5),
     ]);
 
-    // Calculate statistics
-    const totalUsers = users.length;
-    const totalProducts = products.length;
-    const totalOrders = orders.length;
-    const totalRevenue = orders.reduce((sum, order) => {
-      return sum + (order.totalAmount || 0);
-    }, 0);
-
-    // Get recent orders (last 5)
-    const recentOrders = orders.slice(0, 5);
-
-    // Get recent users (last 5)
-    const recentUsers = users.slice(0, 5);
-
-    // Calculate percentage changes (mock data for now)
-    const userChange = "+12%";
-    const productChange = "+5%";
-    const orderChange = "+8%";
-    const revenueChange = "+15%";
+    const { summary } = analytics;
 
     res.json({
       success: true,
@@ -47,13 +91,15 @@ router.get("/dashboard", auth, adminAuth, async (req, res) => {
         stats: {
           totalUsers,
           totalProducts,
-          totalOrders,
-          totalRevenue,
-          userChange,
-          productChange,
-          orderChange,
-          revenueChange,
+          totalOrders: summary.orders.current,
+          totalRevenue: summary.revenue.current,
+          averageOrderValue: summary.averageOrderValue.current,
+          userChange: formatChange(summary.signups.change),
+          productChange: formatChange(summary.newProducts.change),
+          orderChange: formatChange(summary.orders.change),
+          revenueChange: formatChange(summary.revenue.change),
         },
+        analytics,
         recentOrders,
         recentUsers,
       },
@@ -67,6 +113,142 @@ router.get("/dashboard", auth, adminAuth, async (req, res) => {
   }
 });
 
+// Run a report for the query's date range (from/to as YYYY-MM-DD, timezone)
+// and send it as JSON or, with format=csv, as a CSV download
+const sendReport = (name, runReport) => async (req, res) => {
+  try {
+    const { from, to, timezone, format = "json" } = req.query;
+    if (!["json", "csv"].includes(format)) {
+      return res.status(400).json({
+        error: "Validation Error",
+        details: "Format must be json or csv",
+      });
+    }
+
+    const period = resolveDateRange({ from, to, timeZone: timezone || undefined });
+    if (!period.success) {
+      return res.status(period.status).json({
+        error: period.error,
+        details: period.details,
+      });
+    }
+
+    const { success, status, error, details, columns, rows, totals } = await runReport(period.range, req.query);
+    if (!success) {
+      return res.status(status || 400).json({ error, details });
+    }
+
+    const { range } = period;
+    if (format === "csv") {
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      res.setHeader("Content-Disposition", `attachment; filename="${name}_${range.from}_${range.to}.csv"`);
+      return res.send(reportToCsv({ columns, rows }));
+    }
+
+    res.json({
+      success: true,
+      data: {
+        report: name,
+        range: { from: range.from, to: range.to, timeZone: range.timeZone },
+        columns: columns.map(({ key, label }) => ({ key, label })),
+        rows,
+        totals,
+      },
+    });
+  } catch (error) {
+    console.error(`Get ${name} report error:`, error);
+    res.status(500).json({
+      error: "Server Error",
+      details: "Failed to build report",
+    });
+  }
+};
+
+// @route   GET /api/admin/reports/top-products
+// @desc    Best-selling products by units or revenue (sort=units|revenue, limit,
+//          category to include only a category and its subcategories)
+// @access  Private (Admin only)
+router.get("/reports/top-products", auth, adminAuth, sendReport("top-products", topProducts));
+
+// @route   GET /api/admin/reports/top-categories
+// @desc    Best-selling categories by units or revenue (sort=units|revenue, limit)
+// @access  Private (Admin only)
+router.get("/reports/top-categories", auth, adminAuth, sendReport("top-categories", topCategories));
+
+// @route   GET /api/admin/reports/payment-methods
+// @desc    Paid orders and revenue per payment method
+// @access  Private (Admin only)
+router.get("/reports/payment-methods", auth, adminAuth, sendReport("payment-methods", salesByPaymentMethod));
+
+// @route   GET /api/admin/reports/cities
+// @desc    Paid orders, customers and revenue per city (sort=revenue|orders, limit)
+// @access  Private (Admin only)
+router.get("/reports/cities", auth, adminAuth, sendReport("cities", salesByCity));
+
+// @route   GET /api/admin/reports/cohorts
+// @desc    Retention of customers grouped by the month of their first paid order
+// @access  Private (Admin only)
+router.get("/reports/cohorts", auth, adminAuth, sendReport("cohorts", cohortRetention));
+
+// @route   GET /api/admin/reports/conversion
+// @desc    Value of orders placed that turned into completed payments, per payment method
+// @access  Private (Admin only)
+router.get("/reports/conversion", auth, adminAuth, sendReport("conversion", checkoutConversion));
+
+// @route   POST /api/admin/reports/:report/email
+// @desc    Build a report on the job queue and email it as CSV (body: from, to,
+//          timezone, email (default the admin's own), options for the report)
+// @access  Private (Admin only)
+router.post(
+  "/reports/:report/email",
+  [
+    auth,
+    adminAuth,
+    auditAction("report.email", { entity: "Job", resultId: (req, body) => body?.data?.job?._id }),
+    body("email").optional().isEmail().withMessage("Email must be a valid email address").normalizeEmail(),
+    body("options").optional().isObject().withMessage("Options must be an object"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: "Validation Error",
+          details: errors.array().map((err) => err.msg),
+        });
+      }
+
+      const { from, to, timezone, email, options } = req.body;
+      const result = await queueReportEmail(req.params.report, {
+        from,
+        to,
+        timeZone: timezone || undefined,
+        options,
+        email: email || req.userInfo.email,
+        createdBy: req.user.userId,
+      });
+      if (!result.success) {
+        return res.status(result.status || 400).json({
+          error: result.error,
+          details: result.details,
+        });
+      }
+
+      res.status(202).json({
+        success: true,
+        message: `The report will be emailed to ${result.job.payload.email}`,
+        data: { job: result.job },
+      });
+    } catch (error) {
+      console.error("Queue report email error:", error);
+      res.status(500).json({
+        error: "Server Error",
+        details: "Failed to queue report",
+      });
+    }
+  }
+);
+
 // @route   GET /api/admin/orders
 // @desc    Get all orders for admin
 // @access  Private (Admin only)
@@ -157,6 +339,7 @@ router.patch(
   [
     auth,
     adminAuth,
+    auditAction("order.status", { entity: "Order" }),
     body("status")
       .isIn([
         "pending",
@@ -195,8 +378,22 @@ router.patch(
       }
 
       // Update order status
+      const previousStatus = order.orderStatus;
       await order.updateStatus(status, req.user.userId, note);
 
+      if (previousStatus !== order.orderStatus && order.orderStatus === "cancelled") {
+        await restoreOrderStock(order, {
+          cancelled: true,
+          actor: { userId: req.user.userId, role: "admin" },
+        });
+        await releaseCoupon(order._id);
+      }
+
+      // Notify the customer in background (don't await)
+      if (previousStatus !== order.orderStatus) {
+        notifyOrderEvent(order, "status", order.orderStatus);
+      }
+
       res.json({
         success: true,
         message: "Order status updated successfully",
@@ -204,6 +401,15 @@ router.patch(
       });
     } catch (error) {
       console.error("Update order status error:", error);
+
+      if (error.name === "InvalidTransitionError") {
+        return res.status(409).json({
+          error: "Invalid status transition",
+          details: error.message,
+          allowed: error.allowed,
+        });
+      }
+
       res.status(500).json({
         error: "Server Error",
         details: "Failed to update order status",
@@ -212,135 +418,1713 @@ router.patch(
   }
 );
 
-// @route   GET /api/admin/settings
-// @desc    Get admin settings
+// @route   GET /api/admin/orders/:id/refunds
+// @desc    Get an order's refunds ledger and what is still refundable
 // @access  Private (Admin only)
-router.get("/settings", auth, adminAuth, async (req, res) => {
+router.get("/orders/:id/refunds", auth, adminAuth, async (req, res) => {
   try {
-    let settings = await Settings.findOne();
-    
-    // If no settings exist, create default settings
-    if (!settings) {
-      settings = new Settings({
-        lastUpdatedBy: req.user.userId
+    const order = await Order.findById(req.params.id).populate(
+      "refunds.createdBy",
+      "displayName email"
+    );
+
+    if (!order) {
+      return res.status(404).json({
+        error: "Order not found",
+        details: "Order does not exist",
       });
-      await settings.save();
     }
 
     res.json({
       success: true,
-      data: settings
+      data: {
+        refunds: order.refunds,
+        summary: getRefundSummary(order),
+      },
     });
   } catch (error) {
-    console.error("Get settings error:", error);
+    console.error("Get order refunds error:", error);
     res.status(500).json({
       error: "Server Error",
-      details: "Failed to fetch settings",
+      details: "Failed to fetch refunds",
     });
   }
 });
 
-// @route   PUT /api/admin/settings
-// @desc    Update admin settings
+// @route   POST /api/admin/orders/:id/refunds
+// @desc    Refund line items and/or shipping on a paid order
 // @access  Private (Admin only)
-router.put("/settings", [
-  auth,
-  adminAuth,
-  body("minimumOrderAmount")
-    .isNumeric()
-    .withMessage("Minimum order amount must be a number"),
-  body("shippingCharge")
-    .isNumeric()
-    .withMessage("Shipping charge must be a number"),
-  body("freeShippingCurrency")
-    .isString()
-    .withMessage("Free shipping currency must be a string"),
-  body("freeShippingEnabled")
-    .isBoolean()
-    .withMessage("Free shipping enabled must be a boolean"),
-  body("discountSettings.enabled")
-    .isBoolean()
-    .withMessage("Discount enabled must be a boolean"),
-  body("discountSettings.defaultDiscountPercentage")
-    .isNumeric()
-    .withMessage("Default discount percentage must be a number"),
-  body("discountSettings.minimumDiscountAmount")
-    .isNumeric()
-    .withMessage("Minimum discount amount must be a number"),
-  body("discountSettings.maximumDiscountAmount")
-    .isNumeric()
-    .withMessage("Maximum discount amount must be a number"),
-  body("discountSettings.discountCurrency")
-    .isString()
-    .withMessage("Discount currency must be a string"),
-  body("discountSettings.showOriginalPrice")
-    .isBoolean()
-    .withMessage("Show original price must be a boolean"),
-  body("discountSettings.showDiscountBadge")
-    .isBoolean()
-    .withMessage("Show discount badge must be a boolean"),
-  body("discountSettings.discountBadgeText")
-    .isString()
-    .withMessage("Discount badge text must be a string"),
-], async (req, res) => {
-  try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({
-        error: "Validation Error",
-        details: errors.array(),
+router.post(
+  "/orders/:id/refunds",
+  [
+    auth,
+    adminAuth,
+    auditAction("order.refund", { entity: "Order" }),
+    body("items")
+      .optional()
+      .isArray()
+      .withMessage("Items must be an array"),
+    body("items.*.itemId")
+      .isMongoId()
+      .withMessage("Each refund item needs a valid order item ID"),
+    body("items.*.quantity")
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage("Quantity must be a non-negative integer"),
+    body("items.*.amount")
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage("Amount must be a non-negative number"),
+    body("shippingAmount")
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage("Shipping amount must be a non-negative number"),
+    body("reason")
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 500 })
+      .withMessage("Reason must be between 1 and 500 characters"),
+    body("restock")
+      .optional()
+      .isBoolean()
+      .withMessage("Restock must be true or false"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: "Validation Error",
+          details: errors.array(),
+        });
+      }
+
+      const { items = [], shippingAmount, reason, restock } = req.body;
+      const result = await createRefund(req.params.id, {
+        items: items.map((item) => ({
+          itemId: item.itemId,
+          quantity: parseInt(item.quantity) || 0,
+          amount: item.amount != null ? parseFloat(item.amount) : undefined,
+        })),
+        shippingAmount: parseFloat(shippingAmount) || 0,
+        reason,
+        restock: restock === true || restock === "true",
+        adminId: req.user.userId,
       });
-    }
 
-    const {
-      minimumOrderAmount,
-      shippingCharge,
-      freeShippingCurrency,
-      freeShippingEnabled,
-      discountSettings,
-      shippingZones
-    } = req.body;
+      if (!result.success) {
+        return res.status(result.status || 400).json({
+          error: result.error,
+          details: result.details,
+        });
+      }
 
-    // Find existing settings or create new one
-    let settings = await Settings.findOne();
-    
-    if (settings) {
-      // Update existing settings
-      settings.minimumOrderAmount = minimumOrderAmount;
-      settings.shippingCharge = shippingCharge;
-      settings.freeShippingCurrency = freeShippingCurrency;
-      settings.freeShippingEnabled = freeShippingEnabled;
-      settings.discountSettings = discountSettings;
-      settings.shippingZones = shippingZones || [];
-      settings.lastUpdatedBy = req.user.userId;
-      settings.lastUpdatedAt = new Date();
-      
-      await settings.save();
-    } else {
-      // Create new settings
-      settings = new Settings({
-        minimumOrderAmount,
-        shippingCharge,
-        freeShippingCurrency,
-        freeShippingEnabled,
-        discountSettings,
-        shippingZones: shippingZones || [],
-        lastUpdatedBy: req.user.userId
+      res.status(201).json({
+        success: true,
+        message: "Refund issued successfully",
+        data: {
+          refund: result.refund,
+          paymentStatus: result.order.paymentStatus,
+          summary: result.summary,
+        },
       });
-      
-      await settings.save();
+    } catch (error) {
+      console.error("Create refund error:", error);
+      res.status(502).json({
+        error: "Refund Failed",
+        details: error.message,
+      });
+    }
+  }
+);
+
+// @route   GET /api/admin/returns
+// @desc    Return (RMA) queue (requested returns by default)
+// @access  Private (Admin only)
+router.get("/returns", auth, adminAuth, async (req, res) => {
+  try {
+    const { page = 1, limit = 50, status = "requested", orderId, search } = req.query;
+
+    const query = {};
+    if (status && status !== "all") query.status = status;
+    if (orderId) query.orderId = orderId;
+    if (search) {
+      query.$or = [
+        { rmaNumber: { $regex: search, $options: "i" } },
+        { orderNumber: { $regex: search, $options: "i" } },
+      ];
     }
 
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const [returns, total, counts] = await Promise.all([
+      ReturnRequest.find(query)
+        .populate("customerId", "displayName email")
+        // Oldest first so open returns are worked in order
+        .sort({ createdAt: ["requested", "approved"].includes(status) ? 1 : -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      ReturnRequest.countDocuments(query),
+      ReturnRequest.aggregate([{ $group: { _id: "$status", count: { $sum: 1 } } }]),
+    ]);
+
+    const statusCounts = ReturnRequest.RETURN_STATUSES.reduce((acc, key) => {
+      acc[key] = counts.find((row) => row._id === key)?.count || 0;
+      return acc;
+    }, {});
+
     res.json({
       success: true,
-      message: "Settings updated successfully",
-      data: settings
+      data: {
+        returns,
+        statusCounts,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / parseInt(limit)),
+          totalItems: total,
+          itemsPerPage: parseInt(limit),
+        },
+      },
     });
   } catch (error) {
-    console.error("Update settings error:", error);
+    console.error("Get admin returns error:", error);
     res.status(500).json({
       error: "Server Error",
-      details: "Failed to update settings",
+      details: "Failed to fetch returns",
+    });
+  }
+});
+
+// @route   GET /api/admin/returns/:id
+// @desc    Get a return request with its order
+// @access  Private (Admin only)
+router.get("/returns/:id", auth, adminAuth, async (req, res) => {
+  try {
+    const returnRequest = await ReturnRequest.findById(req.params.id)
+      .populate("customerId", "displayName email")
+      .populate("orderId", "orderNumber orderStatus paymentStatus items totalAmount actualDelivery payment.method")
+      .populate("history.actor.userId", "displayName email");
+
+    if (!returnRequest) {
+      return res.status(404).json({
+        error: "Return not found",
+        details: "Return request does not exist",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { returnRequest },
+    });
+  } catch (error) {
+    console.error("Get admin return error:", error);
+    res.status(500).json({
+      error: "Server Error",
+      details: "Failed to fetch return",
+    });
+  }
+});
+
+const returnNoteValidator = (required) => {
+  const validator = body("note");
+  return (required ? validator : validator.optional())
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage(required ? "A note between 1 and 500 characters is required" : "Note must be between 1 and 500 characters");
+};
+
+const sendReturnResult = (res, result, message) => {
+  if (!result.success) {
+    return res.status(result.status || 400).json({
+      error: result.error,
+      details: result.details,
+    });
+  }
+
+  res.json({
+    success: true,
+    message,
+    data: {
+      returnRequest: result.returnRequest,
+      ...(result.refund && {
+        refund: result.refund.success
+          ? { issued: true, refund: result.refund.refund, paymentStatus: result.refund.order.paymentStatus }
+          : { issued: false, error: result.refund.error, details: result.refund.details },
+      }),
+    },
+  });
+};
+
+// @route   PATCH /api/admin/returns/:id/approve
+// @desc    Approve a requested return
+// @access  Private (Admin only)
+router.patch("/returns/:id/approve", [auth, adminAuth, auditAction("return.approve", { entity: "ReturnRequest" }), returnNoteValidator(false)], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: "Validation Error",
+        details: errors.array(),
+      });
+    }
+
+    const result = await approveReturn(req.params.id, { adminId: req.user.userId, note: req.body.note });
+    sendReturnResult(res, result, "Return approved");
+  } catch (error) {
+    console.error("Approve return error:", error);
+    res.status(500).json({
+      error: "Server Error",
+      details: "Failed to approve return",
+    });
+  }
+});
+
+// @route   PATCH /api/admin/returns/:id/reject
+// @desc    Reject a requested return
+// @access  Private (Admin only)
+router.patch("/returns/:id/reject", [auth, adminAuth, auditAction("return.reject", { entity: "ReturnRequest" }), returnNoteValidator(true)], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: "Validation Error",
+        details: errors.array(),
+      });
+    }
+
+    const result = await rejectReturn(req.params.id, { adminId: req.user.userId, note: req.body.note });
+    sendReturnResult(res, result, "Return rejected");
+  } catch (error) {
+    console.error("Reject return error:", error);
+    res.status(500).json({
+      error: "Server Error",
+      details: "Failed to reject return",
+    });
+  }
+});
+
+// @route   PATCH /api/admin/returns/:id/receive
+// @desc    Receive the goods for an approved return: restock them and refund the returned items
+// @access  Private (Admin only)
+router.patch(
+  "/returns/:id/receive",
+  [
+    auth,
+    adminAuth,
+    auditAction("return.receive", { entity: "ReturnRequest" }),
+    returnNoteValidator(false),
+    body("restock")
+      .optional()
+      .isBoolean()
+      .withMessage("Restock must be true or false"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: "Validation Error",
+          details: errors.array(),
+        });
+      }
+
+      const result = await receiveReturn(req.params.id, {
+        adminId: req.user.userId,
+        note: req.body.note,
+        // Damaged goods that cannot be resold are received without restocking
+        restock: req.body.restock === undefined ? true : req.body.restock === true || req.body.restock === "true",
+      });
+      sendReturnResult(res, result, "Return received");
+    } catch (error) {
+      console.error("Receive return error:", error);
+      res.status(500).json({
+        error: "Server Error",
+        details: "Failed to receive return",
+      });
+    }
+  }
+);
+
+// @route   GET /api/admin/inventory/:productId/movements
+// @desc    Stock movement ledger for a product (newest first)
+// @access  Private (Admin only)
+router.get("/inventory/:productId/movements", auth, adminAuth, async (req, res) => {
+  try {
+    const { page = 1, limit = 50, reasonCode, from, to } = req.query;
+
+    const product = await Product.findById(req.params.productId).select("name sku stock status stockAudit");
+    if (!product) {
+      return res.status(404).json({
+        error: "Product not found",
+        details: "Product does not exist",
+      });
+    }
+
+    const query = { productId: product._id };
+    if (reasonCode && reasonCode !== "all") query.reasonCode = reasonCode;
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = new Date(from);
+      if (to) query.createdAt.$lte = new Date(to);
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const [movements, total] = await Promise.all([
+      InventoryMovement.find(query)
+        .populate("actor.userId", "displayName email")
+        .sort({ createdAt: -1, _id: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      InventoryMovement.countDocuments(query),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        product,
+        movements,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / parseInt(limit)),
+          totalItems: total,
+          itemsPerPage: parseInt(limit),
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Get inventory movements error:", error);
+
+    if (error.kind === "ObjectId") {
+      return res.status(400).json({
+        error: "Invalid ID",
+        details: "Product ID format is invalid",
+      });
+    }
+
+    res.status(500).json({
+      error: "Server Error",
+      details: "Failed to fetch inventory movements",
+    });
+  }
+});
+
+// @route   GET /api/admin/inventory/reconciliation
+// @desc    Products flagged by the last stock reconciliation
+// @access  Private (Admin only)
+router.get("/inventory/reconciliation", auth, adminAuth, async (req, res) => {
+  try {
+    const [mismatches, lastCheck] = await Promise.all([
+      Product.find({ "stockAudit.status": "mismatch" })
+        .select("name sku stock status stockAudit")
+        .sort({ "stockAudit.checkedAt": -1 }),
+      Product.findOne({ "stockAudit.checkedAt": { $exists: true } })
+        .select("stockAudit.checkedAt")
+        .sort({ "stockAudit.checkedAt": -1 }),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        lastCheckedAt: lastCheck?.stockAudit?.checkedAt || null,
+        mismatches,
+      },
+    });
+  } catch (error) {
+    console.error("Get inventory reconciliation error:", error);
+    res.status(500).json({
+      error: "Server Error",
+      details: "Failed to fetch inventory reconciliation",
+    });
+  }
+});
+
+// @route   POST /api/admin/inventory/reconcile
+// @desc    Run the stock reconciliation now
+// @access  Private (Admin only)
+router.post(
+  "/inventory/reconcile",
+  auth,
+  adminAuth,
+  auditAction("inventory.reconcile", {
+    metadata: (req, body) => ({ checked: body?.data?.checked, mismatches: body?.data?.mismatches?.length }),
+  }),
+  async (req, res) => {
+  try {
+    const result = await reconcileInventory();
+
+    res.json({
+      success: true,
+      message: result.mismatches.length
+        ? `${result.mismatches.length} products do not match their movements`
+        : "All products match their movements",
+      data: result,
+    });
+  } catch (error) {
+    console.error("Reconcile inventory error:", error);
+    res.status(500).json({
+      error: "Server Error",
+      details: "Failed to reconcile inventory",
+    });
+  }
+});
+
+// @route   GET /api/admin/inventory/low-stock
+// @desc    Products at or below their reorder point, grouped by supplier
+// @access  Private (Admin only)
+router.get("/inventory/low-stock", auth, adminAuth, async (req, res) => {
+  try {
+    const { level = "all" } = req.query;
+    if (!["low", "out", "all"].includes(level)) {
+      return res.status(400).json({
+        error: "Validation Error",
+        details: "Level must be low, out or all",
+      });
+    }
+
+    const report = await getLowStockReport({ level });
+
+    res.json({
+      success: true,
+      data: report,
+    });
+  } catch (error) {
+    console.error("Get low stock error:", error);
+    res.status(500).json({
+      error: "Server Error",
+      details: "Failed to fetch low stock products",
+    });
+  }
+});
+
+// @route   POST /api/admin/inventory/low-stock/check
+// @desc    Run the low-stock check now and email any new alerts
+// @access  Private (Admin only)
+router.post(
+  "/inventory/low-stock/check",
+  auth,
+  adminAuth,
+  auditAction("inventory.low_stock_check", { metadata: (req, body) => body?.data }),
+  async (req, res) => {
+  try {
+    const result = await runLowStockCheck();
+
+    res.json({
+      success: true,
+      message: result.alerted
+        ? `Low-stock alert sent for ${result.alerted} products`
+        : "No new low-stock alerts",
+      data: result,
+    });
+  } catch (error) {
+    console.error("Low stock check error:", error);
+    res.status(500).json({
+      error: "Server Error",
+      details: "Failed to run low stock check",
+    });
+  }
+});
+
+// Product import files arrive as a multipart upload (field "file"), a raw
+// text/csv body or a JSON body
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024 },
+});
+
+const readImportFile = (req, res, next) => {
+  importUpload.single("file")(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({
+        error: "Invalid file",
+        details: error.message,
+      });
+    }
+    next();
+  });
+};
+
+// @route   POST /api/admin/products/import
+// @desc    Create or update products (matched by SKU) from a CSV or JSON file;
+//          ?dryRun=true checks every row without saving
+// @access  Private (Admin only)
+router.post(
+  "/products/import",
+  auth,
+  adminAuth,
+  auditAction("product.import", {
+    // Dry runs change nothing
+    skip: (req) => req.query.dryRun === "true",
+    metadata: (req, body) => ({
+      summary: body?.data?.summary,
+      products: (body?.data?.results || [])
+        .filter((row) => ["created", "updated"].includes(row.status))
+        .map(({ row, sku, status, productId }) => ({ row, sku, status, productId })),
+    }),
+  }),
+  express.text({ type: "text/csv", limit: "10mb" }),
+  readImportFile,
+  async (req, res) => {
+    try {
+      const dryRun = req.query.dryRun === "true";
+      let { format } = req.query;
+      if (format && !["csv", "json"].includes(format)) {
+        return res.status(400).json({
+          error: "Validation Error",
+          details: "Format must be csv or json",
+        });
+      }
+
+      // Work out where the file is and what it holds
+      let content;
+      if (req.file) {
+        content = req.file.buffer.toString("utf8");
+        format = format || (/\.json$/i.test(req.file.originalname) || req.file.mimetype === "application/json" ? "json" : "csv");
+      } else if (typeof req.body === "string") {
+        content = req.body;
+        format = format || "csv";
+      } else if (req.is("application/json")) {
+        content = req.body;
+        format = "json";
+      }
+
+      if (content === undefined) {
+        return res.status(400).json({
+          error: "Validation Error",
+          details: "Send a CSV or JSON file in the file field, a text/csv body or a JSON body",
+        });
+      }
+
+      const file = parseProductFile(content, format);
+      if (!file.success) {
+        return res.status(file.status).json({ error: file.error, details: file.details });
+      }
+
+      const result = await importProducts(file.rows, {
+        dryRun,
+        firstRow: file.firstRow,
+        actor: { userId: req.user.userId, role: "admin" },
+      });
+      if (!result.success) {
+        return res.status(result.status).json({ error: result.error, details: result.details });
+      }
+
+      const { summary } = result;
+      res.json({
+        success: summary.failed === 0,
+        message: dryRun
+          ? `Dry run: ${summary.valid} of ${summary.total} rows are valid`
+          : `Imported ${summary.created + summary.updated} of ${summary.total} products`,
+        data: result,
+      });
+    } catch (error) {
+      console.error("Import products error:", error);
+      res.status(500).json({
+        error: "Server Error",
+        details: "Failed to import products",
+      });
+    }
+  }
+);
+
+// @route   GET /api/admin/products/export
+// @desc    Download products as CSV or JSON in the import format
+// @access  Private (Admin only)
+router.get("/products/export", auth, adminAuth, async (req, res) => {
+  try {
+    const { format = "csv", status, category } = req.query;
+    if (!["csv", "json"].includes(format)) {
+      return res.status(400).json({
+        error: "Validation Error",
+        details: "Format must be csv or json",
+      });
+    }
+
+    const filter = {};
+    if (status) filter.status = status;
+    if (category) Object.assign(filter, (await getCategoryFilter(category, { activeOnly: false })).filter);
+
+    const filename = `products_${new Date().toISOString().split("T")[0]}`;
+
+    if (format === "csv") {
+      return await streamExport(res, {
+        cursor: findProductsForExport(filter).cursor(),
+        columns: PRODUCT_EXPORT_COLUMNS,
+        format,
+        filename,
+      });
+    }
+
+    const products = await findProductsForExport(filter);
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}.json"`);
+    res.json({ products: products.map(productToRow) });
+  } catch (error) {
+    console.error("Export products error:", error);
+    res.status(500).json({
+      error: "Server Error",
+      details: "Failed to export products",
+    });
+  }
+});
+
+// @route   GET /api/admin/reviews
+// @desc    Review moderation queue (pending reviews by default)
+// @access  Private (Admin only)
+router.get("/reviews", auth, adminAuth, async (req, res) => {
+  try {
+    const { page = 1, limit = 50, status = "pending", productId, rating } = req.query;
+
+    const query = {};
+    if (status && status !== "all") query.status = status;
+    if (productId) query.productId = productId;
+    if (rating) query.rating = parseInt(rating);
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const [reviews, total, counts] = await Promise.all([
+      Review.find(query)
+        .populate("productId", "name sku")
+        .populate("customerId", "displayName email")
+        // Oldest first so the queue is worked in order
+        .sort({ createdAt: status === "pending" ? 1 : -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Review.countDocuments(query),
+      Review.aggregate([{ $group: { _id: "$status", count: { $sum: 1 } } }]),
+    ]);
+
+    const statusCounts = Review.REVIEW_STATUSES.reduce((acc, key) => {
+      acc[key] = counts.find((row) => row._id === key)?.count || 0;
+      return acc;
+    }, {});
+
+    res.json({
+      success: true,
+      data: {
+        reviews,
+        statusCounts,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / parseInt(limit)),
+          totalItems: total,
+          itemsPerPage: parseInt(limit),
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Get admin reviews error:", error);
+    res.status(500).json({
+      error: "Server Error",
+      details: "Failed to fetch reviews",
+    });
+  }
+});
+
+// @route   PATCH /api/admin/reviews/:id/moderate
+// @desc    Approve, reject or flag a review
+// @access  Private (Admin only)
+router.patch(
+  "/reviews/:id/moderate",
+  [
+    auth,
+    adminAuth,
+    auditAction("review.moderate", { entity: "Review" }),
+    body("action")
+      .isIn(["approve", "reject", "flag"])
+      .withMessage("Action must be one of: approve, reject, flag"),
+    body("reason")
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage("Reason cannot exceed 500 characters"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: "Validation Error",
+          details: errors.array(),
+        });
+      }
+
+      const review = await Review.findById(req.params.id);
+      if (!review) {
+        return res.status(404).json({
+          error: "Review not found",
+          details: "Review does not exist",
+        });
+      }
+
+      review.moderate(req.body.action, req.user.userId, req.body.reason);
+      await review.save();
+
+      // Only approved reviews count towards the product rating
+      const productRating = await Review.updateProductRating(review.productId);
+
+      res.json({
+        success: true,
+        message: `Review ${review.status}`,
+        data: { review, productRating },
+      });
+    } catch (error) {
+      console.error("Moderate review error:", error);
+      res.status(500).json({
+        error: "Server Error",
+        details: "Failed to moderate review",
+      });
+    }
+  }
+);
+
+// @route   DELETE /api/admin/reviews/:id
+// @desc    Delete a review
+// @access  Private (Admin only)
+router.delete("/reviews/:id", auth, adminAuth, auditAction("review.delete", { entity: "Review" }), async (req, res) => {
+  try {
+    const review = await Review.findByIdAndDelete(req.params.id);
+    if (!review) {
+      return res.status(404).json({
+        error: "Review not found",
+        details: "Review does not exist",
+      });
+    }
+
+    const productRating = await Review.updateProductRating(review.productId);
+
+    res.json({
+      success: true,
+      message: "Review deleted successfully",
+      data: { productRating },
+    });
+  } catch (error) {
+    console.error("Delete review error:", error);
+    res.status(500).json({
+      error: "Server Error",
+      details: "Failed to delete review",
+    });
+  }
+});
+
+// Audit entry for a coupon change (a created coupon's id comes from the response)
+const auditCoupon = (verb) => auditAction(`coupon.${verb}`, {
+  entity: "Coupon",
+  resultId: (req, body) => body?.data?.coupon?._id,
+});
+
+// Validators shared by coupon create and update
+const couponValidators = (isUpdate = false) => {
+  const field = (name) => (isUpdate ? body(name).optional() : body(name));
+  return [
+    field("code")
+      .trim()
+      .isLength({ min: 3, max: 50 })
+      .withMessage("Code must be between 3 and 50 characters")
+      .matches(/^[A-Za-z0-9_-]+$/)
+      .withMessage("Code may only contain letters, numbers, dashes and underscores"),
+    field("type")
+      .isIn(Coupon.COUPON_TYPES)
+      .withMessage(`Type must be one of: ${Coupon.COUPON_TYPES.join(", ")}`),
+    body("value")
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage("Value must be a positive number"),
+    body("maxDiscountAmount")
+      .optional({ nullable: true })
+      .isFloat({ min: 0 })
+      .withMessage("Maximum discount must be a positive number"),
+    body("minimumSpend")
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage("Minimum spend must be a positive number"),
+    body("startsAt")
+      .optional({ nullable: true })
+      .isISO8601()
+      .withMessage("Start date must be a valid date"),
+    body("expiresAt")
+      .optional({ nullable: true })
+      .isISO8601()
+      .withMessage("Expiry date must be a valid date"),
+    body("usageLimit")
+      .optional({ nullable: true })
+      .isInt({ min: 1 })
+      .withMessage("Usage limit must be a positive integer"),
+    body("perCustomerLimit")
+      .optional({ nullable: true })
+      .isInt({ min: 1 })
+      .withMessage("Per-customer limit must be a positive integer"),
+    body("isActive")
+      .optional()
+      .isBoolean()
+      .withMessage("isActive must be a boolean"),
+    body("restrictions.categories")
+      .optional()
+      .isArray()
+      .withMessage("Restricted categories must be an array"),
+    body("restrictions.products")
+      .optional()
+      .isArray()
+      .withMessage("Restricted products must be an array"),
+    body("restrictions.products.*")
+      .optional()
+      .isMongoId()
+      .withMessage("Restricted products must be valid product IDs"),
+  ];
+};
+
+const COUPON_FIELDS = [
+  "code",
+  "description",
+  "type",
+  "value",
+  "maxDiscountAmount",
+  "minimumSpend",
+  "startsAt",
+  "expiresAt",
+  "usageLimit",
+  "perCustomerLimit",
+  "isActive",
+  "restrictions",
+];
+
+const pickCouponFields = (source) =>
+  COUPON_FIELDS.reduce((acc, key) => {
+    if (source[key] !== undefined) acc[key] = source[key];
+    return acc;
+  }, {});
+
+// @route   GET /api/admin/coupons
+// @desc    Get all coupons
+// @access  Private (Admin only)
+router.get("/coupons", auth, adminAuth, async (req, res) => {
+  try {
+    const { page = 1, limit = 50, status, search } = req.query;
+
+    const query = {};
+    const now = new Date();
+    if (status === "active") {
+      query.isActive = true;
+      query.$or = [{ expiresAt: null }, { expiresAt: { $gt: now } }];
+    } else if (status === "inactive") {
+      query.isActive = false;
+    } else if (status === "expired") {
+      query.expiresAt = { $lte: now };
+    }
+    if (search) {
+      query.code = { $regex: search, $options: "i" };
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const [coupons, total] = await Promise.all([
+      Coupon.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Coupon.countDocuments(query),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        coupons,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / parseInt(limit)),
+          totalItems: total,
+          itemsPerPage: parseInt(limit),
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Get coupons error:", error);
+    res.status(500).json({
+      error: "Server Error",
+      details: "Failed to fetch coupons",
+    });
+  }
+});
+
+// @route   GET /api/admin/coupons/:id
+// @desc    Get a coupon with its recent redemptions
+// @access  Private (Admin only)
+router.get("/coupons/:id", auth, adminAuth, async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id);
+    if (!coupon) {
+      return res.status(404).json({
+        error: "Coupon not found",
+        details: "Coupon does not exist",
+      });
+    }
+
+    const redemptions = await CouponRedemption.find({ couponId: coupon._id })
+      .populate("customerId", "displayName email")
+      .populate("orderId", "orderNumber totalAmount orderStatus")
+      .sort({ createdAt: -1 })
+      .limit(100);
+
+    res.json({
+      success: true,
+      data: { coupon, redemptions },
+    });
+  } catch (error) {
+    console.error("Get coupon error:", error);
+    res.status(500).json({
+      error: "Server Error",
+      details: "Failed to fetch coupon",
+    });
+  }
+});
+
+// @route   POST /api/admin/coupons
+// @desc    Create a coupon
+// @access  Private (Admin only)
+router.post("/coupons", [auth, adminAuth, auditCoupon("create"), ...couponValidators()], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: "Validation Error",
+        details: errors.array(),
+      });
+    }
+
+    const coupon = new Coupon({
+      ...pickCouponFields(req.body),
+      createdBy: req.user.userId,
+    });
+    await coupon.save();
+
+    res.status(201).json({
+      success: true,
+      message: "Coupon created successfully",
+      data: { coupon },
+    });
+  } catch (error) {
+    console.error("Create coupon error:", error);
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        error: "Duplicate code",
+        details: "A coupon with this code already exists",
+      });
+    }
+
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        error: "Validation Error",
+        details: Object.values(error.errors).map((err) => err.message),
+      });
+    }
+
+    res.status(500).json({
+      error: "Server Error",
+      details: "Failed to create coupon",
+    });
+  }
+});
+
+// @route   PUT /api/admin/coupons/:id
+// @desc    Update a coupon
+// @access  Private (Admin only)
+router.put("/coupons/:id", [auth, adminAuth, auditCoupon("update"), ...couponValidators(true)], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: "Validation Error",
+        details: errors.array(),
+      });
+    }
+
+    const coupon = await Coupon.findById(req.params.id);
+    if (!coupon) {
+      return res.status(404).json({
+        error: "Coupon not found",
+        details: "Coupon does not exist",
+      });
+    }
+
+    // The redemption counter is maintained by checkout only
+    coupon.set(pickCouponFields(req.body));
+    await coupon.save();
+
+    res.json({
+      success: true,
+      message: "Coupon updated successfully",
+      data: { coupon },
+    });
+  } catch (error) {
+    console.error("Update coupon error:", error);
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        error: "Duplicate code",
+        details: "A coupon with this code already exists",
+      });
+    }
+
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        error: "Validation Error",
+        details: Object.values(error.errors).map((err) => err.message),
+      });
+    }
+
+    res.status(500).json({
+      error: "Server Error",
+      details: "Failed to update coupon",
+    });
+  }
+});
+
+// @route   DELETE /api/admin/coupons/:id
+// @desc    Delete a coupon (deactivated instead once it has been redeemed)
+// @access  Private (Admin only)
+router.delete("/coupons/:id", auth, adminAuth, auditCoupon("delete"), async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id);
+    if (!coupon) {
+      return res.status(404).json({
+        error: "Coupon not found",
+        details: "Coupon does not exist",
+      });
+    }
+
+    // Keep redeemed coupons so orders can still refer to them
+    const hasRedemptions = await CouponRedemption.exists({ couponId: coupon._id });
+    if (hasRedemptions) {
+      coupon.isActive = false;
+      await coupon.save();
+      return res.json({
+        success: true,
+        message: "Coupon has redemptions and was deactivated instead of deleted",
+        data: { coupon },
+      });
+    }
+
+    await coupon.deleteOne();
+
+    res.json({
+      success: true,
+      message: "Coupon deleted successfully",
+    });
+  } catch (error) {
+    console.error("Delete coupon error:", error);
+    res.status(500).json({
+      error: "Server Error",
+      details: "Failed to delete coupon",
+    });
+  }
+});
+
+// Audit entry for a price list change (a created list's id comes from the response)
+const auditPriceList = (verb) => auditAction(`price_list.${verb}`, {
+  entity: "PriceList",
+  resultId: (req, body) => body?.data?.priceList?._id,
+});
+
+// Validators shared by price list create and update
+const priceListValidators = (isUpdate = false) => {
+  const field = (name) => (isUpdate ? body(name).optional() : body(name));
+  return [
+    field("name")
+      .trim()
+      .isLength({ min: 2, max: 100 })
+      .withMessage("Name must be between 2 and 100 characters"),
+    field("customerGroup")
+      .trim()
+      .toLowerCase()
+      .matches(/^[a-z0-9_-]{2,50}$/)
+      .withMessage("Customer group must be 2-50 letters, numbers, dashes or underscores"),
+    body("description")
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage("Description cannot exceed 500 characters"),
+    body("isActive")
+      .optional()
+      .isBoolean()
+      .withMessage("isActive must be a boolean"),
+    body("discountPercentage")
+      .optional()
+      .isFloat({ min: 0, max: 100 })
+      .withMessage("Discount percentage must be between 0 and 100"),
+    body("entries")
+      .optional()
+      .isArray()
+      .withMessage("Entries must be an array"),
+    body("entries.*.productId")
+      .isMongoId()
+      .withMessage("Each entry needs a valid product ID"),
+    body("entries.*.variantId")
+      .optional({ nullable: true })
+      .isMongoId()
+      .withMessage("Variant ID must be a valid ID"),
+    body("entries.*.price")
+      .optional({ nullable: true })
+      .isFloat({ min: 0 })
+      .withMessage("Entry price must be a positive number"),
+    body("entries.*.priceTiers")
+      .optional()
+      .isArray()
+      .withMessage("Entry price tiers must be an array"),
+    body("entries.*.priceTiers.*.minQuantity")
+      .isInt({ min: 1 })
+      .withMessage("Tier minimum quantity must be a positive integer"),
+    body("entries.*.priceTiers.*.price")
+      .isFloat({ min: 0 })
+      .withMessage("Tier price must be a positive number"),
+  ];
+};
+
+const PRICE_LIST_FIELDS = ["name", "customerGroup", "description", "isActive", "discountPercentage", "entries"];
+
+const pickPriceListFields = (source) =>
+  PRICE_LIST_FIELDS.reduce((acc, key) => {
+    if (source[key] !== undefined) acc[key] = source[key];
+    return acc;
+  }, {});
+
+// Respond to a failed price list save
+const sendPriceListError = (res, error, action) => {
+  console.error(`${action} price list error:`, error);
+
+  if (error.code === 11000) {
+    return res.status(409).json({
+      error: "Duplicate customer group",
+      details: "A price list for this customer group already exists",
+    });
+  }
+
+  if (error.name === "ValidationError") {
+    return res.status(400).json({
+      error: "Validation Error",
+      details: Object.values(error.errors).map((err) => err.message),
+    });
+  }
+
+  res.status(500).json({
+    error: "Server Error",
+    details: `Failed to ${action.toLowerCase()} price list`,
+  });
+};
+
+// @route   GET /api/admin/price-lists
+// @desc    Get all customer-group price lists with the number of users on each
+// @access  Private (Admin only)
+router.get("/price-lists", auth, adminAuth, async (req, res) => {
+  try {
+    const [priceLists, groupCounts] = await Promise.all([
+      PriceList.find().sort({ name: 1 }),
+      User.aggregate([
+        { $match: { customerGroup: { $nin: [null, ""] } } },
+        { $group: { _id: "$customerGroup", count: { $sum: 1 } } },
+      ]),
+    ]);
+
+    const userCounts = groupCounts.reduce((acc, { _id, count }) => {
+      acc[_id] = count;
+      return acc;
+    }, {});
+
+    res.json({
+      success: true,
+      data: {
+        priceLists: priceLists.map((priceList) => ({
+          ...priceList.toObject(),
+          userCount: userCounts[priceList.customerGroup] || 0,
+        })),
+      },
+    });
+  } catch (error) {
+    console.error("Get price lists error:", error);
+    res.status(500).json({
+      error: "Server Error",
+      details: "Failed to fetch price lists",
+    });
+  }
+});
+
+// @route   GET /api/admin/price-lists/:id
+// @desc    Get a price list with its product entries
+// @access  Private (Admin only)
+router.get("/price-lists/:id", auth, adminAuth, async (req, res) => {
+  try {
+    const priceList = await PriceList.findById(req.params.id).populate("entries.productId", "name sku price variants");
+    if (!priceList) {
+      return res.status(404).json({
+        error: "Price list not found",
+        details: "Price list does not exist",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { priceList },
+    });
+  } catch (error) {
+    console.error("Get price list error:", error);
+    res.status(500).json({
+      error: "Server Error",
+      details: "Failed to fetch price list",
+    });
+  }
+});
+
+// @route   POST /api/admin/price-lists
+// @desc    Create a price list for a customer group
+// @access  Private (Admin only)
+router.post("/price-lists", [auth, adminAuth, auditPriceList("create"), ...priceListValidators()], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: "Validation Error",
+        details: errors.array(),
+      });
+    }
+
+    const priceList = new PriceList({
+      ...pickPriceListFields(req.body),
+      createdBy: req.user.userId,
+    });
+    await priceList.save();
+
+    res.status(201).json({
+      success: true,
+      message: "Price list created successfully",
+      data: { priceList },
+    });
+  } catch (error) {
+    sendPriceListError(res, error, "Create");
+  }
+});
+
+// @route   PUT /api/admin/price-lists/:id
+// @desc    Update a price list (entries are replaced when sent)
+// @access  Private (Admin only)
+router.put("/price-lists/:id", [auth, adminAuth, auditPriceList("update"), ...priceListValidators(true)], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: "Validation Error",
+        details: errors.array(),
+      });
+    }
+
+    const priceList = await PriceList.findById(req.params.id);
+    if (!priceList) {
+      return res.status(404).json({
+        error: "Price list not found",
+        details: "Price list does not exist",
+      });
+    }
+
+    // Users point at the group by name, so renaming it moves them along
+    const previousGroup = priceList.customerGroup;
+    priceList.set(pickPriceListFields(req.body));
+    await priceList.save();
+
+    if (priceList.customerGroup !== previousGroup) {
+      await User.updateMany({ customerGroup: previousGroup }, { $set: { customerGroup: priceList.customerGroup } });
+    }
+
+    res.json({
+      success: true,
+      message: "Price list updated successfully",
+      data: { priceList },
+    });
+  } catch (error) {
+    sendPriceListError(res, error, "Update");
+  }
+});
+
+// @route   DELETE /api/admin/price-lists/:id
+// @desc    Delete a price list (only once no users are assigned to its group)
+// @access  Private (Admin only)
+router.delete("/price-lists/:id", auth, adminAuth, auditPriceList("delete"), async (req, res) => {
+  try {
+    const priceList = await PriceList.findById(req.params.id);
+    if (!priceList) {
+      return res.status(404).json({
+        error: "Price list not found",
+        details: "Price list does not exist",
+      });
+    }
+
+    const assignedUsers = await User.countDocuments({ customerGroup: priceList.customerGroup });
+    if (assignedUsers > 0) {
+      return res.status(409).json({
+        error: "Price list in use",
+        details: `${assignedUsers} users are in the ${priceList.customerGroup} group; move them to another group or deactivate the list instead`,
+      });
+    }
+
+    await priceList.deleteOne();
+
+    res.json({
+      success: true,
+      message: "Price list deleted successfully",
+    });
+  } catch (error) {
+    console.error("Delete price list error:", error);
+    res.status(500).json({
+      error: "Server Error",
+      details: "Failed to delete price list",
+    });
+  }
+});
+
+// @route   GET /api/admin/settings
+// @desc    Get admin settings
+// @access  Private (Admin only)
+router.get("/settings", auth, adminAuth, async (req, res) => {
+  try {
+    let settings = await Settings.findOne();
+    
+    // If no settings exist, create default settings
+    if (!settings) {
+      settings = new Settings({
+        lastUpdatedBy: req.user.userId
+      });
+      await settings.save();
+    }
+
+    res.json({
+      success: true,
+      data: settings
+    });
+  } catch (error) {
+    console.error("Get settings error:", error);
+    res.status(500).json({
+      error: "Server Error",
+      details: "Failed to fetch settings",
+    });
+  }
+});
+
+// @route   PUT /api/admin/settings
+// @desc    Update admin settings
+// @access  Private (Admin only)
+router.put("/settings", [
+  auth,
+  adminAuth,
+  // There is one settings document
+  auditAction("settings.update", { entity: "Settings", id: () => "current", load: () => Settings.findOne().lean() }),
+  body("minimumOrderAmount")
+    .isNumeric()
+    .withMessage("Minimum order amount must be a number"),
+  body("shippingCharge")
+    .isNumeric()
+    .withMessage("Shipping charge must be a number"),
+  body("freeShippingCurrency")
+    .isString()
+    .withMessage("Free shipping currency must be a string"),
+  body("freeShippingEnabled")
+    .isBoolean()
+    .withMessage("Free shipping enabled must be a boolean"),
+  body("discountSettings.enabled")
+    .isBoolean()
+    .withMessage("Discount enabled must be a boolean"),
+  body("discountSettings.defaultDiscountPercentage")
+    .isNumeric()
+    .withMessage("Default discount percentage must be a number"),
+  body("discountSettings.minimumDiscountAmount")
+    .isNumeric()
+    .withMessage("Minimum discount amount must be a number"),
+  body("discountSettings.maximumDiscountAmount")
+    .isNumeric()
+    .withMessage("Maximum discount amount must be a number"),
+  body("discountSettings.discountCurrency")
+    .isString()
+    .withMessage("Discount currency must be a string"),
+  body("discountSettings.showOriginalPrice")
+    .isBoolean()
+    .withMessage("Show original price must be a boolean"),
+  body("discountSettings.showDiscountBadge")
+    .isBoolean()
+    .withMessage("Show discount badge must be a boolean"),
+  body("discountSettings.discountBadgeText")
+    .isString()
+    .withMessage("Discount badge text must be a string"),
+  body("taxSettings.enabled")
+    .optional()
+    .isBoolean()
+    .withMessage("Tax enabled must be a boolean"),
+  body("taxSettings.percentage")
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage("Tax percentage must be between 0 and 100"),
+  body("returnSettings.enabled")
+    .optional()
+    .isBoolean()
+    .withMessage("Returns enabled must be a boolean"),
+  body("returnSettings.windowDays")
+    .optional()
+    .isInt({ min: 0, max: 365 })
+    .withMessage("Return window must be between 0 and 365 days"),
+  body("returnSettings.maxPhotos")
+    .optional()
+    .isInt({ min: 0, max: 10 })
+    .withMessage("Maximum return photos must be between 0 and 10"),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: "Validation Error",
+        details: errors.array(),
+      });
+    }
+
+    const {
+      minimumOrderAmount,
+      shippingCharge,
+      freeShippingCurrency,
+      freeShippingEnabled,
+      discountSettings,
+      taxSettings,
+      returnSettings,
+      shippingZones
+    } = req.body;
+
+    // Find existing settings or create new one
+    let settings = await Settings.findOne();
+    
+    if (settings) {
+      // Update existing settings
+      settings.minimumOrderAmount = minimumOrderAmount;
+      settings.shippingCharge = shippingCharge;
+      settings.freeShippingCurrency = freeShippingCurrency;
+      settings.freeShippingEnabled = freeShippingEnabled;
+      settings.discountSettings = discountSettings;
+      if (taxSettings) settings.taxSettings = taxSettings;
+      if (returnSettings) settings.returnSettings = returnSettings;
+      settings.shippingZones = shippingZones || [];
+      settings.lastUpdatedBy = req.user.userId;
+      settings.lastUpdatedAt = new Date();
+      
+      await settings.save();
+    } else {
+      // Create new settings
+      settings = new Settings({
+        minimumOrderAmount,
+        shippingCharge,
+        freeShippingCurrency,
+        freeShippingEnabled,
+        discountSettings,
+        taxSettings,
+        returnSettings,
+        shippingZones: shippingZones || [],
+        lastUpdatedBy: req.user.userId
+      });
+      
+      await settings.save();
+    }
+
+    res.json({
+      success: true,
+      message: "Settings updated successfully",
+      data: settings
+    });
+  } catch (error) {
+    console.error("Update settings error:", error);
+    res.status(500).json({
+      error: "Server Error",
+      details: "Failed to update settings",
+    });
+  }
+});
+
+// @route   GET /api/admin/jobs
+// @desc    Background jobs, newest first (status, name), with counts per job type
+//          and the job types this server knows
+// @access  Private (Admin only)
+router.get("/jobs", auth, adminAuth, async (req, res) => {
+  try {
+    const { page = 1, limit = 50, status, name } = req.query;
+    if (status && status !== "all" && !Job.JOB_STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: "Validation Error",
+        details: `Status must be one of: ${Job.JOB_STATUSES.join(", ")}`,
+      });
+    }
+
+    const query = {};
+    if (status && status !== "all") query.status = status;
+    if (name) query.name = name;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const [jobs, total, counts] = await Promise.all([
+      Job.find(query)
+        .populate("createdBy", "displayName email")
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Job.countDocuments(query),
+      getJobCounts(),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        jobs,
+        counts,
+        definitions: listJobDefinitions(),
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / parseInt(limit)),
+          totalItems: total,
+          itemsPerPage: parseInt(limit),
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Get jobs error:", error);
+    res.status(500).json({
+      error: "Server Error",
+      details: "Failed to fetch jobs",
+    });
+  }
+});
+
+// @route   GET /api/admin/jobs/:id
+// @desc    One job with its payload, result and failed attempts
+// @access  Private (Admin only)
+router.get("/jobs/:id", auth, adminAuth, async (req, res) => {
+  try {
+    const job = await findJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({
+        error: "Job not found",
+        details: "Job does not exist",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { job },
+    });
+  } catch (error) {
+    console.error("Get job error:", error);
+    res.status(500).json({
+      error: "Server Error",
+      details: "Failed to fetch job",
+    });
+  }
+});
+
+// @route   POST /api/admin/jobs
+// @desc    Queue a maintenance job (name, optional payload and runAt)
+// @access  Private (Admin only)
+router.post(
+  "/jobs",
+  [
+    auth,
+    adminAuth,
+    auditAction("job.create", { entity: "Job", resultId: (req, body) => body?.data?.job?._id }),
+    body("name").isString().trim().notEmpty().withMessage("Job name is required"),
+    body("payload").optional().isObject().withMessage("Payload must be an object"),
+    body("runAt").optional().isISO8601().withMessage("runAt must be an ISO 8601 date"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: "Validation Error",
+          details: errors.array().map((err) => err.msg),
+        });
+      }
+
+      const { name, payload = {}, runAt } = req.body;
+      const definition = listJobDefinitions().find((job) => job.name === name);
+      if (!definition || !definition.manual) {
+        return res.status(400).json({
+          error: "Unknown job",
+          details: `Jobs that can be queued: ${listJobDefinitions()
+            .filter((job) => job.manual)
+            .map((job) => job.name)
+            .join(", ")}`,
+        });
+      }
+
+      const result = await enqueue(name, payload, { runAt, createdBy: req.user.userId });
+      if (!result.success) {
+        return res.status(result.status || 400).json({
+          error: result.error,
+          details: result.details,
+        });
+      }
+
+      res.status(202).json({
+        success: true,
+        message: `${name} job queued`,
+        data: { job: result.job },
+      });
+    } catch (error) {
+      console.error("Queue job error:", error);
+      res.status(500).json({
+        error: "Server Error",
+        details: "Failed to queue job",
+      });
+    }
+  }
+);
+
+// @route   POST /api/admin/jobs/:id/retry
+// @desc    Requeue a dead job with fresh attempts, or run a queued job now
+// @access  Private (Admin only)
+router.post("/jobs/:id/retry", auth, adminAuth, auditAction("job.retry", { entity: "Job" }), async (req, res) => {
+  try {
+    const result = await retryJob(req.params.id);
+    if (!result.success) {
+      return res.status(result.status || 400).json({
+        error: result.error,
+        details: result.details,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Job queued to run again",
+      data: { job: result.job },
+    });
+  } catch (error) {
+    console.error("Retry job error:", error);
+    res.status(500).json({
+      error: "Server Error",
+      details: "Failed to retry job",
+    });
+  }
+});
+
+// @route   GET /api/admin/audit
+// @desc    Audit log of admin actions, newest first (actor as user id or email,
+//          action or an action prefix such as "product.", entityType, entityId,
+//          route, from/to as YYYY-MM-DD or ISO timestamps)
+// @access  Private (Admin only)
+router.get("/audit", auth, adminAuth, async (req, res) => {
+  try {
+    const result = await findAuditEntries(req.query);
+    if (!result.success) {
+      return res.status(result.status || 400).json({
+        error: result.error,
+        details: result.details,
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        entries: result.entries,
+        pagination: result.pagination,
+      },
+    });
+  } catch (error) {
+    console.error("Get audit log error:", error);
+    res.status(500).json({
+      error: "Server Error",
+      details: "Failed to fetch audit log",
     });
   }
 });
@@ -1,23 +1,17 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
 const crypto = require('crypto');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
-const { auth, adminAuth } = require('../middleware/auth');
+const Session = require('../models/Session');
+const { auth, optionalAuth, adminAuth } = require('../middleware/auth');
 const { sendVerificationEmail, sendPasswordResetEmail } = require('../lib/emailService');
-const { generateOTP, sendOTP } = require('../lib/otpService');
+const { generateOTP, sendOTPToUser, getChannelOrder, isChannelAvailable, OTP_MAX_ATTEMPTS } = require('../lib/otpService');
+const { queueOTPDelivery } = require('../lib/otpDelivery');
+const { checkLock, recordFailure, clearFailures, sendLockedResponse } = require('../lib/authThrottle');
+const { createSession, rotateRefreshToken, revokeByRefreshToken } = require('../lib/sessionService');
 const router = express.Router();
 
-// Generate JWT token
-const generateToken = (userId) => {
-  return jwt.sign(
-    { userId },
-    process.env.JWT_SECRET || 'fallback-secret-key',
-    { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-  );
-};
-
 // @route   POST /api/auth/register
 // @desc    Register a new user
 // @access  Public
@@ -122,44 +116,17 @@ router.post('/register', [
 
     // Generate verification code
     const verificationCode = generateOTP();
-    user.emailVerificationCode = verificationCode;
-    user.emailVerificationExpires = new Date(Date.now() + 10 * 60 * 1000); // 10 minutes
+    user.setEmailVerificationCode(verificationCode); // stored hashed, expires in 10 minutes
     await user.save();
 
     console.log('✅ User saved to database, sending OTP...');
 
-    // Send OTP via preferred method (asynchronously to prevent timeout)
-    const otpMethod = process.env.OTP_METHOD || 'email'; // console, email
-    const originalEmail = req.body.email;
-    
-    console.log('📧 Email comparison:');
-    console.log('📧 Original email (for sending):', originalEmail);
-    console.log('📧 Normalized email (in DB):', user.email);
-    
-    // Send email asynchronously to prevent timeout
-    const sendEmailAsync = async () => {
-      try {
-        let otpResult;
-        if (otpMethod === 'email') {
-          // Send email OTP to original email (before normalization)
-          otpResult = await sendOTP(originalEmail, verificationCode, 'email');
-        } else {
-          // Send console OTP (for development)
-          otpResult = await sendOTP(user.phone, verificationCode, 'console');
-        }
-        
-        if (!otpResult.success) {
-          console.error('❌ Failed to send OTP:', otpResult.error);
-        } else {
-          console.log(`✅ OTP sent successfully via ${otpResult.method} to:`, otpMethod === 'email' ? user.email : user.phone);
-        }
-      } catch (error) {
-        console.error('❌ Async email sending error:', error);
-      }
-    };
-
-    // Start email sending in background (don't await)
-    sendEmailAsync();
+    // Send OTP via the user's preferred channel, falling back to the others
+    // (queued, so the response does not wait and a failed send is retried)
+    queueOTPDelivery(user, verificationCode, {
+      purpose: 'email_verification',
+      email: req.body.email // original email (before normalization)
+    });
 
     console.log('✅ Registration completed successfully (email sending in background)');
 
@@ -202,7 +169,7 @@ router.post('/verify-email', [
     .withMessage('OTP must be 6 digits')
 ], async (req, res) => {
   try {
-    console.log('📥 Email verification request received:', JSON.stringify(req.body, null, 2));
+    console.log('📥 Email verification request received:', req.body.email);
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({
@@ -212,9 +179,15 @@ router.post('/verify-email', [
     }
 
     const { email, otp } = req.body;
+    const identity = { email, ip: req.ip };
     
     console.log('🔍 Looking for user with email:', email);
-    console.log('🔢 OTP provided:', otp);
+    
+    // Refuse attempts while the account or IP is locked out
+    const lock = await checkLock(identity);
+    if (lock.locked) {
+      return sendLockedResponse(res, lock);
+    }
     
     // Find user by normalized email (since that's how it's stored in DB)
     const user = await User.findOne({ email });
@@ -227,7 +200,6 @@ router.post('/verify-email', [
     }
     
     console.log('✅ User found:', user.email);
-    console.log('📧 User verification code:', user.emailVerificationCode);
     console.log('⏰ Code expires:', user.emailVerificationExpires);
 
     if (user.isEmailVerified) {
@@ -251,22 +223,40 @@ router.post('/verify-email', [
       });
     }
 
-    if (user.emailVerificationCode !== otp) {
+    // Take an attempt before comparing, so parallel guesses cannot beat the limit
+    const attempts = await user.claimOTPAttempt('emailVerification', OTP_MAX_ATTEMPTS);
+
+    if (attempts === null || !user.verifyEmailVerificationCode(otp)) {
+      await recordFailure(identity);
+
+      // Burn the code after too many wrong guesses
+      if (attempts === null || attempts >= OTP_MAX_ATTEMPTS) {
+        await user.burnOTP('emailVerification');
+        return res.status(400).json({
+          error: 'Too many attempts',
+          details: 'Too many invalid attempts. Please request a new verification code.'
+        });
+      }
+
       return res.status(400).json({
         error: 'Invalid code',
-        details: 'Invalid verification code'
+        details: 'Invalid verification code',
+        attemptsRemaining: OTP_MAX_ATTEMPTS - attempts
       });
     }
 
+    await clearFailures(identity);
+
     // Mark email as verified
     user.isEmailVerified = true;
     user.emailVerificationCode = null;
     user.emailVerificationExpires = null;
+    user.emailVerificationAttempts = 0;
     user.lastLogin = new Date();
     await user.save();
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Start a session and issue access/refresh tokens
+    const tokens = await createSession(user._id, req);
 
     res.json({
       success: true,
@@ -281,7 +271,9 @@ router.post('/verify-email', [
           profile: user.profile,
           isEmailVerified: user.isEmailVerified
         },
-        token
+        token: tokens.token,
+        refreshToken: tokens.refreshToken,
+        expiresIn: tokens.expiresIn
       }
     });
 
@@ -330,43 +322,16 @@ router.post('/resend-verification', [
     }
 
     // Generate new verification code
-    const verificationCode = Math.floor(100000 + Math.random() * 900000).toString();
-    user.emailVerificationCode = verificationCode;
-    user.emailVerificationExpires = new Date(Date.now() + 10 * 60 * 1000); // 10 minutes
+    const verificationCode = generateOTP();
+    user.setEmailVerificationCode(verificationCode); // stored hashed, expires in 10 minutes
     await user.save();
 
-    // Send OTP via preferred method (asynchronously to prevent timeout)
-    const otpMethod = process.env.OTP_METHOD || 'email';
-    const originalEmail = req.body.email;
-    
-    console.log('📧 Email comparison (resend):');
-    console.log('📧 Original email (for sending):', originalEmail);
-    console.log('📧 Normalized email (in DB):', user.email);
-    
-    // Send email asynchronously to prevent timeout
-    const sendEmailAsync = async () => {
-      try {
-        let otpResult;
-        if (otpMethod === 'email') {
-          // Send email OTP to original email (before normalization)
-          otpResult = await sendOTP(originalEmail, verificationCode, 'email');
-        } else {
-          // Send console OTP (for development)
-          otpResult = await sendOTP(user.phone, verificationCode, 'console');
-        }
-        
-        if (!otpResult.success) {
-          console.error('❌ Failed to send OTP:', otpResult.error);
-        } else {
-          console.log(`✅ New OTP sent successfully via ${otpResult.method} to:`, otpMethod === 'email' ? user.email : user.phone);
-        }
-      } catch (error) {
-        console.error('❌ Async email sending error:', error);
-      }
-    };
-
-    // Start email sending in background (don't await)
-    sendEmailAsync();
+    // Send OTP via the user's preferred channel, falling back to the others
+    // (queued, so the response does not wait and a failed send is retried)
+    queueOTPDelivery(user, verificationCode, {
+      purpose: 'email_verification',
+      email: req.body.email // original email (before normalization)
+    });
 
     res.json({
       success: true,
@@ -382,6 +347,192 @@ router.post('/resend-verification', [
   }
 });
 
+// @route   POST /api/auth/phone/send-code
+// @desc    Send a verification code by SMS to the user's phone (or a new number)
+// @access  Private
+router.post('/phone/send-code', [
+  auth,
+  body('phone')
+    .optional()
+    .trim()
+    .isLength({ min: 10, max: 20 })
+    .withMessage('Phone number must be between 10 and 20 characters')
+    .matches(/^\+?[0-9\s-]+$/)
+    .withMessage('Phone number may only contain digits, spaces, dashes and a leading +')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found',
+        details: 'User does not exist'
+      });
+    }
+
+    const identity = { email: user.email, ip: req.ip };
+    const lock = await checkLock(identity);
+    if (lock.locked) {
+      return sendLockedResponse(res, lock);
+    }
+
+    const phone = req.body.phone || user.profile?.phone;
+    if (!phone) {
+      return res.status(400).json({
+        error: 'No phone number',
+        details: 'Please provide a phone number to verify'
+      });
+    }
+
+    if (user.isPhoneVerified && user.profile?.phone === phone) {
+      return res.status(400).json({
+        error: 'Already verified',
+        details: 'Phone number is already verified'
+      });
+    }
+
+    if (!getChannelOrder(user, { purpose: 'phone_verification' }).some(isChannelAvailable)) {
+      return res.status(503).json({
+        error: 'SMS unavailable',
+        details: 'Phone verification is not available right now'
+      });
+    }
+
+    const verificationCode = generateOTP();
+    user.setPhoneVerificationCode(phone, verificationCode); // stored hashed, expires in 10 minutes
+    await user.save();
+
+    const otpResult = await sendOTPToUser(user, verificationCode, {
+      purpose: 'phone_verification',
+      phone
+    });
+
+    if (!otpResult.success) {
+      console.error('❌ Failed to send phone verification code:', otpResult.error, otpResult.attempts);
+      return res.status(502).json({
+        error: 'Delivery failed',
+        details: 'Could not send the verification code. Please try again later.'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Verification code sent successfully',
+      data: {
+        phone,
+        method: otpResult.method,
+        expiresAt: user.phoneVerificationExpires
+      }
+    });
+
+  } catch (error) {
+    console.error('Send phone verification error:', error);
+    res.status(500).json({
+      error: 'Server Error',
+      details: 'Failed to send phone verification code'
+    });
+  }
+});
+
+// @route   POST /api/auth/phone/verify
+// @desc    Verify the user's phone number with the SMS code
+// @access  Private
+router.post('/phone/verify', [
+  auth,
+  body('otp')
+    .isLength({ min: 6, max: 6 })
+    .withMessage('OTP must be 6 digits')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found',
+        details: 'User does not exist'
+      });
+    }
+
+    const identity = { email: user.email, ip: req.ip };
+    const lock = await checkLock(identity);
+    if (lock.locked) {
+      return sendLockedResponse(res, lock);
+    }
+
+    if (!user.phoneVerificationCode || !user.phoneVerificationExpires || !user.pendingPhone) {
+      return res.status(400).json({
+        error: 'No verification code',
+        details: 'No verification code found. Please request a new one.'
+      });
+    }
+
+    if (new Date() > user.phoneVerificationExpires) {
+      return res.status(400).json({
+        error: 'Code expired',
+        details: 'Verification code has expired. Please request a new one.'
+      });
+    }
+
+    // Take an attempt before comparing, so parallel guesses cannot beat the limit
+    const attempts = await user.claimOTPAttempt('phoneVerification', OTP_MAX_ATTEMPTS);
+
+    if (attempts === null || !user.verifyPhoneVerificationCode(req.body.otp)) {
+      await recordFailure(identity);
+
+      // Burn the code after too many wrong guesses
+      if (attempts === null || attempts >= OTP_MAX_ATTEMPTS) {
+        await user.burnOTP('phoneVerification');
+        return res.status(400).json({
+          error: 'Too many attempts',
+          details: 'Too many invalid attempts. Please request a new verification code.'
+        });
+      }
+
+      return res.status(400).json({
+        error: 'Invalid code',
+        details: 'Invalid verification code',
+        attemptsRemaining: OTP_MAX_ATTEMPTS - attempts
+      });
+    }
+
+    await clearFailures(identity);
+
+    user.confirmPhone();
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Phone number verified successfully',
+      data: {
+        phone: user.profile.phone,
+        isPhoneVerified: user.isPhoneVerified,
+        phoneVerifiedAt: user.phoneVerifiedAt
+      }
+    });
+
+  } catch (error) {
+    console.error('Phone verification error:', error);
+    res.status(500).json({
+      error: 'Server Error',
+      details: 'Failed to verify phone number'
+    });
+  }
+});
+
 // @route   GET /api/auth/test-email-config
 // @desc    Test email configuration and send test email
 // @access  Private (Admin only)
@@ -450,9 +601,16 @@ router.post('/login', [
     }
 
     const { email, password } = req.body;
+    const identity = { email, ip: req.ip };
 
     console.log('📥 Login request received:', { email, passwordLength: password?.length });
 
+    // Refuse attempts while the account or IP is locked out
+    const lock = await checkLock(identity);
+    if (lock.locked) {
+      return sendLockedResponse(res, lock);
+    }
+
     // Try database connection if available
     try {
       // First check if user exists at all
@@ -460,6 +618,7 @@ router.post('/login', [
       
       if (!userExists) {
         console.log('❌ User not found:', email);
+        await recordFailure({ ip: req.ip });
         return res.status(401).json({
           error: 'User not found',
           details: 'User does not exist. Please sign up first.',
@@ -490,17 +649,22 @@ router.post('/login', [
       const isMatch = await user.comparePassword(password);
       if (!isMatch) {
         console.log('❌ Password mismatch for user:', user.email);
+        const failure = await recordFailure(identity);
+        if (failure.accountLocked) {
+          return sendLockedResponse(res, await checkLock(identity));
+        }
         return res.status(401).json({
           error: 'Authentication failed',
           details: 'Invalid credentials'
         });
       }
 
+      await clearFailures(identity);
+
       console.log('✅ Password verified for user:', user.email);
 
-      // Generate token
-      const token = generateToken(user._id);
-      console.log('🎫 Token generated for user:', user.email);
+      // Start a session and issue access/refresh tokens
+      const tokens = await createSession(user._id, req);
 
       // Update last login
       user.lastLogin = new Date();
@@ -521,7 +685,9 @@ router.post('/login', [
             profile: user.profile,
             preferences: user.preferences
           },
-          token
+          token: tokens.token,
+          refreshToken: tokens.refreshToken,
+          expiresIn: tokens.expiresIn
         }
       });
 
@@ -604,29 +770,39 @@ router.post('/check-user', [
 });
 
 // @route   POST /api/auth/refresh
-// @desc    Refresh JWT token
-// @access  Private
-router.post('/refresh', auth, async (req, res) => {
+// @desc    Exchange a refresh token for a new access/refresh token pair
+// @access  Public
+router.post('/refresh', [
+  body('refreshToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Refresh token is required')
+], async (req, res) => {
   try {
-    // Get current user
-    const user = await User.findById(req.user.userId).select('-password');
-    if (!user) {
-      return res.status(404).json({
-        error: 'User not found',
-        details: 'User does not exist'
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: errors.array()
       });
     }
 
-    // Check if user is active
-    if (!user.isActive) {
+    const result = await rotateRefreshToken(req.body.refreshToken, req);
+    if (!result.success) {
       return res.status(401).json({
-        error: 'Access denied',
-        details: 'User account is deactivated'
+        error: result.error,
+        details: result.details
       });
     }
 
-    // Generate new token
-    const token = generateToken(user._id);
+    // Get current user
+    const user = await User.findById(result.userId).select('-password');
+    if (!user || !user.isActive) {
+      return res.status(401).json({
+        error: 'Access denied',
+        details: user ? 'User account is deactivated' : 'User not found'
+      });
+    }
 
     res.json({
       message: 'Token refreshed successfully',
@@ -640,7 +816,9 @@ router.post('/refresh', auth, async (req, res) => {
           profile: user.profile,
           preferences: user.preferences
         },
-        token
+        token: result.tokens.token,
+        refreshToken: result.tokens.refreshToken,
+        expiresIn: result.tokens.expiresIn
       }
     });
 
@@ -686,6 +864,7 @@ router.get('/me', auth, async (req, res) => {
           preferences: user.preferences,
           lastLogin: user.lastLogin,
           emailVerified: user.emailVerified,
+          isPhoneVerified: user.isPhoneVerified,
           createdAt: user.createdAt
         }
       }
@@ -816,6 +995,15 @@ router.put('/profile', [
       });
     }
 
+    // A changed phone number has to be verified again
+    if (updateData.profile?.phone) {
+      const current = await User.findById(req.user.userId).select('profile.phone');
+      if (current && current.profile?.phone !== updateData.profile.phone) {
+        updateData.isPhoneVerified = false;
+        updateData.phoneVerifiedAt = null;
+      }
+    }
+
     console.log('Update data prepared:', updateData);
 
     const user = await User.findOneAndUpdate(
@@ -926,6 +1114,9 @@ router.post('/change-password', [
     user.password = newPassword;
     await user.save();
 
+    // Sign out every other device
+    await Session.revokeAllForUser(user._id, 'password_change', req.user.sid);
+
     res.json({
       message: 'Password changed successfully'
     });
@@ -981,44 +1172,17 @@ router.post('/forgot-password', [
 
     // Generate OTP for password reset
     const resetOTP = generateOTP();
-    user.passwordResetOTP = resetOTP;
-    user.passwordResetOTPExpires = new Date(Date.now() + 10 * 60 * 1000); // 10 minutes
+    user.setPasswordResetOTP(resetOTP); // stored hashed, expires in 10 minutes
     await user.save();
 
     console.log('✅ Reset OTP generated and saved to database');
 
-    // Send OTP via preferred method (asynchronously to prevent timeout)
-    const otpMethod = process.env.OTP_METHOD || 'email';
-    const originalEmail = req.body.email;
-    
-    console.log('📧 Email comparison (forgot password):');
-    console.log('📧 Original email (for sending):', originalEmail);
-    console.log('📧 Normalized email (in DB):', user.email);
-    
-    // Send email asynchronously to prevent timeout
-    const sendEmailAsync = async () => {
-      try {
-        let otpResult;
-        if (otpMethod === 'email') {
-          // Send email OTP to original email (before normalization)
-          otpResult = await sendOTP(originalEmail, resetOTP, 'email');
-        } else {
-          // Send console OTP (for development)
-          otpResult = await sendOTP(user.phone, resetOTP, 'console');
-        }
-        
-        if (!otpResult.success) {
-          console.error('❌ Failed to send reset OTP:', otpResult.error);
-        } else {
-          console.log(`✅ Reset OTP sent successfully via ${otpResult.method} to:`, otpMethod === 'email' ? user.email : user.phone);
-        }
-      } catch (error) {
-        console.error('❌ Async email sending error:', error);
-      }
-    };
-
-    // Start email sending in background (don't await)
-    sendEmailAsync();
+    // Send OTP via the user's preferred channel, falling back to the others
+    // (queued, so the response does not wait and a failed send is retried)
+    queueOTPDelivery(user, resetOTP, {
+      purpose: 'password_reset',
+      email: req.body.email // original email (before normalization)
+    });
 
     res.json({
       success: true,
@@ -1051,7 +1215,7 @@ router.post('/reset-password', [
     .withMessage('New password must be at least 6 characters long')
 ], async (req, res) => {
   try {
-    console.log('📥 Reset password request received:', JSON.stringify(req.body, null, 2));
+    console.log('📥 Reset password request received:', req.body.email);
     
     // Check for validation errors
     const errors = validationResult(req);
@@ -1065,14 +1229,21 @@ router.post('/reset-password', [
     }
 
     const { email, otp, newPassword } = req.body;
+    const identity = { email, ip: req.ip };
 
     console.log('🔍 Looking for user with email:', email);
-    console.log('🔢 OTP provided:', otp);
+
+    // Refuse attempts while the account or IP is locked out
+    const lock = await checkLock(identity);
+    if (lock.locked) {
+      return sendLockedResponse(res, lock);
+    }
 
     // Find user by normalized email
     const user = await User.findOne({ email, isActive: true });
     if (!user) {
       console.log('❌ User not found with email:', email);
+      await recordFailure({ ip: req.ip });
       return res.status(404).json({
         error: 'User not found',
         details: 'User does not exist'
@@ -1080,7 +1251,6 @@ router.post('/reset-password', [
     }
 
     console.log('✅ User found:', user.email);
-    console.log('📧 User reset OTP:', user.passwordResetOTP);
     console.log('⏰ OTP expires:', user.passwordResetOTPExpires);
 
     if (!user.passwordResetOTP || !user.passwordResetOTPExpires) {
@@ -1097,21 +1267,42 @@ router.post('/reset-password', [
       });
     }
 
-    if (user.passwordResetOTP !== otp) {
+    // Take an attempt before comparing, so parallel guesses cannot beat the limit
+    const attempts = await user.claimOTPAttempt('passwordReset', OTP_MAX_ATTEMPTS);
+
+    if (attempts === null || !user.verifyPasswordResetOTP(otp)) {
+      await recordFailure(identity);
+
+      // Burn the OTP after too many wrong guesses
+      if (attempts === null || attempts >= OTP_MAX_ATTEMPTS) {
+        await user.burnOTP('passwordReset');
+        return res.status(400).json({
+          error: 'Too many attempts',
+          details: 'Too many invalid attempts. Please request a new password reset OTP.'
+        });
+      }
+
       return res.status(400).json({
         error: 'Invalid OTP',
-        details: 'Invalid password reset OTP'
+        details: 'Invalid password reset OTP',
+        attemptsRemaining: OTP_MAX_ATTEMPTS - attempts
       });
     }
 
+    await clearFailures(identity);
+
     // Update password and clear reset OTP
     // Hash the new password before saving
     const hashedPassword = await bcrypt.hash(newPassword, 12);
     user.password = hashedPassword;
     user.passwordResetOTP = null;
     user.passwordResetOTPExpires = null;
+    user.passwordResetOTPAttempts = 0;
     await user.save();
 
+    // Sign out every device that used the old password
+    await Session.revokeAllForUser(user._id, 'password_change');
+
     console.log('✅ Password reset successfully for user:', user.email);
 
     res.json({
@@ -1168,44 +1359,17 @@ router.post('/resend-reset-otp', [
 
     // Generate new reset OTP
     const resetOTP = generateOTP();
-    user.passwordResetOTP = resetOTP;
-    user.passwordResetOTPExpires = new Date(Date.now() + 10 * 60 * 1000); // 10 minutes
+    user.setPasswordResetOTP(resetOTP); // stored hashed, expires in 10 minutes
     await user.save();
 
     console.log('✅ New reset OTP generated and saved to database');
 
-    // Send OTP via preferred method (asynchronously to prevent timeout)
-    const otpMethod = process.env.OTP_METHOD || 'email';
-    const originalEmail = req.body.email;
-    
-    console.log('📧 Email comparison (resend reset OTP):');
-    console.log('📧 Original email (for sending):', originalEmail);
-    console.log('📧 Normalized email (in DB):', user.email);
-    
-    // Send email asynchronously to prevent timeout
-    const sendEmailAsync = async () => {
-      try {
-        let otpResult;
-        if (otpMethod === 'email') {
-          // Send email OTP to original email (before normalization)
-          otpResult = await sendOTP(originalEmail, resetOTP, 'email');
-        } else {
-          // Send console OTP (for development)
-          otpResult = await sendOTP(user.phone, resetOTP, 'console');
-        }
-        
-        if (!otpResult.success) {
-          console.error('❌ Failed to send reset OTP:', otpResult.error);
-        } else {
-          console.log(`✅ Reset OTP resent successfully via ${otpResult.method} to:`, otpMethod === 'email' ? user.email : user.phone);
-        }
-      } catch (error) {
-        console.error('❌ Async email sending error:', error);
-      }
-    };
-
-    // Start email sending in background (don't await)
-    sendEmailAsync();
+    // Send OTP via the user's preferred channel, falling back to the others
+    // (queued, so the response does not wait and a failed send is retried)
+    queueOTPDelivery(user, resetOTP, {
+      purpose: 'password_reset',
+      email: req.body.email // original email (before normalization)
+    });
 
     res.json({
       success: true,
@@ -1222,57 +1386,6 @@ router.post('/resend-reset-otp', [
   }
 });
 
-// @route   POST /api/auth/refresh
-// @desc    Refresh JWT token
-// @access  Private
-router.post('/refresh', auth, async (req, res) => {
-  try {
-    // Get current user
-    const user = await User.findById(req.user.userId).select('-password');
-    if (!user) {
-      return res.status(401).json({
-        error: 'Access denied',
-        details: 'User not found'
-      });
-    }
-
-    // Check if user is active
-    if (!user.isActive) {
-      return res.status(401).json({
-        error: 'Access denied',
-        details: 'User account is deactivated'
-      });
-    }
-
-    // Generate new token
-    const newToken = generateToken(user._id);
-
-    res.json({
-      message: 'Token refreshed successfully',
-      data: {
-        token: newToken,
-        user: {
-          id: user._id,
-          email: user.email,
-          displayName: user.displayName,
-          role: user.role,
-          isAdmin: user.isAdmin,
-          profile: user.profile,
-          preferences: user.preferences
-        }
-      }
-    });
-
-  } catch (error) {
-    console.error('Token refresh error:', error);
-    res.status(500).json({
-      error: 'Server Error',
-      details: 'Failed to refresh token'
-    });
-  }
-});
-
-
 // @route   POST /api/auth/change-password
 // @desc    Change password (requires authentication)
 // @access  Private
@@ -1336,12 +1449,130 @@ router.post('/change-password', auth, [
 });
 
 // @route   POST /api/auth/logout
-// @desc    Logout user (client-side token removal)
+// @desc    Logout user and revoke the current session
+// @access  Public (access token or refresh token)
+router.post('/logout', optionalAuth, async (req, res) => {
+  try {
+    const { refreshToken } = req.body || {};
+
+    if (req.user?.sid) {
+      await Session.updateOne(
+        { _id: req.user.sid, userId: req.user.userId, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: 'logout' } }
+      );
+    }
+
+    if (typeof refreshToken === 'string' && refreshToken) {
+      await revokeByRefreshToken(refreshToken, 'logout');
+    }
+
+    res.json({
+      message: 'Logout successful'
+    });
+
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      error: 'Server Error',
+      details: 'Failed to logout'
+    });
+  }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    List the current user's active sessions (devices)
 // @access  Private
-router.post('/logout', auth, (req, res) => {
-  res.json({
-    message: 'Logout successful'
-  });
+router.get('/sessions', auth, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      userId: req.user.userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    })
+      .select('device ipAddress lastUsedAt expiresAt createdAt')
+      .sort({ lastUsedAt: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        sessions: sessions.map(session => ({
+          id: session._id,
+          device: session.device,
+          ipAddress: session.ipAddress,
+          lastUsedAt: session.lastUsedAt,
+          expiresAt: session.expiresAt,
+          createdAt: session.createdAt,
+          current: session._id.toString() === req.user.sid
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      error: 'Server Error',
+      details: 'Failed to fetch sessions'
+    });
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Revoke one of the current user's sessions
+// @access  Private
+router.delete('/sessions/:id', auth, async (req, res) => {
+  try {
+    const session = await Session.findOne({ _id: req.params.id, userId: req.user.userId });
+
+    if (!session) {
+      return res.status(404).json({
+        error: 'Session not found',
+        details: 'Session does not exist'
+      });
+    }
+
+    await session.revoke('user_revoked');
+
+    res.json({
+      message: 'Session revoked successfully',
+      sessionId: session._id
+    });
+
+  } catch (error) {
+    console.error('Revoke session error:', error);
+
+    if (error.kind === 'ObjectId' || error.name === 'CastError') {
+      return res.status(400).json({
+        error: 'Invalid ID',
+        details: 'Session ID format is invalid'
+      });
+    }
+
+    res.status(500).json({
+      error: 'Server Error',
+      details: 'Failed to revoke session'
+    });
+  }
+});
+
+// @route   DELETE /api/auth/sessions
+// @desc    Revoke all of the current user's sessions except the current one
+// @access  Private
+router.delete('/sessions', auth, async (req, res) => {
+  try {
+    const result = await Session.revokeAllForUser(req.user.userId, 'user_revoked', req.user.sid);
+
+    res.json({
+      message: 'Other sessions revoked successfully',
+      revokedCount: result.modifiedCount
+    });
+
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(500).json({
+      error: 'Server Error',
+      details: 'Failed to revoke sessions'
+    });
+  }
 });
 
 module.exports = router;
@@ -0,0 +1,278 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const Category = require('../models/Category');
+const { auth, optionalAuth, adminAuth } = require('../middleware/auth');
+const { auditAction } = require('../middleware/audit');
+const {
+  findCategory,
+  createCategory,
+  updateCategory,
+  deleteCategory,
+  getCategoryTree
+} = require('../lib/categoryService');
+const router = express.Router();
+
+// Validators shared by category create and update
+const categoryValidators = (isUpdate = false) => {
+  const field = (name) => (isUpdate ? body(name).optional() : body(name));
+  return [
+    field('name')
+      .trim()
+      .isLength({ min: 2, max: 100 })
+      .withMessage('Name must be between 2 and 100 characters'),
+    body('slug')
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 120 })
+      .withMessage('Slug must be between 1 and 120 characters'),
+    body('description')
+      .optional()
+      .trim()
+      .isLength({ max: 2000 })
+      .withMessage('Description cannot exceed 2000 characters'),
+    body('image')
+      .optional()
+      .isString()
+      .withMessage('Image must be a string'),
+    body('parentId')
+      .optional({ nullable: true, checkFalsy: true })
+      .isMongoId()
+      .withMessage('Parent must be a valid category ID'),
+    body('sortOrder')
+      .optional()
+      .isInt()
+      .withMessage('Sort order must be an integer'),
+    body('isActive')
+      .optional()
+      .isBoolean()
+      .withMessage('isActive must be a boolean'),
+    body('seo.metaTitle')
+      .optional()
+      .trim()
+      .isLength({ max: 200 })
+      .withMessage('Meta title cannot exceed 200 characters'),
+    body('seo.metaDescription')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Meta description cannot exceed 500 characters'),
+    body('seo.keywords')
+      .optional()
+      .isArray()
+      .withMessage('Keywords must be an array')
+  ];
+};
+
+const isAdmin = (req) => req.userInfo?.role === 'admin';
+
+// Respond to a service result that failed
+const sendCategoryError = (res, result) => res.status(result.status || 400).json({
+  error: result.error,
+  details: result.details
+});
+
+// @route   GET /api/categories
+// @desc    Category tree with product counts per category and subtree
+// @access  Public (admins can add ?includeInactive=true)
+router.get('/', [
+  optionalAuth,
+  query('includeInactive')
+    .optional()
+    .isBoolean()
+    .withMessage('includeInactive must be a boolean')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: errors.array()
+      });
+    }
+
+    const includeInactive = req.query.includeInactive === 'true' && isAdmin(req);
+    const categories = await getCategoryTree({ includeInactive });
+
+    res.json({ categories });
+
+  } catch (error) {
+    console.error('Get categories error:', error);
+    res.status(500).json({
+      error: 'Server Error',
+      details: 'Failed to fetch categories'
+    });
+  }
+});
+
+// @route   GET /api/categories/:idOrSlug
+// @desc    A category with its subtree, product counts and breadcrumb trail
+//          (its products are listed by GET /api/products/category/:category)
+// @access  Public
+router.get('/:idOrSlug', optionalAuth, async (req, res) => {
+  try {
+    const category = await findCategory(req.params.idOrSlug);
+    const includeInactive = isAdmin(req);
+
+    if (!category || (!category.isActive && !includeInactive)) {
+      return res.status(404).json({
+        error: 'Category not found',
+        details: 'Category does not exist'
+      });
+    }
+
+    const [subtree] = await getCategoryTree({ rootId: category._id, includeInactive });
+    if (!subtree) {
+      // Hidden because a category above it is inactive
+      return res.status(404).json({
+        error: 'Category not found',
+        details: 'Category does not exist'
+      });
+    }
+
+    const ancestors = await Category.find({ _id: { $in: category.ancestors } }).select('name slug');
+    const breadcrumbs = category.ancestors
+      .map(id => ancestors.find(ancestor => ancestor._id.equals(id)))
+      .filter(Boolean);
+
+    res.json({
+      category: subtree,
+      breadcrumbs
+    });
+
+  } catch (error) {
+    console.error('Get category error:', error);
+    res.status(500).json({
+      error: 'Server Error',
+      details: 'Failed to fetch category'
+    });
+  }
+});
+
+// @route   POST /api/categories
+// @desc    Create a category
+// @access  Private (Admin only)
+router.post('/', [
+  auth,
+  adminAuth,
+  auditAction('category.create', { entity: 'Category', resultId: (req, body) => body?.category?._id }),
+  ...categoryValidators()
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: errors.array()
+      });
+    }
+
+    const result = await createCategory(req.body);
+    if (!result.success) {
+      return sendCategoryError(res, result);
+    }
+
+    res.status(201).json({
+      message: 'Category created successfully',
+      category: result.category
+    });
+
+  } catch (error) {
+    console.error('Create category error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    res.status(500).json({
+      error: 'Server Error',
+      details: 'Failed to create category'
+    });
+  }
+});
+
+// @route   PUT /api/categories/:id
+// @desc    Update a category (moving it moves its subcategories too)
+// @access  Private (Admin only)
+router.put('/:id', [auth, adminAuth, auditAction('category.update', { entity: 'Category' }), ...categoryValidators(true)], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: errors.array()
+      });
+    }
+
+    const result = await updateCategory(req.params.id, req.body);
+    if (!result.success) {
+      return sendCategoryError(res, result);
+    }
+
+    res.json({
+      message: 'Category updated successfully',
+      category: result.category
+    });
+
+  } catch (error) {
+    console.error('Update category error:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({
+        error: 'Invalid ID',
+        details: 'Category ID format is invalid'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    res.status(500).json({
+      error: 'Server Error',
+      details: 'Failed to update category'
+    });
+  }
+});
+
+// @route   DELETE /api/categories/:id
+// @desc    Delete a category with no subcategories or products
+// @access  Private (Admin only)
+router.delete('/:id', auth, adminAuth, auditAction('category.delete', { entity: 'Category' }), async (req, res) => {
+  try {
+    const result = await deleteCategory(req.params.id);
+    if (!result.success) {
+      return sendCategoryError(res, result);
+    }
+
+    res.json({
+      message: 'Category deleted successfully',
+      categoryId: req.params.id
+    });
+
+  } catch (error) {
+    console.error('Delete category error:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({
+        error: 'Invalid ID',
+        details: 'Category ID format is invalid'
+      });
+    }
+
+    res.status(500).json({
+      error: 'Server Error',
+      details: 'Failed to delete category'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,11 +1,186 @@
 const express = require('express');
 const { body, query, validationResult } = require('express-validator');
 const Order = require('../models/Order');
-const Product = require('../models/Product');
-const { auth, adminAuth } = require('../middleware/auth');
+const ReturnRequest = require('../models/ReturnRequest');
+const { auth, optionalAuth, adminAuth } = require('../middleware/auth');
+const { auditAction } = require('../middleware/audit');
+const { quoteOrder } = require('../lib/pricingService');
+const { reserveStock, releaseStock, restoreOrderStock } = require('../lib/inventoryService');
+const { redeemCoupon, releaseCoupon } = require('../lib/couponService');
+const { notifyOrderEvent } = require('../lib/orderNotifications');
+const { createReturnRequest, getReturnSettings, getReturnDeadline } = require('../lib/returnService');
+const { resolveFormat, selectColumns, streamExport } = require('../lib/exportService');
+const { upload, handleUploadError, storeUploadedImage } = require('../utils/imageUpload');
 const router = express.Router();
 const mongoose = require('mongoose');
 
+// @route   POST /api/orders/quote
+// @desc    Price a cart with the same rules used at checkout
+// @access  Public
+router.post('/quote', [
+  optionalAuth,
+  body('items')
+    .isArray({ min: 1 })
+    .withMessage('Cart must contain at least one item'),
+  body('items.*.quantity')
+    .isInt({ min: 1 })
+    .withMessage('Quantity must be a positive integer'),
+  body('items.*.variantId')
+    .optional()
+    .isMongoId()
+    .withMessage('Valid variant ID is required'),
+  body('country')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Country must be between 2 and 100 characters'),
+  body('shipping.method')
+    .optional()
+    .isIn(['standard', 'express', 'overnight', 'pickup'])
+    .withMessage('Invalid shipping method'),
+  body('couponCode')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Coupon code must be between 1 and 50 characters')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: errors.array()
+      });
+    }
+
+    if (mongoose.connection.readyState !== 1) {
+      return res.status(503).json({
+        error: 'Database Unavailable',
+        details: 'Database connection is not available. Please try again later.'
+      });
+    }
+
+    const { items, country, customerInfo, shipping, couponCode } = req.body;
+
+    const quote = await quoteOrder(items, {
+      country: country || customerInfo?.country,
+      shippingMethod: shipping?.method || 'standard',
+      couponCode,
+      customerId: req.user?.userId,
+      customerGroup: req.userInfo?.customerGroup
+    });
+
+    if (!quote.success && !quote.pricing) {
+      return res.status(400).json({
+        error: quote.error,
+        details: quote.details
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        items: quote.items,
+        pricing: quote.pricing,
+        canCheckout: quote.success,
+        message: quote.success ? undefined : quote.details
+      }
+    });
+
+  } catch (error) {
+    console.error('Quote order error:', error);
+    res.status(500).json({
+      error: 'Server Error',
+      details: 'Failed to calculate order quote'
+    });
+  }
+});
+
+// @route   POST /api/orders/validate-coupon
+// @desc    Check a coupon code against a cart and show the discount it gives
+// @access  Public
+router.post('/validate-coupon', [
+  optionalAuth,
+  body('code')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Coupon code must be between 1 and 50 characters'),
+  body('items')
+    .isArray({ min: 1 })
+    .withMessage('Cart must contain at least one item'),
+  body('items.*.quantity')
+    .isInt({ min: 1 })
+    .withMessage('Quantity must be a positive integer'),
+  body('items.*.variantId')
+    .optional()
+    .isMongoId()
+    .withMessage('Valid variant ID is required'),
+  body('country')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Country must be between 2 and 100 characters'),
+  body('shipping.method')
+    .optional()
+    .isIn(['standard', 'express', 'overnight', 'pickup'])
+    .withMessage('Invalid shipping method')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: errors.array()
+      });
+    }
+
+    const { code, items, country, customerInfo, shipping } = req.body;
+
+    const quote = await quoteOrder(items, {
+      country: country || customerInfo?.country,
+      shippingMethod: shipping?.method || 'standard',
+      couponCode: code,
+      customerId: req.user?.userId,
+      customerGroup: req.userInfo?.customerGroup
+    });
+
+    if (quote.couponRejected || !quote.pricing) {
+      return res.status(400).json({
+        valid: false,
+        error: quote.error,
+        details: quote.details
+      });
+    }
+
+    res.json({
+      success: true,
+      valid: true,
+      data: {
+        coupon: {
+          code: quote.coupon.code,
+          type: quote.coupon.type,
+          description: quote.coupon.description,
+          discount: quote.pricing.couponDiscount,
+          freeShipping: quote.pricing.coupon.freeShipping,
+          expiresAt: quote.coupon.expiresAt
+        },
+        pricing: quote.pricing,
+        canCheckout: quote.success,
+        message: quote.success ? undefined : quote.details
+      }
+    });
+
+  } catch (error) {
+    console.error('Validate coupon error:', error);
+    res.status(500).json({
+      error: 'Server Error',
+      details: 'Failed to validate coupon'
+    });
+  }
+});
+
 // @route   POST /api/orders
 // @desc    Create a new order
 // @access  Private
@@ -53,6 +228,10 @@ router.post('/', [
   body('items.*.quantity')
     .isInt({ min: 1 })
     .withMessage('Quantity must be a positive integer'),
+  body('items.*.variantId')
+    .optional()
+    .isMongoId()
+    .withMessage('Valid variant ID is required'),
   body('payment.method')
     .isIn(['stripe', 'paypal', 'bank_transfer', 'cash_on_delivery', 'cod', 'card', 'jazz_cash', 'easypesa'])
     .withMessage('Invalid payment method'),
@@ -60,10 +239,11 @@ router.post('/', [
     .optional()
     .isIn(['standard', 'express', 'overnight', 'pickup'])
     .withMessage('Invalid shipping method'),
-  body('shipping.cost')
+  body('couponCode')
     .optional()
-    .isFloat({ min: 0 })
-    .withMessage('Shipping cost must be a positive number')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Coupon code must be between 1 and 50 characters')
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -78,117 +258,34 @@ router.post('/', [
     const orderData = req.body;
     const userId = req.user.userId;
 
-    // If DB is not connected, return a mock order so checkout can proceed in demo/dev
+    // Orders are priced from the catalog, so they cannot be taken without the database
     if (mongoose.connection.readyState !== 1) {
-      const subtotalMock = (orderData.items || []).reduce((sum, it) => sum + ((it.price || 0) * (it.quantity || 0)), 0);
-      const taxMock = 0;
-      const shippingCostMock = orderData?.shipping?.cost || 0;
-      const totalAmountMock = subtotalMock + taxMock + shippingCostMock;
-
-      const mockOrder = {
-        id: `mock-${Date.now()}`,
-        orderNumber: `VF${new Date().toISOString().slice(2,10).replace(/-/g,'')}${Math.floor(Math.random()*10000).toString().padStart(4,'0')}`,
-        totalAmount: totalAmountMock,
-        currency: orderData.currency || 'USD',
-        orderStatus: 'pending',
-        paymentStatus: 'pending',
-        estimatedDelivery: new Date(Date.now() + 5*24*60*60*1000),
-        customerInfo: orderData.customerInfo,
-        items: (orderData.items || []).map(it => ({
-          productId: it.id || it.productId || `frontend_${Date.now()}`,
-          name: it.name,
-          price: it.price,
-          currency: it.currency || 'USD',
-          quantity: it.quantity,
-          image: it.image,
-        })),
-        createdAt: new Date(),
-        updatedAt: new Date(),
-      };
-
-      return res.status(201).json({
-        success: true,
-        message: 'Order created successfully (mocked - DB disconnected)',
-        data: { order: mockOrder }
+      return res.status(503).json({
+        error: 'Database Unavailable',
+        details: 'Database connection is not available. Please try again later.'
       });
     }
 
-    // Validate products and calculate totals
-    let subtotal = 0;
-    const validatedItems = [];
-
-    for (const item of orderData.items) {
-      // Handle both frontend and backend item formats
-      const productId = item.productId || item.id;
-      
-      if (productId && mongoose.Types.ObjectId.isValid(productId)) {
-        // Backend format - validate against database
-        const product = await Product.findById(productId);
-        if (!product) {
-          return res.status(400).json({
-            error: 'Invalid product',
-            details: `Product with ID ${productId} not found`
-          });
-        }
-
-        if (product.status !== 'active') {
-          return res.status(400).json({
-            error: 'Product unavailable',
-            details: `Product ${product.name} is not available for purchase`
-          });
-        }
-
-        if (product.stock < item.quantity) {
-          return res.status(400).json({
-            error: 'Insufficient stock',
-            details: `Product ${product.name} only has ${product.stock} units in stock`
-          });
-        }
-
-        // Check minimum order quantity
-        if (item.quantity < (product.minOrder || 1)) {
-          return res.status(400).json({
-            error: 'Minimum order not met',
-            details: `Product ${product.name} requires minimum order of ${product.minOrder || 1} units`
-          });
-        }
-
-        const itemTotal = product.price * item.quantity;
-        subtotal += itemTotal;
+    // Validate products and price the order from the store settings
+    const quote = await quoteOrder(orderData.items, {
+      country: orderData.customerInfo?.country,
+      shippingMethod: orderData.shipping?.method || 'standard',
+      couponCode: orderData.couponCode,
+      customerId: userId,
+      customerGroup: req.userInfo?.customerGroup
+    });
 
-        validatedItems.push({
-          productId: product._id,
-          name: product.name,
-          price: product.price,
-          currency: 'PKR',
-          quantity: item.quantity,
-          image: product.images?.main || product.images?.gallery?.[0],
-          sku: product.sku,
-          specifications: product.specifications
-        });
-      } else {
-        // Frontend format - use provided item data
-        // All prices are in PKR - no conversion needed
-        const itemTotal = (item.price || 0) * item.quantity;
-        subtotal += itemTotal;
-
-        validatedItems.push({
-          productId: item.id || `frontend_${Date.now()}_${Math.random()}`,
-          name: item.name || 'Unknown Product',
-          price: item.price || 0,
-          currency: 'PKR',
-          quantity: item.quantity,
-          image: item.image,
-          sku: item.sku,
-          specifications: item.specifications
-        });
-      }
+    if (!quote.success) {
+      return res.status(400).json({
+        error: quote.error,
+        details: quote.details,
+        ...(quote.pricing && { pricing: quote.pricing })
+      });
     }
 
-    // Calculate tax (you can implement your own tax logic)
-    const tax = 0; // Placeholder for tax calculation
-    const shippingCost = orderData.shipping?.cost || 0;
-    const totalAmount = subtotal + tax + shippingCost;
+    const validatedItems = quote.items;
+    const { subtotal, discount, tax, totalAmount } = quote.pricing;
+    const shippingCost = quote.pricing.shipping.cost;
 
     // Map payment method to backend format - keep jazz_cash as jazz_cash
     const paymentMethodMap = {
@@ -207,36 +304,75 @@ router.post('/', [
       customerInfo: orderData.customerInfo,
       items: validatedItems,
       subtotal,
+      discount,
+      coupon: quote.pricing.coupon ? { ...quote.pricing.coupon, redeemedAt: new Date() } : undefined,
+      customerGroup: quote.pricing.customerGroup || undefined,
       tax,
       shipping: {
         method: orderData.shipping?.method || 'standard',
         cost: shippingCost
       },
+      // Payment status and transaction ID are set by the gateway (see /api/payments), never by the client
       payment: {
         method: backendPaymentMethod,
-        status: orderData.payment?.status || 'pending',
+        status: 'pending',
         amount: totalAmount,
-        currency: 'PKR',
-        transactionId: orderData.payment?.transactionId
+        currency: 'PKR'
       },
       totalAmount,
       currency: 'PKR',
       notes: orderData.notes,
-      priority: orderData.priority || 'normal'
+      priority: orderData.priority || 'normal',
+      statusHistory: [{
+        field: 'orderStatus',
+        from: null,
+        to: 'pending',
+        actor: { userId, role: 'customer' },
+        reason: 'Order placed',
+        timestamp: new Date()
+      }]
     });
 
-    await order.save();
+    // Reserve stock for every line before the order is persisted
+    const stockActor = { userId, role: 'customer' };
+    const reservation = await reserveStock(validatedItems, { order, actor: stockActor });
+    if (!reservation.success) {
+      return res.status(409).json({
+        error: reservation.error,
+        details: reservation.details,
+        product: reservation.product
+      });
+    }
 
-    // Update product stock only for backend products
-    for (const item of validatedItems) {
-      if (mongoose.Types.ObjectId.isValid(item.productId)) {
-        await Product.findByIdAndUpdate(item.productId, {
-          $inc: { stock: -item.quantity, 'analytics.orders': 1 }
+    // Count the coupon use against its limits; the last use goes to whoever gets here first
+    if (quote.coupon) {
+      const redemption = await redeemCoupon(quote.coupon, {
+        customerId: userId,
+        orderId: order._id,
+        discount: quote.pricing.couponDiscount
+      });
+      if (!redemption.success) {
+        await releaseStock(reservation.reserved, { order, actor: stockActor });
+        return res.status(409).json({
+          error: redemption.error,
+          details: redemption.details
         });
       }
     }
 
-    // TODO: Send order confirmation email
+    try {
+      await order.save();
+    } catch (saveError) {
+      // Undo the reservation so stock matches the orders that exist
+      await releaseStock(reservation.reserved, { order, actor: stockActor });
+      if (quote.coupon) {
+        await releaseCoupon(order._id);
+      }
+      throw saveError;
+    }
+
+    // Send order confirmation email in background (don't await)
+    notifyOrderEvent(order, 'created');
     // TODO: Send admin notification
 
     res.status(201).json({
@@ -247,6 +383,11 @@ router.post('/', [
           id: order._id,
           _id: order._id,
           orderNumber: order.orderNumber,
+          subtotal: order.subtotal,
+          discount: order.discount,
+          coupon: order.coupon,
+          tax: order.tax,
+          shipping: order.shipping,
           totalAmount: order.totalAmount,
           currency: order.currency,
           orderStatus: order.orderStatus,
@@ -410,6 +551,249 @@ router.get('/:id', auth, async (req, res) => {
   }
 });
 
+// @route   GET /api/orders/:id/timeline
+// @desc    Get the status history of an order for the tracking page
+// @access  Private
+router.get('/:id/timeline', auth, async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id)
+      .select('orderNumber customerId orderStatus paymentStatus shipping statusHistory estimatedDelivery actualDelivery createdAt');
+
+    if (!order) {
+      return res.status(404).json({
+        error: 'Order not found',
+        details: 'Order does not exist'
+      });
+    }
+
+    // Check if user owns this order or is admin
+    if (order.customerId.toString() !== req.user.userId && !req.userInfo.isAdmin) {
+      return res.status(403).json({
+        error: 'Access denied',
+        details: 'You can only view your own orders'
+      });
+    }
+
+    const timeline = [...order.statusHistory]
+      .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+      .map(entry => ({
+        field: entry.field,
+        from: entry.from,
+        to: entry.to,
+        actor: { role: entry.actor?.role || 'system' },
+        reason: entry.reason,
+        timestamp: entry.timestamp
+      }));
+
+    res.json({
+      success: true,
+      data: {
+        orderNumber: order.orderNumber,
+        orderStatus: order.orderStatus,
+        paymentStatus: order.paymentStatus,
+        shippingStatus: order.getStatus('shippingStatus'),
+        trackingNumber: order.shipping?.trackingNumber,
+        carrier: order.shipping?.carrier,
+        estimatedDelivery: order.estimatedDelivery,
+        actualDelivery: order.actualDelivery,
+        placedAt: order.createdAt,
+        timeline
+      }
+    });
+
+  } catch (error) {
+    console.error('Get order timeline error:', error);
+    
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({
+        error: 'Invalid ID',
+        details: 'Order ID format is invalid'
+      });
+    }
+    
+    res.status(500).json({
+      error: 'Server Error',
+      details: 'Failed to fetch order timeline'
+    });
+  }
+});
+
+// @route   POST /api/orders/returns/photos
+// @desc    Upload a photo to attach to a return request
+// @access  Private
+router.post('/returns/photos', auth, upload.single('image'), handleUploadError, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        error: 'No file uploaded',
+        details: 'Please select an image file'
+      });
+    }
+
+    const image = await storeUploadedImage(req.file, 'virello-returns');
+
+    res.status(201).json({
+      success: true,
+      message: 'Photo uploaded successfully',
+      data: image
+    });
+
+  } catch (error) {
+    console.error('Upload return photo error:', error);
+    res.status(500).json({
+      error: 'Image upload failed',
+      details: error.message
+    });
+  }
+});
+
+// @route   POST /api/orders/:id/returns
+// @desc    Request a return for items of a delivered order
+// @access  Private
+router.post('/:id/returns', [
+  auth,
+  body('items')
+    .isArray({ min: 1 })
+    .withMessage('Select at least one item to return'),
+  body('items.*.itemId')
+    .isMongoId()
+    .withMessage('Each item needs a valid order item ID'),
+  body('items.*.quantity')
+    .isInt({ min: 1 })
+    .withMessage('Quantity must be a positive integer'),
+  body('reason')
+    .isIn(ReturnRequest.RETURN_REASONS)
+    .withMessage(`Reason must be one of: ${ReturnRequest.RETURN_REASONS.join(', ')}`),
+  body('comment')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Comment cannot exceed 1000 characters'),
+  body('photos')
+    .optional()
+    .isArray()
+    .withMessage('Photos must be an array of image URLs'),
+  body('photos.*')
+    .isURL({ require_protocol: true })
+    .withMessage('Each photo must be an uploaded image URL')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: errors.array()
+      });
+    }
+
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({
+        error: 'Order not found',
+        details: 'Order does not exist'
+      });
+    }
+
+    if (order.customerId.toString() !== req.user.userId) {
+      return res.status(403).json({
+        error: 'Access denied',
+        details: 'You can only return your own orders'
+      });
+    }
+
+    const { items, reason, comment, photos } = req.body;
+    const result = await createReturnRequest(order, {
+      items: items.map(item => ({ itemId: item.itemId, quantity: parseInt(item.quantity) })),
+      reason,
+      comment,
+      photos: photos || [],
+      customerId: req.user.userId
+    });
+
+    if (!result.success) {
+      return res.status(result.status || 400).json({
+        error: result.error,
+        details: result.details
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Return requested successfully',
+      data: { returnRequest: result.returnRequest }
+    });
+
+  } catch (error) {
+    console.error('Create return request error:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({
+        error: 'Invalid ID',
+        details: 'Order ID format is invalid'
+      });
+    }
+
+    res.status(500).json({
+      error: 'Server Error',
+      details: 'Failed to create return request'
+    });
+  }
+});
+
+// @route   GET /api/orders/:id/returns
+// @desc    Get the return requests for an order and the return deadline
+// @access  Private
+router.get('/:id/returns', auth, async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id)
+      .select('customerId orderNumber orderStatus actualDelivery');
+
+    if (!order) {
+      return res.status(404).json({
+        error: 'Order not found',
+        details: 'Order does not exist'
+      });
+    }
+
+    if (order.customerId.toString() !== req.user.userId && !req.userInfo.isAdmin) {
+      return res.status(403).json({
+        error: 'Access denied',
+        details: 'You can only view your own orders'
+      });
+    }
+
+    const [returns, settings] = await Promise.all([
+      ReturnRequest.find({ orderId: order._id }).sort({ createdAt: -1 }),
+      getReturnSettings()
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        orderNumber: order.orderNumber,
+        returnsEnabled: settings.enabled,
+        returnDeadline: getReturnDeadline(order, settings.windowDays),
+        returns
+      }
+    });
+
+  } catch (error) {
+    console.error('Get order returns error:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({
+        error: 'Invalid ID',
+        details: 'Order ID format is invalid'
+      });
+    }
+
+    res.status(500).json({
+      error: 'Server Error',
+      details: 'Failed to fetch return requests'
+    });
+  }
+});
+
 // @route   GET /api/orders/number/:orderNumber
 // @desc    Get order by order number
 // @access  Private
@@ -496,19 +880,24 @@ router.patch('/:id/cancel', [
     }
 
     // Cancel order
-    order.orderStatus = 'cancelled';
+    order.transitionStatus('orderStatus', 'cancelled', {
+      actor: { userId: req.user.userId, role: 'customer' },
+      reason
+    });
     order.cancellationReason = reason;
     await order.save();
 
-    // Restore product stock
-    for (const item of order.items) {
-      await Product.findByIdAndUpdate(item.productId, {
-        $inc: { stock: item.quantity },
-        $inc: { 'analytics.orders': -1 }
-      });
-    }
+    // Restore product stock (once per order, however many times it is cancelled)
+    await restoreOrderStock(order, {
+      cancelled: true,
+      actor: { userId: req.user.userId, role: 'customer' }
+    });
+
+    // Give the coupon use back to the customer
+    await releaseCoupon(order._id);
 
-    // TODO: Send cancellation email
+    // Send cancellation email in background (don't await)
+    notifyOrderEvent(order, 'cancelled');
     // TODO: Send admin notification
 
     res.json({
@@ -544,6 +933,7 @@ router.patch('/:id/cancel', [
 router.patch('/:id/status', [
   auth,
   adminAuth,
+  auditAction('order.status', { entity: 'Order' }),
   body('status')
     .isIn(['pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled', 'returned'])
     .withMessage('Invalid order status'),
@@ -574,9 +964,21 @@ router.patch('/:id/status', [
     }
 
     // Update order status
+    const previousStatus = order.orderStatus;
     await order.updateStatus(status, req.user.userId, note);
 
-    // TODO: Send status update notification to customer
+    if (previousStatus !== order.orderStatus && order.orderStatus === 'cancelled') {
+      await restoreOrderStock(order, {
+        cancelled: true,
+        actor: { userId: req.user.userId, role: 'admin' }
+      });
+      await releaseCoupon(order._id);
+    }
+
+    // Notify the customer in background (don't await)
+    if (previousStatus !== order.orderStatus) {
+      notifyOrderEvent(order, 'status', order.orderStatus);
+    }
 
     res.json({
       message: 'Order status updated successfully',
@@ -591,6 +993,14 @@ router.patch('/:id/status', [
   } catch (error) {
     console.error('Update order status error:', error);
     
+    if (error.name === 'InvalidTransitionError') {
+      return res.status(409).json({
+        error: 'Invalid status transition',
+        details: error.message,
+        allowed: error.allowed
+      });
+    }
+    
     if (error.kind === 'ObjectId') {
       return res.status(400).json({
         error: 'Invalid ID',
@@ -611,6 +1021,7 @@ router.patch('/:id/status', [
 router.patch('/:id/payment-status', [
   auth,
   adminAuth,
+  auditAction('order.payment_status', { entity: 'Order' }),
   body('paymentStatus')
     .isIn(['pending', 'completed', 'failed', 'processing', 'refunded'])
     .withMessage('Invalid payment status'),
@@ -672,8 +1083,10 @@ router.patch('/:id/payment-status', [
     }
 
     // Update payment status
-    order.paymentStatus = paymentStatus;
-    order.payment.status = paymentStatus;
+    const paymentStatusChanged = order.transitionStatus('paymentStatus', paymentStatus, {
+      actor: { userId: req.user.userId, role: 'admin' },
+      reason: note
+    });
     
     // Add note to order history if provided
     if (note) {
@@ -688,7 +1101,10 @@ router.patch('/:id/payment-status', [
     order.updatedAt = new Date();
     await order.save();
 
-    // TODO: Send payment status update notification to customer
+    // Notify the customer in background (don't await)
+    if (paymentStatusChanged) {
+      notifyOrderEvent(order, 'payment', order.paymentStatus);
+    }
 
     res.json({
       message: 'Payment status updated successfully',
@@ -704,6 +1120,14 @@ router.patch('/:id/payment-status', [
     console.error('❌ Payment Status Update: Error occurred:', error);
     console.error('❌ Payment Status Update: Error stack:', error.stack);
     
+    if (error.name === 'InvalidTransitionError') {
+      return res.status(409).json({
+        error: 'Invalid status transition',
+        details: error.message,
+        allowed: error.allowed
+      });
+    }
+    
     if (error.kind === 'ObjectId') {
       console.log('❌ Payment Status Update: ObjectId validation error');
       return res.status(400).json({
@@ -944,12 +1368,72 @@ router.get('/admin/all', [auth, adminAuth], async (req, res) => {
   }
 });
 
+// Columns of the order export; `line` is the line item when exporting one row per item
+const ORDER_EXPORT_COLUMNS = [
+  { key: 'orderNumber', label: 'Order Number' },
+  { key: 'customerName', label: 'Customer Name', value: order => `${order.customerInfo.firstName} ${order.customerInfo.lastName}` },
+  { key: 'email', label: 'Email', value: order => order.customerInfo.email },
+  { key: 'phone', label: 'Phone', value: order => order.customerInfo.phone },
+  { key: 'address', label: 'Address', value: order => order.customerInfo.address },
+  { key: 'city', label: 'City', value: order => order.customerInfo.city },
+  { key: 'state', label: 'State', value: order => order.customerInfo.state },
+  { key: 'zipCode', label: 'Zip Code', value: order => order.customerInfo.zipCode },
+  { key: 'country', label: 'Country', value: order => order.customerInfo.country },
+  { key: 'orderStatus', label: 'Order Status' },
+  { key: 'paymentStatus', label: 'Payment Status' },
+  { key: 'paymentMethod', label: 'Payment Method', value: order => order.payment?.method },
+  { key: 'shippingMethod', label: 'Shipping Method', value: order => order.shipping?.method },
+  { key: 'trackingNumber', label: 'Tracking Number', value: order => order.shipping?.trackingNumber },
+  { key: 'subtotal', label: 'Subtotal' },
+  { key: 'discount', label: 'Discount' },
+  { key: 'couponCode', label: 'Coupon Code', value: order => order.coupon?.code },
+  { key: 'shippingCost', label: 'Shipping Cost', value: order => order.shipping?.cost },
+  { key: 'tax', label: 'Tax' },
+  { key: 'totalAmount', label: 'Total Amount' },
+  { key: 'refunded', label: 'Refunded', value: order => (order.refunds || []).reduce((sum, refund) => sum + refund.amount, 0) },
+  { key: 'currency', label: 'Currency' },
+  { key: 'customerGroup', label: 'Customer Group' },
+  { key: 'items', label: 'Items', value: order => order.items.map(item => `${item.name} (${item.quantity})`).join('; ') },
+  { key: 'createdAt', label: 'Created At', type: 'date' },
+  { key: 'updatedAt', label: 'Updated At', type: 'date' }
+];
+
+const ORDER_LINE_EXPORT_COLUMNS = [
+  { key: 'productId', label: 'Product ID', value: (order, line) => line.productId?.toString() },
+  { key: 'itemName', label: 'Item', value: (order, line) => line.name },
+  { key: 'sku', label: 'SKU', value: (order, line) => line.sku },
+  { key: 'packagingSize', label: 'Packaging Size', value: (order, line) => line.packagingSize },
+  { key: 'category', label: 'Category', value: (order, line) => line.category },
+  { key: 'quantity', label: 'Quantity', value: (order, line) => line.quantity },
+  { key: 'unitPrice', label: 'Unit Price', value: (order, line) => line.price },
+  { key: 'listPrice', label: 'List Price', value: (order, line) => line.listPrice },
+  { key: 'lineTotal', label: 'Line Total', value: (order, line) => line.price * line.quantity },
+  { key: 'restockedQuantity', label: 'Restocked Quantity', value: (order, line) => line.restockedQuantity || 0 }
+];
+
 // @route   GET /api/orders/admin/download
-// @desc    Download orders as CSV or Excel (Admin only)
+// @desc    Download orders as CSV or XLSX (format=csv|xlsx, columns=key1,key2,
+//          lineItems=true for one row per line item) (Admin only)
 // @access  Private (Admin only)
 router.get('/admin/download', auth, adminAuth, async (req, res) => {
   try {
-    const { format = 'csv', status, paymentStatus, search } = req.query;
+    const { format: requestedFormat = 'csv', status, paymentStatus, search, columns, lineItems } = req.query;
+    const perLine = lineItems === 'true';
+
+    const format = resolveFormat(requestedFormat);
+    if (!format.success) {
+      return res.status(format.status).json({ error: format.error, details: format.details });
+    }
+
+    const selection = selectColumns(
+      perLine
+        ? [...ORDER_EXPORT_COLUMNS.filter(column => column.key !== 'items'), ...ORDER_LINE_EXPORT_COLUMNS]
+        : ORDER_EXPORT_COLUMNS,
+      columns
+    );
+    if (!selection.success) {
+      return res.status(selection.status).json({ error: selection.error, details: selection.details });
+    }
 
     // Build filter
     const filter = {};
@@ -969,70 +1453,14 @@ router.get('/admin/download', auth, adminAuth, async (req, res) => {
       ];
     }
 
-    // Get all orders for download
-    const orders = await Order.find(filter)
-      .sort({ createdAt: -1 })
-      .populate('customerId', 'displayName email')
-      .lean();
-
-    if (format === 'csv') {
-      // Generate CSV
-      const csvHeaders = [
-        'Order Number',
-        'Customer Name',
-        'Email',
-        'Phone',
-        'Address',
-        'City',
-        'State',
-        'Country',
-        'Order Status',
-        'Payment Status',
-        'Payment Method',
-        'Total Amount',
-        'Currency',
-        'Items',
-        'Created At',
-        'Updated At'
-      ];
-
-      const csvRows = orders.map(order => [
-        order.orderNumber,
-        `${order.customerInfo.firstName} ${order.customerInfo.lastName}`,
-        order.customerInfo.email,
-        order.customerInfo.phone,
-        order.customerInfo.address,
-        order.customerInfo.city,
-        order.customerInfo.state,
-        order.customerInfo.country,
-        order.orderStatus,
-        order.paymentStatus,
-        order.payment.method,
-        order.totalAmount,
-        order.currency,
-        order.items.map(item => `${item.name} (${item.quantity})`).join('; '),
-        new Date(order.createdAt).toLocaleString(),
-        new Date(order.updatedAt).toLocaleString()
-      ]);
-
-      const csvContent = [csvHeaders, ...csvRows]
-        .map(row => row.map(cell => `"${cell}"`).join(','))
-        .join('\n');
-
-      res.setHeader('Content-Type', 'text/csv');
-      res.setHeader('Content-Disposition', `attachment; filename="orders_${new Date().toISOString().split('T')[0]}.csv"`);
-      res.send(csvContent);
-    } else if (format === 'excel') {
-      // For Excel, we'll return JSON and let the frontend handle Excel generation
-      res.setHeader('Content-Type', 'application/json');
-      res.setHeader('Content-Disposition', `attachment; filename="orders_${new Date().toISOString().split('T')[0]}.json"`);
-      res.json({ orders });
-    } else {
-      res.status(400).json({
-        error: 'Invalid format',
-        details: 'Format must be csv or excel'
-      });
-    }
+    await streamExport(res, {
+      cursor: Order.find(filter).sort({ createdAt: -1 }).lean().cursor(),
+      columns: selection.columns,
+      format: format.format,
+      filename: `orders_${new Date().toISOString().split('T')[0]}`,
+      sheetName: 'Orders',
+      linesOf: perLine ? order => order.items : undefined
+    });
   } catch (error) {
     console.error('Download orders error:', error);
     res.status(500).json({
@@ -0,0 +1,245 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Order = require('../models/Order');
+const PaymentEvent = require('../models/PaymentEvent');
+const { auth, adminAuth } = require('../middleware/auth');
+const { auditAction } = require('../middleware/audit');
+const { fakeProvider, isFakePaymentsEnabled } = require('../lib/paymentProviders');
+const {
+  createPaymentIntent,
+  processWebhook,
+  capturePayment
+} = require('../lib/paymentService');
+const router = express.Router();
+
+const sendPaymentError = (res, result) => res.status(result.status || 400).json({
+  error: result.error,
+  details: result.details
+});
+
+// @route   POST /api/payments/intents
+// @desc    Start a gateway payment for an order
+// @access  Private
+router.post('/intents', [
+  auth,
+  body('orderId')
+    .isMongoId()
+    .withMessage('Valid order ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: errors.array()
+      });
+    }
+
+    const order = await Order.findById(req.body.orderId);
+    if (!order) {
+      return res.status(404).json({
+        error: 'Order not found',
+        details: 'Order does not exist'
+      });
+    }
+
+    if (order.customerId.toString() !== req.user.userId) {
+      return res.status(403).json({
+        error: 'Access denied',
+        details: 'You can only pay for your own orders'
+      });
+    }
+
+    const result = await createPaymentIntent(order);
+    if (!result.success) {
+      return sendPaymentError(res, result);
+    }
+
+    res.status(201).json({
+      success: true,
+      data: {
+        orderId: order._id,
+        orderNumber: order.orderNumber,
+        intent: result.intent
+      }
+    });
+
+  } catch (error) {
+    console.error('Create payment intent error:', error);
+    res.status(500).json({
+      error: 'Server Error',
+      details: 'Failed to start payment'
+    });
+  }
+});
+
+// @route   POST /api/payments/orders/:id/capture
+// @desc    Capture an authorized gateway payment
+// @access  Private (Admin only)
+router.post('/orders/:id/capture', [
+  auth,
+  adminAuth,
+  auditAction('payment.capture', { entity: 'Order' }),
+  body('amount')
+    .optional()
+    .isFloat({ min: 0.01 })
+    .withMessage('Amount must be a positive number')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: errors.array()
+      });
+    }
+
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({
+        error: 'Order not found',
+        details: 'Order does not exist'
+      });
+    }
+
+    const result = await capturePayment(order, { amount: req.body.amount });
+    if (!result.success) {
+      return sendPaymentError(res, result);
+    }
+
+    res.json({
+      success: true,
+      message: 'Payment captured',
+      data: {
+        capture: result.capture,
+        paymentStatus: order.paymentStatus,
+        ignoredReason: result.result.ignoredReason
+      }
+    });
+
+  } catch (error) {
+    console.error('Capture payment error:', error);
+    res.status(502).json({
+      error: 'Gateway Error',
+      details: error.message
+    });
+  }
+});
+
+// @route   GET /api/payments/orders/:id/events
+// @desc    Get the gateway events received for an order
+// @access  Private (Admin only)
+router.get('/orders/:id/events', auth, adminAuth, async (req, res) => {
+  try {
+    const events = await PaymentEvent.find({ orderId: req.params.id })
+      .select('-payload')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: { events }
+    });
+
+  } catch (error) {
+    console.error('Get payment events error:', error);
+    res.status(500).json({
+      error: 'Server Error',
+      details: 'Failed to fetch payment events'
+    });
+  }
+});
+
+// @route   POST /api/payments/fake/simulate
+// @desc    Drive the fake gateway: succeed, fail or refund an intent and deliver its signed webhook
+// @access  Private (Admin, only when ENABLE_FAKE_PAYMENTS=true)
+if (isFakePaymentsEnabled()) {
+  router.post('/fake/simulate', [
+    auth,
+    adminAuth,
+    body('intentId')
+      .isString()
+      .withMessage('Intent ID is required'),
+    body('outcome')
+      .isIn(['succeeded', 'failed', 'processing', 'refunded'])
+      .withMessage('Outcome must be one of: succeeded, failed, processing, refunded'),
+    body('amount')
+      .optional()
+      .isFloat({ min: 0.01 })
+      .withMessage('Amount must be a positive number')
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation Error',
+          details: errors.array()
+        });
+      }
+
+      const { intentId, outcome, amount } = req.body;
+      const eventTypes = {
+        succeeded: 'payment_intent.succeeded',
+        failed: 'payment_intent.payment_failed',
+        processing: 'payment_intent.processing',
+        refunded: 'charge.refunded'
+      };
+
+      if (outcome === 'succeeded') await fakeProvider.capture(intentId, { amount });
+      if (outcome === 'failed') await fakeProvider.fail(intentId);
+      if (outcome === 'refunded') await fakeProvider.refund(intentId, { amount });
+
+      // Deliver through the same path as a real webhook request
+      const webhook = fakeProvider.buildWebhook(eventTypes[outcome], intentId);
+      const result = await processWebhook('fake', webhook.rawBody, webhook.headers);
+      if (!result.success) {
+        return sendPaymentError(res, result);
+      }
+
+      res.json({
+        success: true,
+        data: {
+          event: webhook.event,
+          result: result.result,
+          // Replay these to check idempotency: POST them to /api/payments/fake/webhook
+          webhook: { body: webhook.event, headers: webhook.headers }
+        }
+      });
+
+    } catch (error) {
+      console.error('Simulate fake payment error:', error);
+      res.status(400).json({
+        error: 'Simulation Failed',
+        details: error.message
+      });
+    }
+  });
+}
+
+// @route   POST /api/payments/:provider/webhook
+// @desc    Receive a signed payment webhook
+// @access  Public (verified by signature)
+router.post('/:provider/webhook', async (req, res) => {
+  try {
+    const result = await processWebhook(req.params.provider, req.rawBody, req.headers);
+    if (!result.success) {
+      console.warn(`⚠️ Rejected ${req.params.provider} webhook:`, result.details);
+      return sendPaymentError(res, result);
+    }
+
+    res.json({
+      received: true,
+      duplicate: result.duplicate,
+      ...(result.result && { status: result.result.status })
+    });
+
+  } catch (error) {
+    console.error('Payment webhook error:', error);
+    // A 5xx tells the provider to deliver the event again later
+    res.status(500).json({
+      error: 'Server Error',
+      details: 'Failed to process webhook'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,87 +1,70 @@
 const express = require('express');
 const mongoose = require('mongoose');
 const { body, query, validationResult } = require('express-validator');
-const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 const Product = require('../models/Product');
-const { auth, adminAuth } = require('../middleware/auth');
+const Order = require('../models/Order');
+const Review = require('../models/Review');
+const { recordInitialStock, adjustStock, setStock } = require('../lib/inventoryService');
+const { getPriceList, withCustomerPricing } = require('../lib/priceListService');
+const { getCategoryFilter, resolveProductCategory } = require('../lib/categoryService');
+const { priceTierValidators, variantValidators, productValidators } = require('../lib/productValidators');
+const { auth, optionalAuth, adminAuth } = require('../middleware/auth');
+const { auditAction } = require('../middleware/audit');
 const router = express.Router();
 
-// Import cloud storage utilities
-let imagekitUtils = null;
-try {
-  imagekitUtils = require('../utils/imagekit');
-} catch (error) {
-  console.log('ImageKit not configured, using local storage');
-}
-
-// Configure multer for file uploads
-const isProduction = process.env.NODE_ENV === 'production';
-const useCloudStorage = true; // Enable ImageKit for all environments
-
-let storage, upload;
-
-// Check if ImageKit is properly configured
-const isImageKitConfigured = imagekitUtils && 
-  process.env.IMAGEKIT_PUBLIC_KEY && 
-  process.env.IMAGEKIT_PRIVATE_KEY && 
-  process.env.IMAGEKIT_URL_ENDPOINT;
-
-console.log('🔧 Storage configuration check:');
-console.log('  NODE_ENV:', process.env.NODE_ENV);
-console.log('  isProduction:', isProduction);
-console.log('  useCloudStorage:', useCloudStorage);
-console.log('  imagekitUtils available:', !!imagekitUtils);
-console.log('  isImageKitConfigured:', isImageKitConfigured);
-console.log('  IMAGEKIT_PUBLIC_KEY:', !!process.env.IMAGEKIT_PUBLIC_KEY);
-console.log('  IMAGEKIT_PRIVATE_KEY:', !!process.env.IMAGEKIT_PRIVATE_KEY);
-console.log('  IMAGEKIT_URL_ENDPOINT:', !!process.env.IMAGEKIT_URL_ENDPOINT);
-
-if (useCloudStorage && isImageKitConfigured) {
-  // Use ImageKit for production
-  console.log('🔧 Using ImageKit for image storage');
-  storage = imagekitUtils.storage;
-  upload = imagekitUtils.upload;
-} else {
-  // Use local storage (fallback when ImageKit is not available)
-  console.log('🔧 Using local storage as fallback');
-  storage = multer.diskStorage({
-    destination: function (req, file, cb) {
-      const uploadDir = path.join(__dirname, '../public/uploads');
-      // Create directory if it doesn't exist
-      if (!fs.existsSync(uploadDir)) {
-        fs.mkdirSync(uploadDir, { recursive: true });
-      }
-      cb(null, uploadDir);
-    },
-    filename: function (req, file, cb) {
-      // Generate unique filename
-      const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-      cb(null, file.fieldname + '-' + uniqueSuffix + path.extname(file.originalname));
-    }
-  });
+// Sort options for product listings
+const PRODUCT_SORTS = {
+  popular: { 'analytics.views': -1, createdAt: -1 },
+  rating: { 'analytics.rating': -1, 'analytics.reviewCount': -1, createdAt: -1 },
+  newest: { createdAt: -1 },
+  price_asc: { price: 1, createdAt: -1 },
+  price_desc: { price: -1, createdAt: -1 }
+};
+
+// Prices are shown for the signed-in customer's price list and an optional ?quantity
+const pricingQueryValidator = query('quantity')
+  .optional()
+  .isInt({ min: 1 })
+  .withMessage('Quantity must be a positive integer');
+
+const pricingOptions = async (req) => ({
+  priceList: await getPriceList(req.userInfo?.customerGroup),
+  quantity: req.query.quantity ? parseInt(req.query.quantity) : undefined
+});
 
-  upload = multer({ 
-    storage: storage,
-    limits: {
-      fileSize: 2 * 1024 * 1024 // Reduced to 2MB limit for better performance
-    },
-    fileFilter: function (req, file, cb) {
-      // Check file type
-      if (file.mimetype.startsWith('image/')) {
-        cb(null, true);
-      } else {
-        cb(new Error('Only image files are allowed'), false);
-      }
-    }
-  });
-}
+// Whether a SKU is already used by a product or a variant (other than `exceptVariantId`)
+const skuInUse = (sku, exceptVariantId) => Product.exists({
+  $or: [
+    { sku },
+    { variants: { $elemMatch: exceptVariantId ? { sku, _id: { $ne: exceptVariantId } } : { sku } } }
+  ]
+});
+
+// Sort options for review listings
+const REVIEW_SORTS = {
+  newest: { createdAt: -1 },
+  highest: { rating: -1, createdAt: -1 },
+  lowest: { rating: 1, createdAt: -1 }
+};
+
+// Image storage (ImageKit when configured, local disk otherwise)
+const {
+  imagekitUtils,
+  isProduction,
+  useCloudStorage,
+  isImageKitConfigured,
+  storage,
+  upload
+} = require('../utils/imageUpload');
 
 // @route   GET /api/products
 // @desc    Get all products with filtering and pagination
 // @access  Public
 router.get('/', [
+  optionalAuth,
+  pricingQueryValidator,
   query('page')
     .optional()
     .isInt({ min: 1 })
@@ -112,10 +95,24 @@ router.get('/', [
     .optional()
     .isBoolean()
     .withMessage('In stock must be a boolean'),
+  query('sku')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('SKU must be between 1 and 50 characters'),
+  query('packagingSize')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Packaging size must be between 1 and 100 characters'),
   query('status')
     .optional()
     .isIn(['active', 'inactive', 'out_of_stock', 'discontinued'])
-    .withMessage('Invalid status value')
+    .withMessage('Invalid status value'),
+  query('sort')
+    .optional()
+    .isIn(Object.keys(PRODUCT_SORTS))
+    .withMessage(`Sort must be one of: ${Object.keys(PRODUCT_SORTS).join(', ')}`)
 ], async (req, res) => {
   console.log('🔍 Products API called with query:', req.query);
   
@@ -146,8 +143,11 @@ router.get('/', [
       minPrice,
       maxPrice,
       inStock,
+      sku,
+      packagingSize,
       status = 'active',
-      showAll = false
+      showAll = false,
+      sort = 'popular'
     } = req.query;
 
     // Build filter
@@ -160,22 +160,39 @@ router.get('/', [
     console.log('🔍 Building filter with status:', status);
     
     if (category) {
-      filter.category = category;
+      // Matches the category and everything below it
+      Object.assign(filter, (await getCategoryFilter(category)).filter);
     }
     
     if (search) {
       filter.$text = { $search: search };
     }
     
+    // Variants count too: a product matches when any of its packaging sizes does
+    const conditions = [];
+
     if (minPrice !== undefined || maxPrice !== undefined) {
-      filter.price = {};
-      if (minPrice !== undefined) filter.price.$gte = parseFloat(minPrice);
-      if (maxPrice !== undefined) filter.price.$lte = parseFloat(maxPrice);
+      conditions.push(Product.priceRangeFilter(
+        minPrice !== undefined ? parseFloat(minPrice) : undefined,
+        maxPrice !== undefined ? parseFloat(maxPrice) : undefined
+      ));
     }
     
     if (inStock === 'true') {
       filter.stock = { $gt: 0 };
     }
+
+    if (sku) {
+      conditions.push({ $or: [{ sku }, { 'variants.sku': sku }] });
+    }
+
+    if (packagingSize) {
+      conditions.push({ $or: [{ 'variants.packagingSize': packagingSize }, { 'specifications.packagingSize': packagingSize }] });
+    }
+
+    if (conditions.length > 0) {
+      filter.$and = conditions;
+    }
     
     console.log('🔍 Final filter:', filter);
 
@@ -186,7 +203,7 @@ router.get('/', [
     const [products, total] = await Promise.all([
       Product.find(filter)
         .select('-__v')
-        .sort({ 'analytics.views': -1, createdAt: -1 })
+        .sort(PRODUCT_SORTS[sort])
         .limit(parseInt(limit))
         .skip(skip)
         .maxTimeMS(15000), // 15 second timeout
@@ -194,6 +211,7 @@ router.get('/', [
     ]);
     
     console.log('🔍 Query results - products found:', products.length, 'total:', total);
+    const pricing = await pricingOptions(req);
 
     // Calculate pagination info
     const totalPages = Math.ceil(total / parseInt(limit));
@@ -201,7 +219,7 @@ router.get('/', [
     const hasPrevPage = parseInt(page) > 1;
 
     res.json({
-      products,
+      products: withCustomerPricing(products, pricing),
       pagination: {
         currentPage: parseInt(page),
         totalPages,
@@ -366,8 +384,17 @@ router.post('/upload-image', (req, res, next) => {
 // @route   GET /api/products/:id
 // @desc    Get product by ID
 // @access  Public
-router.get('/:id', async (req, res) => {
+router.get('/:id', [optionalAuth, pricingQueryValidator], async (req, res) => {
   try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: errors.array()
+      });
+    }
+
     const product = await Product.findById(req.params.id).select('-__v');
     
     if (!product) {
@@ -380,7 +407,7 @@ router.get('/:id', async (req, res) => {
     // Increment view count
     await product.incrementViews();
 
-    res.json({ product });
+    res.json({ product: withCustomerPricing(product, await pricingOptions(req)) });
 
   } catch (error) {
     console.error('Get product error:', error);
@@ -402,8 +429,17 @@ router.get('/:id', async (req, res) => {
 // @route   GET /api/products/slug/:slug
 // @desc    Get product by slug
 // @access  Public
-router.get('/slug/:slug', async (req, res) => {
+router.get('/slug/:slug', [optionalAuth, pricingQueryValidator], async (req, res) => {
   try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: errors.array()
+      });
+    }
+
     const product = await Product.findOne({ 'seo.slug': req.params.slug }).select('-__v');
     
     if (!product) {
@@ -416,7 +452,7 @@ router.get('/slug/:slug', async (req, res) => {
     // Increment view count
     await product.incrementViews();
 
-    res.json({ product });
+    res.json({ product: withCustomerPricing(product, await pricingOptions(req)) });
 
   } catch (error) {
     console.error('Get product by slug error:', error);
@@ -428,9 +464,11 @@ router.get('/slug/:slug', async (req, res) => {
 });
 
 // @route   GET /api/products/category/:category
-// @desc    Get products by category
+// @desc    Get products in a category (by slug, ID or name) and its subcategories
 // @access  Public
 router.get('/category/:category', [
+  optionalAuth,
+  pricingQueryValidator,
   query('page')
     .optional()
     .isInt({ min: 1 })
@@ -455,9 +493,17 @@ router.get('/category/:category', [
 
     const skip = (parseInt(page) - 1) * parseInt(limit);
     
+    // The category (by slug, ID or name) and all of its subcategories
+    const { filter, category: categoryDoc } = await getCategoryFilter(category);
+    const productQuery = { ...filter, status: 'active' };
+
     const [products, total] = await Promise.all([
-      Product.getByCategory(category, parseInt(limit), parseInt(page)),
-      Product.countDocuments({ category, status: 'active' })
+      Product.find(productQuery)
+        .select('-__v')
+        .sort({ 'analytics.views': -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Product.countDocuments(productQuery)
     ]);
 
     const totalPages = Math.ceil(total / parseInt(limit));
@@ -465,8 +511,9 @@ router.get('/category/:category', [
     const hasPrevPage = parseInt(page) > 1;
 
     res.json({
-      products,
+      products: withCustomerPricing(products, await pricingOptions(req)),
       category,
+      categoryDetails: categoryDoc && { id: categoryDoc._id, name: categoryDoc.name, slug: categoryDoc.slug },
       pagination: {
         currentPage: parseInt(page),
         totalPages,
@@ -486,60 +533,217 @@ router.get('/category/:category', [
   }
 });
 
-// @route   POST /api/products
-// @desc    Create a new product
-// @access  Private (Admin only)
-router.post('/', [
-  auth,
-  adminAuth,
-  body('name')
-    .trim()
-    .isLength({ min: 2, max: 200 })
-    .withMessage('Name must be between 2 and 200 characters'),
-  body('description')
-    .trim()
-    .isLength({ min: 10, max: 2000 })
-    .withMessage('Description must be between 10 and 2000 characters'),
-  body('price')
-    .isFloat({ min: 0 })
-    .withMessage('Price must be a positive number'),
-  body('stock')
-    .isInt({ min: 0 })
-    .withMessage('Stock must be a non-negative integer'),
-  body('category')
-    .trim()
-    .isLength({ min: 2, max: 100 })
-    .withMessage('Category must be between 2 and 100 characters'),
-  body('packaging')
-    .trim()
-    .isLength({ min: 2, max: 100 })
-    .withMessage('Packaging must be between 2 and 100 characters'),
-  body('currency')
-    .optional()
-    .isLength({ min: 3, max: 3 })
-    .withMessage('Currency must be exactly 3 characters'),
-  body('minOrder')
+// @route   GET /api/products/:id/reviews
+// @desc    Get approved reviews for a product
+// @access  Public
+router.get('/:id/reviews', [
+  query('page')
     .optional()
     .isInt({ min: 1 })
-    .withMessage('Min order must be a positive integer'),
-  body('imageUrl')
+    .withMessage('Page must be a positive integer'),
+  query('limit')
     .optional()
-    .isString()
-    .withMessage('Image URL must be a string'),
-  body('sku')
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50'),
+  query('sort')
     .optional()
-    .trim()
-    .isLength({ min: 3, max: 50 })
-    .withMessage('SKU must be between 3 and 50 characters'),
-  body('barcode')
+    .isIn(Object.keys(REVIEW_SORTS))
+    .withMessage(`Sort must be one of: ${Object.keys(REVIEW_SORTS).join(', ')}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: errors.array()
+      });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        error: 'Invalid ID',
+        details: 'Product ID format is invalid'
+      });
+    }
+
+    const product = await Product.findById(req.params.id).select('name analytics.rating analytics.reviewCount');
+    if (!product) {
+      return res.status(404).json({
+        error: 'Product not found',
+        details: 'Product does not exist'
+      });
+    }
+
+    const { page = 1, limit = 10, sort = 'newest' } = req.query;
+    const filter = { productId: product._id, status: 'approved' };
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [reviews, total, breakdown] = await Promise.all([
+      Review.find(filter)
+        .select('rating title comment customerId createdAt')
+        .populate('customerId', 'displayName')
+        .sort(REVIEW_SORTS[sort])
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Review.countDocuments(filter),
+      Review.getRatingBreakdown(product._id)
+    ]);
+
+    const totalPages = Math.ceil(total / parseInt(limit));
+
+    res.json({
+      success: true,
+      data: {
+        reviews: reviews.map(review => ({
+          id: review._id,
+          rating: review.rating,
+          title: review.title,
+          comment: review.comment,
+          author: review.customerId?.displayName || 'Customer',
+          verifiedPurchase: true,
+          createdAt: review.createdAt
+        })),
+        summary: {
+          rating: product.analytics?.rating || 0,
+          reviewCount: product.analytics?.reviewCount || 0,
+          breakdown
+        },
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalItems: total,
+          itemsPerPage: parseInt(limit),
+          hasNextPage: parseInt(page) < totalPages,
+          hasPrevPage: parseInt(page) > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get product reviews error:', error);
+    res.status(500).json({
+      error: 'Server Error',
+      details: 'Failed to fetch reviews'
+    });
+  }
+});
+
+// @route   POST /api/products/:id/reviews
+// @desc    Review a product (customers with a delivered order for it)
+// @access  Private
+router.post('/:id/reviews', [
+  auth,
+  body('rating')
+    .isInt({ min: 1, max: 5 })
+    .withMessage('Rating must be an integer between 1 and 5'),
+  body('title')
     .optional()
     .trim()
-    .isLength({ min: 8, max: 20 })
-    .withMessage('Barcode must be between 8 and 20 characters'),
-  body('status')
+    .isLength({ max: 150 })
+    .withMessage('Title cannot exceed 150 characters'),
+  body('comment')
     .optional()
-    .isIn(['active', 'inactive', 'out_of_stock', 'discontinued'])
-    .withMessage('Invalid status value')
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Comment cannot exceed 2000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: errors.array()
+      });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        error: 'Invalid ID',
+        details: 'Product ID format is invalid'
+      });
+    }
+
+    const product = await Product.findById(req.params.id).select('_id name');
+    if (!product) {
+      return res.status(404).json({
+        error: 'Product not found',
+        details: 'Product does not exist'
+      });
+    }
+
+    // Order items store productId as either an ObjectId or a string
+    const deliveredOrder = await Order.findOne({
+      customerId: req.user.userId,
+      orderStatus: 'delivered',
+      'items.productId': { $in: [product._id, product._id.toString()] }
+    }).select('_id').sort({ createdAt: -1 });
+
+    if (!deliveredOrder) {
+      return res.status(403).json({
+        error: 'Not eligible',
+        details: 'You can only review products from your delivered orders'
+      });
+    }
+
+    const existing = await Review.findOne({ productId: product._id, customerId: req.user.userId }).select('_id status');
+    if (existing) {
+      return res.status(409).json({
+        error: 'Already reviewed',
+        details: 'You have already reviewed this product',
+        reviewId: existing._id
+      });
+    }
+
+    const review = await Review.create({
+      productId: product._id,
+      customerId: req.user.userId,
+      orderId: deliveredOrder._id,
+      rating: parseInt(req.body.rating),
+      title: req.body.title,
+      comment: req.body.comment
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Review submitted and awaiting moderation',
+      data: {
+        review: {
+          id: review._id,
+          rating: review.rating,
+          title: review.title,
+          comment: review.comment,
+          status: review.status,
+          createdAt: review.createdAt
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Create review error:', error);
+
+    // Two simultaneous submissions hit the unique index
+    if (error.code === 11000) {
+      return res.status(409).json({
+        error: 'Already reviewed',
+        details: 'You have already reviewed this product'
+      });
+    }
+
+    res.status(500).json({
+      error: 'Server Error',
+      details: 'Failed to submit review'
+    });
+  }
+});
+
+// @route   POST /api/products
+// @desc    Create a new product
+// @access  Private (Admin only)
+router.post('/', [
+  auth,
+  adminAuth,
+  auditAction('product.create', { entity: 'Product', resultId: (req, body) => body?.product?._id }),
+  ...productValidators
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -558,7 +762,7 @@ router.post('/', [
 
     // Check if SKU or barcode already exists
     if (productData.sku) {
-      const existingSku = await Product.findOne({ sku: productData.sku });
+      const existingSku = await skuInUse(productData.sku);
       if (existingSku) {
         return res.status(400).json({
           error: 'Duplicate SKU',
@@ -567,6 +771,15 @@ router.post('/', [
       }
     }
 
+    for (const variant of productData.variants || []) {
+      if (await skuInUse(variant.sku)) {
+        return res.status(400).json({
+          error: 'Duplicate SKU',
+          details: `A product or variant with SKU ${variant.sku} already exists`
+        });
+      }
+    }
+
     if (productData.barcode) {
       const existingBarcode = await Product.findOne({ barcode: productData.barcode });
       if (existingBarcode) {
@@ -586,6 +799,17 @@ router.post('/', [
         .replace(/(^-|-$)/g, '');
     }
 
+    // File the product under its Category (given by ID, slug or name)
+    const categoryCheck = await resolveProductCategory(productData);
+    if (!categoryCheck.success) {
+      return res.status(categoryCheck.status).json({
+        error: categoryCheck.error,
+        details: categoryCheck.details
+      });
+    }
+    productData.category = categoryCheck.category;
+    productData.categoryId = categoryCheck.categoryId;
+
     // Set default values
     productData.status = productData.status || 'active';
     productData.currency = productData.currency || 'USD';
@@ -596,6 +820,9 @@ router.post('/', [
     const product = new Product(productData);
     await product.save();
 
+    // One initial_stock movement per stocked variant, or one for the product
+    await recordInitialStock(product, { actor: { userId: req.user.userId, role: 'admin' } });
+
     res.status(201).json({
       message: 'Product created successfully',
       product
@@ -603,6 +830,21 @@ router.post('/', [
 
   } catch (error) {
     console.error('Create product error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        error: 'Duplicate SKU',
+        details: 'A product or variant with this SKU already exists'
+      });
+    }
+
     res.status(500).json({
       error: 'Server Error',
       details: 'Failed to create product'
@@ -616,6 +858,7 @@ router.post('/', [
 router.put('/:id', [
   auth,
   adminAuth,
+  auditAction('product.update', { entity: 'Product' }),
   body('name')
     .optional()
     .trim()
@@ -639,11 +882,24 @@ router.put('/:id', [
     .trim()
     .isLength({ min: 2, max: 100 })
     .withMessage('Category must be between 2 and 100 characters'),
+  body('categoryId')
+    .optional()
+    .isMongoId()
+    .withMessage('Category ID must be a valid ID'),
   body('packaging')
     .optional()
     .trim()
     .isLength({ min: 2, max: 100 })
-    .withMessage('Packaging must be between 2 and 100 characters')
+    .withMessage('Packaging must be between 2 and 100 characters'),
+  body('reorderPoint')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Reorder point must be a non-negative integer'),
+  body('reorderQuantity')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Reorder quantity must be a non-negative integer'),
+  ...priceTierValidators('')
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -655,9 +911,41 @@ router.put('/:id', [
       });
     }
 
-    const product = await Product.findByIdAndUpdate(
+    // Stock goes through the inventory service so the change is recorded in the movement ledger
+    const { stock, variants, ...updates } = req.body;
+
+    if (variants !== undefined) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: 'Variants are changed through /api/products/:id/variants'
+      });
+    }
+
+    if (updates.category !== undefined || updates.categoryId !== undefined) {
+      const categoryCheck = await resolveProductCategory(updates);
+      if (!categoryCheck.success) {
+        return res.status(categoryCheck.status).json({
+          error: categoryCheck.error,
+          details: categoryCheck.details
+        });
+      }
+      updates.category = categoryCheck.category;
+      updates.categoryId = categoryCheck.categoryId;
+    }
+
+    if (stock !== undefined || updates.price !== undefined) {
+      const current = await Product.findById(req.params.id).select('variants');
+      if (current?.variants.length > 0) {
+        return res.status(400).json({
+          error: 'Validation Error',
+          details: 'Price and stock are set per variant for this product'
+        });
+      }
+    }
+
+    let product = await Product.findByIdAndUpdate(
       req.params.id,
-      req.body,
+      updates,
       { new: true, runValidators: true }
     ).select('-__v');
 
@@ -668,6 +956,14 @@ router.put('/:id', [
       });
     }
 
+    if (stock !== undefined) {
+      const result = await setStock(product._id, parseInt(stock), {
+        actor: { userId: req.user.userId, role: 'admin' },
+        note: 'Stock set from product edit'
+      });
+      product = result.product;
+    }
+
     res.json({
       message: 'Product updated successfully',
       product
@@ -693,7 +989,7 @@ router.put('/:id', [
 // @route   DELETE /api/products/:id
 // @desc    Delete a product
 // @access  Private (Admin only)
-router.delete('/:id', auth, adminAuth, async (req, res) => {
+router.delete('/:id', auth, adminAuth, auditAction('product.delete', { entity: 'Product' }), async (req, res) => {
   try {
     const product = await Product.findById(req.params.id);
     
@@ -752,12 +1048,22 @@ router.delete('/:id', auth, adminAuth, async (req, res) => {
 router.patch('/:id/stock', [
   auth,
   adminAuth,
+  auditAction('product.stock', { entity: 'Product' }),
   body('quantity')
-    .isInt()
-    .withMessage('Quantity must be an integer'),
+    .isInt({ min: 1 })
+    .withMessage('Quantity must be a positive integer'),
   body('operation')
     .isIn(['increase', 'decrease'])
-    .withMessage('Operation must be either increase or decrease')
+    .withMessage('Operation must be either increase or decrease'),
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('Note must be between 1 and 500 characters'),
+  body('variantId')
+    .optional()
+    .isMongoId()
+    .withMessage('Valid variant ID is required')
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -769,7 +1075,7 @@ router.patch('/:id/stock', [
       });
     }
 
-    const { quantity, operation } = req.body;
+    const { quantity, operation, note, variantId } = req.body;
     const product = await Product.findById(req.params.id);
 
     if (!product) {
@@ -779,7 +1085,28 @@ router.patch('/:id/stock', [
       });
     }
 
-    await product.updateStock(quantity, operation);
+    // Products with variants keep their stock per variant
+    if (product.variants.length > 0 && !variantId) {
+      return res.status(400).json({
+        error: 'Variant required',
+        details: 'Choose which variant\'s stock to update'
+      });
+    }
+
+    if (variantId && !product.variants.id(variantId)) {
+      return res.status(404).json({
+        error: 'Variant not found',
+        details: 'Variant does not exist on this product'
+      });
+    }
+
+    await product.updateStock(parseInt(quantity), operation, {
+      variantId,
+      actor: { userId: req.user.userId, role: 'admin' },
+      note
+    });
+
+    const variant = variantId && product.variants.id(variantId);
 
     res.json({
       message: 'Stock updated successfully',
@@ -787,7 +1114,8 @@ router.patch('/:id/stock', [
         id: product._id,
         name: product.name,
         stock: product.stock,
-        status: product.status
+        status: product.status,
+        ...(variant && { variant: { id: variant._id, sku: variant.sku, packagingSize: variant.packagingSize, stock: variant.stock } })
       }
     });
 
@@ -808,6 +1136,214 @@ router.patch('/:id/stock', [
   }
 });
 
+// Respond to a failed variant save: duplicate SKUs and schema errors are the caller's fault
+const sendVariantError = (res, error, action) => {
+  console.error(`${action} variant error:`, error);
+
+  if (error.code === 11000) {
+    return res.status(400).json({
+      error: 'Duplicate SKU',
+      details: 'A product or variant with this SKU already exists'
+    });
+  }
+
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      error: 'Validation Error',
+      details: Object.values(error.errors).map(err => err.message)
+    });
+  }
+
+  if (error.kind === 'ObjectId') {
+    return res.status(400).json({
+      error: 'Invalid ID',
+      details: 'Product or variant ID format is invalid'
+    });
+  }
+
+  res.status(500).json({
+    error: 'Server Error',
+    details: `Failed to ${action.toLowerCase()} variant`
+  });
+};
+
+// @route   POST /api/products/:id/variants
+// @desc    Add a packaging variant to a product
+// @access  Private (Admin only)
+router.post('/:id/variants', [
+  auth,
+  adminAuth,
+  auditAction('product.variant.create', { entity: 'Product' }),
+  ...variantValidators('')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: errors.array()
+      });
+    }
+
+    const product = await Product.findById(req.params.id);
+    if (!product) {
+      return res.status(404).json({
+        error: 'Product not found',
+        details: 'Product does not exist'
+      });
+    }
+
+    // Stock held before the first variant does not belong to any packaging size
+    if (product.variants.length === 0 && product.stock > 0) {
+      return res.status(409).json({
+        error: 'Stock not allocated',
+        details: 'Set the product stock to 0 before adding its first variant, then give each variant its stock'
+      });
+    }
+
+    const { sku, barcode, packagingSize, price, priceTiers, minOrder } = req.body;
+    if (await skuInUse(sku)) {
+      return res.status(400).json({
+        error: 'Duplicate SKU',
+        details: `A product or variant with SKU ${sku} already exists`
+      });
+    }
+
+    // Added empty; its stock goes through the inventory service so it is in the ledger
+    product.variants.push({ sku, barcode, packagingSize, price, priceTiers, minOrder, stock: 0 });
+    const variant = product.variants[product.variants.length - 1];
+    await product.save();
+
+    const stock = parseInt(req.body.stock) || 0;
+    if (stock > 0) {
+      await adjustStock(product._id, stock, {
+        variantId: variant._id,
+        reasonCode: 'initial_stock',
+        actor: { userId: req.user.userId, role: 'admin' }
+      });
+    }
+
+    res.status(201).json({
+      message: 'Variant added successfully',
+      variantId: variant._id,
+      product: await Product.findById(product._id).select('-__v')
+    });
+
+  } catch (error) {
+    sendVariantError(res, error, 'Add');
+  }
+});
+
+// @route   PUT /api/products/:id/variants/:variantId
+// @desc    Update a packaging variant
+// @access  Private (Admin only)
+router.put('/:id/variants/:variantId', [
+  auth,
+  adminAuth,
+  auditAction('product.variant.update', { entity: 'Product' }),
+  ...variantValidators('', { optional: true })
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: errors.array()
+      });
+    }
+
+    const product = await Product.findById(req.params.id);
+    const variant = product?.variants.id(req.params.variantId);
+    if (!variant) {
+      return res.status(404).json({
+        error: 'Variant not found',
+        details: 'Product or variant does not exist'
+      });
+    }
+
+    const { stock, ...updates } = req.body;
+    if (updates.sku && updates.sku !== variant.sku && await skuInUse(updates.sku, variant._id)) {
+      return res.status(400).json({
+        error: 'Duplicate SKU',
+        details: `A product or variant with SKU ${updates.sku} already exists`
+      });
+    }
+
+    ['sku', 'barcode', 'packagingSize', 'price', 'priceTiers', 'minOrder'].forEach(field => {
+      if (updates[field] !== undefined) variant[field] = updates[field];
+    });
+    await product.save();
+
+    if (stock !== undefined) {
+      await setStock(product._id, parseInt(stock), {
+        variantId: variant._id,
+        actor: { userId: req.user.userId, role: 'admin' },
+        note: 'Stock set from variant edit'
+      });
+    }
+
+    res.json({
+      message: 'Variant updated successfully',
+      product: await Product.findById(product._id).select('-__v')
+    });
+
+  } catch (error) {
+    sendVariantError(res, error, 'Update');
+  }
+});
+
+// @route   DELETE /api/products/:id/variants/:variantId
+// @desc    Remove a packaging variant (its remaining stock is written off in the ledger)
+// @access  Private (Admin only)
+router.delete('/:id/variants/:variantId', auth, adminAuth, auditAction('product.variant.delete', { entity: 'Product' }), async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id);
+    const variant = product?.variants.id(req.params.variantId);
+    if (!variant) {
+      return res.status(404).json({
+        error: 'Variant not found',
+        details: 'Product or variant does not exist'
+      });
+    }
+
+    if (variant.stock > 0) {
+      await setStock(product._id, 0, {
+        variantId: variant._id,
+        actor: { userId: req.user.userId, role: 'admin' },
+        note: `Variant ${variant.sku} removed`
+      });
+    }
+
+    // Only remove it while it is still empty, so stock received in between is not lost
+    const removal = await Product.updateOne(
+      { _id: product._id, variants: { $elemMatch: { _id: variant._id, stock: 0 } } },
+      { $pull: { variants: { _id: variant._id } } }
+    );
+    if (removal.modifiedCount === 0) {
+      return res.status(409).json({
+        error: 'Variant stock changed',
+        details: 'The variant received stock while being removed, please try again'
+      });
+    }
+
+    // Re-derive the product price from the remaining variants
+    const updated = await Product.findById(product._id);
+    if (updated.variants.length > 0) {
+      await updated.save();
+    }
+
+    res.json({
+      message: 'Variant removed successfully',
+      product: updated
+    });
+
+  } catch (error) {
+    sendVariantError(res, error, 'Remove');
+  }
+});
+
 // @route   GET /api/products/search/suggestions
 // @desc    Get search suggestions
 // @access  Public
@@ -1,7 +1,11 @@
 const express = require('express');
 const { body, query, validationResult } = require('express-validator');
 const User = require('../models/User');
+const PriceList = require('../models/PriceList');
 const { auth, adminAuth } = require('../middleware/auth');
+const { auditAction } = require('../middleware/audit');
+const { unlockAccount, getAccountStatus } = require('../lib/authThrottle');
+const { resolveFormat, selectColumns, streamExport } = require('../lib/exportService');
 const router = express.Router();
 
 // @route   GET /api/users/profile
@@ -393,6 +397,79 @@ router.get('/admin/all', [
   }
 });
 
+// Columns of the user export
+const USER_EXPORT_COLUMNS = [
+  { key: 'userId', label: 'User ID', value: user => user._id.toString() },
+  { key: 'email', label: 'Email' },
+  { key: 'displayName', label: 'Display Name' },
+  { key: 'firstName', label: 'First Name', value: user => user.profile?.firstName },
+  { key: 'lastName', label: 'Last Name', value: user => user.profile?.lastName },
+  { key: 'phone', label: 'Phone', value: user => user.profile?.phone },
+  { key: 'address', label: 'Address', value: user => user.profile?.address },
+  { key: 'city', label: 'City', value: user => user.profile?.city },
+  { key: 'state', label: 'State', value: user => user.profile?.state },
+  { key: 'country', label: 'Country', value: user => user.profile?.country },
+  { key: 'role', label: 'Role' },
+  { key: 'customerGroup', label: 'Customer Group' },
+  { key: 'isAdmin', label: 'Is Admin', value: user => (user.isAdmin ? 'Yes' : 'No') },
+  { key: 'isActive', label: 'Is Active', value: user => (user.isActive ? 'Yes' : 'No') },
+  { key: 'isEmailVerified', label: 'Email Verified', value: user => (user.isEmailVerified ? 'Yes' : 'No') },
+  { key: 'lastLogin', label: 'Last Login', type: 'date' },
+  { key: 'createdAt', label: 'Created At', type: 'date' },
+  { key: 'updatedAt', label: 'Updated At', type: 'date' }
+];
+
+// @route   GET /api/users/admin/download
+// @desc    Download users as CSV or XLSX (format=csv|xlsx, columns=key1,key2) (Admin only)
+// @access  Private (Admin only)
+// Registered before /admin/:id, which would otherwise take "download" as an ID
+router.get('/admin/download', auth, adminAuth, async (req, res) => {
+  try {
+    const { format: requestedFormat = 'csv', role, isActive, search, columns } = req.query;
+
+    const format = resolveFormat(requestedFormat);
+    if (!format.success) {
+      return res.status(format.status).json({ error: format.error, details: format.details });
+    }
+
+    const selection = selectColumns(USER_EXPORT_COLUMNS, columns);
+    if (!selection.success) {
+      return res.status(selection.status).json({ error: selection.error, details: selection.details });
+    }
+
+    // Build filter
+    const filter = {};
+    if (role) filter.role = role;
+    if (isActive !== undefined) filter.isActive = isActive === 'true';
+    if (search) {
+      filter.$or = [
+        { email: { $regex: search, $options: 'i' } },
+        { displayName: { $regex: search, $options: 'i' } },
+        { 'profile.firstName': { $regex: search, $options: 'i' } },
+        { 'profile.lastName': { $regex: search, $options: 'i' } }
+      ];
+    }
+
+    await streamExport(res, {
+      cursor: User.find(filter)
+        .select('email displayName role isAdmin customerGroup profile isActive isEmailVerified lastLogin createdAt updatedAt')
+        .sort({ createdAt: -1 })
+        .lean()
+        .cursor(),
+      columns: selection.columns,
+      format: format.format,
+      filename: `users_${new Date().toISOString().split('T')[0]}`,
+      sheetName: 'Users'
+    });
+  } catch (error) {
+    console.error('Download users error:', error);
+    res.status(500).json({
+      error: 'Server Error',
+      details: 'Failed to download users'
+    });
+  }
+});
+
 // @route   GET /api/users/admin/:id
 // @desc    Get user by ID (Admin only)
 // @access  Private (Admin only)
@@ -432,6 +509,7 @@ router.get('/admin/:id', auth, adminAuth, async (req, res) => {
 router.put('/admin/:id', [
   auth,
   adminAuth,
+  auditAction('user.update', { entity: 'User' }),
   body('role')
     .optional()
     .isIn(['user', 'admin', 'moderator'])
@@ -443,7 +521,13 @@ router.put('/admin/:id', [
   body('isActive')
     .optional()
     .isBoolean()
-    .withMessage('Is active must be a boolean')
+    .withMessage('Is active must be a boolean'),
+  body('customerGroup')
+    .optional({ nullable: true })
+    .trim()
+    .toLowerCase()
+    .isLength({ max: 50 })
+    .withMessage('Customer group cannot exceed 50 characters')
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -460,6 +544,18 @@ router.put('/admin/:id', [
     if (req.body.isAdmin !== undefined) updateData.isAdmin = req.body.isAdmin;
     if (req.body.isActive !== undefined) updateData.isActive = req.body.isActive;
 
+    // null or an empty string puts the user back on catalogue prices
+    if (req.body.customerGroup !== undefined) {
+      const customerGroup = req.body.customerGroup || null;
+      if (customerGroup && !(await PriceList.exists({ customerGroup }))) {
+        return res.status(400).json({
+          error: 'Invalid customer group',
+          details: `There is no price list for the ${customerGroup} group`
+        });
+      }
+      updateData.customerGroup = customerGroup;
+    }
+
     const user = await User.findByIdAndUpdate(
       req.params.id,
       updateData,
@@ -495,13 +591,13 @@ router.put('/admin/:id', [
   }
 });
 
-// @route   DELETE /api/users/admin/:id
-// @desc    Delete user by ID (Admin only)
+// @route   POST /api/users/admin/:id/unlock
+// @desc    Unlock a user account locked after failed sign-in attempts (Admin only)
 // @access  Private (Admin only)
-router.delete('/admin/:id', auth, adminAuth, async (req, res) => {
+router.post('/admin/:id/unlock', auth, adminAuth, auditAction('user.unlock', { entity: 'User' }), async (req, res) => {
   try {
     const user = await User.findById(req.params.id);
-    
+
     if (!user) {
       return res.status(404).json({
         error: 'User not found',
@@ -509,22 +605,20 @@ router.delete('/admin/:id', auth, adminAuth, async (req, res) => {
       });
     }
 
-    // Prevent admin from deleting themselves
-    if (user._id.toString() === req.user.userId) {
-      return res.status(400).json({
-        error: 'Cannot delete yourself',
-        details: 'You cannot delete your own account'
-      });
-    }
+    const wasLocked = (await getAccountStatus(user.email)).locked;
+    await unlockAccount(user.email);
 
-    await User.findByIdAndDelete(req.params.id);
+    // Give the user fresh OTP attempts as well
+    user.resetOTPAttempts();
+    await user.save();
 
     res.json({
-      message: 'User deleted successfully'
+      message: wasLocked ? 'User account unlocked successfully' : 'User account was not locked',
+      userId: user._id
     });
 
   } catch (error) {
-    console.error('Delete admin user error:', error);
+    console.error('Unlock admin user error:', error);
     
     if (error.kind === 'ObjectId') {
       return res.status(400).json({
@@ -535,100 +629,52 @@ router.delete('/admin/:id', auth, adminAuth, async (req, res) => {
     
     res.status(500).json({
       error: 'Server Error',
-      details: 'Failed to delete user'
+      details: 'Failed to unlock user'
     });
   }
 });
 
-// @route   GET /api/users/admin/download
-// @desc    Download users as CSV or Excel (Admin only)
+// @route   DELETE /api/users/admin/:id
+// @desc    Delete user by ID (Admin only)
 // @access  Private (Admin only)
-router.get('/admin/download', auth, adminAuth, async (req, res) => {
+router.delete('/admin/:id', auth, adminAuth, auditAction('user.delete', { entity: 'User' }), async (req, res) => {
   try {
-    const { format = 'csv', role, isActive, search } = req.query;
+    const user = await User.findById(req.params.id);
+    
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found',
+        details: 'User does not exist'
+      });
+    }
 
-    // Build filter
-    const filter = {};
-    if (role) filter.role = role;
-    if (isActive !== undefined) filter.isActive = isActive === 'true';
-    if (search) {
-      filter.$or = [
-        { email: { $regex: search, $options: 'i' } },
-        { displayName: { $regex: search, $options: 'i' } },
-        { 'profile.firstName': { $regex: search, $options: 'i' } },
-        { 'profile.lastName': { $regex: search, $options: 'i' } }
-      ];
+    // Prevent admin from deleting themselves
+    if (user._id.toString() === req.user.userId) {
+      return res.status(400).json({
+        error: 'Cannot delete yourself',
+        details: 'You cannot delete your own account'
+      });
     }
 
-    // Get all users for download
-    const users = await User.find(filter)
-      .select('-password')
-      .sort({ createdAt: -1 })
-      .lean();
-
-    if (format === 'csv') {
-      // Generate CSV
-      const csvHeaders = [
-        'User ID',
-        'Email',
-        'Display Name',
-        'First Name',
-        'Last Name',
-        'Phone',
-        'Address',
-        'City',
-        'State',
-        'Country',
-        'Role',
-        'Is Admin',
-        'Is Active',
-        'Email Verified',
-        'Created At',
-        'Updated At'
-      ];
+    await User.findByIdAndDelete(req.params.id);
+
+    res.json({
+      message: 'User deleted successfully'
+    });
 
-      const csvRows = users.map(user => [
-        user._id,
-        user.email,
-        user.displayName,
-        user.profile?.firstName || '',
-        user.profile?.lastName || '',
-        user.profile?.phone || '',
-        user.profile?.address || '',
-        user.profile?.city || '',
-        user.profile?.state || '',
-        user.profile?.country || '',
-        user.role,
-        user.isAdmin ? 'Yes' : 'No',
-        user.isActive ? 'Yes' : 'No',
-        user.isEmailVerified ? 'Yes' : 'No',
-        new Date(user.createdAt).toLocaleString(),
-        new Date(user.updatedAt).toLocaleString()
-      ]);
-
-      const csvContent = [csvHeaders, ...csvRows]
-        .map(row => row.map(cell => `"${cell}"`).join(','))
-        .join('\n');
-
-      res.setHeader('Content-Type', 'text/csv');
-      res.setHeader('Content-Disposition', `attachment; filename="users_${new Date().toISOString().split('T')[0]}.csv"`);
-      res.send(csvContent);
-    } else if (format === 'excel') {
-      // For Excel, we'll return JSON and let the frontend handle Excel generation
-      res.setHeader('Content-Type', 'application/json');
-      res.setHeader('Content-Disposition', `attachment; filename="users_${new Date().toISOString().split('T')[0]}.json"`);
-      res.json({ users });
-    } else {
-      res.status(400).json({
-        error: 'Invalid format',
-        details: 'Format must be csv or excel'
+  } catch (error) {
+    console.error('Delete admin user error:', error);
+    
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({
+        error: 'Invalid ID',
+        details: 'User ID format is invalid'
       });
     }
-  } catch (error) {
-    console.error('Download users error:', error);
+    
     res.status(500).json({
       error: 'Server Error',
-      details: 'Failed to download users'
+      details: 'Failed to delete user'
     });
   }
 });
@@ -22,9 +22,12 @@ app.set('trust proxy', 1);
 // Import routes
 const authRoutes = require('./routes/auth');
 const productRoutes = require('./routes/products');
+const categoryRoutes = require('./routes/categories');
 const orderRoutes = require('./routes/orders');
 const userRoutes = require('./routes/users');
 const adminRoutes = require('./routes/admin');
+const paymentRoutes = require('./routes/payments');
+const { startJobQueue, stopJobQueue } = require('./lib/jobQueue');
 
 // Security middleware with CORS-friendly configuration
 app.use(helmet({
@@ -110,7 +113,15 @@ const limiter = rateLimit({
 app.use('/api/', limiter);
 
 // Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
+// Keep the exact bytes of payment webhooks so their signatures can be verified
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/payments/')) {
+      req.rawBody = buf;
+    }
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Handle multipart/form-data for file uploads
@@ -197,9 +208,11 @@ app.get('/test-uploads', (req, res) => {
 // API routes
 app.use('/api/auth', authRoutes);
 app.use('/api/products', productRoutes);
+app.use('/api/categories', categoryRoutes);
 app.use('/api/orders', orderRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/admin', adminRoutes);
+app.use('/api/payments', paymentRoutes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -288,6 +301,8 @@ const startServer = async () => {
     console.log(`🔗 API base: http://localhost:${PORT}/api`);
     if (!dbConnected) {
       console.log('⚠️  Database-dependent routes will return errors');
+    } else {
+      startJobQueue();
     }
     
     // Start Auto Keep-Alive Service (only in production or when explicitly enabled)
@@ -313,6 +328,8 @@ process.on('SIGTERM', async () => {
     if (autoKeepAlive) {
       autoKeepAlive.stop();
     }
+    // Let running jobs finish; any still running are taken over by another instance
+    await stopJobQueue();
     
     if (mongoose.connection.readyState === 1) {
       await mongoose.connection.close();
@@ -332,6 +349,8 @@ process.on('SIGINT', async () => {
     if (autoKeepAlive) {
       autoKeepAlive.stop();
     }
+    // Let running jobs finish; any still running are taken over by another instance
+    await stopJobQueue();
     
     if (mongoose.connection.readyState === 1) {
       await mongoose.connection.close();
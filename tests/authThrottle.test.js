@@ -0,0 +1,105 @@
+jest.mock('../lib/jobQueue', () => ({
+  defineJob: jest.fn(),
+  enqueueInBackground: jest.fn()
+}));
+
+const AuthThrottle = require('../models/AuthThrottle');
+const { enqueueInBackground } = require('../lib/jobQueue');
+const { checkLock, recordFailure, clearFailures } = require('../lib/authThrottle');
+const { useMemoryModel } = require('./support/memoryModel');
+
+// Defaults from lib/authThrottle
+const MAX_ACCOUNT_FAILURES = 5;
+const MAX_IP_FAILURES = 20;
+
+let throttles;
+
+const record = (key) => throttles.find({ key })[0];
+
+beforeEach(() => {
+  throttles = useMemoryModel(AuthThrottle);
+  enqueueInBackground.mockClear();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('recordFailure', () => {
+  const identity = { email: 'Ayesha@Example.com', ip: '10.0.0.1' };
+
+  test('locks the account once it reaches the limit', async () => {
+    for (let i = 1; i < MAX_ACCOUNT_FAILURES; i += 1) {
+      await recordFailure(identity);
+    }
+    expect((await checkLock(identity)).locked).toBe(false);
+
+    const result = await recordFailure(identity);
+    const lock = await checkLock(identity);
+
+    expect(result.accountLocked).toBe(true);
+    expect(lock).toMatchObject({ locked: true, scope: 'account' });
+    expect(lock.retryAfter).toBeGreaterThan(0);
+    expect(record('account:ayesha@example.com').lockCount).toBe(1);
+    expect(enqueueInBackground).toHaveBeenCalledTimes(1);
+    expect(enqueueInBackground).toHaveBeenCalledWith('account-locked-email', expect.objectContaining({ email: identity.email }));
+  });
+
+  test('counts every failure of a parallel burst and locks once', async () => {
+    const results = await Promise.all(Array.from({ length: 12 }, () => recordFailure(identity)));
+
+    expect(record('account:ayesha@example.com').failures).toBe(12);
+    expect(record('ip:10.0.0.1').failures).toBe(12);
+    expect(results.filter(result => result.accountLocked)).toHaveLength(1);
+    expect(record('account:ayesha@example.com').lockCount).toBe(1);
+    expect(enqueueInBackground).toHaveBeenCalledTimes(1);
+    expect((await checkLock(identity)).locked).toBe(true);
+  });
+
+  test('survives two first failures inserting the same counter', async () => {
+    const upsert = AuthThrottle.findOneAndUpdate.getMockImplementation();
+    AuthThrottle.findOneAndUpdate.mockImplementationOnce(async (filter, update, options) => {
+      // The other request's insert lands first and this upsert hits the unique index
+      await upsert(filter, update, options);
+      const error = new Error('E11000 duplicate key error');
+      error.code = 11000;
+      throw error;
+    });
+
+    await expect(recordFailure({ email: identity.email })).resolves.toMatchObject({ accountLocked: false });
+    expect(record('account:ayesha@example.com').failures).toBe(2);
+  });
+
+  test('locks an IP after its own limit across accounts', async () => {
+    for (let i = 0; i < MAX_IP_FAILURES; i += 1) {
+      await recordFailure({ email: `user${i}@example.com`, ip: '10.0.0.2' });
+    }
+
+    const lock = await checkLock({ email: 'someone-new@example.com', ip: '10.0.0.2' });
+    expect(lock).toMatchObject({ locked: true, scope: 'ip' });
+    expect(enqueueInBackground).not.toHaveBeenCalled();
+  });
+
+  test('starts counting again after a quiet day', async () => {
+    throttles.insert({
+      key: 'account:ayesha@example.com',
+      scope: 'account',
+      failures: MAX_ACCOUNT_FAILURES - 1,
+      lastFailureAt: new Date(Date.now() - 25 * 60 * 60 * 1000),
+      expiresAt: new Date(Date.now() + 60 * 60 * 1000)
+    });
+
+    const result = await recordFailure(identity);
+
+    expect(result.accountLocked).toBe(false);
+    expect(record('account:ayesha@example.com').failures).toBe(1);
+  });
+
+  test('clearFailures resets the account but not the IP', async () => {
+    await recordFailure(identity);
+    await clearFailures(identity);
+
+    expect(record('account:ayesha@example.com')).toBeUndefined();
+    expect(record('ip:10.0.0.1').failures).toBe(1);
+  });
+});
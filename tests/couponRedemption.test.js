@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+const { redeemCoupon, releaseCoupon } = require('../lib/couponService');
+const { useMemoryModel } = require('./support/memoryModel');
+
+const objectId = () => new mongoose.Types.ObjectId();
+
+let coupons;
+let redemptions;
+
+const storedCoupon = (id) => coupons.find({ _id: id })[0];
+
+const createCoupon = (overrides = {}) => coupons.insert({
+  code: 'EID10',
+  type: 'percentage',
+  value: 10,
+  ...overrides
+});
+
+beforeEach(() => {
+  coupons = useMemoryModel(Coupon);
+  redemptions = useMemoryModel(CouponRedemption);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('redeemCoupon', () => {
+  test('stops a customer at the per-customer limit', async () => {
+    const coupon = createCoupon({ perCustomerLimit: 2 });
+    const customerId = objectId();
+
+    const results = [];
+    for (let i = 0; i < 3; i += 1) {
+      results.push(await redeemCoupon(coupon, { customerId, orderId: objectId() }));
+    }
+
+    expect(results.map(result => result.success)).toEqual([true, true, false]);
+    expect(results[2].error).toBe('Coupon already used');
+    expect(storedCoupon(coupon._id).redemptionCount).toBe(2);
+  });
+
+  test('lets a customer use a slot freed by a cancelled order', async () => {
+    const coupon = createCoupon({ perCustomerLimit: 2 });
+    const customerId = objectId();
+    const firstOrder = objectId();
+
+    await redeemCoupon(coupon, { customerId, orderId: firstOrder });
+    await redeemCoupon(coupon, { customerId, orderId: objectId() });
+    await releaseCoupon(firstOrder);
+
+    const result = await redeemCoupon(coupon, { customerId, orderId: objectId() });
+
+    expect(result.success).toBe(true);
+    expect(result.redemption.slot).toBe(1);
+    expect(storedCoupon(coupon._id).redemptionCount).toBe(2);
+  });
+
+  test('lets only one of two concurrent orders take a single-use coupon', async () => {
+    const coupon = createCoupon({ perCustomerLimit: 1 });
+    const customerId = objectId();
+
+    const results = await Promise.all([
+      redeemCoupon(coupon, { customerId, orderId: objectId() }),
+      redeemCoupon(coupon, { customerId, orderId: objectId() })
+    ]);
+
+    expect(results.filter(result => result.success)).toHaveLength(1);
+    expect(redemptions.docs).toHaveLength(1);
+    expect(storedCoupon(coupon._id).redemptionCount).toBe(1);
+  });
+
+  test('holds the global usage limit across customers', async () => {
+    const coupon = createCoupon({ usageLimit: 2 });
+
+    const results = await Promise.all([1, 2, 3].map(() => redeemCoupon(coupon, { customerId: objectId(), orderId: objectId() })));
+
+    expect(results.filter(result => result.success)).toHaveLength(2);
+    expect(results.find(result => !result.success).error).toBe('Coupon exhausted');
+    expect(storedCoupon(coupon._id).redemptionCount).toBe(2);
+  });
+
+  test('refuses a second redemption for the same order without retrying slots', async () => {
+    const coupon = createCoupon({ perCustomerLimit: null });
+    const customerId = objectId();
+    const orderId = objectId();
+
+    await redeemCoupon(coupon, { customerId, orderId });
+
+    await expect(redeemCoupon(coupon, { customerId, orderId })).rejects.toMatchObject({ code: 11000 });
+    expect(storedCoupon(coupon._id).redemptionCount).toBe(1);
+  });
+});
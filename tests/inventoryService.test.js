@@ -0,0 +1,190 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const Order = require('../models/Order');
+const InventoryMovement = require('../models/InventoryMovement');
+const { reserveStock, restoreOrderStock } = require('../lib/inventoryService');
+const { useMemoryModel } = require('./support/memoryModel');
+
+const objectId = () => new mongoose.Types.ObjectId();
+
+let products;
+let orders;
+let movements;
+
+const productData = (overrides = {}) => ({
+  _id: objectId(),
+  name: 'Basmati Rice',
+  description: 'Long grain rice',
+  price: 500,
+  stock: 10,
+  status: 'active',
+  ...overrides
+});
+
+const orderData = (items) => ({
+  _id: objectId(),
+  orderNumber: `VF${Date.now()}${Math.floor(Math.random() * 1000)}`,
+  customerId: objectId(),
+  items,
+  totalAmount: 1000
+});
+
+const storedProduct = (id) => products.find({ _id: id })[0];
+const storedOrder = (id) => orders.find({ _id: id })[0];
+const loadOrder = async (id) => Order.findById(id);
+
+beforeEach(() => {
+  products = useMemoryModel(Product);
+  orders = useMemoryModel(Order);
+  movements = useMemoryModel(InventoryMovement);
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('reserveStock', () => {
+  test('takes stock for every line and records the movements', async () => {
+    const rice = products.insert(productData());
+    const oil = products.insert(productData({ name: 'Olive Oil', stock: 4 }));
+
+    const result = await reserveStock([
+      { productId: rice._id, name: rice.name, quantity: 3 },
+      { productId: oil._id, name: oil.name, quantity: 4 }
+    ]);
+
+    expect(result.success).toBe(true);
+    expect(storedProduct(rice._id).stock).toBe(7);
+    expect(storedProduct(oil._id).stock).toBe(0);
+    expect(storedProduct(oil._id).status).toBe('out_of_stock');
+    expect(movements.find({ reasonCode: 'order_placed' })).toHaveLength(2);
+  });
+
+  test('puts earlier lines back when a later line is short', async () => {
+    const rice = products.insert(productData());
+    const oil = products.insert(productData({ name: 'Olive Oil', stock: 1 }));
+
+    const result = await reserveStock([
+      { productId: rice._id, name: rice.name, quantity: 3 },
+      { productId: oil._id, name: oil.name, quantity: 2 }
+    ]);
+
+    expect(result.success).toBe(false);
+    expect(result.error).toBe('Insufficient stock');
+    expect(result.product).toMatchObject({ name: 'Olive Oil', requested: 2, available: 1 });
+    expect(storedProduct(rice._id).stock).toBe(10);
+    expect(storedProduct(oil._id).stock).toBe(1);
+    expect(movements.find({ reasonCode: 'order_released' })).toHaveLength(1);
+  });
+
+  test('lets only one of two concurrent orders take the last units', async () => {
+    const rice = products.insert(productData({ stock: 5 }));
+    const line = { productId: rice._id, name: rice.name, quantity: 5 };
+
+    const results = await Promise.all([reserveStock([line]), reserveStock([line])]);
+
+    expect(results.filter(result => result.success)).toHaveLength(1);
+    expect(storedProduct(rice._id).stock).toBe(0);
+  });
+
+  test('takes variant stock together with the product total', async () => {
+    const variantId = objectId();
+    const rice = products.insert(productData({
+      stock: 6,
+      variants: [{ _id: variantId, sku: 'RICE-5KG', packagingSize: '5kg', price: 2400, stock: 6 }]
+    }));
+
+    const short = await reserveStock([{ productId: rice._id, variantId, name: rice.name, quantity: 7 }]);
+    const result = await reserveStock([{ productId: rice._id, variantId, name: rice.name, quantity: 2 }]);
+
+    expect(short.success).toBe(false);
+    expect(result.success).toBe(true);
+    expect(storedProduct(rice._id).stock).toBe(4);
+    expect(storedProduct(rice._id).variants[0].stock).toBe(4);
+  });
+
+  test('skips lines that carry no catalog product', async () => {
+    const result = await reserveStock([{ productId: 'frontend_1', name: 'Gift card', quantity: 1 }]);
+
+    expect(result.success).toBe(true);
+    expect(movements.docs).toHaveLength(0);
+  });
+});
+
+describe('restoreOrderStock', () => {
+  const placeOrder = (product, quantity) => orders.insert(orderData([
+    { _id: objectId(), productId: product._id, name: product.name, price: product.price, quantity }
+  ]));
+
+  test('returns every unit once and records the restock on the order', async () => {
+    const rice = products.insert(productData({ stock: 7 }));
+    const order = placeOrder(rice, 3);
+
+    const restored = await restoreOrderStock(await loadOrder(order._id), { cancelled: true });
+    const again = await restoreOrderStock(await loadOrder(order._id), { cancelled: true });
+
+    expect(restored).toHaveLength(1);
+    expect(again).toHaveLength(0);
+    expect(storedProduct(rice._id).stock).toBe(10);
+    expect(storedOrder(order._id).items[0].restockedQuantity).toBe(3);
+    expect(movements.find({ reasonCode: 'order_cancelled' })).toHaveLength(1);
+  });
+
+  test('restocks once when callers race on the same order', async () => {
+    const rice = products.insert(productData({ stock: 7 }));
+    const order = placeOrder(rice, 3);
+
+    const [first, second] = await Promise.all([
+      loadOrder(order._id).then(loaded => restoreOrderStock(loaded, { cancelled: true })),
+      loadOrder(order._id).then(loaded => restoreOrderStock(loaded, { reasonCode: 'refund' }))
+    ]);
+
+    expect(first.length + second.length).toBe(1);
+    expect(storedProduct(rice._id).stock).toBe(10);
+  });
+
+  test('restocks part of a line and the rest later', async () => {
+    const rice = products.insert(productData({ stock: 7 }));
+    const order = placeOrder(rice, 3);
+    const itemId = order.items[0]._id;
+
+    await restoreOrderStock(await loadOrder(order._id), { lines: [{ itemId, quantity: 1 }] });
+    const overReach = await restoreOrderStock(await loadOrder(order._id), { lines: [{ itemId, quantity: 3 }] });
+    await restoreOrderStock(await loadOrder(order._id));
+
+    expect(overReach).toHaveLength(0);
+    expect(storedProduct(rice._id).stock).toBe(10);
+    expect(storedOrder(order._id).items[0].restockedQuantity).toBe(3);
+  });
+
+  test('gives the claim back when the product no longer exists', async () => {
+    const rice = productData();
+    const order = placeOrder(rice, 3);
+
+    const restored = await restoreOrderStock(await loadOrder(order._id), { cancelled: true });
+
+    expect(restored).toHaveLength(0);
+    expect(storedOrder(order._id).items[0].restockedQuantity).toBe(0);
+  });
+
+  test('gives the claim back when the stock update fails, so a retry restocks', async () => {
+    const rice = products.insert(productData({ stock: 7 }));
+    const order = placeOrder(rice, 3);
+
+    const findOneAndUpdate = Product.findOneAndUpdate.getMockImplementation();
+    Product.findOneAndUpdate.mockImplementationOnce(() => Promise.reject(new Error('connection reset')));
+
+    const failed = await restoreOrderStock(await loadOrder(order._id), { cancelled: true });
+    expect(failed).toHaveLength(0);
+    expect(storedOrder(order._id).items[0].restockedQuantity).toBe(0);
+    expect(storedProduct(rice._id).stock).toBe(7);
+
+    Product.findOneAndUpdate.mockImplementation(findOneAndUpdate);
+    const retried = await restoreOrderStock(await loadOrder(order._id), { cancelled: true });
+    expect(retried).toHaveLength(1);
+    expect(storedProduct(rice._id).stock).toBe(10);
+    expect(storedOrder(order._id).items[0].restockedQuantity).toBe(3);
+  });
+});
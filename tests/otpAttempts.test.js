@@ -0,0 +1,132 @@
+const User = require('../models/User');
+const { hashOTP, OTP_MAX_ATTEMPTS } = require('../lib/otpService');
+const { useMemoryModel } = require('./support/memoryModel');
+
+let users;
+
+const stored = (id) => users.find({ _id: id })[0];
+const loadUser = (id) => User.findById(id);
+
+const seedUser = (overrides = {}) => users.insert({
+  email: 'bilal@example.com',
+  password: 'hashed',
+  displayName: 'Bilal',
+  emailVerificationCode: hashOTP('123456'),
+  emailVerificationExpires: new Date(Date.now() + 10 * 60 * 1000),
+  emailVerificationAttempts: 0,
+  ...overrides
+});
+
+beforeEach(() => {
+  users = useMemoryModel(User);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('claimOTPAttempt', () => {
+  test('counts attempts up to the limit and then refuses', async () => {
+    const user = await loadUser(seedUser()._id);
+
+    const attempts = [];
+    for (let i = 0; i < OTP_MAX_ATTEMPTS + 2; i += 1) {
+      attempts.push(await user.claimOTPAttempt('emailVerification', OTP_MAX_ATTEMPTS));
+    }
+
+    expect(attempts).toEqual([...Array.from({ length: OTP_MAX_ATTEMPTS }, (_, i) => i + 1), null, null]);
+    expect(stored(user._id).emailVerificationAttempts).toBe(OTP_MAX_ATTEMPTS);
+  });
+
+  test('gives parallel guesses no more than the limit between them', async () => {
+    const { _id } = seedUser();
+
+    // Every request loads the user before any of them has counted its attempt
+    const loaded = await Promise.all(Array.from({ length: 20 }, () => loadUser(_id)));
+    const attempts = await Promise.all(loaded.map(user => user.claimOTPAttempt('emailVerification', OTP_MAX_ATTEMPTS)));
+
+    expect(attempts.filter(attempt => attempt !== null)).toHaveLength(OTP_MAX_ATTEMPTS);
+    expect(stored(_id).emailVerificationAttempts).toBe(OTP_MAX_ATTEMPTS);
+  });
+
+  test('counts from zero for users saved before the counter existed', async () => {
+    const { _id } = seedUser();
+    delete stored(_id).passwordResetOTPAttempts;
+    Object.assign(stored(_id), {
+      passwordResetOTP: hashOTP('654321'),
+      passwordResetOTPExpires: new Date(Date.now() + 10 * 60 * 1000)
+    });
+
+    const user = await loadUser(_id);
+    expect(await user.claimOTPAttempt('passwordReset', OTP_MAX_ATTEMPTS)).toBe(1);
+  });
+
+  test('does not charge a code issued after the user was loaded', async () => {
+    const { _id } = seedUser();
+    const user = await loadUser(_id);
+
+    stored(_id).emailVerificationCode = hashOTP('999999');
+
+    expect(await user.claimOTPAttempt('emailVerification', OTP_MAX_ATTEMPTS)).toBeNull();
+    expect(stored(_id).emailVerificationAttempts).toBe(0);
+  });
+
+  test('keeps the counters of each kind of code apart', async () => {
+    const { _id } = seedUser({
+      pendingPhone: '+923001234567',
+      phoneVerificationCode: hashOTP('111111'),
+      phoneVerificationExpires: new Date(Date.now() + 10 * 60 * 1000)
+    });
+    const user = await loadUser(_id);
+
+    await user.claimOTPAttempt('phoneVerification', OTP_MAX_ATTEMPTS);
+
+    expect(stored(_id).phoneVerificationAttempts).toBe(1);
+    expect(stored(_id).emailVerificationAttempts).toBe(0);
+  });
+});
+
+describe('burnOTP', () => {
+  test('throws away the current code', async () => {
+    const user = await loadUser(seedUser()._id);
+
+    await user.burnOTP('emailVerification');
+
+    expect(stored(user._id).emailVerificationCode).toBeNull();
+    expect(stored(user._id).emailVerificationExpires).toBeNull();
+  });
+
+  test('leaves a newer code alone', async () => {
+    const user = await loadUser(seedUser()._id);
+    const newCode = hashOTP('222222');
+    stored(user._id).emailVerificationCode = newCode;
+
+    await user.burnOTP('emailVerification');
+
+    expect(stored(user._id).emailVerificationCode).toBe(newCode);
+  });
+});
+
+describe('resetOTPAttempts', () => {
+  test('gives every kind of code its attempts back', async () => {
+    const { _id } = seedUser({
+      emailVerificationAttempts: OTP_MAX_ATTEMPTS,
+      passwordResetOTPAttempts: 2,
+      pendingPhone: '+923001234567',
+      phoneVerificationCode: hashOTP('111111'),
+      phoneVerificationExpires: new Date(Date.now() + 10 * 60 * 1000),
+      phoneVerificationAttempts: OTP_MAX_ATTEMPTS
+    });
+    const user = await loadUser(_id);
+
+    user.resetOTPAttempts();
+    await user.save();
+
+    expect(stored(_id)).toMatchObject({
+      emailVerificationAttempts: 0,
+      passwordResetOTPAttempts: 0,
+      phoneVerificationAttempts: 0
+    });
+    expect(await user.claimOTPAttempt('phoneVerification', OTP_MAX_ATTEMPTS)).toBe(1);
+  });
+});
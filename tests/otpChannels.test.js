@@ -0,0 +1,88 @@
+const { sendOTPToUser, isChannelAvailable, getChannelOrder } = require('../lib/otpService');
+const { registerSmsProvider } = require('../lib/smsProviders');
+
+const user = {
+  email: 'hamza@example.com',
+  isPhoneVerified: true,
+  profile: { phone: '+923001234567' },
+  preferences: { notifications: { sms: true } }
+};
+
+const savedEnv = { ...process.env };
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  process.env = { ...savedEnv };
+  jest.restoreAllMocks();
+});
+
+describe('SMS channel', () => {
+  test('is unavailable while no SMS provider is configured', async () => {
+    delete process.env.SMS_PROVIDER;
+
+    const result = await sendOTPToUser(user, '123456', { channels: ['sms'] });
+
+    expect(isChannelAvailable('sms')).toBe(false);
+    expect(result).toMatchObject({ success: false, attempts: [{ channel: 'sms', success: false, error: 'Channel unavailable' }] });
+  });
+
+  test('sends through the provider SMS_PROVIDER names', async () => {
+    const send = jest.fn().mockResolvedValue({ success: true, messageId: 'sms_1' });
+    registerSmsProvider({ name: 'test-gateway', send });
+    process.env.SMS_PROVIDER = 'test-gateway';
+
+    const result = await sendOTPToUser(user, '123456', { channels: ['sms'] });
+
+    expect(result).toMatchObject({ success: true, method: 'sms', provider: 'test-gateway' });
+    expect(send).toHaveBeenCalledWith('+923001234567', expect.stringContaining('123456'));
+  });
+});
+
+describe('console channel', () => {
+  test.each(['production', 'staging', 'test'])('is not used when NODE_ENV is %s', async (env) => {
+    process.env.NODE_ENV = env;
+    delete process.env.ENABLE_CONSOLE_OTP;
+
+    const result = await sendOTPToUser(user, '123456', { channels: ['console'] });
+
+    expect(getChannelOrder(user, { purpose: 'phone_verification' })).toEqual(['sms']);
+    expect(result).toMatchObject({ success: false, attempts: [{ channel: 'console', error: 'Channel unavailable' }] });
+    expect(console.log).not.toHaveBeenCalledWith(expect.stringContaining('123456'));
+  });
+
+  test('is the last fallback in development', () => {
+    process.env.NODE_ENV = 'development';
+    process.env.OTP_FALLBACK_CHANNELS = 'email,sms';
+
+    expect(getChannelOrder(user, { purpose: 'password_reset' })).toEqual(['sms', 'email', 'console']);
+  });
+});
+
+describe('SMS stub registration', () => {
+  const loadProviders = (env) => {
+    Object.assign(process.env, env);
+    Object.keys(env).filter(key => env[key] === undefined).forEach(key => delete process.env[key]);
+    let providers;
+    jest.isolateModules(() => {
+      providers = require('../lib/smsProviders');
+    });
+    return providers;
+  };
+
+  test('is not registered in production', () => {
+    const providers = loadProviders({ NODE_ENV: 'production', ENABLE_SMS_STUB: undefined, SMS_PROVIDER: 'stub' });
+
+    expect(providers.listSmsProviders()).toEqual([]);
+    expect(providers.getSmsProvider()).toBeNull();
+  });
+
+  test('is registered in production only when explicitly enabled', () => {
+    const providers = loadProviders({ NODE_ENV: 'production', ENABLE_SMS_STUB: 'true' });
+
+    expect(providers.listSmsProviders()).toEqual(['stub']);
+  });
+});
@@ -0,0 +1,246 @@
+process.env.ENABLE_FAKE_PAYMENTS = 'true';
+process.env.FAKE_PAYMENT_WEBHOOK_SECRET = 'test_webhook_secret';
+process.env.PAYMENT_PROVIDER = 'fake';
+
+jest.mock('../lib/orderNotifications', () => ({
+  notifyOrderEvent: jest.fn()
+}));
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const PaymentEvent = require('../models/PaymentEvent');
+const { fakeProvider } = require('../lib/paymentProviders');
+const { createPaymentIntent, processWebhook } = require('../lib/paymentService');
+const { notifyOrderEvent } = require('../lib/orderNotifications');
+const { useMemoryModel } = require('./support/memoryModel');
+
+let orders;
+let events;
+
+const storedOrder = (id) => orders.find({ _id: id })[0];
+const paymentHistory = (id) => storedOrder(id).statusHistory.filter(entry => entry.field === 'paymentStatus');
+
+// An order with a fake-gateway intent, as checkout leaves it
+const orderWithIntent = async (totalAmount = 1000) => {
+  const { _id } = orders.insert({
+    orderNumber: `VF${crypto.randomBytes(4).toString('hex')}`,
+    customerId: new mongoose.Types.ObjectId(),
+    totalAmount,
+    payment: { method: 'stripe' }
+  });
+  const result = await createPaymentIntent(await Order.findById(_id));
+  return { orderId: _id, intentId: result.intent.id };
+};
+
+// A succeeded-payment webhook exactly as the fake gateway would POST it
+const paidWebhook = async (intentId, amount) => {
+  await fakeProvider.capture(intentId, { amount });
+  return fakeProvider.buildWebhook('payment_intent.succeeded', intentId);
+};
+
+const signWith = (secret, payload, timestamp = Math.floor(Date.now() / 1000)) => {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${payload}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+};
+
+beforeEach(() => {
+  orders = useMemoryModel(Order);
+  events = useMemoryModel(PaymentEvent);
+  notifyOrderEvent.mockClear();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('processWebhook signatures', () => {
+  test('applies a correctly signed payment and marks the order paid', async () => {
+    const { orderId, intentId } = await orderWithIntent();
+    const webhook = await paidWebhook(intentId);
+
+    const result = await processWebhook('fake', Buffer.from(webhook.rawBody), webhook.headers);
+
+    expect(result).toMatchObject({ success: true, duplicate: false, result: { status: 'processed' } });
+    expect(storedOrder(orderId).paymentStatus).toBe('completed');
+    expect(storedOrder(orderId).payment.capturedAmount).toBe(1000);
+    expect(events.find({ eventId: webhook.event.id })[0].status).toBe('processed');
+    expect(notifyOrderEvent).toHaveBeenCalledWith(expect.anything(), 'payment', 'completed');
+  });
+
+  test('rejects a body signed with any other secret', async () => {
+    const { orderId, intentId } = await orderWithIntent();
+    const { rawBody } = await paidWebhook(intentId);
+
+    const result = await processWebhook('fake', rawBody, { 'x-fake-signature': signWith('fake_webhook_secret', rawBody) });
+
+    expect(result).toMatchObject({ success: false, status: 400, error: 'Invalid webhook' });
+    expect(storedOrder(orderId).paymentStatus).toBe('pending');
+    expect(events.docs).toHaveLength(0);
+  });
+
+  test('rejects a body changed after it was signed', async () => {
+    const { orderId, intentId } = await orderWithIntent();
+    const webhook = await paidWebhook(intentId, 1);
+    const tampered = webhook.rawBody.replace('"amountCaptured":1', '"amountCaptured":1000');
+
+    const result = await processWebhook('fake', tampered, webhook.headers);
+
+    expect(result).toMatchObject({ success: false, status: 400 });
+    expect(storedOrder(orderId).paymentStatus).toBe('pending');
+  });
+
+  test('rejects a missing signature and a stale timestamp', async () => {
+    const { intentId } = await orderWithIntent();
+    const { rawBody } = await paidWebhook(intentId);
+    const tenMinutesAgo = Math.floor(Date.now() / 1000) - 10 * 60;
+
+    const unsigned = await processWebhook('fake', rawBody, {});
+    const stale = await processWebhook('fake', rawBody, { 'x-fake-signature': fakeProvider.sign(rawBody, tenMinutesAgo) });
+
+    expect(unsigned).toMatchObject({ success: false, status: 400, details: 'Missing webhook signature' });
+    expect(stale).toMatchObject({ success: false, status: 400, details: 'Webhook timestamp is outside the allowed window' });
+  });
+
+  test('answers 404 for a provider that is not registered', async () => {
+    const result = await processWebhook('stripe', '{}', {});
+
+    expect(result).toMatchObject({ success: false, status: 404 });
+  });
+
+  test('ignores a payment for less than the order total', async () => {
+    const { orderId, intentId } = await orderWithIntent(1000);
+    const webhook = await paidWebhook(intentId, 400);
+
+    const result = await processWebhook('fake', webhook.rawBody, webhook.headers);
+
+    expect(result.result.status).toBe('ignored');
+    expect(storedOrder(orderId).paymentStatus).toBe('pending');
+  });
+});
+
+describe('processWebhook idempotency', () => {
+  test('treats a redelivered event as a duplicate', async () => {
+    const { orderId, intentId } = await orderWithIntent();
+    const webhook = await paidWebhook(intentId);
+
+    await processWebhook('fake', webhook.rawBody, webhook.headers);
+    const replay = await processWebhook('fake', webhook.rawBody, webhook.headers);
+
+    expect(replay).toEqual({ success: true, duplicate: true });
+    expect(paymentHistory(orderId)).toHaveLength(1);
+    expect(events.find({ eventId: webhook.event.id })[0].deliveries).toBe(2);
+    expect(notifyOrderEvent).toHaveBeenCalledTimes(1);
+  });
+
+  test('applies an event once when deliveries arrive together', async () => {
+    const { orderId, intentId } = await orderWithIntent();
+    const webhook = await paidWebhook(intentId);
+
+    const results = await Promise.all([1, 2, 3].map(() => processWebhook('fake', webhook.rawBody, webhook.headers)));
+
+    expect(results.filter(result => !result.duplicate)).toHaveLength(1);
+    expect(paymentHistory(orderId)).toHaveLength(1);
+    expect(events.docs).toHaveLength(1);
+  });
+
+  test('lets the next delivery finish an event that failed part way', async () => {
+    const { orderId, intentId } = await orderWithIntent();
+    const webhook = await paidWebhook(intentId);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    Order.findOne.mockImplementationOnce(() => Promise.reject(new Error('connection reset')));
+    await expect(processWebhook('fake', webhook.rawBody, webhook.headers)).rejects.toThrow('connection reset');
+    expect(events.find({ eventId: webhook.event.id })[0].status).toBe('failed');
+    expect(storedOrder(orderId).paymentStatus).toBe('pending');
+
+    const retried = await processWebhook('fake', webhook.rawBody, webhook.headers);
+
+    expect(retried).toMatchObject({ success: true, duplicate: false, result: { status: 'processed' } });
+    expect(storedOrder(orderId).paymentStatus).toBe('completed');
+  });
+
+  test('does not move a paid order back on a late processing event', async () => {
+    const { orderId, intentId } = await orderWithIntent();
+    const paid = await paidWebhook(intentId);
+    const late = fakeProvider.buildWebhook('payment_intent.processing', intentId);
+
+    await processWebhook('fake', paid.rawBody, paid.headers);
+    const result = await processWebhook('fake', late.rawBody, late.headers);
+
+    expect(result.result.status).toBe('ignored');
+    expect(storedOrder(orderId).paymentStatus).toBe('completed');
+  });
+});
+
+describe('fake provider registration', () => {
+  const loadProviders = (env) => {
+    const saved = { ...process.env };
+    Object.assign(process.env, env);
+    Object.keys(env).filter(key => env[key] === undefined).forEach(key => delete process.env[key]);
+    try {
+      let providers;
+      jest.isolateModules(() => {
+        providers = require('../lib/paymentProviders');
+      });
+      return providers;
+    } finally {
+      process.env = saved;
+    }
+  };
+
+  test('is not registered unless explicitly enabled', () => {
+    const providers = loadProviders({ NODE_ENV: 'development', ENABLE_FAKE_PAYMENTS: undefined });
+
+    expect(providers.listPaymentProviders()).toEqual([]);
+    expect(providers.getPaymentProvider('fake')).toBeNull();
+  });
+
+  test('loads without a webhook secret', () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const providers = loadProviders({ ENABLE_FAKE_PAYMENTS: 'true', FAKE_PAYMENT_WEBHOOK_SECRET: undefined });
+
+    expect(providers.listPaymentProviders()).toEqual(['fake']);
+  });
+});
+
+describe('createPaymentIntent', () => {
+  test('uses no provider when PAYMENT_PROVIDER is unset', async () => {
+    const { _id } = orders.insert({
+      orderNumber: 'VF-NO-PROVIDER',
+      customerId: new mongoose.Types.ObjectId(),
+      totalAmount: 1000,
+      payment: { method: 'stripe' }
+    });
+
+    delete process.env.PAYMENT_PROVIDER;
+    try {
+      const result = await createPaymentIntent(await Order.findById(_id));
+
+      expect(result).toMatchObject({ success: false, status: 503 });
+      expect(storedOrder(_id).payment.transactionId).toBeUndefined();
+    } finally {
+      process.env.PAYMENT_PROVIDER = 'fake';
+    }
+  });
+
+  test('refuses the fake provider while its webhook secret is unset', async () => {
+    const { _id } = orders.insert({
+      orderNumber: 'VF-NO-SECRET',
+      customerId: new mongoose.Types.ObjectId(),
+      totalAmount: 1000,
+      payment: { method: 'stripe' }
+    });
+
+    delete process.env.FAKE_PAYMENT_WEBHOOK_SECRET;
+    try {
+      const result = await createPaymentIntent(await Order.findById(_id));
+      const webhook = await processWebhook('fake', '{}', {});
+
+      expect(result).toMatchObject({ success: false, status: 503 });
+      expect(webhook).toMatchObject({ success: false, status: 404 });
+    } finally {
+      process.env.FAKE_PAYMENT_WEBHOOK_SECRET = 'test_webhook_secret';
+    }
+  });
+});
@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const { resolveOrderItems } = require('../lib/pricingService');
+const { useMemoryModel } = require('./support/memoryModel');
+
+let products;
+
+const createProduct = (overrides = {}) => products.insert({
+  name: 'Basmati Rice',
+  description: 'Long grain rice',
+  price: 500,
+  stock: 10,
+  status: 'active',
+  ...overrides
+});
+
+beforeEach(() => {
+  products = useMemoryModel(Product);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('resolveOrderItems', () => {
+  test('prices lines from the catalog whatever price the client sends', async () => {
+    const rice = createProduct();
+
+    const result = await resolveOrderItems([{ id: rice._id.toString(), name: 'Basmati Rice', price: 1, quantity: 2 }]);
+
+    expect(result.success).toBe(true);
+    expect(result.items[0]).toMatchObject({ name: 'Basmati Rice', price: 500, quantity: 2 });
+  });
+
+  test('prices a variant line at the variant price', async () => {
+    const variantId = new mongoose.Types.ObjectId();
+    const rice = createProduct({
+      variants: [{ _id: variantId, sku: 'RICE-5KG', packagingSize: '5kg', price: 2400, stock: 5 }]
+    });
+
+    const result = await resolveOrderItems([{ productId: rice._id, variantId, price: 1, quantity: 1 }]);
+
+    expect(result.items[0]).toMatchObject({ name: 'Basmati Rice (5kg)', price: 2400, sku: 'RICE-5KG' });
+  });
+
+  test.each([
+    ['no product reference', { name: 'Saffron', price: 1, quantity: 1 }],
+    ['a made-up product id', { id: 'frontend_42', name: 'Saffron', price: 1, quantity: 1 }]
+  ])('rejects a line with %s', async (_, line) => {
+    const result = await resolveOrderItems([line]);
+
+    expect(result).toMatchObject({ success: false, error: 'Invalid product' });
+    expect(result.details).toContain('Saffron');
+  });
+
+  test('rejects the whole cart when one line is not in the catalog', async () => {
+    const rice = createProduct();
+
+    const result = await resolveOrderItems([
+      { productId: rice._id, quantity: 1 },
+      { id: 'frontend_42', name: 'Saffron', price: 1, quantity: 1 }
+    ]);
+
+    expect(result.success).toBe(false);
+    expect(result.items).toBeUndefined();
+  });
+
+  test('rejects products that are no longer for sale', async () => {
+    const rice = createProduct({ status: 'inactive' });
+
+    const result = await resolveOrderItems([{ productId: rice._id, quantity: 1 }]);
+
+    expect(result).toMatchObject({ success: false, error: 'Product unavailable' });
+  });
+});
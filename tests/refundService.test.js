@@ -0,0 +1,98 @@
+process.env.ENABLE_FAKE_PAYMENTS = 'true';
+process.env.FAKE_PAYMENT_WEBHOOK_SECRET = 'test_webhook_secret';
+
+jest.mock('../lib/orderNotifications', () => ({
+  notifyOrderEvent: jest.fn()
+}));
+
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const { fakeProvider } = require('../lib/paymentProviders');
+const { createRefund, getRefundSummary } = require('../lib/refundService');
+const { useMemoryModel } = require('./support/memoryModel');
+
+let orders;
+
+const storedOrder = (id) => orders.find({ _id: id })[0];
+
+// An order paid in full through the fake gateway
+const paidOrder = async () => {
+  const intent = await fakeProvider.createIntent({ amount: 1000, currency: 'PKR' });
+  await fakeProvider.capture(intent.id, { amount: 1000 });
+
+  const { _id } = orders.insert({
+    orderNumber: `VF${Date.now()}${Math.floor(Math.random() * 1000)}`,
+    customerId: new mongoose.Types.ObjectId(),
+    items: [{ productId: new mongoose.Types.ObjectId(), name: 'Basmati Rice', price: 500, quantity: 2 }],
+    subtotal: 1000,
+    totalAmount: 1000,
+    paymentStatus: 'completed',
+    payment: { method: 'stripe', provider: 'fake', transactionId: intent.id, amount: 1000 }
+  });
+  const order = await Order.findById(_id);
+  return { orderId: _id, itemId: order.items[0]._id, intentId: intent.id };
+};
+
+beforeEach(() => {
+  orders = useMemoryModel(Order);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('createRefund through the gateway', () => {
+  test('records the refund as pending before the gateway pays out', async () => {
+    const { orderId, itemId } = await paidOrder();
+    const issueRefund = fakeProvider.refund;
+    let ledgerAtGatewayCall;
+    const refund = jest.spyOn(fakeProvider, 'refund').mockImplementationOnce(async function(...args) {
+      ledgerAtGatewayCall = storedOrder(orderId).refunds.map(entry => ({ ...entry }));
+      return issueRefund.apply(this, args);
+    });
+
+    const result = await createRefund(orderId, { items: [{ itemId, quantity: 1 }] });
+
+    expect(ledgerAtGatewayCall).toEqual([expect.objectContaining({ amount: 500, status: 'pending' })]);
+    expect(refund).toHaveBeenCalledWith(expect.any(String), expect.objectContaining({ idempotencyKey: result.refund._id.toString() }));
+    expect(storedOrder(orderId).refunds).toEqual([expect.objectContaining({ status: 'completed', gatewayRefundId: expect.any(String) })]);
+    expect(storedOrder(orderId).payment.refundedAmount).toBe(500);
+  });
+
+  test('keeps a refund the gateway paid when recording it fails', async () => {
+    const { orderId, itemId } = await paidOrder();
+    const save = Order.prototype.save.getMockImplementation();
+    Order.prototype.save
+      .mockImplementationOnce(save)
+      .mockImplementationOnce(() => Promise.reject(new Error('connection reset')));
+
+    await expect(createRefund(orderId, { items: [{ itemId, quantity: 2 }] })).rejects.toThrow('connection reset');
+
+    const order = await Order.findById(orderId);
+    expect(order.refunds).toEqual([expect.objectContaining({ amount: 1000, status: 'pending' })]);
+    expect(getRefundSummary(order).total.refundableAmount).toBe(0);
+    await expect(createRefund(orderId, { items: [{ itemId, quantity: 1 }] })).resolves.toMatchObject({ success: false, status: 400 });
+  });
+
+  test('takes the pending entry back off when the gateway refuses', async () => {
+    const { orderId, itemId } = await paidOrder();
+    jest.spyOn(fakeProvider, 'refund').mockRejectedValueOnce(new Error('Refund declined'));
+
+    await expect(createRefund(orderId, { items: [{ itemId, quantity: 1 }] })).rejects.toThrow('Refund declined');
+
+    expect(storedOrder(orderId).refunds).toEqual([]);
+    expect(storedOrder(orderId).refundLockedAt).toBeUndefined();
+  });
+});
+
+describe('fake provider refunds', () => {
+  test('pays out once for a repeated idempotency key', async () => {
+    const { intentId } = await paidOrder();
+
+    const first = await fakeProvider.refund(intentId, { amount: 300, idempotencyKey: 'refund_1' });
+    const repeat = await fakeProvider.refund(intentId, { amount: 300, idempotencyKey: 'refund_1' });
+
+    expect(repeat.id).toBe(first.id);
+    expect(fakeProvider.getIntent(intentId).amountRefunded).toBe(300);
+  });
+});
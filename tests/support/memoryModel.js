@@ -0,0 +1,329 @@
+// In-memory stand-in for the MongoDB collection behind a Mongoose model.
+// The model's query methods are replaced with jest spies that read and write
+// an array of plain documents, so services run unchanged without a database.
+// Every operation waits for the next turn of the event loop before it runs,
+// the way a database round trip would, so concurrent calls interleave; each
+// one is then applied in a single step, like a single-document write in MongoDB.
+// Unique indexes from the schema are enforced with E11000 errors.
+//
+// Only the query and update operators the services use are supported.
+
+const mongoose = require('mongoose');
+
+const roundTrip = () => new Promise(resolve => setImmediate(resolve));
+
+const clone = (value) => {
+  if (Array.isArray(value)) return value.map(clone);
+  if (value instanceof Date) return new Date(value.getTime());
+  if (value instanceof mongoose.Types.ObjectId) return value;
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, child]) => [key, clone(child)]));
+  }
+  return value;
+};
+
+// Comparable form of a value: ObjectIds as strings, dates as timestamps
+const normalize = (value) => {
+  if (value instanceof Date) return value.getTime();
+  if (value instanceof mongoose.Types.ObjectId) return value.toString();
+  return value;
+};
+
+const isOperatorObject = (value) => value !== null && typeof value === 'object'
+  && !Array.isArray(value) && !(value instanceof Date) && !(value instanceof mongoose.Types.ObjectId)
+  && Object.keys(value).length > 0 && Object.keys(value).every(key => key.startsWith('$'));
+
+const equals = (a, b) => {
+  if (a == null || b == null) return a == null && b == null;
+  return JSON.stringify(normalize(a)) === JSON.stringify(normalize(b));
+};
+
+// Values at a dotted path; arrays of subdocuments fan out, remembering the
+// index of the element each value came from (for the positional $ operator)
+const resolvePath = (doc, path) => {
+  let candidates = [{ value: doc }];
+  for (const segment of path.split('.')) {
+    const next = [];
+    for (const candidate of candidates) {
+      const { value } = candidate;
+      if (Array.isArray(value) && !/^\d+$/.test(segment)) {
+        value.forEach((element, index) => {
+          next.push({ value: element?.[segment], arrayIndex: candidate.arrayIndex ?? index });
+        });
+      } else {
+        next.push({ value: value?.[segment], arrayIndex: candidate.arrayIndex });
+      }
+    }
+    candidates = next;
+  }
+  return candidates;
+};
+
+const compare = (value, operand, test) => value != null && operand != null
+  && test(normalize(value), normalize(operand));
+
+const matchOperators = (value, operators) => Object.entries(operators).every(([operator, operand]) => {
+  switch (operator) {
+    case '$in': return operand.some(option => equals(value, option) || (Array.isArray(value) && value.some(v => equals(v, option))));
+    case '$nin': return !operand.some(option => equals(value, option));
+    case '$ne': return !equals(value, operand);
+    case '$lt': return compare(value, operand, (a, b) => a < b);
+    case '$lte': return compare(value, operand, (a, b) => a <= b);
+    case '$gt': return compare(value, operand, (a, b) => a > b);
+    case '$gte': return compare(value, operand, (a, b) => a >= b);
+    case '$exists': return (value !== undefined) === Boolean(operand);
+    case '$not': return !matchOperators(value, operand);
+    default: throw new Error(`memoryModel does not support ${operator}`);
+  }
+});
+
+// Whether one field condition holds; records the matching array element in positions
+const matchField = (doc, path, condition, positions) => {
+  if (isOperatorObject(condition) && condition.$elemMatch) {
+    const array = resolvePath(doc, path)[0]?.value;
+    if (!Array.isArray(array)) return false;
+    const index = array.findIndex(element => matches(element, condition.$elemMatch));
+    if (index === -1) return false;
+    positions[path] = index;
+    return true;
+  }
+
+  const candidates = resolvePath(doc, path);
+  const hit = candidates.find(({ value }) => {
+    if (isOperatorObject(condition)) return matchOperators(value, condition);
+    if (Array.isArray(value) && !Array.isArray(condition)) return value.some(v => equals(v, condition));
+    return equals(value, condition);
+  });
+  if (!hit) return false;
+  if (hit.arrayIndex !== undefined) positions[path.split('.')[0]] = hit.arrayIndex;
+  return true;
+};
+
+function matches(doc, filter = {}, positions = {}) {
+  return Object.entries(filter).every(([key, condition]) => {
+    if (key === '$or') return condition.some(branch => matches(doc, branch, positions));
+    if (key === '$and') return condition.every(branch => matches(doc, branch, positions));
+    return matchField(doc, key, condition, positions);
+  });
+}
+
+const setPath = (doc, path, value) => {
+  const segments = path.split('.');
+  let target = doc;
+  segments.slice(0, -1).forEach(segment => {
+    if (target[segment] == null) target[segment] = {};
+    target = target[segment];
+  });
+  target[segments[segments.length - 1]] = value;
+};
+
+const getPath = (doc, path) => path.split('.').reduce((value, segment) => value?.[segment], doc);
+
+// Replace the positional $ with the index of the array element the filter matched
+const positionalPath = (path, positions) => {
+  const segments = path.split('.');
+  const index = segments.indexOf('$');
+  if (index === -1) return path;
+  const arrayPath = segments.slice(0, index).join('.');
+  if (positions[arrayPath] === undefined) {
+    throw new Error(`The positional operator did not find the match needed from the query (${path})`);
+  }
+  segments[index] = String(positions[arrayPath]);
+  return segments.join('.');
+};
+
+const applyUpdate = (doc, update, positions, { inserting = false } = {}) => {
+  Object.entries(update).forEach(([operator, fields]) => {
+    Object.entries(fields).forEach(([rawPath, value]) => {
+      const path = positionalPath(rawPath, positions);
+      const current = getPath(doc, path);
+      switch (operator) {
+        case '$set':
+          setPath(doc, path, clone(value));
+          break;
+        case '$setOnInsert':
+          if (inserting) setPath(doc, path, clone(value));
+          break;
+        case '$inc':
+          setPath(doc, path, (current || 0) + value);
+          break;
+        case '$max':
+          if (current == null || normalize(value) > normalize(current)) setPath(doc, path, clone(value));
+          break;
+        case '$unset':
+          setPath(doc, path, undefined);
+          break;
+        case '$push':
+          setPath(doc, path, [...(current || []), clone(value)]);
+          break;
+        case '$pull': {
+          // Subdocuments are pulled by a filter, anything else by value
+          const isFilter = value !== null && typeof value === 'object'
+            && !(value instanceof Date) && !(value instanceof mongoose.Types.ObjectId);
+          setPath(doc, path, (current || []).filter(element => (isFilter ? !matches(element, value) : !equals(element, value))));
+          break;
+        }
+        default:
+          throw new Error(`memoryModel does not support ${operator}`);
+      }
+    });
+  });
+};
+
+const isUpdateDocument = (update) => Object.keys(update).some(key => key.startsWith('$'));
+
+const duplicateKeyError = (Model, keyPattern) => {
+  const error = new Error(`E11000 duplicate key error collection: ${Model.collection.name} index: ${Object.keys(keyPattern).join('_')}`);
+  error.code = 11000;
+  error.keyPattern = keyPattern;
+  return error;
+};
+
+// Chainable stand-in for a Mongoose query; resolves on the next round trip
+const query = (run, hydrate) => {
+  let lean = false;
+  const chain = {
+    select: () => chain,
+    sort: () => chain,
+    limit: () => chain,
+    skip: () => chain,
+    populate: () => chain,
+    session: () => chain,
+    lean: () => {
+      lean = true;
+      return chain;
+    },
+    exec: async () => {
+      await roundTrip();
+      const result = run();
+      if (Array.isArray(result)) return result.map(doc => (lean ? clone(doc) : hydrate(doc)));
+      if (result && typeof result === 'object' && result._id) return lean ? clone(result) : hydrate(result);
+      return result;
+    },
+    then: (resolve, reject) => chain.exec().then(resolve, reject),
+    catch: (reject) => chain.exec().catch(reject)
+  };
+  return chain;
+};
+
+/**
+ * Back a model with an in-memory collection for the current test file.
+ * @param {Object} Model - Mongoose model
+ * @param {Array} seed - documents to start with (defaults and _ids are filled in)
+ * @returns {Object} { docs, insert(data), find(filter), restore() }
+ */
+const useMemoryModel = (Model, seed = []) => {
+  const docs = [];
+  const uniqueIndexes = Model.schema.indexes()
+    .filter(([, options]) => options?.unique)
+    .map(([fields]) => Object.keys(fields));
+
+  const toStored = (data) => clone(new Model(data).toObject({ depopulate: true }));
+  const hydrate = (doc) => Model.hydrate(clone(doc));
+
+  const assertUnique = (candidate, ignoreId) => {
+    for (const fields of uniqueIndexes) {
+      const clash = docs.find(doc => !equals(doc._id, ignoreId)
+        && fields.every(field => getPath(candidate, field) !== undefined && equals(getPath(doc, field), getPath(candidate, field))));
+      if (clash) throw duplicateKeyError(Model, Object.fromEntries(fields.map(field => [field, 1])));
+    }
+  };
+
+  const insert = (data) => {
+    const doc = toStored(data);
+    assertUnique(doc);
+    docs.push(doc);
+    return doc;
+  };
+  seed.forEach(insert);
+
+  const findDocs = (filter) => docs.filter(doc => matches(doc, filter));
+
+  // Apply an update to the first matching document; upserts insert when nothing matches
+  const updateFirst = (filter, update, { upsert = false } = {}) => {
+    for (const doc of docs) {
+      const positions = {};
+      if (!matches(doc, filter, positions)) continue;
+
+      const before = JSON.stringify(doc);
+      const updated = clone(doc);
+      if (isUpdateDocument(update)) {
+        applyUpdate(updated, update, positions);
+      } else {
+        Object.assign(updated, clone(update));
+      }
+      assertUnique(updated, doc._id);
+      const modified = JSON.stringify(updated) !== before;
+      Object.assign(doc, updated);
+      return { doc, before: JSON.parse(before), matched: true, modified };
+    }
+
+    if (!upsert) return { doc: null, matched: false, modified: false };
+
+    const seedFields = Object.fromEntries(Object.entries(filter)
+      .filter(([key, value]) => !key.startsWith('$') && !isOperatorObject(value)));
+    const draft = {};
+    Object.entries(seedFields).forEach(([path, value]) => setPath(draft, path, clone(value)));
+    applyUpdate(draft, update, {}, { inserting: true });
+    return { doc: insert(draft), before: null, matched: false, modified: true, upserted: true };
+  };
+
+  const spies = [
+    jest.spyOn(Model, 'find').mockImplementation((filter = {}) => query(() => findDocs(filter), hydrate)),
+    jest.spyOn(Model, 'findOne').mockImplementation((filter = {}) => query(() => findDocs(filter)[0] || null, hydrate)),
+    jest.spyOn(Model, 'findById').mockImplementation((id) => query(() => findDocs({ _id: id })[0] || null, hydrate)),
+    jest.spyOn(Model, 'countDocuments').mockImplementation((filter = {}) => query(() => findDocs(filter).length, hydrate)),
+    jest.spyOn(Model, 'findOneAndUpdate').mockImplementation((filter, update, options = {}) => query(() => {
+      const result = updateFirst(filter, update, options);
+      if (!result.doc) return null;
+      return options.new ? result.doc : result.before;
+    }, hydrate)),
+    jest.spyOn(Model, 'updateOne').mockImplementation((filter, update, options = {}) => query(() => {
+      const result = updateFirst(filter, update, options);
+      return {
+        acknowledged: true,
+        matchedCount: result.matched ? 1 : 0,
+        modifiedCount: result.matched && result.modified ? 1 : 0,
+        upsertedCount: result.upserted ? 1 : 0
+      };
+    }, hydrate)),
+    jest.spyOn(Model, 'deleteOne').mockImplementation((filter = {}) => query(() => {
+      const index = docs.findIndex(doc => matches(doc, filter));
+      if (index !== -1) docs.splice(index, 1);
+      return { acknowledged: true, deletedCount: index === -1 ? 0 : 1 };
+    }, hydrate)),
+    jest.spyOn(Model, 'findOneAndDelete').mockImplementation((filter = {}) => query(() => {
+      const index = docs.findIndex(doc => matches(doc, filter));
+      return index === -1 ? null : docs.splice(index, 1)[0];
+    }, hydrate)),
+    jest.spyOn(Model, 'create').mockImplementation(async (data) => {
+      await roundTrip();
+      return hydrate(insert(data));
+    }),
+    // Saving a document writes it back whole (or inserts it when it is new)
+    jest.spyOn(Model.prototype, 'save').mockImplementation(async function() {
+      await roundTrip();
+      const stored = clone(this.toObject({ depopulate: true }));
+      const index = docs.findIndex(doc => equals(doc._id, stored._id));
+      assertUnique(stored, stored._id);
+      if (index === -1) {
+        docs.push(stored);
+      } else {
+        docs[index] = stored;
+      }
+      this.isNew = false;
+      return this;
+    })
+  ];
+
+  return {
+    docs,
+    insert,
+    find: (filter = {}) => findDocs(filter),
+    restore: () => spies.forEach(spy => spy.mockRestore())
+  };
+};
+
+module.exports = {
+  useMemoryModel
+};
@@ -0,0 +1,123 @@
+// Image upload storage shared by the routes that accept images
+// (product images, return photos). Uses ImageKit when it is configured and
+// falls back to the local public/uploads folder otherwise.
+
+const multer = require('multer');
+const path = require('path');
+const fs = require('fs');
+
+// Import cloud storage utilities
+let imagekitUtils = null;
+try {
+  imagekitUtils = require('./imagekit');
+} catch (error) {
+  console.log('ImageKit not configured, using local storage');
+}
+
+// Configure multer for file uploads
+const isProduction = process.env.NODE_ENV === 'production';
+const useCloudStorage = true; // Enable ImageKit for all environments
+
+let storage, upload;
+
+// Check if ImageKit is properly configured
+const isImageKitConfigured = imagekitUtils && 
+  process.env.IMAGEKIT_PUBLIC_KEY && 
+  process.env.IMAGEKIT_PRIVATE_KEY && 
+  process.env.IMAGEKIT_URL_ENDPOINT;
+
+console.log('🔧 Storage configuration check:');
+console.log('  NODE_ENV:', process.env.NODE_ENV);
+console.log('  isProduction:', isProduction);
+console.log('  useCloudStorage:', useCloudStorage);
+console.log('  imagekitUtils available:', !!imagekitUtils);
+console.log('  isImageKitConfigured:', isImageKitConfigured);
+console.log('  IMAGEKIT_PUBLIC_KEY:', !!process.env.IMAGEKIT_PUBLIC_KEY);
+console.log('  IMAGEKIT_PRIVATE_KEY:', !!process.env.IMAGEKIT_PRIVATE_KEY);
+console.log('  IMAGEKIT_URL_ENDPOINT:', !!process.env.IMAGEKIT_URL_ENDPOINT);
+
+if (useCloudStorage && isImageKitConfigured) {
+  // Use ImageKit for production
+  console.log('🔧 Using ImageKit for image storage');
+  storage = imagekitUtils.storage;
+  upload = imagekitUtils.upload;
+} else {
+  // Use local storage (fallback when ImageKit is not available)
+  console.log('🔧 Using local storage as fallback');
+  storage = multer.diskStorage({
+    destination: function (req, file, cb) {
+      const uploadDir = path.join(__dirname, '../public/uploads');
+      // Create directory if it doesn't exist
+      if (!fs.existsSync(uploadDir)) {
+        fs.mkdirSync(uploadDir, { recursive: true });
+      }
+      cb(null, uploadDir);
+    },
+    filename: function (req, file, cb) {
+      // Generate unique filename
+      const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+      cb(null, file.fieldname + '-' + uniqueSuffix + path.extname(file.originalname));
+    }
+  });
+
+  upload = multer({ 
+    storage: storage,
+    limits: {
+      fileSize: 2 * 1024 * 1024 // Reduced to 2MB limit for better performance
+    },
+    fileFilter: function (req, file, cb) {
+      // Check file type
+      if (file.mimetype.startsWith('image/')) {
+        cb(null, true);
+      } else {
+        cb(new Error('Only image files are allowed'), false);
+      }
+    }
+  });
+}
+
+// Public URL of locally stored uploads (served by GET /api/products/optimized-image/:filename)
+const LOCAL_IMAGE_BASE_URL = 'https://virello-backend.onrender.com';
+
+// Accept multer errors from either storage backend as a 400 response
+const handleUploadError = imagekitUtils
+  ? imagekitUtils.handleMulterError
+  : (error, req, res, next) => {
+    if (error instanceof multer.MulterError || error.message === 'Only image files are allowed') {
+      return res.status(400).json({
+        error: 'Invalid image',
+        details: error.message
+      });
+    }
+    next(error);
+  };
+
+/**
+ * Store an uploaded image and return where it can be fetched from.
+ * @param {Object} file - multer file (req.file)
+ * @param {string} folder - ImageKit folder
+ * @returns {Promise<Object>} { imageUrl, filename, storage }
+ */
+const storeUploadedImage = async (file, folder = 'virello-products') => {
+  if (useCloudStorage && isImageKitConfigured) {
+    const uploadResult = await imagekitUtils.uploadImage(file, folder);
+    return { imageUrl: uploadResult.url, filename: uploadResult.fileId, storage: 'imagekit' };
+  }
+
+  return {
+    imageUrl: `${LOCAL_IMAGE_BASE_URL}/api/products/optimized-image/${file.filename}`,
+    filename: file.filename,
+    storage: 'local'
+  };
+};
+
+module.exports = {
+  imagekitUtils,
+  isProduction,
+  useCloudStorage,
+  isImageKitConfigured,
+  storage,
+  upload,
+  handleUploadError,
+  storeUploadedImage
+};